@@ -0,0 +1,18 @@
+/**
+ * Thrown by `strict: true` parsing when a record has error-level diagnostics.
+ * `code`, `recordIndex`, `line`, `column` and `endColumn` describe the first
+ * error; `diagnostics` holds everything collected for the record.
+ */
+export default class SDFParseError extends Error {
+  constructor(diagnostics) {
+    const first = diagnostics.find((d) => d.severity === 'error') ?? diagnostics[0];
+    super(`${first.message} (record ${first.recordIndex}, line ${first.line})`);
+    this.name = 'SDFParseError';
+    this.code = first.code;
+    this.recordIndex = first.recordIndex;
+    this.line = first.line;
+    this.column = first.column;
+    this.endColumn = first.endColumn;
+    this.diagnostics = diagnostics;
+  }
+}
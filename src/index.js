@@ -2,12 +2,89 @@
 
 import * as THREE from 'three';
 import { parse as parseSDFInternal } from 'sdf-parser';
+import SDFParseError from './errors.js'; // eslint-disable-line import/extensions -- native ESM needs the extension
+
+export { SDFParseError };
 
 // ─── shared geometry caches ────────────────────────────────────────────────
 const SPHERE_GEO_CACHE = new Map(); // key: `${radius}|${segments}` → SphereGeometry
 const CYLINDER_GEO = new THREE.CylinderGeometry(1, 1, 1, 8); // reused
 const CONE_GEO = new THREE.ConeGeometry(2, 1, 8, 1, true);
 
+// ─── binary / compressed input ──────────────────────────────────────────────
+
+function toByteArray(input) {
+  if (input instanceof Uint8Array) return input;
+  if (input instanceof ArrayBuffer) return new Uint8Array(input);
+  if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+  return null;
+}
+
+/** 'gzip' (1f 8b), 'deflate' (zlib header: CM = 8, FCHECK) or null. */
+function detectCompression(bytes) {
+  if (bytes.length >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b) return 'gzip';
+  if (bytes.length >= 2 && bytes[0] % 16 === 8 && (bytes[0] * 256 + bytes[1]) % 31 === 0) return 'deflate';
+  return null;
+}
+
+/**
+ * Decode raw bytes to text: BOM-tagged UTF-8/UTF-16 first, then strict UTF-8,
+ * falling back to Latin-1 (windows-1252) for legacy exports.
+ */
+function decodeSDFBytes(bytes) {
+  if (bytes[0] === 0xff && bytes[1] === 0xfe) return new TextDecoder('utf-16le').decode(bytes);
+  if (bytes[0] === 0xfe && bytes[1] === 0xff) return new TextDecoder('utf-16be').decode(bytes);
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('latin1').decode(bytes);
+  }
+}
+
+// Synchronous zlib when running under Node (getBuiltinModule avoids a static import)
+function nodeZlib() {
+  const proc = globalThis.process;
+  if (typeof proc?.getBuiltinModule !== 'function') return null;
+  return proc.getBuiltinModule('node:zlib') || null;
+}
+
+function nodeWorkerThreads() {
+  const proc = globalThis.process;
+  if (typeof proc?.getBuiltinModule !== 'function') return null;
+  return proc.getBuiltinModule('node:worker_threads') || null;
+}
+
+async function decompressWithStream(bytes, kind) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream(kind));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Turn loader input into SDF text. Strings pass through; `Uint8Array`/
+ * `ArrayBuffer` are gunzipped/inflated when they carry gzip or zlib magic and
+ * decoded (UTF-8 or Latin-1). Blobs, and compressed bytes where no synchronous
+ * zlib is available (browsers), resolve asynchronously.
+ *
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input Loader input.
+ * @returns {string|Promise<string>} Text, or a promise of it.
+ */
+function resolveSDFInput(input) {
+  if (typeof input === 'string') return input;
+  if (typeof Blob !== 'undefined' && input instanceof Blob) {
+    return input.arrayBuffer().then((buffer) => resolveSDFInput(buffer));
+  }
+  const bytes = toByteArray(input);
+  if (!bytes) return '';
+  const kind = detectCompression(bytes);
+  if (!kind) return decodeSDFBytes(bytes);
+  const zlib = nodeZlib();
+  if (zlib) {
+    const out = kind === 'gzip' ? zlib.gunzipSync(bytes) : zlib.inflateSync(bytes);
+    return decodeSDFBytes(new Uint8Array(out.buffer, out.byteOffset, out.byteLength));
+  }
+  return decompressWithStream(bytes, kind).then(decodeSDFBytes);
+}
+
 /** Normalize SDF text: Unix newlines, trimmed BOM/leading blanks. */
 function normalizeSDFText(text) {
   if (typeof text !== 'string') return '';
@@ -26,6 +103,12 @@ function canonicalizeV2000(text) {
   return canonical;
 }
 
+// MDL type 9 (coordination) maps onto order 0; missing/zero orders read as single
+function decodeV2000BondOrder(value) {
+  if (value === 9) return 0;
+  return value || 1;
+}
+
 function parseV2000BondLine(line, atomCount) {
   const trimmed = line.trim();
   const parts = trimmed ? trimmed.split(/\s+/) : [];
@@ -34,7 +117,7 @@ function parseV2000BondLine(line, atomCount) {
   if (parts.length >= 3) {
     const a = Number(parts[0]);
     const b = Number(parts[1]);
-    const order = Number(parts[2]) || 1;
+    const order = decodeV2000BondOrder(Number(parts[2]));
     const stereo = Number(parts[3] ?? 0) || 0;
 
     const looksValid =
@@ -51,42 +134,22 @@ function parseV2000BondLine(line, atomCount) {
   // Fixed-width V2000 fallback (handles concatenated indices like " 54100").
   const aFW = Number(line.slice(0, 3).trim()) || 0;
   const bFW = Number(line.slice(3, 6).trim()) || 0;
-  const orderFW = Number(line.slice(6, 9).trim()) || 1;
+  const orderFW = decodeV2000BondOrder(Number(line.slice(6, 9).trim()));
   const stereoFW = Number(line.slice(9, 12).trim()) || 0;
 
   return { beginAtomIdx: aFW, endAtomIdx: bFW, order: orderFW, stereo: stereoFW };
 }
 
+// Returns true when the bond block had to be re-read
 function repairV2000BondsIfNeeded(text, parsed) {
-  if (!text || !parsed || !Array.isArray(parsed.atoms) || parsed.atoms.length === 0) return;
-  if (!Array.isArray(parsed.bonds)) return;
-  if (/^\s*M\s+V30\b/m.test(text)) return; // V3000 handled elsewhere
+  if (!text || !parsed || !Array.isArray(parsed.atoms) || parsed.atoms.length === 0) return false;
+  if (!Array.isArray(parsed.bonds)) return false;
+  if (/^\s*M\s+V30\b/m.test(text)) return false; // V3000 handled elsewhere
 
   const lines = text.replace(/\r/g, '').split('\n');
-  const countsLineIndex = lines.findIndex((ln) => /^\s*-?\d+\s+-?\d+/.test(ln));
-  if (countsLineIndex < 0) return;
-
-  // Parse counts line (fixed-width first, then whitespace fallback).
-  const rawCounts = lines[countsLineIndex] || '';
-  const countsLine = rawCounts.trimStart();
-  const atomsFW = Number(countsLine.slice(0, 3));
-  const bondsFW = Number(countsLine.slice(3, 6));
-  let natoms = atomsFW;
-  let nbonds = bondsFW;
-  const needsFallback =
-    !Number.isFinite(natoms) || !Number.isFinite(nbonds) || natoms <= 0 || nbonds < 0;
-
-  if (needsFallback) {
-    const parts = countsLine.slice(0, 39).trim().split(/\s+/);
-    if (/^\d{6}$/.test(parts[0])) {
-      natoms = Number(parts[0].slice(0, 3));
-      nbonds = Number(parts[0].slice(3));
-    } else {
-      natoms = Number(parts[0]);
-      nbonds = Number(parts[1]);
-    }
-  }
-  if (!Number.isFinite(natoms) || !Number.isFinite(nbonds)) return;
+  const counts = readV2000Counts(lines);
+  if (!counts) return false;
+  const { countsLineIndex, natoms, nbonds } = counts;
 
   const atomCount = Math.max(parsed.atoms.length, natoms);
   const hasOutOfRangeBond = parsed.bonds.some((bond) => {
@@ -105,7 +168,7 @@ function repairV2000BondsIfNeeded(text, parsed) {
   const hasMismatchedBondCount =
     Number.isFinite(nbonds) && nbonds >= 0 && parsed.bonds.length !== nbonds;
 
-  if (!hasOutOfRangeBond && !hasMismatchedBondCount) return;
+  if (!hasOutOfRangeBond && !hasMismatchedBondCount) return false;
 
   const bondStart = countsLineIndex + 1 + natoms;
   const repaired = [];
@@ -115,6 +178,7 @@ function repairV2000BondsIfNeeded(text, parsed) {
   }
 
   Object.assign(parsed, { bonds: repaired });
+  return true;
 }
 
 function decodeV2000ChargeCode(code) {
@@ -138,15 +202,16 @@ function decodeV2000ChargeCode(code) {
   }
 }
 
-function applyV2000ChargesFromText(text, atomsInput) {
-  if (typeof text !== 'string') return;
-  if (!Array.isArray(atomsInput) || atomsInput.length === 0) return;
-  if (/^\s*M\s+V30\b/m.test(text)) return;
-
-  const atoms = atomsInput;
-  const lines = text.replace(/\r/g, '').split('\n');
+/**
+ * Locate the V2000 counts line and read the atom/bond counts. Fixed-width
+ * columns (1–3 atoms, 4–6 bonds) are preferred before a whitespace fallback.
+ *
+ * @param {string[]} lines Record lines.
+ * @returns {{countsLineIndex: number, natoms: number, nbonds: number, chiral: boolean}|null}
+ */
+function readV2000Counts(lines) {
   const countsLineIndex = lines.findIndex((ln) => /^\s*-?\d+\s+-?\d+/.test(ln));
-  if (countsLineIndex < 0) return;
+  if (countsLineIndex < 0) return null;
 
   const rawCounts = lines[countsLineIndex] || '';
   const countsLine = rawCounts.trimStart();
@@ -167,7 +232,21 @@ function applyV2000ChargesFromText(text, atomsInput) {
       nbonds = Number(parts[1]);
     }
   }
-  if (!Number.isFinite(natoms) || !Number.isFinite(nbonds)) return;
+  if (!Number.isFinite(natoms) || !Number.isFinite(nbonds)) return null;
+  // ccc (columns 13–15): chiral flag
+  return { countsLineIndex, natoms, nbonds, chiral: Number(rawCounts.slice(12, 15)) === 1 };
+}
+
+function applyV2000ChargesFromText(text, atomsInput) {
+  if (typeof text !== 'string') return;
+  if (!Array.isArray(atomsInput) || atomsInput.length === 0) return;
+  if (/^\s*M\s+V30\b/m.test(text)) return;
+
+  const atoms = atomsInput;
+  const lines = text.replace(/\r/g, '').split('\n');
+  const counts = readV2000Counts(lines);
+  if (!counts) return;
+  const { countsLineIndex, natoms, nbonds } = counts;
 
   // 1) Atom-line charge codes (apply only if non-zero).
   const atomsToScan = Math.min(natoms, atoms.length);
@@ -226,6 +305,181 @@ function applyV2000ChargesFromText(text, atomsInput) {
   }
 }
 
+// Query counts (M  SUB / M  RBC, V3000 SUBST= / RBCNT=): -1 → none (0), -2 → as drawn
+function decodeQueryCount(value) {
+  if (value === -1) return 0;
+  if (value === -2) return 'asDrawn';
+  return value > 0 ? value : undefined;
+}
+
+/**
+ * Apply the rest of the V2000 properties block (`M  ISO`, `M  RAD`, `M  ALS`,
+ * `A`/`V`/`G` lines and the `M  SUB`/`M  RBC`/`M  UNS` query properties) onto
+ * parsed atoms. Charges are handled by `applyV2000ChargesFromText`.
+ *
+ * @param {string} text Molfile text.
+ * @param {Array} atomsInput Parsed atoms (mutated in place).
+ */
+function applyV2000PropertiesFromText(text, atomsInput) {
+  if (typeof text !== 'string') return;
+  if (!Array.isArray(atomsInput) || atomsInput.length === 0) return;
+  if (/^\s*M\s+V30\b/m.test(text)) return;
+
+  const atoms = atomsInput;
+  const lines = text.replace(/\r/g, '').split('\n');
+  const counts = readV2000Counts(lines);
+  if (!counts) return;
+  const start = counts.countsLineIndex + 1 + counts.natoms + counts.nbonds;
+  let end = lines.findIndex((ln, idx) => idx >= start && ln.startsWith('M  END'));
+  if (end < 0) end = lines.length;
+  const atomIndex = (field) => Number(field) - 1;
+
+  for (let i = start; i < end; i += 1) {
+    const ln = lines[i] || '';
+    const tag = ln.slice(0, 6);
+    if (/^M {2}(ISO|RAD|SUB|RBC|UNS)$/.test(tag)) {
+      const parts = ln.slice(6).trim().split(/\s+/).map(Number);
+      for (let k = 0; k < parts[0]; k += 1) {
+        const idx = atomIndex(parts[1 + 2 * k]);
+        const value = parts[2 + 2 * k];
+        if (atoms[idx] && Number.isFinite(value)) {
+          if (tag === 'M  ISO') atoms[idx].isotope = value;
+          else if (tag === 'M  RAD') {
+            if (value) atoms[idx].radical = value;
+          } else {
+            const query = { ...atoms[idx].query };
+            if (tag === 'M  SUB') query.substitutionCount = decodeQueryCount(value);
+            else if (tag === 'M  RBC') query.ringBondCount = decodeQueryCount(value);
+            else query.unsaturated = value === 1;
+            atoms[idx].query = query;
+          }
+        }
+      }
+    } else if (tag === 'M  RGP') {
+      // M  RGPnn8 aaa rrr … (R-group numbers on R# atoms)
+      const parts = ln.slice(6).trim().split(/\s+/).map(Number);
+      for (let k = 0; k < parts[0]; k += 1) {
+        const idx = atomIndex(parts[1 + 2 * k]);
+        if (atoms[idx]) atoms[idx].rgroups = [...(atoms[idx].rgroups ?? []), parts[2 + 2 * k]];
+      }
+    } else if (tag === 'M  ALS') {
+      // M  ALSaaannn e 11112222…  (e = T for a NOT list, 4-column element slots)
+      const idx = atomIndex(ln.slice(7, 10));
+      const count = Number(ln.slice(10, 13));
+      let elements = [];
+      for (let k = 0; k < count; k += 1) elements.push(ln.slice(16 + 4 * k, 20 + 4 * k).trim());
+      elements = elements.filter(Boolean);
+      if (elements.length < count) elements = ln.slice(15).trim().split(/\s+/).slice(0, count);
+      if (atoms[idx]) atoms[idx].atomList = { exclude: ln[14] === 'T', elements };
+    } else if (/^A {2}[\s\d]{3}/.test(ln)) {
+      // Alias text sits on the following line
+      const idx = atomIndex(ln.slice(3, 6));
+      if (atoms[idx]) atoms[idx].alias = (lines[i + 1] || '').trim();
+      i += 1;
+    } else if (/^V {2}[\s\d]{3}/.test(ln)) {
+      const idx = atomIndex(ln.slice(3, 6));
+      if (atoms[idx]) atoms[idx].value = ln.slice(7).trim();
+    } else if (/^G {2}[\s\d]{3}/.test(ln)) {
+      // G  aaappp + abbreviation line; ppp is the attachment atom
+      const idx = atomIndex(ln.slice(3, 6));
+      if (atoms[idx]) {
+        atoms[idx].groupAbbreviation = (lines[i + 1] || '').trim();
+        const attach = Number(ln.slice(6, 9));
+        if (attach > 0) atoms[idx].groupAttachment = attach;
+      }
+      i += 1;
+    }
+  }
+}
+
+/**
+ * Read V2000 S-groups (`M  STY` with the `M  S…` lines that describe them)
+ * into the same shape parseV3000 produces. Atom and bond numbers stay 1-based;
+ * `M  SDI` brackets are widened to the V3000 nine-number form.
+ *
+ * @param {string} text Canonical V2000 record text.
+ * @returns {Object[]} S-groups in `M  STY` order.
+ */
+function readV2000SGroups(text) {
+  const lines = text.replace(/\r/g, '').split('\n');
+  const byIndex = new Map();
+  const tokens = (ln) => ln.slice(6).trim().split(/\s+/);
+  const numbers = (ln) => tokens(ln).map(Number);
+  lines.forEach((ln) => {
+    const tag = ln.slice(0, 6);
+    if (tag === 'M  STY') {
+      const parts = tokens(ln);
+      for (let k = 0; k < Number(parts[0]); k += 1) {
+        const index = Number(parts[1 + 2 * k]);
+        byIndex.set(index, { index, type: (parts[2 + 2 * k] || '').toUpperCase(), atoms: [], crossingBonds: [] });
+      }
+      return;
+    }
+    if (/^M {2}(SST|SCN|SPL)$/.test(tag)) {
+      // Pairs of S-group number and value
+      const parts = tokens(ln);
+      for (let k = 0; k < Number(parts[0]); k += 1) {
+        const target = byIndex.get(Number(parts[1 + 2 * k]));
+        const value = parts[2 + 2 * k];
+        if (target && value) {
+          if (tag === 'M  SST') target.subtype = value.toUpperCase();
+          else if (tag === 'M  SCN') target.connectivity = value.toUpperCase();
+          else target.parent = Number(value);
+        }
+      }
+      return;
+    }
+    if (tag === 'M  SDS' && ln.slice(7, 10) === 'EXP') {
+      ln.slice(10).trim().split(/\s+/).slice(1).forEach((n) => {
+        const sg = byIndex.get(Number(n));
+        if (sg) sg.expanded = true;
+      });
+      return;
+    }
+    const sg = byIndex.get(Number(ln.slice(6, 10)));
+    if (tag === 'M  SLB') {
+      const parts = numbers(ln);
+      for (let k = 0; k < parts[0]; k += 1) {
+        const target = byIndex.get(parts[1 + 2 * k]);
+        if (target && parts[2 + 2 * k]) target.externalIndex = parts[2 + 2 * k];
+      }
+    } else if (!sg) {
+      // Not an S-group line, or one for an S-group without `M  STY`
+    } else if (tag === 'M  SAL') {
+      sg.atoms.push(...numbers(ln).slice(2));
+    } else if (tag === 'M  SBL') {
+      sg.crossingBonds.push(...numbers(ln).slice(2));
+    } else if (tag === 'M  SPA') {
+      sg.parentAtoms = [...(sg.parentAtoms ?? []), ...numbers(ln).slice(2)];
+    } else if (tag === 'M  SMT') {
+      sg.label = ln.slice(11).trim();
+      const multiplier = Number(sg.label);
+      if (sg.type === 'MUL' && Number.isInteger(multiplier)) sg.multiplier = multiplier;
+    } else if (tag === 'M  SDI') {
+      const [x1, y1, x2, y2] = numbers(ln).slice(2);
+      sg.brackets = [...(sg.brackets ?? []), [x1, y1, 0, x2, y2, 0, 0, 0, 0]];
+    } else if (tag === 'M  SDT') {
+      sg.fieldName = ln.slice(11, 41).trim();
+    } else if (tag === 'M  SDD') {
+      sg.fieldDisplay = { x: Number(ln.slice(11, 21)), y: Number(ln.slice(21, 31)) };
+    } else if (tag === 'M  SCD' || tag === 'M  SED') {
+      // SCD lines carry 69-character chunks; SED ends the value
+      const chunk = ln.slice(11);
+      sg.fieldData = (sg.fieldData ?? '') + (tag === 'M  SED' ? chunk.trimEnd() : chunk);
+    } else if (tag === 'M  SAP') {
+      const parts = tokens(ln);
+      for (let k = 0; k < Number(parts[1]); k += 1) {
+        const [atom, leaving, id] = parts.slice(2 + 3 * k, 5 + 3 * k);
+        sg.attachmentPoints = [
+          ...(sg.attachmentPoints ?? []),
+          { atom: Number(atom), leavingAtom: Number(leaving) || 0, id: id ?? '' },
+        ];
+      }
+    }
+  });
+  return [...byIndex.values()];
+}
+
 /** return memoised sphere geometry */
 function getSphereGeometry(r, segments = 16) {
   const key = `${r}|${segments}`;
@@ -353,6 +607,56 @@ Object.assign(DEFAULT_RADII, {
 });
 
 const GENERIC_RADIUS = 0.45; // fallback for any unknown element
+
+// Generic query atom symbols (MDL): meaning and default display colour
+const QUERY_ATOM_TYPES = {
+  A: { type: 'anyHeavy', color: 0xff80c0 },
+  AH: { type: 'any', color: 0xff80c0 },
+  '*': { type: 'any', color: 0xff80c0 },
+  Q: { type: 'heteroatom', color: 0xc080ff },
+  QH: { type: 'heteroatomOrHydrogen', color: 0xc080ff },
+  X: { type: 'halogen', color: 0x80e0a0 },
+  XH: { type: 'halogenOrHydrogen', color: 0x80e0a0 },
+  M: { type: 'metal', color: 0xe0b060 },
+  MH: { type: 'metalOrHydrogen', color: 0xe0b060 },
+  L: { type: 'list', color: 0xffc060 },
+  'R#': { type: 'rgroup', color: 0x40c0c0 },
+};
+
+// Collapsed superatom (abbreviation) pseudo-atoms
+const SUPERATOM_COLOR = 0x9fb4d8;
+
+// MDL query bond types 5–8 → name, colour and stripe pattern (on/off lengths, repeating)
+const QUERY_BOND_TYPES = {
+  5: { query: 'singleOrDouble', color: 0x6fa8dc, pattern: [0.3, 0.1] },
+  6: { query: 'singleOrAromatic', color: 0xb58ad8, pattern: [0.12, 0.12] },
+  7: { query: 'doubleOrAromatic', color: 0xe69138, pattern: [0.3, 0.08, 0.08, 0.08] },
+  8: { query: 'any', color: 0x999999, pattern: [0.05, 0.1] },
+};
+
+/**
+ * Query semantics of a molfile atom, or undefined for ordinary elements.
+ * Atom lists (`L` / `[C,N]`) and R# atoms carry their elements / R-group numbers.
+ *
+ * @param {Object} atom Parsed atom record.
+ * @returns {{type: string, label: string, elements?: string[], exclude?: boolean, rgroups?: number[]}|undefined}
+ */
+function describeQueryAtom(atom) {
+  const symbol = (atom.symbol || '').toUpperCase();
+  if (atom.atomList) {
+    const { exclude, elements } = atom.atomList;
+    return { type: 'list', label: `${exclude ? '!' : ''}[${elements.join(',')}]`, elements, exclude };
+  }
+  const known = QUERY_ATOM_TYPES[symbol === 'R' && atom.rgroups ? 'R#' : symbol];
+  if (!known) return undefined;
+  if (known.type === 'rgroup') {
+    const rgroups = atom.rgroups ?? [];
+    return { type: 'rgroup', label: rgroups.length ? rgroups.map((r) => `R${r}`).join(',') : 'R', rgroups };
+  }
+  if (known.type === 'list') return { type: 'list', label: 'L', elements: [], exclude: false };
+  return { type: known.type, label: atom.symbol };
+}
+
 // Atomic numbers table (1–118). Symbols are uppercased to match internal normalization.
 const ATOMIC_NUMBERS = {
   H: 1, HE: 2, LI: 3, BE: 4, B: 5, C: 6, N: 7, O: 8, F: 9, NE: 10,
@@ -461,6 +765,19 @@ const TRANSITION_METALS = new Set([
   'Y','ZR','NB','MO','TC','RU','RH','PD','AG','CD',
   'HF','TA','W','RE','OS','IR','PT','AU','HG',
 ]);
+// Covalent radii in Å (Cordero et al., 2008); used for distance-based bond perception
+const COVALENT_RADII = {
+  H: 0.31, HE: 0.28, LI: 1.28, BE: 0.96, B: 0.84, C: 0.76, N: 0.71, O: 0.66, F: 0.57, NE: 0.58,
+  NA: 1.66, MG: 1.41, AL: 1.21, SI: 1.11, P: 1.07, S: 1.05, CL: 1.02, AR: 1.06, K: 2.03, CA: 1.76,
+  SC: 1.7, TI: 1.6, V: 1.53, CR: 1.39, MN: 1.39, FE: 1.32, CO: 1.26, NI: 1.24, CU: 1.32, ZN: 1.22,
+  GA: 1.22, GE: 1.2, AS: 1.19, SE: 1.2, BR: 1.2, KR: 1.16, RB: 2.2, SR: 1.95, Y: 1.9, ZR: 1.75,
+  NB: 1.64, MO: 1.54, TC: 1.47, RU: 1.46, RH: 1.42, PD: 1.39, AG: 1.45, CD: 1.44, IN: 1.42, SN: 1.39,
+  SB: 1.39, TE: 1.38, I: 1.39, XE: 1.4, CS: 2.44, BA: 2.15, LA: 2.07, HF: 1.75, TA: 1.7, W: 1.62,
+  RE: 1.51, OS: 1.44, IR: 1.41, PT: 1.36, AU: 1.36, HG: 1.32, TL: 1.45, PB: 1.46, BI: 1.48,
+};
+const GENERIC_COVALENT_RADIUS = 1.5; // fallback for elements missing above
+// Added to r_i + r_j when perceiving covalent bonds (same slack Jmol/Open Babel use)
+const DEFAULT_BOND_TOLERANCE = 0.45;
 // Distance cutoff (Å) for metal–ligand coordination bond inference (hard minimum)
 const DEFAULT_CUTOFF = 3.0;
 // Relative factor multiplier on closest ligand distance (adaptive for 2-D layouts)
@@ -592,14 +909,287 @@ function applyIsolatedIonSeparation2D(atoms, bonds, options = {}) {
  * Convert SDF (V2000) text into a THREE.Group containing spheres (atoms)
  * and line segments (bonds).
  *
- * @param {string} text Raw SDF file contents.
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input Raw SDF text, or bytes (optionally gzip/zlib-compressed).
  * @param {Object} [options]
- * @param {boolean} [options.showHydrogen=false] Include hydrogens.
+ * @param {boolean} [options.showHydrogen] Include hydrogens. Defaults to false, or true with `addHydrogens: 'explicit3d'`; false also hides placed hydrogens.
+ * @param {'none'|'implicit'|'explicit3d'} [options.addHydrogens='implicit'] Count implicit hydrogens, or also place them as atoms.
+ * @param {'asFile'|'kekule'|'aromatic'} [options.aromaticDisplay='asFile'] Bond orders drawn for aromatic rings.
+ * @param {'dashed'|'circle'|'kekule'} [options.aromaticStyle='dashed'] How bonds drawn as aromatic look.
+ * @param {boolean} [options.renderCIPLabels=false] Label stereocentres (R/S) and double bonds (E/Z).
  * @param {Object<string, import('three').ColorRepresentation>} [options.elementColors] Per-element colours.
  * @param {Object<string, number>} [options.elementRadii] Per-element radii.
+ * @param {boolean} [options.strict=false] Throw SDFParseError instead of rendering a malformed record.
+ * @returns {THREE.Group|Promise<THREE.Group>} A promise only when the input must be decoded asynchronously (see `resolveSDFInput`).
+ */
+export function loadSDF(input, options = {}) {
+  const text = resolveSDFInput(input);
+  if (typeof text !== 'string') return text.then((resolved) => loadSDF(resolved, options));
+  const { onProgress } = options;
+  if (typeof onProgress === 'function') onProgress('parse:start', 0);
+  const { mol, info } = parseSelectedSDFRecord(text, options);
+  return buildMoleculeGroup(mol, info, options);
+}
+
+/** Parse the record `options.index` selects (clamped) from SDF text. */
+function parseSelectedSDFRecord(text, options) {
+  // Support multi-record SDF: split into records, pick first for rendering
+  const recordsSplit = splitSDFRecords(text);
+  const selectedIndex = Math.max(0, Math.min(options.index || 0, Math.max(0, recordsSplit.length - 1)));
+  const selected = recordsSplit[selectedIndex] ?? { text: normalizeSDFText(text), line: 0 };
+  const mainText = selected.text;
+
+  // Parse using resilient helper (handles arrays, V3000, fallback); strict mode throws here
+  const mol = parseSDFRecord(mainText, options, selectedIndex, selected.line);
+  return { mol, info: sdfRecordInfo(mainText) };
+}
+
+/**
+ * Metadata for `buildMoleculeGroup` from a molfile record's text: title and
+ * version, the header program/timestamp/comment lines, the detected provider
+ * and the identifier/name/formula/weight normalized from its SD fields.
+ */
+function sdfRecordInfo(recordText) {
+  const lines = recordText.split('\n');
+  // Leading blank lines (an empty title) are stripped from record text, so
+  // the header block is located from the counts line rather than line 1
+  const countsLine = lines.slice(0, 4).findIndex((l) => /V[23]000\s*$/i.test(l));
+  const headerAt = (offset) => {
+    const at = countsLine >= 0 ? countsLine - 3 + offset : offset;
+    return at >= 0 ? lines[at] || '' : '';
+  };
+  const firstLine = headerAt(0).trim();
+  const isV3000 = /^\s*M\s+V30\b/m.test(recordText);
+  const header = parseMolfileHeader(headerAt(1));
+  const comment = headerAt(2).trim() || undefined;
+  const properties = readSDDataFields(recordText);
+  const source = detectSDFSource(header.program, comment, properties);
+  const fields = normalizeSourceFields(source, properties);
+  // A bare number as title is a registry number (PubChem CID), not a name
+  if (!fields.name && firstLine && !/^\d+$/.test(firstLine) && firstLine !== fields.identifier) {
+    fields.name = firstLine;
+  }
+  return withoutUndefined({
+    title: firstLine || undefined,
+    format: 'sdf',
+    sdfFormatVersion: isV3000 ? 'V3000' : 'V2000',
+    source,
+    program: header.program,
+    timestamp: header.timestamp,
+    comment,
+    coordinateType: header.coordinateType,
+    ...fields,
+  });
+}
+
+function withoutUndefined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, v]) => v !== undefined));
+}
+
+// ── Source detection ──
+
+/**
+ * Molfile header line 2: `IIPPPPPPPPMMDDYYHHmmddSS…` (initials, program,
+ * date/time, dimensional code). Some writers (Marvin) start the program name
+ * in column 1, so a program-then-ten-digits match is tried first.
+ */
+function parseMolfileHeader(line) {
+  const loose = /^\s*(\S+?)\s*(\d{10})([23]D)?/i.exec(line);
+  const program = loose ? loose[1] : line.slice(2, 10).trim();
+  const stamp = loose ? loose[2] : line.slice(10, 20);
+  const dims = (loose ? loose[3] : line.slice(20, 22)) || '';
+  let timestamp;
+  if (/^\d{10}$/.test(stamp)) {
+    const [month, day, year, hour, minute] = stamp.match(/\d\d/g).map(Number);
+    if (month >= 1 && month <= 12 && day >= 1 && day <= 31 && hour < 24 && minute < 60) {
+      const two = (n) => String(n).padStart(2, '0');
+      timestamp = `${year < 70 ? 2000 + year : 1900 + year}-${two(month)}-${two(day)}T${two(hour)}:${two(minute)}`;
+    }
+  }
+  return {
+    program: program || undefined,
+    timestamp,
+    coordinateType: /^[23]D$/i.test(dims) ? dims.toLowerCase() : undefined,
+  };
+}
+
+const hasSDField = (properties, pattern) => Object.keys(properties).some((key) => pattern.test(key));
+const sdFieldMatches = (properties, pattern) => Object.values(properties).some((v) => pattern.test(String(v).trim()));
+
+/**
+ * Provider of an SD record, from its SD tags first, then the header program
+ * name and the comment line.
+ *
+ * @returns {'pubchem'|'chembl'|'chebi'|'nist'|'cactus'|'other'}
+ */
+function detectSDFSource(program = '', comment = '', properties = {}) {
+  if (hasSDField(properties, /^PUBCHEM_/i) || /OEChem/i.test(program) || /pubchem/i.test(comment)) return 'pubchem';
+  if (hasSDField(properties, /^chembl[ _]?id$/i) || sdFieldMatches(properties, /^CHEMBL\d+$/)) return 'chembl';
+  if (hasSDField(properties, /^chebi[ _]?id$/i) || sdFieldMatches(properties, /^CHEBI:\d+$/)) return 'chebi';
+  if (
+    hasSDField(properties, /^CAS\.NUMBER$/i) ||
+    /^NIST$/i.test(program) ||
+    /Sec(retary|\.)? (of )?Commerce/i.test(`${comment} ${properties.COPYRIGHT ?? ''}`)
+  ) {
+    return 'nist';
+  }
+  if (/CACTVS/i.test(program) || /cactus|NCI\/CADD/i.test(comment)) return 'cactus';
+  return 'other';
+}
+
+// SD tags holding the normalized metadata fields; provider lists are tried before the generic one
+const SOURCE_FIELD_KEYS = {
+  pubchem: {
+    identifier: ['PUBCHEM_COMPOUND_CID', 'PUBCHEM_SUBSTANCE_ID'],
+    name: ['PUBCHEM_IUPAC_TRADITIONAL_NAME', 'PUBCHEM_IUPAC_NAME'],
+    formula: ['PUBCHEM_MOLECULAR_FORMULA'],
+    molecularWeight: ['PUBCHEM_MOLECULAR_WEIGHT'],
+  },
+  chembl: {
+    identifier: ['chembl_id', 'ChEMBL ID'],
+    name: ['pref_name', 'Name'],
+    formula: ['full_molformula', 'Molecular Formula'],
+    molecularWeight: ['full_mwt', 'mw_freebase', 'Molecular Weight'],
+  },
+  chebi: {
+    identifier: ['ChEBI ID'],
+    name: ['ChEBI Name'],
+    formula: ['Formulae'],
+    molecularWeight: ['Mass'],
+  },
+  nist: { identifier: ['CAS.NUMBER'] },
+  cactus: {},
+  other: {},
+};
+const GENERIC_FIELD_KEYS = {
+  identifier: ['ID', 'IDENTIFIER', 'REGNO', 'CAS', 'CAS_NUMBER', 'CAS.NUMBER'],
+  name: ['NAME', 'IUPAC_NAME', 'COMPOUND_NAME', 'CHEMICAL_NAME'],
+  formula: ['FORMULA', 'MOLECULAR_FORMULA', 'MOLFORMULA', 'MF'],
+  molecularWeight: ['MW', 'MOLECULAR_WEIGHT', 'MOLWEIGHT', 'MASS'],
+};
+
+/** identifier / name / formula / molecularWeight from the record's SD fields. */
+function normalizeSourceFields(source, properties) {
+  const byUpperKey = new Map(Object.entries(properties).map(([k, v]) => [k.toUpperCase(), v]));
+  const pick = (field) => {
+    const keys = [...(SOURCE_FIELD_KEYS[source][field] ?? []), ...GENERIC_FIELD_KEYS[field]];
+    const hit = keys.map((k) => byUpperKey.get(k.toUpperCase())).find((v) => v !== undefined && String(v).trim());
+    return hit === undefined ? undefined : String(hit).split('\n')[0].trim();
+  };
+  const weight = Number.parseFloat(pick('molecularWeight'));
+  return {
+    identifier: pick('identifier'),
+    name: pick('name'),
+    formula: pick('formula'),
+    molecularWeight: Number.isFinite(weight) ? weight : undefined,
+  };
+}
+
+/** `loadResult.metadata`: counts, the record's chiral flag and the format info (source defaults to 'other'). */
+function moleculeMetadata(atoms, bonds, info, mol) {
+  return {
+    atomCount: atoms.length,
+    bondCount: bonds.length,
+    ...(mol?.chiral ? { chiral: true } : {}),
+    ...info,
+    source: info.source ?? 'other',
+    coordinateType: info.coordinateType ?? (atoms.some((a) => Math.abs(a.z) > 1e-4) ? '3d' : '2d'),
+  };
+}
+
+/**
+ * Perception steps shared by every loader: implicit hydrogens (placed as
+ * atoms for `addHydrogens: 'explicit3d'`, which mutates `atoms`/`bonds`),
+ * SSSR rings, a Kekulé form, Hückel aromaticity, the bond orders the renderer
+ * draws and CIP descriptors.
+ *
+ * @param {Array} atoms Parsed atoms.
+ * @param {Array} bonds Parsed bonds (1-based atom indices).
+ * @param {Object} [options]
+ * @param {'none'|'implicit'|'explicit3d'} [options.addHydrogens='implicit'] See `loadSDF`.
+ * @param {boolean} [options.placeHydrogens=true] False when the record was prepared in a worker.
+ * @param {boolean} [options.twoD=false] Flat layout (hydrogens placed in plane).
+ * @param {'asFile'|'kekule'|'aromatic'} [options.aromaticDisplay='asFile'] See `loadSDF`.
+ * @param {'dashed'|'circle'|'kekule'} [options.aromaticStyle='dashed'] See `loadSDF`.
+ * @param {boolean} [options.generatedCoordinates=false] Layout was generated (SMILES).
+ * @returns {{implicitHydrogens: number[]|undefined, rings: Array<{atoms: number[], bonds: number[]}>,
+ *   ringCounts: number[], ringBonds: Set<number>, kekuleOrders: number[]|null,
+ *   aromaticity: {atoms: Set<number>, bonds: Set<number>}, displayOrders: number[],
+ *   cip: {atoms: Array<string|undefined>, bonds: Array<string|undefined>}}}
+ */
+function perceiveChemistry(atoms, bonds, options = {}) {
+  const {
+    addHydrogens = 'implicit',
+    placeHydrogens = true,
+    twoD = false,
+    aromaticDisplay = 'asFile',
+    aromaticStyle = 'dashed',
+    generatedCoordinates = false,
+  } = options;
+
+  // ── Implicit hydrogens (valence model), optionally placed as real atoms ──
+  // CIP ranking always needs the counts; addHydrogens only decides what is exposed and placed
+  let valenceHydrogens = computeImplicitHydrogens(atoms, bonds);
+  if (addHydrogens === 'explicit3d' && placeHydrogens && valenceHydrogens.some((n) => n > 0)) {
+    addHydrogenAtoms(atoms, bonds, valenceHydrogens, { twoD });
+    valenceHydrogens = computeImplicitHydrogens(atoms, bonds);
+  }
+  const implicitHydrogens = addHydrogens === 'none' ? undefined : valenceHydrogens;
+
+  // ── Rings (SSSR) and aromaticity: Hückel perception on a Kekulé form; order-4 ring bonds stay aromatic ──
+  // Coordination bonds never close a ring
+  const rings = findRings(atoms.length, bonds.map((b) => (b.order === 0 ? {} : b)));
+  const ringCounts = atoms.map(() => 0);
+  const ringBonds = new Set();
+  rings.forEach((ring) => {
+    ring.atoms.forEach((i) => {
+      ringCounts[i] += 1;
+    });
+    ring.bonds.forEach((i) => ringBonds.add(i));
+  });
+  const kekuleOrders = kekulize(atoms, bonds);
+  const aromaticity = kekuleOrders
+    ? perceiveAromaticity(atoms, kekuleOrders, bonds, rings)
+    : { atoms: new Set(), bonds: new Set() };
+  bonds.forEach((b, i) => {
+    if (b.order !== 4 || !ringBonds.has(i)) return;
+    aromaticity.bonds.add(i);
+    aromaticity.atoms.add(b.beginAtomIdx - 1);
+    aromaticity.atoms.add(b.endAtomIdx - 1);
+  });
+  // Orders the bond renderer draws; aromaticStyle 'kekule' alternates whatever stays order 4
+  const displayOrders = bonds.map((b, i) => {
+    let order = b.order;
+    if (aromaticDisplay === 'kekule') order = kekuleOrders?.[i] ?? order;
+    else if (aromaticDisplay === 'aromatic' && aromaticity.bonds.has(i) && [1, 2, 4].includes(order ?? 1)) order = 4;
+    if (order === 4 && aromaticStyle === 'kekule') order = kekuleOrders?.[i] ?? order;
+    return order;
+  });
+
+  // ── CIP descriptors: R/S from 3D coordinates or wedges, E/Z from double-bond geometry ──
+  const cip = assignCIPDescriptors(atoms, bonds, {
+    orders: kekuleOrders ?? bonds.map((b) => b.order ?? 1),
+    implicitHydrogens: valenceHydrogens,
+    rings,
+    aromaticBonds: aromaticity.bonds,
+    generatedCoordinates,
+  });
+  return { implicitHydrogens, rings, ringCounts, ringBonds, kekuleOrders, aromaticity, displayOrders, cip };
+}
+
+/**
+ * Build the THREE.Group (or headless result) for an already-parsed molecule
+ * record. Shared by every format loader so meshes, picking helpers and
+ * `userData.loadResult` look the same regardless of the input format.
+ *
+ * @param {Object} mol Parsed record `{ atoms, bonds, properties }` (1-based bond atom indices).
+ * @param {Object} info Format details merged into `loadResult.metadata`.
+ * @param {string} [info.title] Molecule title (also used as `group.name`).
+ * @param {string} info.format Input format identifier (`'sdf'`, `'mol2'`, …).
+ * @param {string} [info.sdfFormatVersion] `'V2000'` / `'V3000'` for molfiles.
+ * @param {Object} [options] Loader options (see `loadSDF`).
  * @returns {THREE.Group}
  */
-export function loadSDF(text, options = {}) {
+function buildMoleculeGroup(mol, info, options = {}) {
   const {
     // legacy and new options
     showHydrogen: legacyShowHydrogen,
@@ -610,6 +1200,7 @@ export function loadSDF(text, options = {}) {
     elementRadii = {},
     attachAtomData = true,
     attachProperties = true,
+    typedProperties = false,
     renderMultipleBonds = true,
     renderStereoBonds = false,
     multipleBondOffset = 0.1,
@@ -625,8 +1216,15 @@ export function loadSDF(text, options = {}) {
     instancing = false,
     createBonds = true,
     materialFactory,
+    renderQueryFeatures = true,
+    superatomDisplay = 'expanded',
+    renderSGroups = true,
+    addHydrogens = 'implicit',
+    aromaticStyle = 'dashed',
+    // Circles go on aromatic bonds, so perceive them unless told otherwise
+    aromaticDisplay = aromaticStyle === 'circle' ? 'aromatic' : 'asFile',
+    renderCIPLabels = false,
     units = 'angstrom',
-    index = 0,
     instancedBonds = false,
     headless = false,
     hideIsolatedAtoms = false,
@@ -651,7 +1249,8 @@ export function loadSDF(text, options = {}) {
   } else if (includeHydrogens !== undefined) {
     showHydrogen = !!includeHydrogens;
   } else {
-    showHydrogen = false; // retain legacy default (omit hydrogens)
+    // retain legacy default (omit hydrogens) unless hydrogens are being placed
+    showHydrogen = addHydrogens === 'explicit3d';
   }
 
   let useCylinders;
@@ -677,23 +1276,13 @@ export function loadSDF(text, options = {}) {
   const ACTIVE_PALETTE = PALETTES[paletteName] || DEFAULT_COLORS;
   const style = options.style || 'ballStick';
 
-  if (typeof onProgress === 'function') onProgress('parse:start', 0);
-
-  // Support multi-record SDF: split into records, pick first for rendering
-  const normalizedText = normalizeSDFText(text);
-  const recordsSplit = normalizedText
-    .split(/\$\$\$\$\s*/)
-    .filter((s) => s && s.trim().length > 0);
-  const selectedIndex = Math.max(0, Math.min(index || 0, Math.max(0, recordsSplit.length - 1)));
-  const mainText = recordsSplit[selectedIndex] ?? normalizedText;
-
   // Build hidden elements set
   const hiddenSet = new Set(hiddenElements.map((e) => e.toUpperCase()));
   if (!showHydrogen) hiddenSet.add('H'); // retain legacy flag
 
-  // Parse using resilient helper (handles arrays, V3000, fallback)
-  const mol = parseSDF(mainText, options);
   const { atoms = [], bonds = [] } = mol ?? {};
+  // Records coming back from loadSDFInWorker already carry inferred bonds and 2D ion offsets
+  const prepared = mol ? WORKER_PREPARED.get(mol) : undefined;
 
   if (typeof onProgress === 'function') onProgress('parse:done', 0.2);
 
@@ -725,7 +1314,7 @@ export function loadSDF(text, options = {}) {
       );
     });
 
-  if (layoutMode === '3d' || metalUnbonded) {
+  if (!prepared && (layoutMode === '3d' || metalUnbonded)) {
     if (coordinationModeFinal !== 'none') {
       inferCoordinationBonds(atoms, bonds, {
         metals: metalSet,
@@ -740,11 +1329,11 @@ export function loadSDF(text, options = {}) {
   // Support legacy option name for backward compatibility
   const shouldInferBridging = inferBridgingBonds ?? addThreeCenterBonds ?? true;
 
-  if (shouldInferBridging) {
+  if (shouldInferBridging && !prepared) {
     addInferredBridgingBonds(atoms, bonds, hiddenSet);
   }
 
-  if (layoutMode === '2d') {
+  if (layoutMode === '2d' && !prepared) {
     // Match the coordinate scaling used for atom positions (instanced path applies unitsScale).
     let unitsScale = 1.0;
     if (units === 'nm') unitsScale = 10.0;
@@ -762,6 +1351,23 @@ export function loadSDF(text, options = {}) {
       coordScale,
     });
   }
+
+  const {
+    implicitHydrogens,
+    rings,
+    ringCounts,
+    ringBonds,
+    aromaticity,
+    displayOrders,
+    cip,
+  } = perceiveChemistry(atoms, bonds, {
+    addHydrogens,
+    placeHydrogens: !prepared,
+    twoD: layoutMode === '2d',
+    aromaticDisplay,
+    aromaticStyle,
+    generatedCoordinates: info?.format === 'smiles',
+  });
   const group = new THREE.Group();
   group.name = 'molecule';
   group.userData.layoutMode = layoutMode;
@@ -774,6 +1380,7 @@ export function loadSDF(text, options = {}) {
     elementRadii,
     attachAtomData,
     attachProperties,
+    typedProperties,
     renderMultipleBonds,
     renderStereoBonds,
     multipleBondOffset,
@@ -790,6 +1397,10 @@ export function loadSDF(text, options = {}) {
     performance,
     instancing,
     createBonds,
+    addHydrogens,
+    aromaticDisplay,
+    aromaticStyle,
+    renderCIPLabels,
     separateIsolatedIons2D,
     isolatedIons2DClearanceFrac,
     isolatedIons2DMaxIterations,
@@ -797,39 +1408,50 @@ export function loadSDF(text, options = {}) {
   // Objects are added directly to root group to preserve existing scene graph expectations
 
   // Prepare chemistry arrays (0-based indices aligned to SDF blocks)
-  const aromaticAtomSet = new Set();
+  const aromaticAtomSet = aromaticity.atoms;
   const chemistryBonds = bonds.map((bond, i) => {
     const begin = (bond.beginAtomIdx ?? bond.a ?? 1) - 1;
     const end = (bond.endAtomIdx ?? bond.b ?? 1) - 1;
     const originalOrder = bond.order ?? 1;
-    const isAromatic = originalOrder === 4;
+    const isAromatic = aromaticity.bonds.has(i);
     const isCoordination = originalOrder === 0;
     const isBridge = bond.isBridge === true;
-    if (isAromatic) {
-      aromaticAtomSet.add(begin);
-      aromaticAtomSet.add(end);
-    }
     // Normalize stereo flag into small enum for rendering guidance
     let stereo;
     if (bond.stereo === 1) stereo = 'up';
     else if (bond.stereo === 6) stereo = 'down';
     else if (bond.stereo && bond.order === 1) stereo = 'wavy';
+    else if (bond.stereo === 3 && bond.order === 2) stereo = 'either';
 
+    const queryBond = QUERY_BOND_TYPES[originalOrder];
     return {
       index: i,
       beginAtomIndex: begin,
       endAtomIndex: end,
-      order: Math.max(1, Math.min(4, originalOrder || 1)),
+      order: queryBond ? 1 : Math.max(1, Math.min(4, originalOrder || 1)),
       originalOrder,
+      displayOrder: queryBond ? 1 : Math.max(1, Math.min(4, displayOrders[i] || 1)),
+      query: queryBond?.query,
       aromatic: isAromatic || undefined,
       isAromatic: isAromatic || undefined,
       isCoordination: isCoordination || undefined,
       isBridge: isBridge || undefined,
+      isAmide: bond.isAmide || undefined,
       source: bond.source || 'molfile',
       stereo,
+      cisTrans: bond.cisTrans,
+      cip: cip.bonds[i],
+      inRing: ringBonds.has(i),
     };
   });
 
+  const chemistrySGroups = describeSGroups(mol?.sgroups ?? [], chemistryBonds);
+
+  const queryAtoms = atoms.map(describeQueryAtom);
+  const queryAtomColor = (i) => {
+    if (!renderQueryFeatures || !queryAtoms[i]) return undefined;
+    return Object.values(QUERY_ATOM_TYPES).find((t) => t.type === queryAtoms[i].type)?.color;
+  };
   const chemistryAtoms = atoms.map((atom, i) => {
     const symUpper = (atom.symbol || atom.element || '').toUpperCase();
     return {
@@ -838,12 +1460,49 @@ export function loadSDF(text, options = {}) {
       atomicNumber: ATOMIC_NUMBERS[symUpper],
       formalCharge: atom.charge ?? atom.formalCharge ?? 0,
       aromatic: aromaticAtomSet.has(i) || undefined,
+      isAromatic: aromaticAtomSet.has(i) || undefined,
+      isotope: atom.isotope,
+      radical: atom.radical,
+      stereoParity: atom.stereoParity,
+      atomName: atom.atomName,
+      atomType: atom.atomType,
+      partialCharge: atom.partialCharge,
+      substructureId: atom.substructureId,
+      substructureName: atom.substructureName,
+      chainId: atom.chainId,
+      residueName: atom.residueName,
+      residueNumber: atom.residueNumber,
+      insertionCode: atom.insertionCode,
+      bFactor: atom.bFactor,
+      occupancy: atom.occupancy,
+      isHetero: atom.isHetero,
+      hydrogenCount: atom.hydrogenCount,
+      valence: atom.valence,
+      implicitHydrogenCount: implicitHydrogens?.[i],
+      addedHydrogen: atom.addedHydrogen,
+      mapNumber: atom.mapNumber,
+      chirality: atom.chirality,
+      cip: cip.atoms[i],
+      alias: atom.alias,
+      value: atom.value,
+      groupAbbreviation: atom.groupAbbreviation,
+      atomList: atom.atomList,
+      query: atom.query,
+      rgroups: atom.rgroups,
+      queryAtom: queryAtoms[i],
+      ringCount: ringCounts[i],
       x: atom.x,
       y: atom.y,
       z: atom.z,
     };
   });
 
+  const { rings: chemistryRings, ringSystems: chemistryRingSystems } = describeRings(
+    rings,
+    chemistryAtoms,
+    aromaticity.bonds,
+  );
+
   if (typeof onProgress === 'function') onProgress('atoms:start', 0.3);
 
   // Find atoms involved in stereo bonds.
@@ -914,22 +1573,18 @@ export function loadSDF(text, options = {}) {
 
   if (headless) {
     // Chemistry-only path: attach result and return empty group
-    const firstLine = (mainText.split('\n')[0] || '').trim();
-    const isV3000 = /^\s*M\s+V30\b/m.test(mainText);
     const loadResult = {
       root: group,
-      metadata: {
-        atomCount: atoms.length,
-        bondCount: bonds.length,
-        title: firstLine || undefined,
-        sdfFormatVersion: isV3000 ? 'V3000' : 'V2000',
-        source: 'other',
-      },
+      metadata: moleculeMetadata(atoms, bonds, info, mol),
       mappings: {},
       chemistry: {
         atoms: chemistryAtoms,
         bonds: chemistryBonds,
+        sgroups: chemistrySGroups,
+        rings: chemistryRings,
+        ringSystems: chemistryRingSystems,
       },
+      diagnostics: mol?.diagnostics ?? [],
     };
     group.userData.loadResult = loadResult;
     if (typeof onProgress === 'function') onProgress('done', 1.0);
@@ -969,9 +1624,12 @@ export function loadSDF(text, options = {}) {
     imesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
     const dummy = new THREE.Object3D();
     const instanceToAtomIndex = new Uint32Array(instanceCount);
-    const instanceColors = new Float32Array(instanceCount * 3);
+    const precomputed = prepared?.atomMatrices?.length === instanceCount * 16;
+    const instanceColors = precomputed ? prepared.atomColors : new Float32Array(instanceCount * 3);
 
     visibleAtoms.forEach(({ atom, i }, instanceId) => {
+      instanceToAtomIndex[instanceId] = i;
+      if (precomputed) return;
       dummy.position.set(
        atom.x * coordScale,
        atom.y * coordScale,
@@ -979,14 +1637,14 @@ export function loadSDF(text, options = {}) {
       );
       dummy.updateMatrix();
       imesh.setMatrixAt(instanceId, dummy.matrix);
-      instanceToAtomIndex[instanceId] = i;
       const sym = (atom.symbol || '').toUpperCase();
-      const paletteColor = ACTIVE_PALETTE[sym] ?? 0xffffff;
+      const paletteColor = ACTIVE_PALETTE[sym] ?? queryAtomColor(i) ?? 0xffffff;
       const color = new THREE.Color(elementColors[sym] ?? paletteColor);
       instanceColors[instanceId * 3 + 0] = color.r;
       instanceColors[instanceId * 3 + 1] = color.g;
       instanceColors[instanceId * 3 + 2] = color.b;
     });
+    if (precomputed) imesh.instanceMatrix.array.set(prepared.atomMatrices);
 
     imesh.userData.role = 'atomsInstanced';
     imesh.userData.instanceToAtomIndex = instanceToAtomIndex;
@@ -1028,7 +1686,7 @@ export function loadSDF(text, options = {}) {
         elementRadii[symUpper] ??
         DEFAULT_RADII[symUpper] ??
         GENERIC_RADIUS) * styleRadiusScale;
-      const paletteColor = ACTIVE_PALETTE[symUpper] ?? 0xffffff;
+      const paletteColor = ACTIVE_PALETTE[symUpper] ?? queryAtomColor(i) ?? 0xffffff;
       const color = elementColors[symUpper] ?? paletteColor;
 
       const geometry =
@@ -1056,6 +1714,7 @@ export function loadSDF(text, options = {}) {
           atomicNumber: ATOMIC_NUMBERS[(symbol || '').toUpperCase()],
           formalCharge: atom.charge ?? atom.formalCharge,
           aromatic: aromaticAtomSet.has(i) || undefined,
+          queryAtom: queryAtoms[i],
         };
       }
 
@@ -1066,6 +1725,22 @@ export function loadSDF(text, options = {}) {
     });
   }
 
+  // Query atoms get a text label (atom list, R-group numbers, A/Q/…) where a canvas exists
+  if (renderQueryFeatures) {
+    queryAtoms.forEach((q, i) => {
+      const symUpper = (atoms[i].symbol || '').toUpperCase();
+      if (!q || hiddenSet.has(symUpper) || isolatedAtomIndices.has(i) || !atomPositions[i]) return;
+      const sprite = createCaptionSprite(q.label, 0.5);
+      if (!sprite) return;
+      sprite.material.depthTest = false;
+      sprite.renderOrder = 1;
+      sprite.position.copy(atomIndexToMesh[i]?.position ?? atomPositions[i]);
+      sprite.userData.role = 'atomLabel';
+      sprite.userData.atomIndex = i;
+      group.add(sprite);
+    });
+  }
+
   if (typeof onProgress === 'function') onProgress('atoms:done', 0.6);
 
   // Build bonds using LineSegments (lighter than cylinders)
@@ -1146,7 +1821,11 @@ export function loadSDF(text, options = {}) {
       return v.normalize();
     })();
 
-    const instances = instancedBonds && useCylinders ? bonds.length : 0;
+    // Double/triple bonds take one instance per drawn cylinder
+    const instances =
+      instancedBonds && useCylinders
+        ? displayOrders.reduce((n, o) => n + (renderMultipleBonds && (o === 2 || o === 3) ? o : 1), 0)
+        : 0;
     let instanceIndex = 0;
     let dummy;
     // For instanced bonds: track instance-to-bond mapping and bond metadata table
@@ -1163,41 +1842,25 @@ export function loadSDF(text, options = {}) {
       instancedBondMesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
       dummy = new THREE.Object3D();
     }
+    const precomputedBonds = instances > 0 && prepared?.bondMatrices?.length === instances * 16;
+    if (precomputedBonds) instancedBondMesh.instanceMatrix.array.set(prepared.bondMatrices);
 
     bonds.forEach((bond, bondIndex) => {
       const a = atomPositions[bond.beginAtomIdx - 1];
       const b = atomPositions[bond.endAtomIdx - 1];
       if (!a || !b) return;
 
-      // ── order & style ──
-      const isAromatic = bond.order === 4;
+      // ── order & style ── (aromatic = drawn dashed; 'circle' draws a plain bond plus the ring circle)
+      const isAromatic = displayOrders[bondIndex] === 4 && aromaticStyle === 'dashed';
       const isBridge = bond.isBridge === true;
       const originalOrder = bond.order ?? 1;
       const isCoordination = originalOrder === 0;
-      let order = originalOrder;
+      let order = displayOrders[bondIndex] ?? 1;
       if (order < 1 || order > 3) order = 1; // 0,4,8,9 → single
 
-      // Precompute bond metadata (also used for stereo meshes + picking)
-      const beginAtomIndex = (bond.beginAtomIdx ?? bond.a ?? 1) - 1;
-      const endAtomIndex = (bond.endAtomIdx ?? bond.b ?? 1) - 1;
-      let stereo;
-      if (bond.stereo === 1) stereo = 'up';
-      else if (bond.stereo === 6) stereo = 'down';
-      else if (bond.stereo && originalOrder === 1) stereo = 'wavy';
-
-      const bondMeta = {
-        index: bondIndex,
-        beginAtomIndex,
-        endAtomIndex,
-        order,
-        originalOrder,
-        aromatic: isAromatic || undefined,
-        isAromatic: isAromatic || undefined,
-        isCoordination: isCoordination || undefined,
-        isBridge: isBridge || undefined,
-        source: bond.source || 'molfile',
-        stereo,
-      };
+      // Bond metadata for stereo meshes + picking: the chemistry entry itself
+      const queryStyle = QUERY_BOND_TYPES[originalOrder];
+      const bondMeta = chemistryBonds[bondIndex];
 
       // Build bond metadata table for instanced bonds
       if (bondTable) {
@@ -1236,6 +1899,11 @@ export function loadSDF(text, options = {}) {
           const dirVec = new THREE.Vector3().subVectors(bOff, aOff);
           const len = dirVec.length();
           if (len < 1e-6) return;
+          if (precomputedBonds) {
+            instanceToBondIndex.push(bondIndex);
+            instanceIndex += 1;
+            return;
+          }
           const mid = new THREE.Vector3().addVectors(aOff, bOff).multiplyScalar(0.5);
           dummy.position.copy(mid);
           let styleBondScale = 1.0;
@@ -1262,6 +1930,7 @@ export function loadSDF(text, options = {}) {
               : defaultDashed;
           const line = new THREE.Line(geom, dashedMat);
           line.computeLineDistances();
+          line.userData.bond = bondMeta;
           group.add(line);
         } else {
           // line mode: push vertices and track bond index per segment
@@ -1271,6 +1940,35 @@ export function loadSDF(text, options = {}) {
         }
       };
 
+      // ── query bonds (types 5–8): coloured stripe / dash pattern per type ──
+      if (renderQueryFeatures && queryStyle && !instancedBondMesh) {
+        if (useCylinders) {
+          const stripes = addPatternedBond(a, b, bondRadiusFinal, group, up, queryStyle, materialFactory);
+          if (stripes) {
+            stripes.userData.role = 'bond';
+            stripes.userData.bond = bondMeta;
+            bondIndexToMesh[bondIndex] = stripes;
+            stripes.children.forEach((m) => {
+              Object.assign(m.userData, { role: 'bond', bond: bondMeta });
+              meshUuidToBondIndex.set(m.uuid, bondIndex);
+            });
+          }
+        } else {
+          const [dashSize, gapSize] = queryStyle.pattern;
+          const defaultQueryLine = new THREE.LineDashedMaterial({ color: queryStyle.color, dashSize, gapSize });
+          const line = new THREE.Line(
+            new THREE.BufferGeometry().setFromPoints([a, b]),
+            typeof materialFactory === 'function'
+              ? materialFactory('bondQueryLine', defaultQueryLine)
+              : defaultQueryLine,
+          );
+          line.computeLineDistances();
+          line.userData.bond = bondMeta;
+          group.add(line);
+        }
+        return;
+      }
+
       // ── stereochemistry (wedge / hash) ──
       if (renderStereoBonds && bond.stereo && order === 1) {
         if (bond.stereo === 1) {
@@ -1436,22 +2134,69 @@ export function loadSDF(text, options = {}) {
     if (typeof onProgress === 'function') onProgress('bonds:done', 0.9);
   }
 
+  // ── Aromatic ring circles: rings whose bonds are all drawn as aromatic ──
+  const ringIndexToMesh = new Array(chemistryRings.length).fill(null);
+  const meshUuidToRingIndex = new Map();
+  let ringTube = bondRadiusFinal;
+  if (style === 'licorice') ringTube *= 1.5;
+  else if (style === 'spaceFill') ringTube *= 0.75;
+  if (aromaticStyle === 'circle' && shouldCreateBonds) {
+    chemistryRings.forEach((ring) => {
+      if (!ring.bondIndices.every((i) => displayOrders[i] === 4)) return;
+      if (ring.atomIndices.some((i) => hiddenSet.has(chemistryAtoms[i].element))) return;
+      const circle = addAromaticRingCircle(group, ring, chemistryAtoms, {
+        useCylinders,
+        tube: ringTube,
+        coordScale,
+        materialFactory,
+      });
+      ringIndexToMesh[ring.index] = circle;
+      meshUuidToRingIndex.set(circle.uuid, ring.index);
+    });
+  }
+
+  // ── CIP labels: (R)/(S) beside stereocentres, (E)/(Z) beside double bonds ──
+  if (renderCIPLabels) {
+    const targets = [
+      ...chemistryAtoms
+        .filter((a) => a.cip && !hiddenSet.has(a.element) && !isolatedAtomIndices.has(a.index))
+        .map((a) => ({ atomIndex: a.index, descriptor: a.cip })),
+      ...chemistryBonds.filter((b) => b.cip).map((b) => ({ bondIndex: b.index, descriptor: b.cip })),
+    ];
+    targets.forEach((target) => {
+      const sprite = createCaptionSprite(`(${target.descriptor})`, 0.4);
+      if (!sprite) return;
+      sprite.material.depthTest = false;
+      sprite.renderOrder = 1;
+      Object.assign(sprite.userData, { role: 'cipLabel', ...target });
+      placeCIPLabel(sprite, chemistryAtoms, chemistryBonds, coordScale);
+      group.add(sprite);
+    });
+  }
+
+  // ── S-group brackets and labels (polymers, multiple groups, data fields) ──
+  if (renderSGroups && layoutMode === '2d') {
+    chemistrySGroups.forEach((sgroup) => {
+      addSGroupAnnotations(group, mol.sgroups[sgroup.index], sgroup, atoms, chemistryBonds, coordScale, materialFactory);
+    });
+  }
+
   if (attachProperties) {
     group.userData.properties = mol.properties ?? {};
+    if (typedProperties) {
+      group.userData.typedProperties = Object.fromEntries(
+        Object.entries(group.userData.properties).map(([key, raw]) => [
+          key,
+          typeof raw === 'string' ? typeSDField(raw) : raw,
+        ]),
+      );
+    }
   }
 
   // Metadata & result structure
-  const firstLine = (mainText.split('\n')[0] || '').trim();
-  const isV3000 = /^\s*M\s+V30\b/m.test(mainText);
   const loadResult = {
     root: group,
-    metadata: {
-      atomCount: atoms.length,
-      bondCount: bonds.length,
-      title: firstLine || undefined,
-      sdfFormatVersion: isV3000 ? 'V3000' : 'V2000',
-      source: 'other',
-    },
+    metadata: moleculeMetadata(atoms, bonds, info, mol),
     mappings: {
       atomIndexToMesh: instancing ? undefined : atomIndexToMesh,
       meshUuidToAtomIndex: instancing ? undefined : meshUuidToAtomIndex,
@@ -1463,6 +2208,8 @@ export function loadSDF(text, options = {}) {
         : undefined,
       bondIndexToMesh,
       meshUuidToBondIndex,
+      ringIndexToMesh,
+      meshUuidToRingIndex,
       instancedBonds: instancedBondMesh
         ? {
             mesh: instancedBondMesh,
@@ -1474,11 +2221,15 @@ export function loadSDF(text, options = {}) {
     chemistry: {
       atoms: chemistryAtoms,
       bonds: chemistryBonds,
+      sgroups: chemistrySGroups,
+      rings: chemistryRings,
+      ringSystems: chemistryRingSystems,
     },
+    diagnostics: mol?.diagnostics ?? [],
   };
 
   group.userData.loadResult = loadResult;
-  if (firstLine) group.name = firstLine;
+  if (info.title) group.name = info.title;
 
   // Provide CPU-side helper for bond picking in line mode
   group.userData.pickBond = (rayLike, opts = {}) => {
@@ -1598,210 +2349,4001 @@ export function loadSDF(text, options = {}) {
     return group.userData.computeBounds();
   };
 
-  // Dispose helper: clears geometries/materials and caches
-  group.userData.dispose = () => {
-    group.traverse((o) => {
-      if (o.geometry && typeof o.geometry.dispose === 'function') o.geometry.dispose();
-      if (o.material && typeof o.material.dispose === 'function') o.material.dispose();
+  // In-place coordinate updates (conformers, trajectories). Atoms move to the
+  // new coordinates and every bond object is re-seated on its new endpoints
+  // with segmentTransform, so meshes, materials and mappings stay untouched.
+  const basePositions = atoms.map((atom) => new THREE.Vector3(atom.x, atom.y, atom.z));
+  let basePose = null;
+  const captureBasePose = () => {
+    const bondMeshes = [];
+    const dashedLines = [];
+    let lineSegments = null;
+    group.children.forEach((obj) => {
+      if (obj.userData.role === 'bondsLineSegments') {
+        lineSegments = { obj, positions: obj.geometry.getAttribute('position').array.slice() };
+        return;
+      }
+      const bondIndex = obj.userData.bond?.index;
+      if (bondIndex === undefined) return;
+      if (obj.isLine) {
+        dashedLines.push({ obj, bondIndex, positions: obj.geometry.getAttribute('position').array.slice() });
+        return;
+      }
+      // Hashed wedges are groups of small cylinders sitting at the identity
+      (obj.isMesh ? [obj] : obj.children).forEach((mesh) => {
+        mesh.updateMatrix();
+        bondMeshes.push({ obj: mesh, bondIndex, matrix: mesh.matrix.clone() });
+      });
     });
-    SPHERE_GEO_CACHE.forEach((g) => g.dispose());
-    SPHERE_GEO_CACHE.clear();
+    const instancedBondMatrices = instancedBondMesh
+      ? Array.from({ length: instancedBondMesh.count }, (_, k) => {
+          const m = new THREE.Matrix4();
+          instancedBondMesh.getMatrixAt(k, m);
+          return m;
+        })
+      : null;
+    return { bondMeshes, dashedLines, lineSegments, instancedBondMatrices };
   };
 
-  if (typeof onProgress === 'function') onProgress('done', 1.0);
-
-  return group;
-}
+  /**
+   * Move every atom to new coordinates (same units as the input file).
+   * @param {ArrayLike<number>} coords Flat `[x0, y0, z0, x1, …]`, one triple per atom.
+   */
+  group.userData.setAtomPositions = (coords) => {
+    if (!basePose) basePose = captureBasePose();
+    const next = atoms.map((_, i) => new THREE.Vector3(coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2]));
+    chemistryAtoms.forEach((atom, i) => {
+      Object.assign(atom, { x: next[i].x, y: next[i].y, z: next[i].z });
+    });
+    chemistryRings.forEach((ring) => Object.assign(ring, ringGeometry(ring.atomIndices, chemistryAtoms)));
+    ringIndexToMesh.forEach((circle, r) => {
+      if (circle) placeAromaticRingCircle(circle, chemistryRings[r], chemistryAtoms, coordScale, ringTube);
+    });
 
-export function parseSDF(text, options = {}) {
-  const normalized = normalizeSDFText(text);
-  if (/^\s*M\s+V30\b/m.test(normalized)) return parseV3000(normalized);
-  const canonical = canonicalizeV2000(normalized);
-  if (parseSDFInternal) {
-    const result = parseSDFInternal(canonical, options);
-    if (Array.isArray(result)) {
-      const withAtoms = result.find((entry) => entry?.atoms?.length);
-      if (withAtoms) {
-        repairV2000BondsIfNeeded(canonical, withAtoms);
-        applyV2000ChargesFromText(canonical, withAtoms.atoms);
-        return withAtoms;
-      }
-    } else if (result?.atoms?.length) {
-      repairV2000BondsIfNeeded(canonical, result);
-      applyV2000ChargesFromText(canonical, result.atoms);
-      return result;
+    atomIndexToMesh.forEach((mesh, i) => {
+      if (mesh) mesh.position.copy(next[i]).multiplyScalar(coordinateScale);
+    });
+    group.children.forEach((obj) => {
+      if (obj.userData.role === 'cipLabel') placeCIPLabel(obj, chemistryAtoms, chemistryBonds, coordScale);
+      if (obj.userData.role !== 'atomLabel') return;
+      const i = obj.userData.atomIndex;
+      obj.position.copy(atomIndexToMesh[i]?.position ?? next[i].clone().multiplyScalar(coordScale));
+    });
+    if (instancedMesh) {
+      const m = new THREE.Matrix4();
+      instancedMesh.userData.instanceToAtomIndex.forEach((atomIndex, k) => {
+        instancedMesh.getMatrixAt(k, m);
+        m.setPosition(next[atomIndex].clone().multiplyScalar(coordScale));
+        instancedMesh.setMatrixAt(k, m);
+      });
+      instancedMesh.instanceMatrix.needsUpdate = true;
+      instancedMesh.computeBoundingSphere();
     }
-  }
-  const parsed = simpleParse(canonical);
-  applyV2000ChargesFromText(canonical, parsed.atoms);
-  return parsed;
-}
 
-/**
+    const transforms = new Map();
+    const bondTransform = (bondIndex) => {
+      if (!transforms.has(bondIndex)) {
+        const { beginAtomIndex: i, endAtomIndex: j } = chemistryBonds[bondIndex];
+        transforms.set(
+          bondIndex,
+          segmentTransform(
+            basePositions[i].clone().multiplyScalar(coordScale),
+            basePositions[j].clone().multiplyScalar(coordScale),
+            next[i].clone().multiplyScalar(coordScale),
+            next[j].clone().multiplyScalar(coordScale),
+          ),
+        );
+      }
+      return transforms.get(bondIndex);
+    };
+    const transformPositions = (attr, base, bondIndexOfVertex) => {
+      const v = new THREE.Vector3();
+      for (let k = 0; k < attr.count; k += 1) {
+        v.fromArray(base, k * 3).applyMatrix4(bondTransform(bondIndexOfVertex(k)));
+        attr.setXYZ(k, v.x, v.y, v.z);
+      }
+    };
+
+    basePose.bondMeshes.forEach(({ obj, bondIndex, matrix }) => {
+      obj.matrix.multiplyMatrices(bondTransform(bondIndex), matrix);
+      obj.matrix.decompose(obj.position, obj.quaternion, obj.scale);
+    });
+    basePose.dashedLines.forEach(({ obj, bondIndex, positions }) => {
+      const attr = obj.geometry.getAttribute('position');
+      transformPositions(attr, positions, () => bondIndex);
+      attr.needsUpdate = true;
+      obj.computeLineDistances();
+      obj.geometry.computeBoundingSphere();
+    });
+    if (basePose.lineSegments) {
+      const { obj, positions } = basePose.lineSegments;
+      const segToBond = obj.userData.segmentToBondIndex;
+      const attr = obj.geometry.getAttribute('position');
+      transformPositions(attr, positions, (k) => segToBond[Math.floor(k / 2)]);
+      attr.needsUpdate = true;
+      obj.geometry.computeBoundingSphere();
+      const bvh = group.userData.bondSegmentsBVH;
+      if (bvh) {
+        bvh.positions.set(attr.array);
+        // Refit every node's box over its segment range; the tree shape is kept
+        bvh.nodes.forEach((node) => {
+          const min = [Infinity, Infinity, Infinity];
+          const max = [-Infinity, -Infinity, -Infinity];
+          for (let s = node.start; s < node.end; s += 1) {
+            for (let c = 0; c < 6; c += 1) {
+              const value = bvh.positions[bvh.indices[s] * 6 + c];
+              min[c % 3] = Math.min(min[c % 3], value);
+              max[c % 3] = Math.max(max[c % 3], value);
+            }
+          }
+          Object.assign(node, { aabb: { min, max } });
+        });
+      }
+    }
+    if (basePose.instancedBondMatrices) {
+      const m = new THREE.Matrix4();
+      const { instanceToBondIndex } = instancedBondMesh.userData;
+      basePose.instancedBondMatrices.forEach((matrix, k) => {
+        instancedBondMesh.setMatrixAt(k, m.multiplyMatrices(bondTransform(instanceToBondIndex[k]), matrix));
+      });
+      instancedBondMesh.instanceMatrix.needsUpdate = true;
+      instancedBondMesh.computeBoundingSphere();
+    }
+    // Bond geometry was rebuilt from the base pose, so collapsed bonds need hiding again
+    superatomState.bondScales.clear();
+    superatomState.segments.clear();
+    applySuperatoms();
+  };
+
+  // ── Superatoms (SUP S-groups): collapse an abbreviation to one labelled pseudo-atom ──
+  // Collapsing hides the S-group's atoms and inner bonds and shows a pseudo-atom
+  // at the attachment atom, so crossing bonds keep their geometry. Instances and
+  // merged line segments are hidden by zeroing their scale / length; the saved
+  // values restore them on expand.
+  const superatomState = { atomScales: new Map(), bondScales: new Map(), segments: new Map() };
+  const superatoms = (mol?.sgroups ?? []).flatMap((sg, sgroupIndex) => {
+    if (sg.type !== 'SUP' || !sg.atoms?.length) return [];
+    const members = new Set(sg.atoms.map((n) => n - 1).filter((i) => chemistryAtoms[i]));
+    const crossing = chemistryBonds.find((b) => members.has(b.beginAtomIndex) !== members.has(b.endAtomIndex));
+    const sap = sg.attachmentPoints?.[0];
+    let attachmentAtomIndex = [...members][0];
+    if (sap && members.has(sap.atom - 1)) attachmentAtomIndex = sap.atom - 1;
+    else if (crossing) {
+      attachmentAtomIndex = members.has(crossing.beginAtomIndex) ? crossing.beginAtomIndex : crossing.endAtomIndex;
+    }
+    const label = sg.label || 'R';
+    const defaultSuperatomMat = new THREE.MeshBasicMaterial({ color: SUPERATOM_COLOR });
+    const pseudoAtom = new THREE.Mesh(
+      getSphereGeometry(atomGeoRadiusOverride ?? GENERIC_RADIUS, atomSegments),
+      typeof materialFactory === 'function' ? materialFactory('superatom', defaultSuperatomMat) : defaultSuperatomMat,
+    );
+    Object.assign(pseudoAtom.userData, { role: 'superatom', sgroupIndex, label });
+    const sprite = createCaptionSprite(label, 0.5);
+    if (sprite) {
+      sprite.material.depthTest = false;
+      sprite.renderOrder = 1;
+      pseudoAtom.add(sprite);
+    }
+    group.add(pseudoAtom);
+    return [{
+      sgroupIndex,
+      label,
+      atomIndices: [...members],
+      bondIndices: chemistryBonds
+        .filter((b) => members.has(b.beginAtomIndex) && members.has(b.endAtomIndex))
+        .map((b) => b.index),
+      attachmentAtomIndex,
+      collapsed: superatomDisplay === 'collapsed' || (superatomDisplay === 'asFile' && !sg.expanded),
+      object: pseudoAtom,
+    }];
+  });
+
+  const setInstanceHidden = (mesh, saved, k, hide) => {
+    if (hide === saved.has(k)) return;
+    const m = new THREE.Matrix4();
+    const p = new THREE.Vector3();
+    const q = new THREE.Quaternion();
+    const scale = new THREE.Vector3();
+    mesh.getMatrixAt(k, m);
+    m.decompose(p, q, scale);
+    if (hide) {
+      // A zero-scale matrix no longer decomposes to its rotation, so keep both
+      saved.set(k, { quaternion: q.clone(), scale: scale.clone() });
+      scale.set(0, 0, 0);
+    } else {
+      q.copy(saved.get(k).quaternion);
+      scale.copy(saved.get(k).scale);
+      saved.delete(k);
+    }
+    mesh.setMatrixAt(k, m.compose(p, q, scale));
+  };
+
+  const applySuperatoms = () => {
+    if (!superatoms.length) return;
+    if (!basePose) basePose = captureBasePose(); // before any instance or segment is collapsed
+    const hiddenAtoms = new Set();
+    const hiddenBonds = new Set();
+    superatoms.forEach((entry) => {
+      const { x, y, z } = chemistryAtoms[entry.attachmentAtomIndex];
+      const anchor = atomIndexToMesh[entry.attachmentAtomIndex]?.position;
+      const { object: pseudoAtom } = entry;
+      pseudoAtom.position.copy(anchor ?? new THREE.Vector3(x, y, z).multiplyScalar(coordScale));
+      pseudoAtom.visible = entry.collapsed;
+      if (!entry.collapsed) return;
+      entry.atomIndices.forEach((i) => hiddenAtoms.add(i));
+      entry.bondIndices.forEach((i) => hiddenBonds.add(i));
+    });
+
+    atomIndexToMesh.forEach((mesh, i) => {
+      if (mesh) Object.assign(mesh, { visible: !hiddenAtoms.has(i) });
+    });
+    group.children.forEach((obj) => {
+      const { role, atomIndex, bondIndex, bond, ringIndex } = obj.userData;
+      if (role === 'atomLabel') Object.assign(obj, { visible: !hiddenAtoms.has(atomIndex) });
+      else if (role === 'cipLabel') {
+        Object.assign(obj, { visible: bondIndex === undefined ? !hiddenAtoms.has(atomIndex) : !hiddenBonds.has(bondIndex) });
+      } else if (role === 'aromaticRing') {
+        Object.assign(obj, { visible: !chemistryRings[ringIndex].atomIndices.some((i) => hiddenAtoms.has(i)) });
+      } else if (bond) Object.assign(obj, { visible: !hiddenBonds.has(bond.index) });
+    });
+    if (instancedMesh) {
+      instancedMesh.userData.instanceToAtomIndex.forEach((atomIndex, k) => {
+        setInstanceHidden(instancedMesh, superatomState.atomScales, k, hiddenAtoms.has(atomIndex));
+      });
+      instancedMesh.instanceMatrix.needsUpdate = true;
+    }
+    if (instancedBondMesh) {
+      instancedBondMesh.userData.instanceToBondIndex.forEach((bondIndex, k) => {
+        setInstanceHidden(instancedBondMesh, superatomState.bondScales, k, hiddenBonds.has(bondIndex));
+      });
+      instancedBondMesh.instanceMatrix.needsUpdate = true;
+    }
+    if (basePose.lineSegments) {
+      const attr = basePose.lineSegments.obj.geometry.getAttribute('position');
+      const saved = superatomState.segments;
+      basePose.lineSegments.obj.userData.segmentToBondIndex.forEach((bondIndex, seg) => {
+        const hide = hiddenBonds.has(bondIndex);
+        if (hide === saved.has(seg)) return;
+        if (hide) {
+          saved.set(seg, attr.array.slice(seg * 6, seg * 6 + 6));
+          attr.array.copyWithin(seg * 6 + 3, seg * 6, seg * 6 + 3);
+        } else {
+          attr.array.set(saved.get(seg), seg * 6);
+          saved.delete(seg);
+        }
+      });
+      attr.needsUpdate = true;
+    }
+  };
+
+  group.userData.superatoms = superatoms;
+  /**
+   * Collapse or expand one superatom in place.
+   * @param {number} sgroupIndex Position of the SUP S-group in the record's `sgroups`.
+   * @param {boolean} [collapsed] Target state; toggles when omitted.
+   * @returns {boolean} True when the superatom is now collapsed.
+   */
+  group.userData.toggleSuperatom = (sgroupIndex, collapsed) => {
+    const entry = superatoms.find((sa) => sa.sgroupIndex === sgroupIndex);
+    if (!entry) throw new Error(`toggleSuperatom: S-group ${sgroupIndex} is not a superatom`);
+    entry.collapsed = collapsed ?? !entry.collapsed;
+    applySuperatoms();
+    return entry.collapsed;
+  };
+  applySuperatoms();
+
+  // Dispose helper: clears geometries/materials and caches
+  group.userData.dispose = () => {
+    group.traverse((o) => {
+      if (o.geometry && typeof o.geometry.dispose === 'function') o.geometry.dispose();
+      if (o.material && typeof o.material.dispose === 'function') o.material.dispose();
+    });
+    SPHERE_GEO_CACHE.forEach((g) => g.dispose());
+    SPHERE_GEO_CACHE.clear();
+  };
+
+  if (typeof onProgress === 'function') onProgress('done', 1.0);
+
+  return group;
+}
+
+// ── Parse diagnostics ──
+
+// Query / pseudo-atom symbols that are valid in molfiles but not elements
+const NON_ELEMENT_SYMBOLS = new Set(['A', 'AH', 'Q', 'QH', 'X', 'XH', 'M', 'MH', 'L', 'LP', '*', 'R', 'R#', 'D', 'T']);
+
+function isKnownAtomSymbol(symbol) {
+  const upper = symbol.toUpperCase();
+  return upper in ATOMIC_NUMBERS || NON_ELEMENT_SYMBOLS.has(upper);
+}
+
+// Blank lines dropped from the start of a record by normalizeSDFText
+function leadingBlankLines(text) {
+  const lead = /^\uFEFF?((?:[ \t]*\r?\n)*)/.exec(text)[1];
+  return (lead.match(/\n/g) || []).length;
+}
+
+/**
+ * Diagnostic sink for one record. `add` takes a 0-based line index within the
+ * record and a 1-based inclusive column range; `line` in the stored entry is
+ * 1-based within the input.
+ */
+function createDiagnostics(recordIndex, lineOffset) {
+  const list = [];
+  const add = (code, severity, lineIndex, [column, endColumn], message) => {
+    list.push({ code, severity, recordIndex, line: lineOffset + lineIndex + 1, column, endColumn, message });
+  };
+  return { list, add };
+}
+
+// Whitespace-separated tokens with their 1-based column span
+function lineTokens(line) {
+  const tokens = [];
+  const re = /\S+/g;
+  let m = re.exec(line);
+  while (m) {
+    tokens.push({ text: m[0], column: m.index + 1, endColumn: m.index + m[0].length });
+    m = re.exec(line);
+  }
+  return tokens;
+}
+
+const INTEGER_RE = /^-?\d+$/;
+
+// Atom line: whitespace fields when they parse, otherwise the fixed V2000 columns
+function readV2000AtomFields(line) {
+  const tokens = lineTokens(line);
+  const coords = tokens.slice(0, 3);
+  if (tokens.length >= 4 && coords.every((t) => Number.isFinite(Number(t.text)))) {
+    return { coords, symbol: tokens[3] };
+  }
+  return {
+    coords: [
+      { text: line.slice(0, 10).trim(), column: 1, endColumn: 10 },
+      { text: line.slice(10, 20).trim(), column: 11, endColumn: 20 },
+      { text: line.slice(20, 30).trim(), column: 21, endColumn: 30 },
+    ],
+    symbol: { text: line.slice(31, 34).trim(), column: 32, endColumn: 34 },
+  };
+}
+
+function looksLikeV2000BondLine(line) {
+  const tokens = lineTokens(line);
+  if (tokens.length >= 3 && tokens.slice(0, 3).every((t) => INTEGER_RE.test(t.text))) return true;
+  return INTEGER_RE.test(line.slice(0, 3).trim()) && INTEGER_RE.test(line.slice(3, 6).trim());
+}
+
+function checkV2000Record(lines, add) {
+  const counts = readV2000Counts(lines);
+  if (!counts) {
+    const at = Math.min(3, Math.max(0, lines.length - 1));
+    add('missing-counts-line', 'error', at, [1, 39], 'No V2000 counts line found');
+    return;
+  }
+  const { countsLineIndex, natoms, nbonds } = counts;
+
+  for (let i = 0; i < natoms; i += 1) {
+    const at = countsLineIndex + 1 + i;
+    const line = lines[at];
+    const fields = line === undefined || line.startsWith('M  ') ? null : readV2000AtomFields(line);
+    if (!fields || !fields.symbol.text || Number.isFinite(Number(fields.symbol.text))) {
+      add('counts-mismatch', 'error', Math.min(at, lines.length - 1), [1, 6],
+        `Counts line declares ${natoms} atoms but only ${i} atom lines follow`);
+      return;
+    }
+    fields.coords.forEach((field, axis) => {
+      if (!Number.isFinite(Number(field.text)) || field.text === '') {
+        add('invalid-coordinate', 'error', at, [field.column, field.endColumn],
+          `Atom ${i + 1}: ${'xyz'[axis]} coordinate "${field.text}" is not a number`);
+      }
+    });
+    if (!isKnownAtomSymbol(fields.symbol.text)) {
+      add('unknown-element', 'warning', at, [fields.symbol.column, fields.symbol.endColumn],
+        `Atom ${i + 1}: unknown element symbol "${fields.symbol.text}"`);
+    }
+  }
+
+  const bondStart = countsLineIndex + 1 + natoms;
+  for (let i = 0; i < nbonds; i += 1) {
+    const at = bondStart + i;
+    const line = lines[at];
+    if (line === undefined || line.startsWith('M  ') || !looksLikeV2000BondLine(line)) {
+      add('counts-mismatch', 'error', Math.min(at, lines.length - 1), [1, 6],
+        `Counts line declares ${nbonds} bonds but only ${i} bond lines follow`);
+      return;
+    }
+    const { beginAtomIdx: a, endAtomIdx: b } = parseV2000BondLine(line, natoms);
+    [[a, [1, 3]], [b, [4, 6]]].forEach(([idx, columns]) => {
+      if (!(idx >= 1 && idx <= natoms)) {
+        add('bond-atom-out-of-range', 'error', at, columns,
+          `Bond ${i + 1} references atom ${idx}, but the record has ${natoms} atoms`);
+      }
+    });
+  }
+
+  const after = lines[bondStart + nbonds];
+  if (after !== undefined && !/^[MAVGS] /.test(after) && looksLikeV2000BondLine(after)) {
+    add('counts-mismatch', 'error', bondStart + nbonds, [1, 6],
+      `Counts line declares ${nbonds} bonds but more bond lines follow`);
+  }
+
+  if (!lines.some((ln, idx) => idx >= bondStart && ln.startsWith('M  END'))) {
+    const dataStart = lines.findIndex((ln, idx) => idx >= bondStart && ln.startsWith('>'));
+    const at = Math.max(0, (dataStart >= 0 ? dataStart : lines.length) - 1);
+    add('missing-m-end', 'warning', at, [1, 1], 'Molfile block is not terminated by "M  END"');
+  }
+}
+
+function checkV3000Record(lines, add) {
+  const blocks = [];
+  const atomIds = new Set();
+  const bondLines = [];
+  let counts = null;
+  let atomCount = 0;
+  let pending = null;
+  let mEnd = false;
+
+  for (let i = 0; i < lines.length && !mEnd; i += 1) {
+    const raw = lines[i];
+    if (raw.startsWith('M  END')) mEnd = true;
+    else if (raw.startsWith('M  V30')) {
+      const part = raw.replace(/^M {2}V30 ?/, '');
+      const entry = pending ?? { at: i, body: '' };
+      entry.body += part.replace(/-\s*$/, '');
+      pending = /-\s*$/.test(part) ? entry : null;
+      if (!pending) {
+        const body = entry.body.trim();
+        const tokens = tokenizeV3000(body);
+        // Column span of a token on the entry's first line (whole line if continued)
+        const span = (token) => {
+          const col = lines[entry.at].indexOf(token, 7);
+          return col >= 0 ? [col + 1, col + token.length] : [1, lines[entry.at].length];
+        };
+        const block = blocks[blocks.length - 1];
+        if (/^BEGIN$/i.test(tokens[0] || '')) blocks.push((tokens[1] || '').toUpperCase());
+        else if (/^END$/i.test(tokens[0] || '')) blocks.pop();
+        else if (block === 'CTAB' && /^COUNTS$/i.test(tokens[0] || '')) {
+          counts = { at: entry.at, atoms: Number(tokens[1]), bonds: Number(tokens[2]) };
+        } else if (block === 'ATOM' && tokens.length >= 5) {
+          atomCount += 1;
+          atomIds.add(Number(tokens[0]));
+          const symbol = tokens[1];
+          if (!/^(NOT\b|\[)/i.test(symbol) && !isKnownAtomSymbol(symbol)) {
+            add('unknown-element', 'warning', entry.at, span(symbol),
+              `Atom ${tokens[0]}: unknown element symbol "${symbol}"`);
+          }
+          tokens.slice(2, 5).forEach((value, axis) => {
+            if (!Number.isFinite(Number(value))) {
+              add('invalid-coordinate', 'error', entry.at, span(value),
+                `Atom ${tokens[0]}: ${'xyz'[axis]} coordinate "${value}" is not a number`);
+            }
+          });
+        } else if (block === 'BOND' && tokens.length >= 4) {
+          bondLines.push({ at: entry.at, tokens, span });
+        }
+      }
+    }
+  }
+
+  bondLines.forEach(({ at, tokens, span }) => {
+    tokens.slice(2, 4).forEach((ref) => {
+      if (!atomIds.has(Number(ref))) {
+        add('bond-atom-out-of-range', 'error', at, span(ref),
+          `Bond ${tokens[0]} references atom ${ref}, which is not defined`);
+      }
+    });
+  });
+  if (counts && counts.atoms !== atomCount) {
+    add('counts-mismatch', 'error', counts.at, [1, lines[counts.at].length],
+      `COUNTS declares ${counts.atoms} atoms but the ATOM block has ${atomCount}`);
+  }
+  if (counts && counts.bonds !== bondLines.length) {
+    add('counts-mismatch', 'error', counts.at, [1, lines[counts.at].length],
+      `COUNTS declares ${counts.bonds} bonds but the BOND block has ${bondLines.length}`);
+  }
+  if (!mEnd) {
+    add('missing-m-end', 'warning', Math.max(0, lines.length - 1), [1, 1],
+      'Molfile block is not terminated by "M  END"');
+  }
+}
+
+/**
+ * Split SD text into records on `$$$$`, keeping each record's 0-based first
+ * line in the normalized text (plus the leading blank lines normalization drops).
+ */
+function splitSDFRecords(text) {
+  const normalized = normalizeSDFText(text);
+  const skipped = leadingBlankLines(text);
+  const records = [];
+  const re = /\$\$\$\$\s*/g;
+  let start = 0;
+  let line = skipped;
+  const push = (end) => {
+    const chunk = normalized.slice(start, end);
+    if (chunk.trim()) records.push({ text: chunk, line });
+  };
+  let m = re.exec(normalized);
+  while (m) {
+    push(m.index);
+    line += (normalized.slice(start, re.lastIndex).match(/\n/g) || []).length;
+    start = re.lastIndex;
+    m = re.exec(normalized);
+  }
+  push(normalized.length);
+  return records;
+}
+
+/**
+ * Parse one record and attach its `diagnostics`. With `options.strict`, any
+ * error-level diagnostic throws an SDFParseError before bonds are repaired or
+ * the fallback parser runs.
+ *
+ * @param {string} text Record text.
+ * @param {Object} options parseSDF options.
+ * @param {number} [recordIndex=0] Record position in the file.
+ * @param {number} [lineOffset=0] Lines preceding the record in the file.
+ */
+function parseSDFRecord(text, options, recordIndex = 0, lineOffset = 0) {
+  const normalized = normalizeSDFText(text);
+  const lines = normalized.split('\n');
+  const { list: diagnostics, add } = createDiagnostics(
+    recordIndex,
+    lineOffset + leadingBlankLines(text),
+  );
+  const isV3000 = /^\s*M\s+V30\b/m.test(normalized);
+  if (isV3000) checkV3000Record(lines, add);
+  else checkV2000Record(lines, add);
+  if (options.strict && diagnostics.some((d) => d.severity === 'error')) {
+    throw new SDFParseError(diagnostics);
+  }
+  if (isV3000) return Object.assign(parseV3000(normalized), { diagnostics });
+
+  const canonical = canonicalizeV2000(normalized);
+  const chiral = readV2000Counts(lines)?.chiral;
+  const finish = (record) => {
+    if (repairV2000BondsIfNeeded(canonical, record)) {
+      const counts = readV2000Counts(lines);
+      add('bonds-repaired', 'warning', counts.countsLineIndex + 1 + counts.natoms, [1, 12],
+        'Bond block re-read from fixed-width columns after sdf-parser returned out-of-range or missing bonds');
+    }
+    Object.assign(record, {
+      properties: readSDDataFields(canonical),
+      diagnostics,
+    });
+    applyV2000ChargesFromText(canonical, record.atoms);
+    applyV2000PropertiesFromText(canonical, record.atoms);
+    const sgroups = readV2000SGroups(canonical);
+    if (sgroups.length) Object.assign(record, { sgroups });
+    if (chiral) Object.assign(record, { chiral });
+    return record;
+  };
+  if (parseSDFInternal) {
+    const result = parseSDFInternal(canonical, options);
+    const withAtoms = Array.isArray(result)
+      ? result.find((entry) => entry?.atoms?.length)
+      : result?.atoms?.length && result;
+    if (withAtoms) return finish(withAtoms);
+  }
+  const parsed = simpleParse(canonical);
+  applyV2000ChargesFromText(canonical, parsed.atoms);
+  applyV2000PropertiesFromText(canonical, parsed.atoms);
+  const sgroups = readV2000SGroups(canonical);
+  if (sgroups.length) parsed.sgroups = sgroups;
+  if (chiral) parsed.chiral = chiral;
+  parsed.diagnostics = diagnostics;
+  return parsed;
+}
+
+/**
+ * Parse a single molfile / SD record (V2000 or V3000) into atoms, bonds and
+ * SD data. Accepts the same inputs as `loadSDF`.
+ *
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input SDF text or bytes.
+ * @param {Object} [options] Passed through to sdf-parser.
+ * @param {boolean} [options.strict=false] Throw SDFParseError on error-level diagnostics.
+ * @returns {Object|Promise<Object>} Molecule record (a promise for asynchronously decoded input).
+ */
+export function parseSDF(input, options = {}) {
+  const text = resolveSDFInput(input);
+  if (typeof text !== 'string') return text.then((resolved) => parseSDF(resolved, options));
+  return parseSDFRecord(text, options);
+}
+
+/**
  * Parse all SDF records separated by $$$$ markers.
- * Returns an array of molecule records.
+ * Returns an array of molecule records (a promise of it for Blob or
+ * browser-side compressed input, as for `parseSDF`).
+ */
+export function parseSDFAll(input, options = {}) {
+  const text = resolveSDFInput(input);
+  if (typeof text !== 'string') return text.then((resolved) => parseSDFAll(resolved, options));
+  return splitSDFRecords(text).map((record, i) =>
+    parseSDFRecord(record.text, options, i, record.line),
+  );
+}
+
+// UTF-8 byte length of a JS string without encoding it
+function utf8ByteLength(str) {
+  let bytes = 0;
+  for (let i = 0; i < str.length; i += 1) {
+    const code = str.charCodeAt(i);
+    if (code < 0x80) bytes += 1;
+    else if (code < 0x800) bytes += 2;
+    else if (code >= 0xd800 && code <= 0xdbff && i + 1 < str.length) {
+      bytes += 4;
+      i += 1;
+    } else bytes += 3;
+  }
+  return bytes;
+}
+
+/**
+ * Normalize a chunk source into an iterator whose `next()` may return a promise.
+ * Accepts WHATWG ReadableStreams, Node Readables / async iterables, sync
+ * iterables of chunks, or a single string / binary chunk.
+ */
+function toChunkIterator(source) {
+  if (source && typeof source.getReader === 'function') {
+    const reader = source.getReader();
+    return {
+      next: () => reader.read(),
+      return: () => reader.cancel(),
+    };
+  }
+  if (source && typeof source[Symbol.asyncIterator] === 'function') return source[Symbol.asyncIterator]();
+  if (typeof source === 'string' || source instanceof ArrayBuffer || ArrayBuffer.isView(source)) {
+    return [source][Symbol.iterator]();
+  }
+  if (source && typeof source[Symbol.iterator] === 'function') return source[Symbol.iterator]();
+  throw new TypeError('parseSDFStream: expected a ReadableStream, Readable or (async) iterable of chunks');
+}
+
+function toUint8Array(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+}
+
+/**
+ * Stream SDF records from a chunked source without holding the whole file in
+ * memory. Records are split on `$$$$` lines across chunk boundaries, parsed
+ * with `parseSDF` and tagged with their `recordIndex` and the `byteOffset` of
+ * their first byte in the (UTF-8) stream.
+ *
+ * @param {ReadableStream|AsyncIterable|Iterable|string|Uint8Array} source Chunk source (string or binary chunks).
+ * @param {Object} [options] Passed to `parseSDF` for each record.
+ * @returns {AsyncGenerator<Object>} Molecule records with `recordIndex` and `byteOffset`.
+ */
+export async function* parseSDFStream(source, options = {}) {
+  const chunks = toChunkIterator(source);
+  // Keep a BOM in the text so it is counted in byte offsets; parseSDF strips it
+  const decoder = new TextDecoder('utf-8', { ignoreBOM: true });
+  const delimiter = /(^|\n)\$\$\$\$[^\S\n]*\n/g;
+  let buffer = '';
+  let bufferOffset = 0;
+  let lineOffset = 0;
+  let recordIndex = 0;
+  let finished = false;
+
+  const toRecord = (text, byteOffset, line) => {
+    const record = parseSDFRecord(text, options, recordIndex, line);
+    record.recordIndex = recordIndex;
+    record.byteOffset = byteOffset;
+    recordIndex += 1;
+    return record;
+  };
+
+  try {
+    while (!finished) {
+      // A delimiter can only start at the last newline already buffered (or later)
+      const scanFrom = Math.max(0, buffer.lastIndexOf('\n'));
+      const { value, done } = await chunks.next(); // eslint-disable-line no-await-in-loop -- chunks are pulled one at a time between yields
+      if (done) {
+        buffer += decoder.decode();
+        finished = true;
+      } else if (typeof value === 'string') buffer += value;
+      else if (value != null) buffer += decoder.decode(toUint8Array(value), { stream: true });
+
+      let start = 0;
+      delimiter.lastIndex = scanFrom;
+      let match = delimiter.exec(buffer);
+      while (match) {
+        const recordText = buffer.slice(start, match.index + match[1].length);
+        const byteOffset = bufferOffset;
+        const line = lineOffset;
+        const consumed = buffer.slice(start, delimiter.lastIndex);
+        bufferOffset += utf8ByteLength(consumed);
+        lineOffset += (consumed.match(/\n/g) || []).length;
+        start = delimiter.lastIndex;
+        if (recordText.trim()) yield toRecord(recordText, byteOffset, line);
+        match = delimiter.exec(buffer);
+      }
+      buffer = buffer.slice(start);
+    }
+    // Last record: may lack the trailing newline after `$$$$`, or the delimiter entirely
+    const tail = buffer.replace(/(^|\n)\$\$\$\$[^\S\n]*$/, '$1');
+    if (tail.trim()) yield toRecord(tail, bufferOffset, lineOffset);
+  } finally {
+    if (!finished && typeof chunks.return === 'function') await chunks.return();
+  }
+}
+
+// V2000 atom-line charge codes (inverse of decodeV2000ChargeCode)
+const V2000_CHARGE_CODES = { 3: 1, 2: 2, 1: 3, '-1': 5, '-2': 6, '-3': 7 };
+// V2000 stereo code → V3000 bond CFG
+const V3000_BOND_CFG = { 1: 1, 6: 3, 4: 2, 3: 2 };
+const STEREO_CODES = { up: 1, down: 6, wavy: 4, either: 3 };
+
+/**
+ * Normalize a LoadResult, THREE.Group or parsed record into molfile-ready
+ * atoms/bonds (1-based bond indices, V2000 stereo codes). A LoadResult keeps
+ * its S-groups (`chemistry.sgroups[].record`) and chiral flag.
+ */
+function toWritableRecord(input, { excludeInferredBonds = false } = {}) {
+  const loadResult = input?.userData?.loadResult ?? input;
+  let record;
+  if (loadResult?.chemistry) {
+    const { chemistry, metadata = {} } = loadResult;
+    record = {
+      title: metadata.title,
+      chiral: metadata.chiral,
+      properties: loadResult.root?.userData?.properties ?? {},
+      sgroups: (chemistry.sgroups ?? []).map((sg) => sg.record).filter(Boolean),
+      atoms: chemistry.atoms.map((a) => ({
+        ...a,
+        symbol: a.element.length > 1 && /^[A-Z]+$/.test(a.element) ? capitalizeElement(a.element) : a.element,
+        charge: a.formalCharge,
+      })),
+      bonds: chemistry.bonds.map((b) => ({
+        beginAtomIdx: b.beginAtomIndex + 1,
+        endAtomIdx: b.endAtomIndex + 1,
+        order: b.originalOrder ?? b.order,
+        stereo: STEREO_CODES[b.stereo] ?? 0,
+        source: b.source,
+      })),
+    };
+  } else {
+    record = { ...loadResult, atoms: loadResult?.atoms ?? [], bonds: loadResult?.bonds ?? [] };
+  }
+  if (excludeInferredBonds) {
+    record.bonds = record.bonds.filter((b) => (b.source ?? 'molfile') === 'molfile');
+    // Placed hydrogens go with their bonds; they come after the file's atoms, so no index shifts
+    record.atoms = record.atoms.filter((a) => !a.addedHydrogen);
+  }
+  return record;
+}
+
+const pad = (value, width) => String(value).padStart(width);
+
+// Fixed 10.4 coordinate column; wider values keep a separating space
+function formatV2000Coord(value) {
+  const s = (Number(value) || 0).toFixed(4);
+  return s.length >= 10 ? ` ${s}` : s.padStart(10);
+}
+
+// Shortest round-tripping decimal for V3000 (free-format) coordinates
+const formatV3000Number = (value) => String(Number((Number(value) || 0).toFixed(6)) || 0);
+
+function encodeQueryCount(value) {
+  if (value === 0) return -1;
+  if (value === 'asDrawn') return -2;
+  return value;
+}
+
+// `M  XXX` property lines with at most 8 atom/value pairs each
+function v2000PropertyLines(tag, entries) {
+  const lines = [];
+  for (let i = 0; i < entries.length; i += 8) {
+    const chunk = entries.slice(i, i + 8);
+    lines.push(`M  ${tag}${pad(chunk.length, 3)}${chunk.map(([a, v]) => ` ${pad(a, 3)} ${pad(v, 3)}`).join('')}`);
+  }
+  return lines;
+}
+
+// `M  SAL`-style lines: S-group number, then up to `perLine` numbers
+function v2000SGroupListLines(tag, index, values, perLine = 15) {
+  const lines = [];
+  for (let i = 0; i < values.length; i += perLine) {
+    const chunk = values.slice(i, i + perLine);
+    lines.push(`M  ${tag} ${pad(index, 3)}${pad(chunk.length, 3)}${chunk.map((v) => ` ${pad(v, 3)}`).join('')}`);
+  }
+  return lines;
+}
+
+// Data S-group label position: absolute, detached, shown for all atoms
+function formatFieldDisplay({ x, y }) {
+  return `${formatV2000Coord(x)}${formatV2000Coord(y)}    DAU   ALL  0       0`;
+}
+
+function writeV2000SGroupLines(sgroups) {
+  const lines = [];
+  const numbered = sgroups.map((sg, i) => ({ sg, n: sg.index ?? i + 1 }));
+  lines.push(...v2000PropertyLines('STY', numbered.map(({ sg, n }) => [n, sg.type])));
+  const pairs = (key) => numbered.filter(({ sg }) => sg[key]).map(({ sg, n }) => [n, sg[key]]);
+  lines.push(...v2000PropertyLines('SLB', pairs('externalIndex')));
+  lines.push(...v2000PropertyLines('SST', pairs('subtype')));
+  lines.push(...v2000PropertyLines('SCN', pairs('connectivity')));
+  lines.push(...v2000PropertyLines('SPL', pairs('parent')));
+  numbered.forEach(({ sg, n }) => {
+    lines.push(...v2000SGroupListLines('SAL', n, sg.atoms ?? []));
+    lines.push(...v2000SGroupListLines('SBL', n, sg.crossingBonds ?? []));
+    lines.push(...v2000SGroupListLines('SPA', n, sg.parentAtoms ?? []));
+    const label = sg.label ?? (sg.multiplier ? String(sg.multiplier) : undefined);
+    if (label) lines.push(`M  SMT ${pad(n, 3)} ${label}`);
+    (sg.brackets ?? []).forEach(([x1, y1, , x2, y2]) => {
+      lines.push(`M  SDI ${pad(n, 3)}  4${[x1, y1, x2, y2].map(formatV2000Coord).join('')}`);
+    });
+    if (sg.fieldName) lines.push(`M  SDT ${pad(n, 3)} ${sg.fieldName.padEnd(30)}`);
+    if (sg.fieldDisplay) lines.push(`M  SDD ${pad(n, 3)} ${formatFieldDisplay(sg.fieldDisplay)}`);
+    const data = sg.fieldData ?? '';
+    for (let i = 0; i + 69 < data.length; i += 69) lines.push(`M  SCD ${pad(n, 3)} ${data.slice(i, i + 69)}`);
+    if (sg.fieldData !== undefined) lines.push(`M  SED ${pad(n, 3)} ${data.slice(Math.floor((data.length - 1) / 69) * 69)}`);
+    (sg.attachmentPoints ?? []).forEach((p) => {
+      lines.push(`M  SAP ${pad(n, 3)}  1 ${pad(p.atom, 3)} ${pad(p.leavingAtom || 0, 3)} ${(p.id ?? '').padEnd(2)}`);
+    });
+  });
+  const expanded = numbered.filter(({ sg }) => sg.expanded).map(({ n }) => n);
+  if (expanded.length) lines.push(`M  SDS EXP${pad(expanded.length, 3)}${expanded.map((n) => ` ${pad(n, 3)}`).join('')}`);
+  return lines;
+}
+
+function writeV2000Record(record) {
+  const { atoms, bonds } = record;
+  const is3D = atoms.some((a) => Math.abs(a.z || 0) > 1e-4);
+  const lines = [
+    record.title ?? '',
+    `  threeSDF          ${is3D ? '3D' : '2D'}`,
+    '',
+    `${pad(atoms.length, 3)}${pad(bonds.length, 3)}  0  0${pad(record.chiral ? 1 : 0, 3)}  0  0  0  0  0999 V2000`,
+  ];
+  atoms.forEach((a) => {
+    const symbol = a.atomList ? 'L' : a.symbol || '*';
+    const chargeCode = V2000_CHARGE_CODES[a.charge] ?? 0;
+    const valence = a.valence === 0 ? 15 : a.valence || 0;
+    const minH = a.query?.minHydrogenCount;
+    const hhh = minH >= 0 && minH <= 4 ? minH + 1 : 0;
+    lines.push(
+      `${formatV2000Coord(a.x)}${formatV2000Coord(a.y)}${formatV2000Coord(a.z)} ${symbol.padEnd(3)} 0` +
+        `${pad(chargeCode, 3)}${pad(a.stereoParity || 0, 3)}${pad(hhh, 3)}  0${pad(valence, 3)}  0  0  0` +
+        `${pad(a.mapNumber || 0, 3)}  0  0`,
+    );
+  });
+  bonds.forEach((b) => {
+    // Molfiles have no order 0; MDL type 9 is a coordination bond
+    const order = b.order === 0 ? 9 : b.order ?? 1;
+    let topology = 0;
+    if (b.topology === 'ring') topology = 1;
+    else if (b.topology === 'chain') topology = 2;
+    lines.push(
+      `${pad(b.beginAtomIdx, 3)}${pad(b.endAtomIdx, 3)}${pad(order, 3)}${pad(b.stereo || 0, 3)}  0${pad(topology, 3)}  0`,
+    );
+  });
+
+  const collect = (fn) =>
+    atoms.map((a, i) => [i + 1, fn(a)]).filter(([, v]) => v !== undefined && v !== null && v !== 0);
+  lines.push(...v2000PropertyLines('CHG', collect((a) => a.charge)));
+  lines.push(...v2000PropertyLines('ISO', collect((a) => a.isotope)));
+  lines.push(...v2000PropertyLines('RAD', collect((a) => a.radical)));
+  lines.push(...v2000PropertyLines('SUB', collect((a) => encodeQueryCount(a.query?.substitutionCount))));
+  lines.push(...v2000PropertyLines('RBC', collect((a) => encodeQueryCount(a.query?.ringBondCount))));
+  lines.push(...v2000PropertyLines('UNS', collect((a) => (a.query?.unsaturated ? 1 : undefined))));
+  const rgroupEntries = atoms.flatMap((a, i) => (a.rgroups ?? []).map((r) => [i + 1, r]));
+  lines.push(...v2000PropertyLines('RGP', rgroupEntries));
+  atoms.forEach((a, i) => {
+    if (a.atomList) {
+      const { exclude, elements } = a.atomList;
+      lines.push(
+        `M  ALS ${pad(i + 1, 3)}${pad(elements.length, 3)} ${exclude ? 'T' : 'F'} ${elements.map((e) => e.padEnd(4)).join('')}`,
+      );
+    }
+    if (a.alias) lines.push(`A  ${pad(i + 1, 3)}`, a.alias);
+    if (a.value) lines.push(`V  ${pad(i + 1, 3)} ${a.value}`);
+    if (a.groupAbbreviation) lines.push(`G  ${pad(i + 1, 3)}${pad(a.groupAttachment || 0, 3)}`, a.groupAbbreviation);
+  });
+  lines.push(...writeV2000SGroupLines(record.sgroups ?? []));
+  lines.push('M  END');
+  return lines;
+}
+
+// V3000 lines are limited to 80 columns; longer bodies continue with a trailing `-`
+function v3000Lines(body) {
+  const out = [];
+  let rest = body;
+  while (`M  V30 ${rest}`.length > 80) {
+    out.push(`M  V30 ${rest.slice(0, 72)}-`);
+    rest = rest.slice(72);
+  }
+  out.push(`M  V30 ${rest}`);
+  return out;
+}
+
+const v3000List = (values) => `(${values.length} ${values.join(' ')})`;
+const quoteV3000 = (value) => (/[\s"()]/.test(value) || value === '' ? `"${value.replace(/"/g, '""')}"` : value);
+
+function writeV3000Record(record) {
+  const { atoms, bonds, sgroups = [], collections = [] } = record;
+  const is3D = atoms.some((a) => Math.abs(a.z || 0) > 1e-4);
+  const lines = [record.title ?? '', `  threeSDF          ${is3D ? '3D' : '2D'}`, '', '  0  0  0     0  0            999 V3000'];
+  const add = (body) => lines.push(...v3000Lines(body));
+  add('BEGIN CTAB');
+  add(`COUNTS ${atoms.length} ${bonds.length} ${sgroups.length} 0 ${record.chiral ? 1 : 0}`);
+  add('BEGIN ATOM');
+  atoms.forEach((a, i) => {
+    let symbol = a.symbol || '*';
+    if (a.atomList) symbol = `${a.atomList.exclude ? 'NOT ' : ''}[${a.atomList.elements.join(',')}]`;
+    const props = [];
+    if (a.charge) props.push(`CHG=${a.charge}`);
+    if (a.isotope) props.push(`MASS=${a.isotope}`);
+    if (a.radical) props.push(`RAD=${a.radical}`);
+    if (a.stereoParity) props.push(`CFG=${a.stereoParity}`);
+    if (a.valence !== undefined) props.push(`VAL=${a.valence === 0 ? -1 : a.valence}`);
+    // HCOUNT=-1 encodes zero hydrogens
+    if (a.query?.minHydrogenCount !== undefined) props.push(`HCOUNT=${a.query.minHydrogenCount || -1}`);
+    if (a.query?.substitutionCount !== undefined) props.push(`SUBST=${encodeQueryCount(a.query.substitutionCount)}`);
+    if (a.query?.unsaturated) props.push('UNSAT=1');
+    if (a.query?.ringBondCount !== undefined) props.push(`RBCNT=${encodeQueryCount(a.query.ringBondCount)}`);
+    if (a.rgroups?.length) props.push(`RGROUPS=${v3000List(a.rgroups)}`);
+    add(
+      [i + 1, symbol, formatV3000Number(a.x), formatV3000Number(a.y), formatV3000Number(a.z), a.mapNumber || 0, ...props].join(
+        ' ',
+      ),
+    );
+  });
+  add('END ATOM');
+  if (bonds.length) {
+    add('BEGIN BOND');
+    bonds.forEach((b, i) => {
+      const order = b.order === 0 ? 9 : b.order ?? 1;
+      const props = [];
+      if (V3000_BOND_CFG[b.stereo]) props.push(`CFG=${V3000_BOND_CFG[b.stereo]}`);
+      if (b.topology) props.push(`TOPO=${b.topology === 'ring' ? 1 : 2}`);
+      if (b.endpoints) props.push(`ENDPTS=${v3000List(b.endpoints)}`, `ATTACH=${(b.attach || 'all').toUpperCase()}`);
+      add([i + 1, order, b.beginAtomIdx, b.endAtomIdx, ...props].join(' '));
+    });
+    add('END BOND');
+  }
+  if (sgroups.length) {
+    add('BEGIN SGROUP');
+    sgroups.forEach((sg, i) => {
+      const props = [`ATOMS=${v3000List(sg.atoms)}`];
+      if (sg.crossingBonds?.length) props.push(`XBONDS=${v3000List(sg.crossingBonds)}`);
+      if (sg.containedBonds?.length) props.push(`CBONDS=${v3000List(sg.containedBonds)}`);
+      if (sg.parentAtoms?.length) props.push(`PATOMS=${v3000List(sg.parentAtoms)}`);
+      if (sg.subtype) props.push(`SUBTYPE=${sg.subtype}`);
+      if (sg.connectivity) props.push(`CONNECT=${sg.connectivity}`);
+      if (sg.label) props.push(`LABEL=${quoteV3000(sg.label)}`);
+      if (sg.class) props.push(`CLASS=${quoteV3000(sg.class)}`);
+      if (sg.parent) props.push(`PARENT=${sg.parent}`);
+      if (sg.multiplier) props.push(`MULT=${sg.multiplier}`);
+      if (sg.expanded) props.push('ESTATE=E');
+      if (sg.fieldName) props.push(`FIELDNAME=${quoteV3000(sg.fieldName)}`);
+      if (sg.fieldData) props.push(`FIELDDATA=${quoteV3000(sg.fieldData)}`);
+      if (sg.fieldDisplay) props.push(`FIELDDISP=${quoteV3000(formatFieldDisplay(sg.fieldDisplay))}`);
+      (sg.brackets || []).forEach((b) => props.push(`BRKXYZ=${v3000List(b)}`));
+      (sg.attachmentPoints || []).forEach((p) =>
+        props.push(`SAP=(3 ${p.atom} ${p.leavingAtom || 0} ${quoteV3000(p.id ?? '')})`),
+      );
+      add([sg.index ?? i + 1, sg.type, sg.externalIndex ?? 0, ...props].join(' '));
+    });
+    add('END SGROUP');
+  }
+  if (collections.length) {
+    add('BEGIN COLLECTION');
+    collections.forEach((c) => {
+      const props = [];
+      if (c.atoms?.length) props.push(`ATOMS=${v3000List(c.atoms)}`);
+      if (c.bonds?.length) props.push(`BONDS=${v3000List(c.bonds)}`);
+      add([c.name, ...props].join(' '));
+    });
+    add('END COLLECTION');
+  }
+  add('END CTAB');
+  lines.push('M  END');
+  return lines;
+}
+
+/**
+ * Text of an SD data item. Readers end the item at the first blank line and
+ * trim the value, so leading and trailing blank lines are dropped here; a
+ * blank line, `$$$$` or a header-like `> <` line inside the value cannot be
+ * written without changing what is read back.
+ */
+function formatSDValue(key, value) {
+  const text = String(value ?? '').replace(/\r/g, '').replace(/^(\s*\n)+|(\n\s*)+$/g, '');
+  if (/\n\s*\n/.test(text) || /^(\$\$\$\$|>\s*[<(D\d])/m.test(text)) {
+    throw new RangeError(`writeSDF: SD field <${key}> holds a blank, "$$$$" or "> <" line, which would end the data item early`);
+  }
+  return text;
+}
+
+/**
+ * Serialize molecules back to an SD file. Accepts a `LoadResult`, the group
+ * returned by a loader, a parsed record (`parseSDF` & co.) or an array of
+ * those. Writes atom and bond blocks with stereo, charges, isotopes, radicals,
+ * query properties and the SD data fields (`group.userData.properties`).
+ *
+ * @param {Object|Array<Object>} input LoadResult(s), group(s) or molecule record(s).
+ * @param {Object} [options]
+ * @param {'V2000'|'V3000'} [options.format] Defaults to V2000, or V3000 above 999 atoms/bonds.
+ * @param {boolean} [options.excludeInferredBonds=false] Drop bonds whose `source` is not `'molfile'`.
+ * @returns {string} SDF text; every record ends with `$$$$`.
+ * @throws {RangeError} When a data field value contains a blank line, or a
+ *   line that reads as `$$$$` or a `> <` header.
+ */
+export function writeSDF(input, options = {}) {
+  const items = Array.isArray(input) ? input : [input];
+  return items
+    .map((item) => {
+      const record = toWritableRecord(item, options);
+      const tooBig = record.atoms.length > 999 || record.bonds.length > 999;
+      const format = (options.format || (tooBig ? 'V3000' : 'V2000')).toUpperCase();
+      if (format === 'V2000' && tooBig) {
+        throw new RangeError('writeSDF: V2000 is limited to 999 atoms and bonds; use format: "V3000"');
+      }
+      const lines = format === 'V3000' ? writeV3000Record(record) : writeV2000Record(record);
+      Object.entries(record.properties || {}).forEach(([key, value]) => {
+        lines.push(`> <${key}>`, formatSDValue(key, value), '');
+      });
+      lines.push('$$$$');
+      return `${lines.join('\n')}\n`;
+    })
+    .join('');
+}
+
+function simpleParse(text) {
+  const lines = text.replace(/\r/g, '').split('\n');
+  const counts = readV2000Counts(lines);
+  if (!counts) return {};
+  const { countsLineIndex, natoms, nbonds } = counts;
+
+  const atoms = [];
+  for (let i = 0; i < natoms; i += 1) {
+    const l = lines[countsLineIndex + 1 + i] || '';
+    const parts = l.trim().split(/\s+/);
+    let x = parseFloat(parts[0]);
+    let y = parseFloat(parts[1]);
+    let z = parseFloat(parts[2]);
+    let symbol = parts[3] ?? '';
+    // Fallback to fixed-width columns if whitespace split fails
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z) || !symbol) {
+      const lx = l.length;
+      const sx = l.slice(0, Math.min(10, lx));
+      const sy = l.slice(10, Math.min(20, lx));
+      const sz = l.slice(20, Math.min(30, lx));
+      const ss = l.slice(31, Math.min(34, lx));
+      x = parseFloat(sx.trim());
+      y = parseFloat(sy.trim());
+      z = parseFloat(sz.trim());
+      symbol = ss.trim() || symbol;
+    }
+    const atom = { x, y, z, symbol };
+    // Atom-line stereo parity (sss), valence (vvv; 15 = zero) and atom-atom map (mmm)
+    const parity = Number(parts[6]);
+    if (parity > 0 && parity <= 3) atom.stereoParity = parity;
+    // hhh is a query: at least hhh - 1 hydrogens (1 = H0)
+    const hhh = Number(parts[7]);
+    if (hhh > 0 && hhh <= 5) atom.query = { minHydrogenCount: hhh - 1 };
+    const valence = Number(parts[9]);
+    if (valence > 0) atom.valence = valence === 15 ? 0 : valence;
+    const map = Number(parts[12]);
+    if (map > 0) atom.mapNumber = map;
+    atoms.push(atom);
+  }
+
+  const bonds = [];
+  for (let i = 0; i < nbonds; i += 1) {
+    const l = lines[countsLineIndex + 1 + natoms + i] || '';
+    bonds.push(parseV2000BondLine(l, natoms));
+  }
+
+  let mEndIndex = lines.findIndex(
+    (ln, idx) => idx >= countsLineIndex && ln.startsWith('M  END'),
+  );
+  if (mEndIndex < 0) mEndIndex = countsLineIndex + 1 + natoms + nbonds;
+  const props = parseSDDataFields(lines, mEndIndex + 1);
+  const title = countsLineIndex >= 3 ? lines[countsLineIndex - 3].trim() : '';
+
+  return { atoms, bonds, properties: props, title: title || undefined };
+}
+
+/**
+ * Collect SD data items that follow the molfile block. Headers may carry a
+ * `<TAG>`, an `(ID)` or a `DTn` field number (used as the key when no `<TAG>`);
+ * values run until the next blank line, so multi-line fields stay intact.
+ *
+ * @param {string[]} lines Record lines.
+ * @param {number} startIndex First line after `M  END`.
+ * @returns {Object<string, string>} Tag → raw value map (lines joined with `\n`).
+ */
+function parseSDDataFields(lines, startIndex) {
+  const props = {};
+  for (let i = startIndex; i < lines.length; i += 1) {
+    const ln = lines[i];
+    if (ln.startsWith('>')) {
+      const tag = ln.match(/<([^>]+)>/);
+      const dt = ln.match(/\bDT(\d+)\b/);
+      const key = tag ? tag[1] : dt && `DT${dt[1]}`;
+      if (key) {
+        const valueLines = [];
+        let j = i + 1;
+        while (j < lines.length && lines[j].trim() !== '' && !/^>\s*[<(D\d]/.test(lines[j])) {
+          valueLines.push(lines[j].trimEnd());
+          j += 1;
+        }
+        props[key] = valueLines.join('\n').trim();
+        i = j - 1;
+      }
+    }
+  }
+  return props;
+}
+
+/** SD data fields of a single record given as text (after its `M  END`). */
+function readSDDataFields(text) {
+  const lines = text.replace(/\r/g, '').split('\n');
+  const mEndIndex = lines.findIndex((ln) => ln.startsWith('M  END'));
+  return mEndIndex >= 0 ? parseSDDataFields(lines, mEndIndex + 1) : {};
+}
+
+const SD_NUMBER_RE = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+/**
+ * Typed view of a raw SD field value: a number, a number[] (one value per
+ * token or per line) or table rows (arrays of numbers/strings, one per line).
+ * A leading line holding the row count, as in PubChem fields, is dropped.
+ * Anything else stays a string.
+ *
+ * @param {string} raw Raw field value.
+ * @returns {number|number[]|Array<Array<number|string>>|string}
+ */
+function typeSDField(raw) {
+  const lines = raw.split('\n').map((l) => l.trim()).filter(Boolean);
+  if (!lines.length) return raw;
+  const rows = lines.map((l) => l.split(/\s+/));
+  const numeric = (tokens) => tokens.every((t) => SD_NUMBER_RE.test(t));
+  if (rows.length === 1) {
+    if (!numeric(rows[0])) return raw;
+    return rows[0].length === 1 ? Number(rows[0][0]) : rows[0].map(Number);
+  }
+  if (rows.every((r) => r.length === 1)) return numeric(rows.flat()) ? rows.flat().map(Number) : raw;
+  const body = rows[0].length === 1 && Number(rows[0][0]) === rows.length - 1 ? rows.slice(1) : rows;
+  if (body.every((r) => r.length > 1)) {
+    return body.map((r) => r.map((t) => (SD_NUMBER_RE.test(t) ? Number(t) : t)));
+  }
+  return raw;
+}
+
+/**
+ * Split a V3000 line body into tokens. Parenthesised lists (`ATOMS=(3 1 2 3)`),
+ * atom lists (`[C,N,O]`) and quoted strings stay in a single token.
+ */
+function tokenizeV3000(body) {
+  const tokens = [];
+  let current = '';
+  let depth = 0;
+  let quoted = false;
+  for (let i = 0; i < body.length; i += 1) {
+    const ch = body[i];
+    if (quoted) {
+      current += ch;
+      if (ch === '"') {
+        // Doubled quotes escape a literal quote inside a quoted value
+        if (body[i + 1] === '"') {
+          current += '"';
+          i += 1;
+        } else {
+          quoted = false;
+        }
+      }
+    } else if (ch === '"') {
+      quoted = true;
+      current += ch;
+    } else if (ch === '(' || ch === '[') {
+      depth += 1;
+      current += ch;
+    } else if (ch === ')' || ch === ']') {
+      depth = Math.max(0, depth - 1);
+      current += ch;
+    } else if (/\s/.test(ch) && depth === 0) {
+      if (current) tokens.push(current);
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  if (current) tokens.push(current);
+  return tokens;
+}
+
+/** Strip surrounding quotes from a V3000 string value. */
+function unquoteV3000(value) {
+  if (typeof value !== 'string') return value;
+  if (value.length >= 2 && value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/""/g, '"');
+  }
+  return value;
+}
+
+/** Parse a counted V3000 list `(n v1 … vn)` into numbers (count dropped). */
+function parseV3000List(value) {
+  if (typeof value !== 'string') return [];
+  const inner = value.replace(/^\(/, '').replace(/\)$/, '').trim();
+  if (!inner) return [];
+  const nums = inner.split(/\s+/).map(Number);
+  const count = nums[0];
+  if (!Number.isFinite(count)) return [];
+  return nums.slice(1, 1 + count).filter((n) => Number.isFinite(n));
+}
+
+/** Split `KEY=value` tokens into a map; repeated keys collect into arrays. */
+function parseV3000KeyValues(tokens) {
+  const out = {};
+  tokens.forEach((tok) => {
+    const eq = tok.indexOf('=');
+    if (eq <= 0) return;
+    const key = tok.slice(0, eq).toUpperCase();
+    const value = tok.slice(eq + 1);
+    if (out[key] === undefined) out[key] = value;
+    else if (Array.isArray(out[key])) out[key].push(value);
+    else out[key] = [out[key], value];
+  });
+  return out;
+}
+
+/**
+ * Join V3000 continuation lines (trailing `-`) and strip the `M  V30 ` prefix.
+ *
+ * @param {string[]} lines Record lines.
+ * @returns {{ bodies: string[], mEndIndex: number }}
+ */
+function collectV3000Bodies(lines) {
+  const bodies = [];
+  let pending = null;
+  let mEndIndex = -1;
+  for (let i = 0; i < lines.length; i += 1) {
+    const ln = lines[i];
+    if (ln.startsWith('M  END')) {
+      mEndIndex = i;
+      break;
+    }
+    if (ln.startsWith('M  V30')) {
+      let body = ln.replace(/^M {2}V30 ?/, '');
+      if (pending !== null) body = pending + body;
+      pending = null;
+      if (/-\s*$/.test(body)) {
+        pending = body.replace(/-\s*$/, '');
+      } else {
+        bodies.push(body.trim());
+      }
+    }
+  }
+  if (pending !== null) bodies.push(pending.trim());
+  return { bodies, mEndIndex };
+}
+
+// V3000 bond CFG → V2000 stereo code (single: 1 up, 4 either, 6 down; double: 3 either)
+function decodeV3000BondConfig(cfg, order) {
+  if (cfg === 1) return 1;
+  if (cfg === 3) return 6;
+  if (cfg === 2) return order === 2 ? 3 : 4;
+  return 0;
+}
+
+// Enhanced stereo collection names: MDLV30/STEABS, MDLV30/STERAC<n>, MDLV30/STEREL<n>
+function decodeEnhancedStereo(name) {
+  const m = /^MDLV30\/STE(ABS|RAC|REL)(\d*)$/i.exec(name || '');
+  if (!m) return null;
+  const type = m[1].toLowerCase();
+  return type === 'abs' ? { type } : { type, group: Number(m[2]) || 1 };
+}
+
+function parseV3000Atom(tokens) {
+  let rest = tokens.slice(1);
+  // Atom lists may be written `NOT [C,N]`
+  if (rest[0] && rest[0].toUpperCase() === 'NOT' && rest[1]?.startsWith('[')) {
+    rest = [`NOT${rest[1]}`, ...rest.slice(2)];
+  }
+  const [type = '', x, y, z, aamap, ...props] = rest;
+  const atom = { x: +x, y: +y, z: +z, symbol: unquoteV3000(type) };
+
+  const list = /^(NOT)?\[([^\]]*)\]$/i.exec(type);
+  if (list) {
+    atom.symbol = 'L';
+    atom.atomList = {
+      exclude: !!list[1],
+      elements: list[2].split(',').map((s) => s.trim()).filter(Boolean),
+    };
+  }
+
+  const map = Number(aamap);
+  if (Number.isFinite(map) && map > 0) atom.mapNumber = map;
+
+  const kv = parseV3000KeyValues(props);
+  const num = (key) => {
+    const n = Number(Array.isArray(kv[key]) ? kv[key][0] : kv[key]);
+    return Number.isFinite(n) ? n : undefined;
+  };
+  if (num('CHG') !== undefined) atom.charge = num('CHG');
+  if (num('MASS') !== undefined) atom.isotope = num('MASS');
+  if (num('RAD')) atom.radical = num('RAD');
+  // VAL=-1 encodes an explicit zero valence
+  if (num('VAL')) atom.valence = num('VAL') === -1 ? 0 : num('VAL');
+  if (num('CFG')) atom.stereoParity = num('CFG');
+  const query = {};
+  // HCOUNT is a query like V2000 hhh: at least n hydrogens, -1 for H0
+  if (num('HCOUNT')) query.minHydrogenCount = Math.max(0, num('HCOUNT'));
+  if (num('SUBST')) query.substitutionCount = decodeQueryCount(num('SUBST'));
+  if (num('RBCNT')) query.ringBondCount = decodeQueryCount(num('RBCNT'));
+  if (num('UNSAT')) query.unsaturated = num('UNSAT') === 1;
+  if (Object.keys(query).length) atom.query = query;
+  if (kv.RGROUPS) atom.rgroups = parseV3000List(kv.RGROUPS);
+  return atom;
+}
+
+function parseV3000Bond(tokens) {
+  const [, type, a, b, ...props] = tokens;
+  // MDL type 9 (coordination) maps onto order 0 like inferred coordination bonds
+  const order = Number(type) === 9 ? 0 : Number(type);
+  const kv = parseV3000KeyValues(props);
+  const bond = { beginAtomIdx: +a, endAtomIdx: +b, order };
+  const cfg = Number(kv.CFG);
+  const stereo = decodeV3000BondConfig(cfg, order);
+  if (stereo) bond.stereo = stereo;
+  const topo = Number(kv.TOPO);
+  if (topo) bond.topology = topo === 1 ? 'ring' : 'chain';
+  if (kv.ENDPTS) {
+    bond.endpoints = parseV3000List(kv.ENDPTS);
+    if (kv.ATTACH) bond.attach = String(kv.ATTACH).toLowerCase();
+  }
+  return bond;
+}
+
+function parseV3000SGroup(tokens) {
+  const [idx, type, ext, ...props] = tokens;
+  const kv = parseV3000KeyValues(props);
+  const all = (key) => {
+    if (kv[key] === undefined) return [];
+    return Array.isArray(kv[key]) ? kv[key] : [kv[key]];
+  };
+  const sgroup = {
+    index: Number(idx),
+    type: (type || '').toUpperCase(),
+    externalIndex: Number(ext) || undefined,
+    atoms: parseV3000List(kv.ATOMS),
+    crossingBonds: parseV3000List(kv.XBONDS),
+  };
+  if (kv.CBONDS) sgroup.containedBonds = parseV3000List(kv.CBONDS);
+  if (kv.PATOMS) sgroup.parentAtoms = parseV3000List(kv.PATOMS);
+  if (kv.SUBTYPE) sgroup.subtype = kv.SUBTYPE.toUpperCase();
+  if (kv.CONNECT) sgroup.connectivity = kv.CONNECT.toUpperCase();
+  if (kv.LABEL) sgroup.label = unquoteV3000(kv.LABEL);
+  if (kv.CLASS) sgroup.class = unquoteV3000(kv.CLASS);
+  if (kv.PARENT) sgroup.parent = Number(kv.PARENT);
+  if (kv.MULT) sgroup.multiplier = Number(kv.MULT);
+  if (kv.ESTATE) sgroup.expanded = kv.ESTATE.toUpperCase() === 'E';
+  if (kv.FIELDNAME) sgroup.fieldName = unquoteV3000(kv.FIELDNAME);
+  if (kv.FIELDDATA) sgroup.fieldData = all('FIELDDATA').map(unquoteV3000).join('');
+  if (kv.FIELDDISP) {
+    const disp = unquoteV3000(kv.FIELDDISP);
+    sgroup.fieldDisplay = { x: Number(disp.slice(0, 10)), y: Number(disp.slice(10, 20)) };
+  }
+  const brackets = all('BRKXYZ').map((v) =>
+    v.replace(/^\(|\)$/g, '').trim().split(/\s+/).slice(1).map(Number),
+  );
+  if (brackets.length) sgroup.brackets = brackets;
+  const sap = all('SAP').map((v) => {
+    const [, atom, leaving, id] = v.replace(/^\(|\)$/g, '').trim().split(/\s+/);
+    return { atom: Number(atom), leavingAtom: Number(leaving) || 0, id: unquoteV3000(id) };
+  });
+  if (sap.length) sgroup.attachmentPoints = sap;
+  return sgroup;
+}
+
+/**
+ * Parse V3000 (extended connection table) molfiles.
+ * Reads the COUNTS line, atom and bond blocks with their keyword properties,
+ * S-group and collection blocks, and the trailing SD data items.
+ *
+ * Atom records mirror V2000 (`charge`, `isotope`, `radical`, …) and bond
+ * `CFG=` values are mapped onto V2000 stereo codes so wedges render the same.
+ *
+ * @param {string} text V3000 SDF content.
+ * @returns {Object} Parsed molecule with atoms, bonds, sgroups, collections and properties.
+ */
+function parseV3000(text) {
+  const lines = text.split('\n');
+  const { bodies, mEndIndex } = collectV3000Bodies(lines);
+
+  const atoms = [];
+  const bonds = [];
+  const sgroups = [];
+  const collections = [];
+  const pendingCharges = [];
+  const atomIdToIndex = new Map();
+  const bondIdToIndex = new Map();
+  let counts = null;
+  const blocks = [];
+
+  bodies.forEach((body) => {
+    const begin = /^BEGIN\s+(\S+)/i.exec(body);
+    if (begin) {
+      blocks.push(begin[1].toUpperCase());
+      return;
+    }
+    if (/^END\s+\S+/i.test(body)) {
+      blocks.pop();
+      return;
+    }
+    const block = blocks[blocks.length - 1];
+    const tokens = tokenizeV3000(body);
+
+    if (block === 'CTAB' && /^COUNTS$/i.test(tokens[0] || '')) {
+      const [, na, nb, nsg, n3d, chiral] = tokens.map(Number);
+      counts = { atoms: na, bonds: nb, sgroups: nsg, objects3d: n3d, chiral: chiral === 1 };
+      return;
+    }
+
+    // Legacy non-standard charge lines: "M  V30 CHG count idx chg …"
+    if (/^CHG$/i.test(tokens[0] || '')) {
+      const count = Number(tokens[1] || 0);
+      for (let k = 0; k < count; k += 1) {
+        pendingCharges.push({ idx: Number(tokens[2 + 2 * k]), chg: Number(tokens[3 + 2 * k]) });
+      }
+      return;
+    }
+
+    if (block === 'ATOM' && tokens.length >= 5) {
+      atomIdToIndex.set(Number(tokens[0]), atoms.length + 1);
+      atoms.push(parseV3000Atom(tokens));
+    } else if (block === 'BOND' && tokens.length >= 4) {
+      bondIdToIndex.set(Number(tokens[0]), bonds.length + 1);
+      bonds.push(parseV3000Bond(tokens));
+    } else if (block === 'SGROUP' && tokens.length >= 3) {
+      sgroups.push(parseV3000SGroup(tokens));
+    } else if (block === 'COLLECTION' && tokens.length >= 1) {
+      const kv = parseV3000KeyValues(tokens.slice(1));
+      collections.push({
+        name: tokens[0],
+        atoms: parseV3000List(kv.ATOMS),
+        bonds: parseV3000List(kv.BONDS),
+      });
+    }
+  });
+
+  // Atom ids are usually 1..n but need not be contiguous; remap to positional indices
+  const remap = (id) => atomIdToIndex.get(id) ?? id;
+  const needsRemap = [...atomIdToIndex].some(([id, pos]) => id !== pos);
+  if (needsRemap) {
+    bonds.forEach((b) => {
+      Object.assign(b, { beginAtomIdx: remap(b.beginAtomIdx), endAtomIdx: remap(b.endAtomIdx) });
+      if (b.endpoints) Object.assign(b, { endpoints: b.endpoints.map(remap) });
+    });
+    sgroups.forEach((sg) => {
+      Object.assign(sg, { atoms: sg.atoms.map(remap) });
+      if (sg.parentAtoms) Object.assign(sg, { parentAtoms: sg.parentAtoms.map(remap) });
+      if (sg.attachmentPoints) {
+        Object.assign(sg, {
+          attachmentPoints: sg.attachmentPoints.map((p) => ({ ...p, atom: remap(p.atom), leavingAtom: remap(p.leavingAtom) })),
+        });
+      }
+    });
+    collections.forEach((c) => Object.assign(c, { atoms: c.atoms.map(remap) }));
+  }
+  // Bond ids likewise, for S-group XBONDS/CBONDS and collection BONDS lists
+  const remapBond = (id) => bondIdToIndex.get(id) ?? id;
+  if ([...bondIdToIndex].some(([id, pos]) => id !== pos)) {
+    sgroups.forEach((sg) => {
+      Object.assign(sg, { crossingBonds: sg.crossingBonds.map(remapBond) });
+      if (sg.containedBonds) Object.assign(sg, { containedBonds: sg.containedBonds.map(remapBond) });
+    });
+    collections.forEach((c) => Object.assign(c, { bonds: c.bonds.map(remapBond) }));
+  }
+
+  pendingCharges.forEach(({ idx, chg }) => {
+    if (Number.isFinite(idx) && atoms[idx - 1]) atoms[idx - 1].charge = chg;
+  });
+
+  collections.forEach((c) => {
+    const enhanced = decodeEnhancedStereo(c.name);
+    if (!enhanced) return;
+    c.atoms.forEach((idx) => {
+      if (atoms[idx - 1]) atoms[idx - 1].enhancedStereo = enhanced;
+    });
+  });
+
+  const properties = mEndIndex >= 0 ? parseSDDataFields(lines, mEndIndex + 1) : {};
+  const headerIndex = lines.findIndex((ln) => /V3000\s*$/.test(ln));
+  const title = headerIndex >= 3 ? lines[headerIndex - 3].trim() : '';
+
+  return {
+    atoms,
+    bonds,
+    sgroups,
+    collections,
+    chiral: counts ? counts.chiral : undefined,
+    properties,
+    title: title || undefined,
+  };
+}
+
+// SYBYL bond types → molfile-style bond orders (aromatic 4, amide single with flag)
+const MOL2_BOND_ORDERS = { 1: 1, 2: 2, 3: 3, ar: 4, am: 1, du: 1, un: 1 };
+
+/**
+ * SYBYL also types the delocalized bonds of carboxylate, nitro and phosphate
+ * groups (to `O.co2`) and of amidinium/guanidinium (`C.cat`) as `ar`. Outside
+ * rings these cannot be aromatic, so each such group becomes one double bond
+ * plus single bonds with formal charges: O⁻ on single-bonded oxygens, N⁺ on
+ * the double-bonded nitrogen or on a nitro centre. `ar` bonds that fit no
+ * group become single. Mutates `atoms` and `bonds`.
+ */
+function localizeMOL2ChainAromaticBonds(atoms, bonds) {
+  const ringBonds = new Set();
+  findRings(atoms.length, bonds).forEach((ring) => ring.bonds.forEach((i) => ringBonds.add(i)));
+  const chainBonds = bonds.map((b, i) => i).filter((i) => bonds[i].order === 4 && !ringBonds.has(i));
+  const byAtom = new Map();
+  chainBonds.forEach((i) => {
+    [bonds[i].beginAtomIdx, bonds[i].endAtomIdx].forEach((a) => {
+      if (!byAtom.has(a)) byAtom.set(a, []);
+      byAtom.get(a).push(i);
+    });
+  });
+  const isCarboxylateOxygen = (a) => /^O\.co2$/i.test(atoms[a - 1]?.atomType ?? '');
+  const done = new Set();
+  byAtom.forEach((group, centre) => {
+    if (group.length < 2 || isCarboxylateOxygen(centre)) return;
+    group.forEach((i, k) => {
+      if (done.has(i)) return;
+      done.add(i);
+      const bond = bonds[i];
+      const terminal = atoms[(bond.beginAtomIdx === centre ? bond.endAtomIdx : bond.beginAtomIdx) - 1];
+      Object.assign(bond, { order: k === 0 ? 2 : 1 });
+      if (k > 0 && terminal.symbol === 'O') Object.assign(terminal, { charge: -1 });
+      if (k === 0 && terminal.symbol === 'N') Object.assign(terminal, { charge: 1 });
+    });
+    if (atoms[centre - 1].symbol === 'N') Object.assign(atoms[centre - 1], { charge: 1 });
+  });
+  chainBonds.forEach((i) => {
+    if (!done.has(i)) Object.assign(bonds[i], { order: 1 });
+  });
+}
+
+/** Element symbol for a SYBYL atom type (`C.ar` → `C`, `Cl` → `Cl`, `N.pl3` → `N`). */
+function elementFromSybylType(type, atomName = '') {
+  const base = String(type || '').split('.')[0];
+  const symbol = base ? base[0].toUpperCase() + base.slice(1).toLowerCase() : '';
+  if (ATOMIC_NUMBERS[symbol.toUpperCase()]) return symbol;
+  // Dummies, lone pairs and wildcards (Du, LP, Any, Hal, Het, Hev): try the atom name
+  const m = /^([A-Z][a-z]?)/.exec(atomName);
+  if (m && ATOMIC_NUMBERS[m[1].toUpperCase()]) return m[1];
+  return symbol;
+}
+
+/** Split Tripos MOL2 text into per-molecule chunks (each starting at @<TRIPOS>MOLECULE). */
+function splitMOL2Records(text) {
+  const normalized = normalizeSDFText(text);
+  return normalized
+    .split(/^(?=@<TRIPOS>MOLECULE)/m)
+    .filter((chunk) => /^@<TRIPOS>MOLECULE/.test(chunk));
+}
+
+function parseMOL2Record(chunk) {
+  const sections = {};
+  let current = null;
+  chunk.split('\n').forEach((ln) => {
+    const header = /^@<TRIPOS>(\w+)/.exec(ln);
+    if (header) {
+      current = header[1].toUpperCase();
+      sections[current] = [];
+      return;
+    }
+    if (current && !ln.startsWith('#')) sections[current].push(ln);
+  });
+
+  const molLines = sections.MOLECULE || [];
+  const name = (molLines[0] || '').trim();
+  const [natoms, nbonds] = (molLines[1] || '').trim().split(/\s+/).map(Number);
+  const moleculeType = (molLines[2] || '').trim() || undefined;
+  const chargeType = (molLines[3] || '').trim() || undefined;
+
+  const substructures = [];
+  const substructureById = new Map();
+  (sections.SUBSTRUCTURE || []).forEach((ln) => {
+    const parts = ln.trim().split(/\s+/);
+    if (parts.length < 3) return;
+    const [id, substName, rootAtom, substType, , chain] = parts;
+    const record = {
+      id: Number(id),
+      name: substName,
+      rootAtom: Number(rootAtom),
+      type: substType,
+      chain: chain && chain !== '****' ? chain : undefined,
+    };
+    substructures.push(record);
+    substructureById.set(record.id, record);
+  });
+
+  const atoms = [];
+  const atomIdToIndex = new Map();
+  (sections.ATOM || []).forEach((ln) => {
+    const parts = ln.trim().split(/\s+/);
+    if (parts.length < 6) return;
+    if (Number.isFinite(natoms) && natoms > 0 && atoms.length >= natoms) return;
+    const [id, atomName, x, y, z, atomType, substId, substName, charge] = parts;
+    const atom = {
+      x: +x,
+      y: +y,
+      z: +z,
+      symbol: elementFromSybylType(atomType, atomName),
+      atomName,
+      atomType,
+    };
+    const q = Number(charge);
+    if (charge !== undefined && Number.isFinite(q)) atom.partialCharge = q;
+    if (substId !== undefined) {
+      atom.substructureId = Number(substId);
+      atom.substructureName = substName;
+      const chain = substructureById.get(atom.substructureId)?.chain;
+      if (chain) atom.chainId = chain;
+    }
+    atomIdToIndex.set(Number(id), atoms.length + 1);
+    atoms.push(atom);
+  });
+
+  const bonds = [];
+  (sections.BOND || []).forEach((ln) => {
+    const parts = ln.trim().split(/\s+/);
+    if (parts.length < 4) return;
+    if (Number.isFinite(nbonds) && nbonds > 0 && bonds.length >= nbonds) return;
+    const [, a, b, rawType] = parts;
+    const type = rawType.toLowerCase();
+    if (type === 'nc') return; // "not connected"
+    const bond = {
+      beginAtomIdx: atomIdToIndex.get(Number(a)) ?? Number(a),
+      endAtomIdx: atomIdToIndex.get(Number(b)) ?? Number(b),
+      order: MOL2_BOND_ORDERS[type] ?? 1,
+      bondType: type,
+    };
+    if (type === 'am') bond.isAmide = true;
+    bonds.push(bond);
+  });
+  localizeMOL2ChainAromaticBonds(atoms, bonds);
+
+  return {
+    atoms,
+    bonds,
+    properties: {},
+    name,
+    moleculeType,
+    chargeType,
+    substructures,
+  };
+}
+
+/**
+ * Parse a Tripos MOL2 file into a molecule record shaped like `parseSDF` output.
+ * Atoms carry SYBYL `atomType`, `atomName`, `partialCharge` and substructure ids;
+ * `ar` ring bonds become order 4 and `am` bonds are single bonds flagged
+ * `isAmide`; `ar` bonds of carboxylates, nitro groups and guanidinium outside
+ * rings are written out as one double bond with charged single bonds.
+ *
+ * @param {string} text MOL2 contents (may hold several molecules).
+ * @param {Object} [options]
+ * @param {number} [options.index=0] Which molecule to return.
+ * @returns {Object} Parsed molecule `{ atoms, bonds, properties, name, substructures, … }`.
+ */
+export function parseMOL2(text, options = {}) {
+  const records = splitMOL2Records(text);
+  if (!records.length) return { atoms: [], bonds: [], properties: {} };
+  const index = Math.max(0, Math.min(options.index || 0, records.length - 1));
+  return parseMOL2Record(records[index]);
+}
+
+/**
+ * Convert Tripos MOL2 text into a THREE.Group, mirroring `loadSDF`
+ * (same options, meshes, picking helpers and `userData.loadResult`).
+ *
+ * @param {string} text MOL2 contents.
+ * @param {Object} [options] Loader options (see `loadSDF`).
+ * @returns {THREE.Group}
+ */
+export function loadMOL2(text, options = {}) {
+  const { onProgress } = options;
+  if (typeof onProgress === 'function') onProgress('parse:start', 0);
+  const mol = parseMOL2(text, options);
+  return buildMoleculeGroup(mol, { title: mol.name || undefined, format: 'mol2' }, options);
+}
+
+// Intra-residue bond templates for standard residues ("A-B" single, "A=B" double).
+const PEPTIDE_BACKBONE = 'N-CA CA-C C=O C-OXT';
+const NUCLEOTIDE_BACKBONE =
+  "P-OP1 P=OP2 P-OP3 P-O5' O5'-C5' C5'-C4' C4'-O4' C4'-C3' C3'-O3' C3'-C2' C2'-C1' C1'-O4' C2'-O2'";
+const RESIDUE_TEMPLATE_SOURCES = {
+  ALA: 'CA-CB',
+  ARG: 'CA-CB CB-CG CG-CD CD-NE NE-CZ CZ-NH1 CZ=NH2',
+  ASN: 'CA-CB CB-CG CG=OD1 CG-ND2',
+  ASP: 'CA-CB CB-CG CG=OD1 CG-OD2',
+  CYS: 'CA-CB CB-SG',
+  GLN: 'CA-CB CB-CG CG-CD CD=OE1 CD-NE2',
+  GLU: 'CA-CB CB-CG CG-CD CD=OE1 CD-OE2',
+  GLY: '',
+  HIS: 'CA-CB CB-CG CG-ND1 CG=CD2 ND1=CE1 CE1-NE2 NE2-CD2',
+  ILE: 'CA-CB CB-CG1 CB-CG2 CG1-CD1',
+  LEU: 'CA-CB CB-CG CG-CD1 CG-CD2',
+  LYS: 'CA-CB CB-CG CG-CD CD-CE CE-NZ',
+  MET: 'CA-CB CB-CG CG-SD SD-CE',
+  MSE: 'CA-CB CB-CG CG-SE SE-CE',
+  PHE: 'CA-CB CB-CG CG=CD1 CG-CD2 CD1-CE1 CD2=CE2 CE1=CZ CE2-CZ',
+  PRO: 'CA-CB CB-CG CG-CD CD-N',
+  SER: 'CA-CB CB-OG',
+  THR: 'CA-CB CB-OG1 CB-CG2',
+  TRP: 'CA-CB CB-CG CG=CD1 CG-CD2 CD1-NE1 NE1-CE2 CD2=CE2 CD2-CE3 CE2-CZ2 CE3=CZ3 CZ2=CH2 CZ3-CH2',
+  TYR: 'CA-CB CB-CG CG=CD1 CG-CD2 CD1-CE1 CD2=CE2 CE1=CZ CE2-CZ CZ-OH',
+  VAL: 'CA-CB CB-CG1 CB-CG2',
+};
+const PURINE_A = "C1'-N9 N9-C8 C8=N7 N7-C5 C5=C4 C4-N9 C4-N3 N3=C2 C2-N1 N1=C6 C6-C5 C6-N6";
+const PURINE_G = "C1'-N9 N9-C8 C8=N7 N7-C5 C5=C4 C4-N9 C4-N3 N3=C2 C2-N1 N1-C6 C6-C5 C6=O6 C2-N2";
+const PYRIMIDINE_C = "C1'-N1 N1-C2 C2=O2 C2-N3 N3=C4 C4-C5 C5=C6 C6-N1 C4-N4";
+const PYRIMIDINE_U = "C1'-N1 N1-C2 C2=O2 C2-N3 N3-C4 C4=O4 C4-C5 C5=C6 C6-N1";
+const NUCLEOTIDE_BASES = {
+  A: PURINE_A,
+  DA: PURINE_A,
+  G: PURINE_G,
+  DG: PURINE_G,
+  C: PYRIMIDINE_C,
+  DC: PYRIMIDINE_C,
+  U: PYRIMIDINE_U,
+  DT: `${PYRIMIDINE_U} C5-C7`,
+};
+const WATER_RESIDUES = new Set(['HOH', 'WAT', 'DOD', 'H2O']);
+const RESIDUE_TEMPLATE_CACHE = new Map();
+
+/** Expanded bond template `[[nameA, nameB, order], …]` for a residue, or null. */
+function residueTemplate(resName) {
+  const key = (resName || '').toUpperCase();
+  if (RESIDUE_TEMPLATE_CACHE.has(key)) return RESIDUE_TEMPLATE_CACHE.get(key);
+  let source = null;
+  let kind = null;
+  if (RESIDUE_TEMPLATE_SOURCES[key] !== undefined) {
+    source = `${PEPTIDE_BACKBONE} ${RESIDUE_TEMPLATE_SOURCES[key]}`;
+    kind = 'amino';
+  } else if (NUCLEOTIDE_BASES[key]) {
+    source = `${NUCLEOTIDE_BACKBONE} ${NUCLEOTIDE_BASES[key]}`;
+    kind = 'nucleic';
+  } else if (WATER_RESIDUES.has(key)) {
+    source = '';
+    kind = 'water';
+  }
+  const template =
+    source === null
+      ? null
+      : {
+          kind,
+          bonds: source
+            .split(/\s+/)
+            .filter(Boolean)
+            .map((pair) => {
+              const double = pair.includes('=');
+              const [a, b] = pair.split(/[-=]/);
+              return [a, b, double ? 2 : 1];
+            }),
+        };
+  RESIDUE_TEMPLATE_CACHE.set(key, template);
+  return template;
+}
+
+/** Normalise legacy PDB atom names (`O1P` → `OP1`, `C1*` → `C1'`). */
+function canonicalPDBAtomName(name) {
+  const n = (name || '').trim().replace(/\*/g, "'");
+  if (n === 'O1P') return 'OP1';
+  if (n === 'O2P') return 'OP2';
+  if (n === 'O3P') return 'OP3';
+  if (n === 'C5M') return 'C7';
+  return n;
+}
+
+/** Capitalise an element symbol (`ZN` → `Zn`). */
+function capitalizeElement(sym) {
+  const s = (sym || '').trim();
+  return s ? s[0].toUpperCase() + s.slice(1).toLowerCase() : '';
+}
+
+/** Element from a PDB atom name when columns 77–78 are blank. */
+function elementFromPDBAtomName(rawName, resName) {
+  const letters = (rawName || '').replace(/[^A-Za-z]/g, '');
+  // Column 13 holds the first element character only for two-letter elements
+  if (rawName && rawName[0] !== ' ' && /[A-Za-z]/.test(rawName[0]) && letters.length >= 2) {
+    const two = capitalizeElement(letters.slice(0, 2));
+    if (ATOMIC_NUMBERS[two.toUpperCase()] && !residueTemplate(resName)) return two;
+  }
+  return capitalizeElement(letters.slice(0, 1));
+}
+
+/**
+ * Derive bonds for polymer residues: template bonds inside standard residues,
+ * peptide (C–N) and phosphodiester (O3'–P) links between consecutive residues,
+ * and hydrogens attached to their nearest heavy atom.
+ *
+ * @param {Array} atoms Parsed atoms carrying residue fields.
+ * @returns {Array} Bond records with 1-based atom indices.
+ */
+function buildResidueBonds(atoms) {
+  const bonds = [];
+  const residues = [];
+  let current = null;
+  atoms.forEach((atom, i) => {
+    const key = `${atom.chainId}|${atom.residueNumber}|${atom.insertionCode || ''}|${atom.residueName}`;
+    if (!current || current.key !== key) {
+      current = { key, chainId: atom.chainId, atoms: new Map(), indices: [] };
+      current.template = residueTemplate(atom.residueName);
+      residues.push(current);
+    }
+    const name = canonicalPDBAtomName(atom.atomName);
+    if (!current.atoms.has(name)) current.atoms.set(name, i);
+    current.indices.push(i);
+  });
+
+  const dist = (i, j) =>
+    Math.hypot(atoms[i].x - atoms[j].x, atoms[i].y - atoms[j].y, atoms[i].z - atoms[j].z);
+  const isHydrogen = (i) => /^(H|D)$/i.test(atoms[i].symbol);
+  const add = (i, j, order) =>
+    bonds.push({ beginAtomIdx: i + 1, endAtomIdx: j + 1, order, source: 'residueTemplate' });
+
+  residues.forEach((res, r) => {
+    if (!res.template) return;
+    res.template.bonds.forEach(([a, b, order]) => {
+      const i = res.atoms.get(a);
+      const j = res.atoms.get(b);
+      if (i !== undefined && j !== undefined) add(i, j, order);
+    });
+
+    // Hydrogens: bond to the nearest heavy atom of the same residue
+    res.indices.forEach((h) => {
+      if (!isHydrogen(h)) return;
+      let best = -1;
+      let bestD = 1.35;
+      res.indices.forEach((j) => {
+        if (isHydrogen(j)) return;
+        const d = dist(h, j);
+        if (d < bestD) {
+          bestD = d;
+          best = j;
+        }
+      });
+      if (best >= 0) add(best, h, 1);
+    });
+
+    // Polymer links to the previous residue of the same chain
+    const prev = residues[r - 1];
+    if (!prev || !prev.template || prev.chainId !== res.chainId) return;
+    let link = null;
+    if (prev.template.kind === 'amino' && res.template.kind === 'amino') link = ['C', 'N'];
+    else if (prev.template.kind === 'nucleic' && res.template.kind === 'nucleic') link = ["O3'", 'P'];
+    if (!link) return;
+    const i = prev.atoms.get(link[0]);
+    const j = res.atoms.get(link[1]);
+    if (i !== undefined && j !== undefined && dist(i, j) < 2.0) add(i, j, 1);
+  });
+  return bonds;
+}
+
+/** Merge explicit connectivity (CONECT / struct_conn) into template bonds without duplicates. */
+function mergeExplicitBonds(bonds, explicit) {
+  const byKey = new Map();
+  bonds.forEach((b) => {
+    const key = `${Math.min(b.beginAtomIdx, b.endAtomIdx)}-${Math.max(b.beginAtomIdx, b.endAtomIdx)}`;
+    byKey.set(key, b);
+  });
+  explicit.forEach((b) => {
+    const key = `${Math.min(b.beginAtomIdx, b.endAtomIdx)}-${Math.max(b.beginAtomIdx, b.endAtomIdx)}`;
+    const existing = byKey.get(key);
+    if (existing) {
+      // Explicit orders > 1 (repeated CONECT entries) win over template singles
+      if (b.order > existing.order) existing.order = b.order;
+      return;
+    }
+    byKey.set(key, b);
+    bonds.push(b);
+  });
+  return bonds;
+}
+
+/**
+ * Distance-based bonds for HETATM residues outside the template table that
+ * have no explicit bond between two of their own atoms, i.e. ligands written
+ * without CONECT records (mmCIF never lists them). Bonds stay inside each
+ * residue and are tagged `inferredCovalent`.
+ *
+ * @param {Array} atoms Parsed atoms carrying residue fields.
+ * @param {Array} explicit CONECT / struct_conn bonds (1-based indices).
+ * @returns {Array} Bond records with 1-based atom indices.
+ */
+function perceiveLigandBonds(atoms, explicit) {
+  const residueKey = (atom) =>
+    `${atom.chainId}|${atom.residueNumber}|${atom.insertionCode || ''}|${atom.residueName}`;
+  const residues = new Map();
+  atoms.forEach((atom, i) => {
+    if (!atom.isHetero || residueTemplate(atom.residueName)) return;
+    const key = residueKey(atom);
+    if (!residues.has(key)) residues.set(key, []);
+    residues.get(key).push(i);
+  });
+  const described = new Set();
+  explicit.forEach((b) => {
+    const key = residueKey(atoms[b.beginAtomIdx - 1]);
+    if (key === residueKey(atoms[b.endAtomIdx - 1])) described.add(key);
+  });
+
+  const bonds = [];
+  residues.forEach((indices, key) => {
+    if (described.has(key) || indices.length < 2) return;
+    const local = [];
+    perceiveCovalentBonds(indices.map((i) => atoms[i]), local);
+    local.forEach((b) => {
+      bonds.push({
+        ...b,
+        beginAtomIdx: indices[b.beginAtomIdx - 1] + 1,
+        endAtomIdx: indices[b.endAtomIdx - 1] + 1,
+      });
+    });
+  });
+  return bonds;
+}
+
+/**
+ * Parse a PDB file into a molecule record shaped like `parseSDF` output.
+ * Only the first MODEL and the first alternate location of each atom are kept.
+ * Atoms carry `atomName`, `residueName`, `residueNumber`, `chainId`,
+ * `insertionCode`, `occupancy`, `bFactor` and `isHetero`. Bonds come from the
+ * built-in residue templates plus CONECT records; HETATM residues without
+ * CONECT records get bonds perceived from distances.
+ *
+ * @param {string} text PDB contents.
+ * @returns {Object} Parsed molecule `{ atoms, bonds, properties }`.
+ */
+export function parsePDB(text) {
+  const lines = normalizeSDFText(text).split('\n');
+  const atoms = [];
+  const serialToIndex = new Map();
+  const conect = new Map(); // "a-b" (directed) → count
+  const properties = {};
+  const titleParts = [];
+  let firstAltLoc = null;
+  let modelsSeen = 0;
+  let done = false;
+
+  lines.forEach((ln) => {
+    if (done) return;
+    const rec = ln.slice(0, 6).trim();
+    if (rec === 'HEADER') {
+      const classification = ln.slice(10, 50).trim();
+      const id = ln.slice(62, 66).trim();
+      if (classification) properties.classification = classification;
+      if (id) properties.id = id;
+    } else if (rec === 'TITLE') {
+      titleParts.push(ln.slice(10).trim());
+    } else if (rec === 'MODEL') {
+      modelsSeen += 1;
+    } else if (rec === 'ENDMDL') {
+      if (modelsSeen >= 1) done = true;
+    } else if (rec === 'ATOM' || rec === 'HETATM') {
+      const altLoc = ln.slice(16, 17).trim();
+      if (altLoc) {
+        if (firstAltLoc === null) firstAltLoc = altLoc;
+        if (altLoc !== firstAltLoc) return;
+      }
+      const rawName = ln.slice(12, 16);
+      const residueName = ln.slice(17, 20).trim();
+      const element =
+        capitalizeElement(ln.slice(76, 78)) || elementFromPDBAtomName(rawName, residueName);
+      const atom = {
+        x: parseFloat(ln.slice(30, 38)),
+        y: parseFloat(ln.slice(38, 46)),
+        z: parseFloat(ln.slice(46, 54)),
+        symbol: element,
+        serial: Number(ln.slice(6, 11)),
+        atomName: rawName.trim(),
+        residueName,
+        chainId: ln.slice(21, 22).trim(),
+        residueNumber: Number(ln.slice(22, 26)),
+        insertionCode: ln.slice(26, 27).trim() || undefined,
+        occupancy: parseFloat(ln.slice(54, 60)),
+        bFactor: parseFloat(ln.slice(60, 66)),
+        isHetero: rec === 'HETATM',
+      };
+      if (altLoc) atom.altLoc = altLoc;
+      const chg = /^(\d)([+-])$/.exec(ln.slice(78, 80).trim());
+      if (chg) atom.charge = Number(chg[1]) * (chg[2] === '-' ? -1 : 1);
+      if (!Number.isFinite(atom.occupancy)) delete atom.occupancy;
+      if (!Number.isFinite(atom.bFactor)) delete atom.bFactor;
+      serialToIndex.set(atom.serial, atoms.length + 1);
+      atoms.push(atom);
+    } else if (rec === 'CONECT') {
+      const from = Number(ln.slice(6, 11));
+      [11, 16, 21, 26].forEach((col) => {
+        const to = Number(ln.slice(col, col + 5));
+        if (!to) return;
+        const key = `${from}-${to}`;
+        conect.set(key, (conect.get(key) || 0) + 1);
+      });
+    }
+  });
+
+  if (titleParts.length) properties.title = titleParts.join(' ').replace(/\s+/g, ' ');
+
+  const explicit = [];
+  const seen = new Set();
+  conect.forEach((count, key) => {
+    const [from, to] = key.split('-').map(Number);
+    const a = serialToIndex.get(from);
+    const b = serialToIndex.get(to);
+    if (!a || !b || a === b) return;
+    const pairKey = `${Math.min(a, b)}-${Math.max(a, b)}`;
+    if (seen.has(pairKey)) return;
+    seen.add(pairKey);
+    // Writers repeat a CONECT partner to encode double/triple bonds
+    const order = Math.min(3, Math.max(count, conect.get(`${to}-${from}`) || 0));
+    explicit.push({ beginAtomIdx: a, endAtomIdx: b, order, source: 'conect' });
+  });
+
+  const bonds = mergeExplicitBonds(buildResidueBonds(atoms), explicit).concat(perceiveLigandBonds(atoms, explicit));
+  return { atoms, bonds, properties };
+}
+
+/**
+ * Read mmCIF/STAR text into categories: `{ atom_site: [{ group_PDB, … }], … }`.
+ * Loops become arrays of row objects; plain items a single-row array.
+ */
+function parseCIFCategories(text) {
+  const tokens = [];
+  const lines = normalizeSDFText(text).split('\n');
+  for (let i = 0; i < lines.length; i += 1) {
+    const ln = lines[i];
+    if (ln.startsWith(';')) {
+      // Semicolon-delimited multi-line text field
+      const parts = [ln.slice(1)];
+      i += 1;
+      while (i < lines.length && !lines[i].startsWith(';')) {
+        parts.push(lines[i]);
+        i += 1;
+      }
+      tokens.push({ text: parts.join('\n').trim(), quoted: true });
+    } else {
+      const re = /'(?:[^']|'(?=\S))*'|"(?:[^"]|"(?=\S))*"|#.*$|\S+/g;
+      let m = re.exec(ln);
+      while (m) {
+        const t = m[0];
+        if (!t.startsWith('#')) {
+          const quoted = t.length >= 2 && (t[0] === "'" || t[0] === '"') && t.endsWith(t[0]);
+          tokens.push({ text: quoted ? t.slice(1, -1) : t, quoted });
+        }
+        m = re.exec(ln);
+      }
+    }
+  }
+
+  const categories = {};
+  const isKeyword = (tok) =>
+    !tok.quoted && (tok.text.startsWith('_') || /^(loop_|data_|save_|global_|stop_)/i.test(tok.text));
+  const splitTag = (tag) => {
+    const bare = tag.replace(/^_/, '');
+    const dot = bare.indexOf('.');
+    return dot > 0 ? [bare.slice(0, dot), bare.slice(dot + 1)] : [bare, ''];
+  };
+  const value = (tok) => (!tok.quoted && (tok.text === '.' || tok.text === '?') ? undefined : tok.text);
+
+  let k = 0;
+  while (k < tokens.length) {
+    const tok = tokens[k];
+    if (!tok.quoted && /^loop_$/i.test(tok.text)) {
+      k += 1;
+      const tags = [];
+      while (k < tokens.length && !tokens[k].quoted && tokens[k].text.startsWith('_')) {
+        tags.push(tokens[k].text);
+        k += 1;
+      }
+      const values = [];
+      while (k < tokens.length && !isKeyword(tokens[k])) {
+        values.push(tokens[k]);
+        k += 1;
+      }
+      if (tags.length) {
+        const [category] = splitTag(tags[0]);
+        const fields = tags.map((t) => splitTag(t)[1]);
+        const rows = categories[category] || (categories[category] = []);
+        for (let r = 0; r + fields.length <= values.length; r += fields.length) {
+          const row = {};
+          fields.forEach((f, c) => {
+            row[f] = value(values[r + c]);
+          });
+          rows.push(row);
+        }
+      }
+    } else if (!tok.quoted && tok.text.startsWith('_') && k + 1 < tokens.length) {
+      const [category, field] = splitTag(tok.text);
+      const rows = categories[category] || (categories[category] = [{}]);
+      rows[0][field] = value(tokens[k + 1]);
+      k += 2;
+    } else {
+      k += 1;
+    }
+  }
+  return categories;
+}
+
+/**
+ * Parse an mmCIF file into a molecule record shaped like `parsePDB` output.
+ * Uses `auth_*` chain/residue identifiers when present (matching PDB files),
+ * keeps the first model, and adds `_struct_conn` links (covalent, disulfide,
+ * metal coordination) on top of the residue template bonds. Ligand bonds are
+ * perceived from distances, as for PDB HETATM residues without CONECT.
+ *
+ * @param {string} text mmCIF contents.
+ * @returns {Object} Parsed molecule `{ atoms, bonds, properties }`.
+ */
+export function parseMMCIF(text) {
+  const cif = parseCIFCategories(text);
+  const atoms = [];
+  const keyToIndex = new Map();
+  let firstModel = null;
+  let firstAltLoc = null;
+  const pick = (row, ...keys) => keys.map((k2) => row[k2]).find((v) => v !== undefined);
+  const num = (v) => {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : undefined;
+  };
+
+  (cif.atom_site || []).forEach((row) => {
+    const model = row.pdbx_PDB_model_num;
+    if (model !== undefined) {
+      if (firstModel === null) firstModel = model;
+      if (model !== firstModel) return;
+    }
+    const altLoc = row.label_alt_id;
+    if (altLoc) {
+      if (firstAltLoc === null) firstAltLoc = altLoc;
+      if (altLoc !== firstAltLoc) return;
+    }
+    const atom = {
+      x: num(row.Cartn_x),
+      y: num(row.Cartn_y),
+      z: num(row.Cartn_z),
+      symbol: capitalizeElement(row.type_symbol),
+      serial: Number(row.id),
+      atomName: pick(row, 'auth_atom_id', 'label_atom_id') || '',
+      residueName: pick(row, 'auth_comp_id', 'label_comp_id') || '',
+      chainId: pick(row, 'auth_asym_id', 'label_asym_id') || '',
+      residueNumber: Number(pick(row, 'auth_seq_id', 'label_seq_id')),
+      insertionCode: row.pdbx_PDB_ins_code,
+      occupancy: num(row.occupancy),
+      bFactor: num(row.B_iso_or_equiv),
+      isHetero: row.group_PDB === 'HETATM',
+    };
+    if (altLoc) atom.altLoc = altLoc;
+    const chg = Number(row.pdbx_formal_charge);
+    if (Number.isFinite(chg) && chg !== 0) atom.charge = chg;
+    Object.keys(atom).forEach((key) => atom[key] === undefined && delete atom[key]);
+    atoms.push(atom);
+    keyToIndex.set(`${atom.chainId}|${atom.residueNumber}|${atom.insertionCode || ''}|${atom.atomName}`, atoms.length);
+  });
+
+  const explicit = [];
+  (cif.struct_conn || []).forEach((row) => {
+    const type = (row.conn_type_id || '').toLowerCase();
+    if (!['covale', 'disulf', 'metalc'].includes(type)) return;
+    const partner = (p) =>
+      keyToIndex.get(
+        [
+          pick(row, `ptnr${p}_auth_asym_id`, `ptnr${p}_label_asym_id`),
+          Number(pick(row, `ptnr${p}_auth_seq_id`, `ptnr${p}_label_seq_id`)),
+          row[`pdbx_ptnr${p}_PDB_ins_code`] || '',
+          pick(row, `ptnr${p}_auth_atom_id`, `ptnr${p}_label_atom_id`),
+        ].join('|'),
+      );
+    const a = partner(1);
+    const b = partner(2);
+    if (!a || !b || a === b) return;
+    const orders = { sing: 1, doub: 2, trip: 3 };
+    const order = type === 'metalc' ? 0 : orders[(row.pdbx_value_order || '').toLowerCase()] ?? 1;
+    explicit.push({ beginAtomIdx: a, endAtomIdx: b, order, source: 'conect' });
+  });
+
+  const properties = {};
+  const entryId = cif.entry?.[0]?.id;
+  const title = cif.struct?.[0]?.title;
+  if (entryId) properties.id = entryId;
+  if (title) properties.title = title;
+
+  const bonds = mergeExplicitBonds(buildResidueBonds(atoms), explicit).concat(perceiveLigandBonds(atoms, explicit));
+  return { atoms, bonds, properties };
+}
+
+/** True when text looks like mmCIF rather than fixed-column PDB. */
+function isMMCIFText(text) {
+  return typeof text === 'string' && /^data_/m.test(text) && /^_atom_site\./m.test(text);
+}
+
+/**
+ * Convert PDB or mmCIF text (auto-detected) into a THREE.Group, mirroring
+ * `loadSDF` (same options, meshes, picking helpers and `userData.loadResult`).
+ * Residue, chain and crystallographic fields appear in `chemistry.atoms`.
+ *
+ * @param {string} text PDB or mmCIF contents.
+ * @param {Object} [options] Loader options (see `loadSDF`).
+ * @returns {THREE.Group}
+ */
+export function loadPDB(text, options = {}) {
+  const { onProgress } = options;
+  if (typeof onProgress === 'function') onProgress('parse:start', 0);
+  const cif = isMMCIFText(text);
+  const mol = cif ? parseMMCIF(text) : parsePDB(text);
+  const title = mol.properties.id || mol.properties.title;
+  return buildMoleculeGroup(mol, { title, format: cif ? 'mmcif' : 'pdb' }, options);
+}
+
+/** Split an extXYZ comment line into key/value pairs (bare words become `true`). */
+function parseExtXYZComment(comment) {
+  const out = {};
+  const re = /([A-Za-z_][\w-]*)\s*=\s*("(?:[^"\\]|\\.)*"|\{[^}]*\}|\S+)|(\S+)/g;
+  let m = re.exec(comment);
+  while (m) {
+    if (m[1]) {
+      let value = m[2];
+      if (/^["{]/.test(value)) value = value.slice(1, -1);
+      out[m[1]] = value;
+    } else {
+      out[m[3]] = true;
+    }
+    m = re.exec(comment);
+  }
+  return out;
+}
+
+/** Element symbol for an XYZ species token (symbol or atomic number). */
+function elementFromXYZSpecies(token) {
+  const t = String(token ?? '').trim();
+  if (/^\d+$/.test(t)) {
+    const z = Number(t);
+    const sym = Object.keys(ATOMIC_NUMBERS).find((k) => ATOMIC_NUMBERS[k] === z);
+    return sym ? capitalizeElement(sym) : t;
+  }
+  return capitalizeElement(t.replace(/[^A-Za-z].*$/, ''));
+}
+
+function parseXYZFrame(lines, start, natoms) {
+  const comment = (lines[start + 1] || '').trim();
+  const kv = /\bProperties\s*=/i.test(comment) || /\bLattice\s*=/i.test(comment)
+    ? parseExtXYZComment(comment)
+    : null;
+
+  // extXYZ column layout, e.g. "species:S:1:pos:R:3:forces:R:3"
+  let columns = [
+    { name: 'species', type: 'S', count: 1 },
+    { name: 'pos', type: 'R', count: 3 },
+  ];
+  const propsKey = kv && Object.keys(kv).find((k) => k.toLowerCase() === 'properties');
+  if (propsKey) {
+    const parts = String(kv[propsKey]).split(':');
+    columns = [];
+    for (let k = 0; k + 2 < parts.length; k += 3) {
+      columns.push({ name: parts[k], type: parts[k + 1].toUpperCase(), count: Number(parts[k + 2]) || 1 });
+    }
+  }
+  const convert = (type, v) => {
+    if (type === 'R') return Number(v);
+    if (type === 'I') return parseInt(v, 10);
+    if (type === 'L') return /^(T|True|1)$/i.test(v);
+    return v;
+  };
+
+  const atoms = [];
+  for (let i = 0; i < natoms; i += 1) {
+    const parts = (lines[start + 2 + i] || '').trim().split(/\s+/);
+    const atom = { x: NaN, y: NaN, z: NaN, symbol: '' };
+    let col = 0;
+    columns.forEach(({ name, type, count }) => {
+      const values = parts.slice(col, col + count).map((v) => convert(type, v));
+      col += count;
+      const lower = name.toLowerCase();
+      if (lower === 'species' || lower === 'element') {
+        atom.symbol = elementFromXYZSpecies(values[0]);
+      } else if (lower === 'pos') {
+        [atom.x, atom.y, atom.z] = values;
+      } else if (lower === 'z' && count === 1) {
+        if (!atom.symbol) atom.symbol = elementFromXYZSpecies(values[0]);
+      } else {
+        atom[name] = count === 1 ? values[0] : values;
+      }
+    });
+    atoms.push(atom);
+  }
+
+  const properties = {};
+  if (kv) {
+    Object.entries(kv).forEach(([key, value]) => {
+      if (key !== propsKey) properties[key] = value;
+    });
+  }
+  const record = { atoms, bonds: [], properties, comment };
+  const latticeKey = kv && Object.keys(kv).find((k) => k.toLowerCase() === 'lattice');
+  if (latticeKey) record.lattice = String(kv[latticeKey]).trim().split(/\s+/).map(Number);
+  return record;
+}
+
+/**
+ * Parse XYZ / extended-XYZ text into a molecule record shaped like `parseSDF`
+ * output. Multi-frame files are supported via `options.index`. Since XYZ has no
+ * connectivity, covalent bonds are perceived from covalent radii (tagged
+ * `source: 'inferredCovalent'`) unless `perceiveBonds` is false.
+ *
+ * @param {string} text XYZ contents.
+ * @param {Object} [options]
+ * @param {number} [options.index=0] Frame to return.
+ * @param {boolean} [options.perceiveBonds=true] Run covalent bond perception.
+ * @param {number} [options.bondTolerance=0.45] Slack (Å) added to r_i + r_j.
+ * @returns {Object} Parsed molecule `{ atoms, bonds, properties, comment, lattice? }`.
+ */
+export function parseXYZ(text, options = {}) {
+  const { index = 0, perceiveBonds = true, bondTolerance = DEFAULT_BOND_TOLERANCE } = options;
+  const lines = normalizeSDFText(text).split('\n');
+  const frames = [];
+  let i = 0;
+  while (i < lines.length) {
+    const n = Number((lines[i] || '').trim());
+    if (Number.isInteger(n) && n > 0 && (lines[i] || '').trim() !== '') {
+      frames.push({ start: i, natoms: n });
+      i += n + 2;
+    } else {
+      i += 1;
+    }
+  }
+  if (!frames.length) return { atoms: [], bonds: [], properties: {} };
+  const frame = frames[Math.max(0, Math.min(index || 0, frames.length - 1))];
+  const record = parseXYZFrame(lines, frame.start, frame.natoms);
+  record.frameCount = frames.length;
+  if (perceiveBonds) perceiveCovalentBonds(record.atoms, record.bonds, { tolerance: bondTolerance });
+  return record;
+}
+
+/**
+ * Convert XYZ / extXYZ text into a THREE.Group with perceived covalent bonds,
+ * mirroring `loadSDF` (same options, meshes and `userData.loadResult`).
+ *
+ * @param {string} text XYZ contents.
+ * @param {Object} [options] Loader options (see `loadSDF`) plus `perceiveBonds`/`bondTolerance`.
+ * @returns {THREE.Group}
+ */
+export function loadXYZ(text, options = {}) {
+  const { onProgress } = options;
+  if (typeof onProgress === 'function') onProgress('parse:start', 0);
+  const mol = parseXYZ(text, options);
+  const isExtended = Object.keys(mol.properties).length > 0 || !!mol.lattice;
+  // Plain XYZ comment lines are free text; extXYZ ones are key=value metadata
+  const title = isExtended ? mol.properties.name ?? mol.properties.title : mol.comment;
+  return buildMoleculeGroup(
+    mol,
+    { title: typeof title === 'string' && title ? title : undefined, format: isExtended ? 'extxyz' : 'xyz' },
+    options,
+  );
+}
+
+/**
+ * Smallest set of smallest rings. Candidate cycles are the shortest ring
+ * through each non-bridge bond plus Horton's set: for every ring atom v and
+ * ring bond x–y, the shortest paths v…x and v…y closed by x–y when they meet
+ * only at v. That set always holds a minimum cycle basis, so taking the
+ * candidates smallest-first while linearly independent (GF(2) over bonds)
+ * reaches the cyclomatic number even for cages such as cubane.
+ *
+ * @param {number} atomCount Number of atoms.
+ * @param {Array} bonds Bond records with 1-based `beginAtomIdx`/`endAtomIdx`.
+ * @returns {Array<{atoms: number[], bonds: number[]}>} Ordered cycles (0-based atom and bond indices).
+ */
+function findRings(atomCount, bonds) {
+  const adj = Array.from({ length: atomCount }, () => []);
+  const edges = [];
+  bonds.forEach((b, i) => {
+    const u = b.beginAtomIdx - 1;
+    const v = b.endAtomIdx - 1;
+    if (u === v || !adj[u] || !adj[v] || adj[u].some((e) => e.atom === v)) return;
+    adj[u].push({ atom: v, bond: i });
+    adj[v].push({ atom: u, bond: i });
+    edges.push(i);
+  });
+
+  // Bridges (iterative Tarjan) can never be ring bonds
+  const disc = new Array(atomCount).fill(-1);
+  const low = new Array(atomCount).fill(0);
+  const bridges = new Set();
+  let time = 0;
+  let components = 0;
+  for (let r = 0; r < atomCount; r += 1) {
+    if (disc[r] < 0) {
+      components += 1;
+      disc[r] = time;
+      low[r] = time;
+      time += 1;
+      const stack = [{ atom: r, viaBond: -1, next: 0 }];
+      while (stack.length) {
+        const top = stack[stack.length - 1];
+        if (top.next < adj[top.atom].length) {
+          const { atom, bond } = adj[top.atom][top.next];
+          top.next += 1;
+          if (bond !== top.viaBond) {
+            if (disc[atom] < 0) {
+              disc[atom] = time;
+              low[atom] = time;
+              time += 1;
+              stack.push({ atom, viaBond: bond, next: 0 });
+            } else low[top.atom] = Math.min(low[top.atom], disc[atom]);
+          }
+        } else {
+          stack.pop();
+          if (stack.length) {
+            const up = stack[stack.length - 1].atom;
+            low[up] = Math.min(low[up], low[top.atom]);
+            if (low[top.atom] > disc[up]) bridges.add(top.viaBond);
+          }
+        }
+      }
+    }
+  }
+  const target = edges.length - atomCount + components;
+  if (target <= 0) return [];
+
+  const candidates = [];
+  edges.forEach((e) => {
+    if (bridges.has(e)) return;
+    const from = bonds[e].beginAtomIdx - 1;
+    const to = bonds[e].endAtomIdx - 1;
+    const prev = new Map([[from, null]]);
+    const queue = [from];
+    while (queue.length && !prev.has(to)) {
+      const u = queue.shift();
+      adj[u].forEach(({ atom, bond }) => {
+        if (bond !== e && !prev.has(atom)) {
+          prev.set(atom, { atom: u, bond });
+          queue.push(atom);
+        }
+      });
+    }
+    if (!prev.has(to)) return;
+    const ringAtoms = [];
+    const ringBonds = [e];
+    for (let v = to; v !== from; v = prev.get(v).atom) {
+      ringAtoms.push(v);
+      ringBonds.push(prev.get(v).bond);
+    }
+    ringAtoms.push(from);
+    candidates.push({ atoms: ringAtoms.reverse(), bonds: ringBonds });
+  });
+
+  // Horton candidates, from a shortest-path tree over ring bonds rooted at each ring atom
+  const ringEdges = edges.filter((e) => !bridges.has(e));
+  const ringAtomSet = new Set(ringEdges.flatMap((e) => [bonds[e].beginAtomIdx - 1, bonds[e].endAtomIdx - 1]));
+  const seen = new Set(candidates.map((c) => [...c.bonds].sort((p, q) => p - q).join(',')));
+  ringAtomSet.forEach((root) => {
+    const prev = new Map([[root, null]]);
+    const queue = [root];
+    for (let head = 0; head < queue.length; head += 1) {
+      const u = queue[head];
+      adj[u].forEach(({ atom, bond }) => {
+        if (!bridges.has(bond) && !prev.has(atom)) {
+          prev.set(atom, { atom: u, bond });
+          queue.push(atom);
+        }
+      });
+    }
+    const pathTo = (end) => {
+      const atoms = [end];
+      const pathBonds = [];
+      for (let v = end; v !== root; v = prev.get(v).atom) {
+        pathBonds.push(prev.get(v).bond);
+        atoms.push(prev.get(v).atom);
+      }
+      return { atoms, bonds: pathBonds };
+    };
+    ringEdges.forEach((e) => {
+      const x = bonds[e].beginAtomIdx - 1;
+      const y = bonds[e].endAtomIdx - 1;
+      if (!prev.has(x) || !prev.has(y) || prev.get(x)?.bond === e || prev.get(y)?.bond === e) return;
+      const px = pathTo(x);
+      const py = pathTo(y);
+      const onX = new Set(px.atoms);
+      if (py.atoms.some((a) => a !== root && onX.has(a))) return;
+      const ringBonds = [...px.bonds, e, ...py.bonds];
+      const key = [...ringBonds].sort((p, q) => p - q).join(',');
+      if (seen.has(key)) return;
+      seen.add(key);
+      candidates.push({ atoms: [...px.atoms.reverse(), ...py.atoms.slice(0, -1)], bonds: ringBonds });
+    });
+  });
+  candidates.sort((p, q) => p.atoms.length - q.atoms.length);
+
+  // Gaussian elimination over GF(2): a ring is its set of bonds, and adding
+  // two rings keeps the bonds found in exactly one of them
+  const basis = new Map(); // highest bond index → reduced bond set
+  const rings = [];
+  candidates.some((ring) => {
+    const vec = new Set(ring.bonds);
+    while (vec.size) {
+      const pivot = Math.max(...vec);
+      const row = basis.get(pivot);
+      if (!row) {
+        basis.set(pivot, vec);
+        rings.push(ring);
+        break;
+      }
+      row.forEach((b) => (vec.has(b) ? vec.delete(b) : vec.add(b)));
+    }
+    return rings.length >= target;
+  });
+  return rings;
+}
+
+/**
+ * Centroid and unit normal (Newell's method) of a ring in chemistry
+ * coordinates. Normals are turned toward +z where they have a z component.
+ */
+function ringGeometry(atomIndices, atoms) {
+  const n = atomIndices.length;
+  const centroid = { x: 0, y: 0, z: 0 };
+  let nx = 0;
+  let ny = 0;
+  let nz = 0;
+  atomIndices.forEach((i, k) => {
+    const a = atoms[i];
+    const b = atoms[atomIndices[(k + 1) % n]];
+    centroid.x += a.x / n;
+    centroid.y += a.y / n;
+    centroid.z += a.z / n;
+    nx += (a.y - b.y) * (a.z + b.z);
+    ny += (a.z - b.z) * (a.x + b.x);
+    nz += (a.x - b.x) * (a.y + b.y);
+  });
+  const length = (nz < 0 ? -1 : 1) * (Math.hypot(nx, ny, nz) || 1);
+  return { centroid, normal: { x: nx / length, y: ny / length, z: nz / length } };
+}
+
+/**
+ * `chemistry.rings` and `chemistry.ringSystems` from SSSR rings. A ring system
+ * gathers the rings that share an atom (fused, bridged and spiro rings).
+ *
+ * @param {Array<{atoms: number[], bonds: number[]}>} rings Rings from `findRings`.
+ * @param {Object[]} atoms AtomMeta list (coordinates for centroid and normal).
+ * @param {Set<number>} aromaticBonds Aromatic bond indices.
+ * @returns {{rings: Object[], ringSystems: Object[]}}
+ */
+function describeRings(rings, atoms, aromaticBonds) {
+  const described = rings.map((ring, index) => ({
+    index,
+    atomIndices: ring.atoms,
+    bondIndices: ring.bonds,
+    size: ring.atoms.length,
+    aromatic: ring.bonds.every((b) => aromaticBonds.has(b)),
+    systemIndex: -1,
+    ...ringGeometry(ring.atoms, atoms),
+  }));
+  const ringSystems = [];
+  described.forEach((seed) => {
+    if (seed.systemIndex >= 0) return;
+    const system = { index: ringSystems.length, ringIndices: [], atomIndices: new Set(), bondIndices: new Set() };
+    Object.assign(seed, { systemIndex: system.index });
+    const stack = [seed];
+    while (stack.length) {
+      const ring = stack.pop();
+      system.ringIndices.push(ring.index);
+      ring.atomIndices.forEach((i) => system.atomIndices.add(i));
+      ring.bondIndices.forEach((i) => system.bondIndices.add(i));
+      described.forEach((other) => {
+        if (other.systemIndex < 0 && other.atomIndices.some((i) => ring.atomIndices.includes(i))) {
+          Object.assign(other, { systemIndex: system.index });
+          stack.push(other);
+        }
+      });
+    }
+    ringSystems.push({
+      index: system.index,
+      ringIndices: system.ringIndices.sort((p, q) => p - q),
+      atomIndices: [...system.atomIndices].sort((p, q) => p - q),
+      bondIndices: [...system.bondIndices].sort((p, q) => p - q),
+    });
+  });
+  return { rings: described, ringSystems };
+}
+
+// ── Aromaticity ──
+
+// Ring atoms that give a lone pair (2 π electrons) when they carry no double bond
+const PI_LONE_PAIR_DONORS = new Set(['N', 'P', 'AS', 'O', 'S', 'SE', 'TE']);
+// Exocyclic double bonds to these keep a ring carbon in the π system with 0 electrons (C=O in pyridones)
+const EXOCYCLIC_ACCEPTORS = new Set(['O', 'S', 'SE', 'N']);
+// Backtracking budget for kekulization
+const KEKULIZE_MAX_STEPS = 100000;
+
+/**
+ * Kekulé orders for aromatic (order 4) bonds: a perfect matching of double
+ * bonds over the aromatic atoms that need one (carbons, pyridine-type N and
+ * onium heteroatoms). Pyrrole-type N is told apart by its hydrogen count; an
+ * N with two connections and no count is first assumed pyridine-like and
+ * turned into a donor only when no assignment exists.
+ *
+ * @param {Array} atoms Parsed atoms.
+ * @param {Array} bonds Parsed bonds (1-based atom indices).
+ * @returns {number[]|null} Bond orders with every order 4 replaced by 1 or 2, or null when none fits.
+ */
+function kekulize(atoms, bonds) {
+  const orders = bonds.map((b) => b.order ?? 1);
+  const adj = atoms.map(() => []);
+  const connections = atoms.map((a) => a.hydrogenCount ?? 0);
+  const hasDouble = atoms.map(() => false);
+  bonds.forEach((b, i) => {
+    const u = b.beginAtomIdx - 1;
+    const v = b.endAtomIdx - 1;
+    if (!atoms[u] || !atoms[v] || u === v) return;
+    connections[u] += 1;
+    connections[v] += 1;
+    if (orders[i] === 4) {
+      adj[u].push({ atom: v, bond: i });
+      adj[v].push({ atom: u, bond: i });
+    } else if (orders[i] === 2) {
+      hasDouble[u] = true;
+      hasDouble[v] = true;
+    }
+  });
+  if (!adj.some((list) => list.length)) return orders;
+
+  const needs = atoms.map(() => false);
+  const uncertain = [];
+  atoms.forEach((atom, i) => {
+    if (!adj[i].length || hasDouble[i]) return;
+    const symbol = (atom.symbol || '').toUpperCase();
+    const charge = atom.charge ?? atom.formalCharge ?? 0;
+    if (symbol === 'C') needs[i] = charge === 0;
+    else if (symbol === 'N' || symbol === 'P' || symbol === 'AS') {
+      needs[i] = charge === 1 || (charge === 0 && connections[i] === 2);
+      if (charge === 0 && connections[i] === 2 && atom.hydrogenCount === undefined) uncertain.push(i);
+    } else if (PI_LONE_PAIR_DONORS.has(symbol)) needs[i] = charge === 1;
+  });
+
+  const match = () => {
+    const mate = atoms.map(() => -1);
+    const doubles = [];
+    const candidates = atoms.map((_, i) => i).filter((i) => needs[i]);
+    let steps = 0;
+    const solve = () => {
+      // Most constrained unmatched atom first
+      let best = -1;
+      let options = [];
+      const dead = candidates.some((i) => {
+        if (mate[i] >= 0) return false;
+        const open = adj[i].filter((e) => needs[e.atom] && mate[e.atom] < 0);
+        if (best < 0 || open.length < options.length) {
+          best = i;
+          options = open;
+        }
+        return open.length === 0;
+      });
+      if (dead) return false;
+      if (best < 0) return true;
+      return options.some((e) => {
+        steps += 1;
+        if (steps > KEKULIZE_MAX_STEPS) return false;
+        mate[best] = e.atom;
+        mate[e.atom] = best;
+        doubles.push(e.bond);
+        if (solve()) return true;
+        doubles.pop();
+        mate[best] = -1;
+        mate[e.atom] = -1;
+        return false;
+      });
+    };
+    return solve() ? doubles : null;
+  };
+
+  let doubles = match();
+  for (let k = 0; !doubles && k < uncertain.length; k += 1) {
+    needs[uncertain[k]] = false;
+    doubles = match();
+  }
+  if (!doubles) return null;
+  orders.forEach((order, i) => {
+    if (order === 4) orders[i] = 1;
+  });
+  doubles.forEach((i) => {
+    orders[i] = 2;
+  });
+  return orders;
+}
+
+/**
+ * Hückel aromaticity over SSSR rings (and the envelope of fused ring pairs,
+ * for azulene-like systems) of a Kekulé structure. Each ring atom gives 1 π
+ * electron for a double bond inside the ring system, 0 for an exocyclic C=O
+ * or a cation / boron, and 2 for a lone pair (N, O, S, … or a carbanion); any
+ * other atom breaks the ring. Rings with 4n + 2 electrons are aromatic.
+ *
+ * @param {Array} atoms Parsed atoms.
+ * @param {number[]} orders Kekulé bond orders (see `kekulize`).
+ * @param {Array} bonds Parsed bonds (1-based atom indices).
+ * @param {Array<{atoms: number[], bonds: number[]}>} rings Rings from `findRings`.
+ * @returns {{atoms: Set<number>, bonds: Set<number>}} Aromatic atom and bond indices.
+ */
+function perceiveAromaticity(atoms, orders, bonds, rings) {
+  const doublePartner = atoms.map(() => []);
+  bonds.forEach((b, i) => {
+    const u = b.beginAtomIdx - 1;
+    const v = b.endAtomIdx - 1;
+    if (!atoms[u] || !atoms[v] || orders[i] !== 2) return;
+    doublePartner[u].push({ atom: v, bond: i });
+    doublePartner[v].push({ atom: u, bond: i });
+  });
+  const ringBondSet = new Set(rings.flatMap((r) => r.bonds));
+
+  const piElectrons = (i, ringBonds) => {
+    const symbol = (atoms[i].symbol || '').toUpperCase();
+    const charge = atoms[i].charge ?? atoms[i].formalCharge ?? 0;
+    const partners = doublePartner[i];
+    if (partners.length > 1) return -1;
+    if (partners.length === 1) {
+      const [{ atom, bond }] = partners;
+      // Double bond inside this ring, or in a fused one
+      if (ringBonds.has(bond) || ringBondSet.has(bond)) return 1;
+      return symbol === 'C' && EXOCYCLIC_ACCEPTORS.has((atoms[atom].symbol || '').toUpperCase()) ? 0 : -1;
+    }
+    if (symbol === 'C') {
+      if (charge === -1) return 2;
+      return charge === 1 ? 0 : -1;
+    }
+    if (symbol === 'B') return charge === 0 ? 0 : -1;
+    if (PI_LONE_PAIR_DONORS.has(symbol)) return charge <= 0 ? 2 : -1;
+    return -1;
+  };
+  const isHuckel = (ringAtoms, ringBonds) => {
+    let total = 0;
+    const ok = ringAtoms.every((i) => {
+      const e = piElectrons(i, ringBonds);
+      total += e;
+      return e >= 0;
+    });
+    return ok && total % 4 === 2;
+  };
+
+  const aromaticAtoms = new Set();
+  const aromaticBonds = new Set();
+  const mark = (ring) => {
+    ring.atoms.forEach((i) => aromaticAtoms.add(i));
+    ring.bonds.forEach((i) => aromaticBonds.add(i));
+  };
+  const aromaticRing = rings.map((ring) => isHuckel(ring.atoms, new Set(ring.bonds)));
+  rings.forEach((ring, r) => {
+    if (aromaticRing[r]) mark(ring);
+  });
+  // Fused pairs whose rings fail on their own (azulene: 7 + 5 share a bond, 10 π over the envelope)
+  rings.forEach((p, r) => {
+    rings.forEach((q, s) => {
+      if (s <= r || (aromaticRing[r] && aromaticRing[s])) return;
+      const shared = p.bonds.filter((b) => q.bonds.includes(b));
+      if (!shared.length) return;
+      const envelopeBonds = new Set([...p.bonds, ...q.bonds].filter((b) => !shared.includes(b)));
+      const envelopeAtoms = [...new Set([...p.atoms, ...q.atoms])];
+      if (isHuckel(envelopeAtoms, envelopeBonds)) {
+        mark(p);
+        mark(q);
+      }
+    });
+  });
+  return { atoms: aromaticAtoms, bonds: aromaticBonds };
+}
+
+// ── CIP stereodescriptors ──
+
+// Digraph nodes explored per substituent comparison before a tie is declared
+const CIP_MAX_NODES = 5000;
+// Double bonds in smaller rings are necessarily cis and get no E/Z
+const CIP_MIN_STEREO_RING = 8;
+
+/**
+ * CIP priority comparator over the hierarchical digraph, explored sphere by
+ * sphere: rule 1a (atomic number, with duplicate atoms for multiple bonds and
+ * ring closures) and then rule 2 (mass number; unlabelled atoms rank below
+ * labelled ones). Branch roots are `{atom, path}` nodes from `cipRoot`;
+ * implicit hydrogens are nodes with `atom: -1`.
+ *
+ * @param {Array} atoms Parsed atoms.
+ * @param {Array} bonds Parsed bonds (1-based atom indices).
+ * @param {number[]} orders Kekulé bond orders (aromatic bonds resolved).
+ * @param {number[]} implicitHydrogens Implicit hydrogen count per atom.
+ * @returns {{compare: (a: Object, b: Object) => number, root: (atom: number, from: number) => Object}}
+ *   `compare` is positive when `a` outranks `b` and 0 for a tie.
+ */
+function cipRanking(atoms, bonds, orders, implicitHydrogens) {
+  const adj = atoms.map(() => []);
+  bonds.forEach((b, i) => {
+    const u = b.beginAtomIdx - 1;
+    const v = b.endAtomIdx - 1;
+    if (!atoms[u] || !atoms[v] || u === v || b.order === 0) return;
+    const order = orders[i] >= 1 && orders[i] <= 3 ? orders[i] : 1;
+    adj[u].push({ atom: v, order });
+    adj[v].push({ atom: u, order });
+  });
+  const symbolOf = (i) => (atoms[i].symbol || '').toUpperCase();
+  const keys = atoms.map((atom, i) => {
+    const symbol = symbolOf(i);
+    if (symbol === 'D' || symbol === 'T') return { z: 1, mass: symbol === 'D' ? 2 : 3 };
+    return { z: ATOMIC_NUMBERS[symbol] ?? 0, mass: atom.isotope ?? 0 };
+  });
+  const node = (atom, path, duplicate = false) => ({ atom, path, duplicate, ...keys[atom] });
+  const hydrogen = () => ({ atom: -1, z: 1, mass: 0, duplicate: true });
+
+  const children = (n) => {
+    if (n.duplicate) return [];
+    const parent = n.path[n.path.length - 2];
+    const out = [];
+    adj[n.atom].forEach(({ atom, order }) => {
+      if (atom !== parent) {
+        out.push(n.path.includes(atom) ? node(atom, null, true) : node(atom, [...n.path, atom]));
+      }
+      for (let k = 1; k < order; k += 1) out.push(node(atom, null, true));
+    });
+    for (let k = 0; k < (implicitHydrogens[n.atom] ?? 0); k += 1) out.push(hydrogen());
+    return out;
+  };
+
+  // Compare two spheres set by set, each set in decreasing order, padded with phantom atoms (0)
+  const compareSpheres = (sa, sb, key) => {
+    const sets = Math.max(sa.length, sb.length);
+    for (let s = 0; s < sets; s += 1) {
+      const ka = (sa[s] ?? []).map((n) => n[key]);
+      const kb = (sb[s] ?? []).map((n) => n[key]);
+      for (let k = 0; k < Math.max(ka.length, kb.length); k += 1) {
+        const diff = (ka[k] ?? 0) - (kb[k] ?? 0);
+        if (diff) return diff;
+      }
+    }
+    return 0;
+  };
+  const byKey = (key) => (p, q) => q[key] - p[key];
+  const expand = (sphere, key) => sphere.flatMap((set) => set.map((n) => children(n).sort(byKey(key))));
+  const compareBy = (a, b, key) => {
+    let sa = [[a]];
+    let sb = [[b]];
+    let visited = 0;
+    while (sa.length || sb.length) {
+      const diff = compareSpheres(sa, sb, key);
+      if (diff) return diff;
+      sa = expand(sa, key).filter((set) => set.length);
+      sb = expand(sb, key).filter((set) => set.length);
+      visited += sa.reduce((t, set) => t + set.length, 0) + sb.reduce((t, set) => t + set.length, 0);
+      if (visited > CIP_MAX_NODES) return 0;
+    }
+    return 0;
+  };
+  return {
+    compare: (a, b) => compareBy(a, b, 'z') || compareBy(a, b, 'mass'),
+    root: (atom, from) => (atom < 0 ? hydrogen() : node(atom, [from, atom])),
+  };
+}
+
+/**
+ * Substituent roots of `center` in decreasing CIP priority, or null when two
+ * of them tie.
+ */
+function rankSubstituents(ranking, roots) {
+  const sorted = [...roots].sort((p, q) => ranking.compare(q, p));
+  const tied = sorted.some((r, k) => k > 0 && ranking.compare(sorted[k - 1], r) === 0);
+  return tied ? null : sorted;
+}
+
+/**
+ * R/S for tetrahedral stereocentres and E/Z for double bonds. 3D records use
+ * their coordinates; flat (2D) records need a wedge or hash starting at the
+ * centre, and a wavy bond leaves it unassigned. An implicit hydrogen sits
+ * opposite the other substituents. Double bonds in rings smaller than
+ * eight, aromatic or crossed ones, and those of generated depictions
+ * without a recorded `cisTrans` get no E/Z.
+ *
+ * @param {Array} atoms Parsed atoms.
+ * @param {Array} bonds Parsed bonds (1-based atom indices).
+ * @param {Object} context
+ * @param {number[]} context.orders Kekulé bond orders.
+ * @param {number[]} context.implicitHydrogens Implicit hydrogen count per atom.
+ * @param {Array<{atoms: number[], bonds: number[]}>} context.rings Rings from `findRings`.
+ * @param {Set<number>} context.aromaticBonds Aromatic bond indices.
+ * @param {boolean} [context.generatedCoordinates=false] 2D layout was generated (SMILES): double bonds only from `cisTrans`.
+ * @returns {{atoms: Array<'R'|'S'|undefined>, bonds: Array<'E'|'Z'|undefined>}}
  */
-export function parseSDFAll(text, options = {}) {
-  const normalized = normalizeSDFText(text);
-  return normalized
-    .split(/\$\$\$\$\s*/)
-    .filter((s) => s && s.trim().length > 0)
-    .map((t) => parseSDF(t, options));
+function assignCIPDescriptors(atoms, bonds, context) {
+  const { orders, implicitHydrogens, rings, aromaticBonds, generatedCoordinates = false } = context;
+  const ranking = cipRanking(atoms, bonds, orders, implicitHydrogens);
+  const neighbors = atoms.map(() => []);
+  bonds.forEach((b, i) => {
+    const u = b.beginAtomIdx - 1;
+    const v = b.endAtomIdx - 1;
+    if (!atoms[u] || !atoms[v] || u === v || b.order === 0) return;
+    neighbors[u].push({ atom: v, bond: i });
+    neighbors[v].push({ atom: u, bond: i });
+  });
+  const flat = atoms.every((a) => Math.abs(a.z ?? 0) < 1e-4);
+  const wavyAt = (i) => neighbors[i].some(({ bond }) => bonds[bond].stereo === 4 && bonds[bond].order === 1);
+  const vectorTo = (from, to) => new THREE.Vector3(atoms[to].x - atoms[from].x, atoms[to].y - atoms[from].y, atoms[to].z - atoms[from].z);
+
+  const centreDescriptor = (c) => {
+    const explicit = neighbors[c];
+    const hydrogens = implicitHydrogens[c] ?? 0;
+    if (explicit.length + hydrogens !== 4 || hydrogens > 1 || wavyAt(c)) return undefined;
+    const wedgeZ = (bond) => {
+      const b = bonds[bond];
+      if (b.order !== 1 || b.beginAtomIdx - 1 !== c) return 0;
+      if (b.stereo === 1) return 1;
+      return b.stereo === 6 ? -1 : 0;
+    };
+    if (flat && explicit.every(({ bond }) => wedgeZ(bond) === 0)) return undefined;
+    // Substituent directions; in 2D a wedge lifts its neighbour out of the plane by 45°
+    const direction = new Map(explicit.map(({ atom, bond }) => {
+      const v = vectorTo(c, atom);
+      if (flat) v.setZ(0).normalize().setZ(wedgeZ(bond));
+      return [atom, v.normalize()];
+    }));
+    const sum = [...direction.values()].reduce((s, v) => s.add(v), new THREE.Vector3());
+    direction.set(-1, sum.lengthSq() > 1e-8 ? sum.negate().normalize() : new THREE.Vector3(0, 0, -1));
+    const roots = explicit.map(({ atom }) => ranking.root(atom, c));
+    if (hydrogens) roots.push(ranking.root(-1, c));
+    const ranked = rankSubstituents(ranking, roots);
+    if (!ranked) return undefined;
+    const [p1, p2, p3, p4] = ranked.map((r) => direction.get(r.atom));
+    // Lowest priority pointing away, 1 → 2 → 3 clockwise: SMILES '@' order (4, 1, 2, 3)
+    const volume = signedVolume(p4, p1, p2, p3);
+    if (Math.abs(volume) < 1e-6) return undefined;
+    return volume < 0 ? 'R' : 'S';
+  };
+
+  const doubleBondDescriptor = (bond, i) => {
+    if (orders[i] !== 2 || aromaticBonds.has(i) || bond.stereo === 3) return undefined;
+    if (rings.some((r) => r.atoms.length < CIP_MIN_STEREO_RING && r.bonds.includes(i))) return undefined;
+    const a = bond.beginAtomIdx - 1;
+    const b = bond.endAtomIdx - 1;
+    if (!atoms[a] || !atoms[b] || wavyAt(a) || wavyAt(b)) return undefined;
+    // Highest-ranked substituent on one end, or null when there is none or a tie
+    const top = (end, other) => {
+      const explicit = neighbors[end].filter((n) => n.atom !== other);
+      // Cumulated double bonds (allenes) are axial, not E/Z
+      if (explicit.some((n) => orders[n.bond] === 2)) return null;
+      const roots = explicit.map((n) => ranking.root(n.atom, end));
+      for (let k = 0; k < (implicitHydrogens[end] ?? 0); k += 1) roots.push(ranking.root(-1, end));
+      if (roots.length === 0 || roots.length > 2) return null;
+      const ranked = rankSubstituents(ranking, roots);
+      return ranked && ranked[0].atom >= 0 ? ranked[0].atom : null;
+    };
+    const ta = top(a, b);
+    const tb = top(b, a);
+    if (ta === null || tb === null) return undefined;
+    if (bond.cisTrans) {
+      const { beginNeighbor, endNeighbor, config } = bond.cisTrans;
+      const flips = (beginNeighbor - 1 === ta ? 0 : 1) + (endNeighbor - 1 === tb ? 0 : 1);
+      return (config === 'cis') === (flips % 2 === 0) ? 'Z' : 'E';
+    }
+    if (generatedCoordinates) return undefined;
+    const axis = vectorTo(a, b).normalize();
+    const side = (end, sub) => {
+      const v = vectorTo(end, sub);
+      return v.sub(axis.clone().multiplyScalar(v.dot(axis))).normalize();
+    };
+    const dot = side(a, ta).dot(side(b, tb));
+    if (Math.abs(dot) < 1e-3) return undefined;
+    return dot > 0 ? 'Z' : 'E';
+  };
+
+  return {
+    atoms: atoms.map((_, c) => centreDescriptor(c)),
+    bonds: bonds.map((bond, i) => doubleBondDescriptor(bond, i)),
+  };
 }
 
-function simpleParse(text) {
-  const lines = text.replace(/\r/g, '').split('\n');
-  const countsLineIndex = lines.findIndex((ln) =>
-    /^\s*-?\d+\s+-?\d+/.test(ln),
-  );
-  if (countsLineIndex < 0) return {};
-  // Prefer fixed-width V2000 columns (1–3 atoms, 4–6 bonds) before whitespace fallback
-  const rawCounts = lines[countsLineIndex] || '';
-  const countsLine = rawCounts.trimStart();
-  const atomsFW = Number(countsLine.slice(0, 3));
-  const bondsFW = Number(countsLine.slice(3, 6));
-  let natoms = atomsFW;
-  let nbonds = bondsFW;
-  const needsFallback =
-    !Number.isFinite(natoms) || !Number.isFinite(nbonds) || natoms <= 0 || nbonds < 0;
+// Target bond length (Å-like scene units) for generated 2D depictions
+const DEPICTION_BOND_LENGTH = 1.5;
 
-  if (needsFallback) {
-    const parts = countsLine.slice(0, 39).trim().split(/\s+/);
-    if (/^\d{6}$/.test(parts[0])) {
-      natoms = Number(parts[0].slice(0, 3));
-      nbonds = Number(parts[0].slice(3));
+/**
+ * Generate 2D depiction coordinates (z = 0) for a connection table in place.
+ * Rings are drawn as regular polygons (fused rings share an edge, spiro rings a
+ * vertex, bridges bulge outwards), chains as 120° zig-zags, sp centres straight,
+ * and disconnected fragments side by side.
+ *
+ * @param {Array} atoms Atom records (x/y/z are overwritten).
+ * @param {Array} bonds Bond records with 1-based `beginAtomIdx`/`endAtomIdx`.
+ * @param {number[][]} [rings] Ordered ring cycles as 0-based atom indices.
+ */
+function generateCoordinates2D(atoms, bonds, rings = []) {
+  const n = atoms.length;
+  const L = DEPICTION_BOND_LENGTH;
+  const adj = atoms.map(() => []);
+  bonds.forEach((b) => {
+    const a = b.beginAtomIdx - 1;
+    const c = b.endAtomIdx - 1;
+    if (adj[a] && adj[c] && a !== c) {
+      adj[a].push({ atom: c, bond: b });
+      adj[c].push({ atom: a, bond: b });
+    }
+  });
+  const pos = new Array(n).fill(null);
+  const turn = new Array(n).fill(1);
+
+  // Ring systems: rings sharing at least one atom
+  const ringsOfAtom = atoms.map(() => []);
+  rings.forEach((ring, r) => ring.forEach((i) => ringsOfAtom[i].push(r)));
+  const parent = rings.map((_, r) => r);
+  const root = (r) => {
+    let x = r;
+    while (parent[x] !== x) x = parent[x];
+    return x;
+  };
+  ringsOfAtom.forEach((rs) => rs.forEach((r) => { parent[root(r)] = root(rs[0]); }));
+
+  const sub = (p, q) => ({ x: p.x - q.x, y: p.y - q.y });
+  const unit = (v) => {
+    const len = Math.hypot(v.x, v.y);
+    return len > 1e-9 ? { x: v.x / len, y: v.y / len } : { x: 1, y: 0 };
+  };
+  const angleOf = (from, to) => Math.atan2(pos[to].y - pos[from].y, pos[to].x - pos[from].x);
+  const isSp = (u) => {
+    const orders = adj[u].map((e) => e.bond.order);
+    return orders.includes(3) || orders.filter((o) => o === 2).length >= 2;
+  };
+
+  const placePolygon = (ring, start, stepSign, center) => {
+    const size = ring.length;
+    const R = L / (2 * Math.sin(Math.PI / size));
+    const a0 = pos[ring[start]]
+      ? Math.atan2(pos[ring[start]].y - center.y, pos[ring[start]].x - center.x)
+      : Math.PI / 2;
+    for (let m = 0; m < size; m += 1) {
+      const atom = ring[(start + m) % size];
+      if (!pos[atom]) {
+        const t = a0 + (stepSign * m * 2 * Math.PI) / size;
+        pos[atom] = { x: center.x + R * Math.cos(t), y: center.y + R * Math.sin(t) };
+      }
+    }
+  };
+
+  // Lay out one ring given what is already placed; returns false if nothing to anchor on
+  const placeRing = (ring, systemAtoms) => {
+    const size = ring.length;
+    const R = L / (2 * Math.sin(Math.PI / size));
+    const placedIdx = ring.map((a, k) => (pos[a] ? k : -1)).filter((k) => k >= 0);
+    if (placedIdx.length === size) return true;
+    if (placedIdx.length === 0) return false;
+
+    if (placedIdx.length === 1) {
+      // Spiro / first ring of a system hanging off a chain atom
+      const k = placedIdx[0];
+      const a = ring[k];
+      const placedNbrs = adj[a].filter((e) => pos[e.atom]).map((e) => pos[e.atom]);
+      let away = { x: 1, y: 0 };
+      if (placedNbrs.length) {
+        const avg = placedNbrs.reduce((s, p) => ({ x: s.x + p.x, y: s.y + p.y }), { x: 0, y: 0 });
+        away = unit(sub(pos[a], { x: avg.x / placedNbrs.length, y: avg.y / placedNbrs.length }));
+      }
+      placePolygon(ring, k, 1, { x: pos[a].x + away.x * R, y: pos[a].y + away.y * R });
+      return true;
+    }
+
+    if (placedIdx.length === 2) {
+      const [i, j] = placedIdx;
+      const adjacent = j - i === 1 || (i === 0 && j === size - 1);
+      if (adjacent) {
+        // Fused ring: build the polygon on the far side of the shared edge
+        const [from, to] = j - i === 1 ? [i, j] : [j, i];
+        const a = pos[ring[from]];
+        const b = pos[ring[to]];
+        const mid = { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        let nrm = unit({ x: -(b.y - a.y), y: b.x - a.x });
+        const others = [ring[from], ring[to]]
+          .flatMap((x) => adj[x])
+          .filter((e) => pos[e.atom] && e.atom !== ring[from] && e.atom !== ring[to]);
+        if (others.length) {
+          const ref = others.reduce((s, e) => ({ x: s.x + pos[e.atom].x, y: s.y + pos[e.atom].y }), { x: 0, y: 0 });
+          const refDir = { x: ref.x / others.length - mid.x, y: ref.y / others.length - mid.y };
+          if (refDir.x * nrm.x + refDir.y * nrm.y > 0) nrm = { x: -nrm.x, y: -nrm.y };
+        }
+        const apothem = L / (2 * Math.tan(Math.PI / size));
+        const center = { x: mid.x + nrm.x * apothem, y: mid.y + nrm.y * apothem };
+        const ca = sub(a, center);
+        const cb = sub(b, center);
+        const stepSign = ca.x * cb.y - ca.y * cb.x >= 0 ? 1 : -1;
+        placePolygon(ring, from, stepSign, center);
+        return true;
+      }
+    }
+
+    // Bridged: lay each run of unplaced atoms on a circular arc whose length
+    // matches the run, bulging away from the already placed part of the system
+    const placed = systemAtoms.filter((a) => pos[a]);
+    const centroid = placed.reduce((c, a) => ({ x: c.x + pos[a].x / placed.length, y: c.y + pos[a].y / placed.length }), {
+      x: 0,
+      y: 0,
+    });
+    for (let k = 0; k < size; k += 1) {
+      if (pos[ring[k]] && !pos[ring[(k + 1) % size]]) {
+        const run = [];
+        let m = (k + 1) % size;
+        while (!pos[ring[m]]) {
+          run.push(ring[m]);
+          m = (m + 1) % size;
+        }
+        const p = pos[ring[k]];
+        const q = pos[ring[m]];
+        const chord = Math.hypot(q.x - p.x, q.y - p.y);
+        const arc = (run.length + 1) * L;
+        const mid = { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+        const along = chord > 1e-6 ? unit(sub(q, p)) : { x: 1, y: 0 };
+        let nrm = { x: -along.y, y: along.x };
+        if ((mid.x - centroid.x) * nrm.x + (mid.y - centroid.y) * nrm.y < 0) nrm = { x: -nrm.x, y: -nrm.y };
+        // Subtended angle θ with chord / arc = sin(θ/2) / (θ/2), by bisection
+        let lo = 1e-6;
+        let hi = 2 * Math.PI - 1e-6;
+        for (let it = 0; it < 50; it += 1) {
+          const th = (lo + hi) / 2;
+          if (Math.sin(th / 2) / (th / 2) > chord / arc) lo = th;
+          else hi = th;
+        }
+        const theta = chord >= arc ? 0 : (lo + hi) / 2;
+        run.forEach((atom, r) => {
+          const t = (r + 1) / (run.length + 1);
+          if (theta < 1e-3) {
+            pos[atom] = { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+            return;
+          }
+          const radius = arc / theta;
+          // Centre sits on the inner side of the chord; angles sweep p → q through the bulge
+          const h = radius * Math.cos(theta / 2);
+          const c = { x: mid.x - nrm.x * h, y: mid.y - nrm.y * h };
+          const a0 = Math.atan2(p.y - c.y, p.x - c.x);
+          const cross = (p.x - c.x) * nrm.y - (p.y - c.y) * nrm.x;
+          const dir = cross > 0 ? 1 : -1;
+          const ang = a0 + dir * theta * t;
+          pos[atom] = { x: c.x + radius * Math.cos(ang), y: c.y + radius * Math.sin(ang) };
+        });
+      }
+    }
+    return true;
+  };
+
+  const placedDuring = (fn) => {
+    const before = pos.map(Boolean);
+    fn();
+    return pos.map((p, i) => (p && !before[i] ? i : -1)).filter((i) => i >= 0);
+  };
+
+  const placeRingSystem = (seedAtom) => {
+    const system = root(ringsOfAtom[seedAtom][0]);
+    const pending = rings.map((_, r) => r).filter((r) => root(r) === system);
+    const systemAtoms = [...new Set(pending.flatMap((r) => rings[r]))];
+    if (!pos[seedAtom]) {
+      // Free-standing system: first ring centred at the origin
+      const first = pending.find((r) => rings[r].includes(seedAtom));
+      placePolygon(rings[first], rings[first].indexOf(seedAtom), 1, { x: 0, y: 0 });
+    }
+    while (pending.length) {
+      let best = -1;
+      let bestScore = -1;
+      pending.forEach((r, k) => {
+        const count = rings[r].filter((a) => pos[a]).length;
+        if (count > bestScore) {
+          best = k;
+          bestScore = count;
+        }
+      });
+      if (bestScore <= 0) break;
+      const [r] = pending.splice(best, 1);
+      placeRing(rings[r], systemAtoms);
+    }
+  };
+
+  // Place all unplaced neighbours of u; returns the newly placed atoms
+  const placeNeighbors = (u) => {
+    const todo = [...new Set(adj[u].filter((e) => !pos[e.atom]).map((e) => e.atom))];
+    if (!todo.length) return [];
+    const placedAngles = adj[u].filter((e) => pos[e.atom]).map((e) => angleOf(u, e.atom));
+    const angles = [];
+    const turns = [];
+    if (placedAngles.length === 0) {
+      todo.forEach((_, k) => {
+        angles.push(-Math.PI / 6 + (k * 2 * Math.PI) / todo.length);
+        turns.push(1);
+      });
+    } else if (placedAngles.length === 1 && todo.length <= 2) {
+      const straight = placedAngles[0] + Math.PI;
+      if (todo.length === 1) {
+        const s = isSp(u) ? 0 : turn[u];
+        angles.push(straight + (s * Math.PI) / 3);
+        turns.push(s === 0 ? turn[u] : -s);
+      } else {
+        angles.push(straight + Math.PI / 3, straight - Math.PI / 3);
+        turns.push(-1, 1);
+      }
     } else {
-      natoms = Number(parts[0]);
-      nbonds = Number(parts[1]);
+      const sorted = [...placedAngles].sort((x, y) => x - y);
+      let gapStart = sorted[sorted.length - 1];
+      let gap = sorted[0] + 2 * Math.PI - gapStart;
+      for (let k = 1; k < sorted.length; k += 1) {
+        if (sorted[k] - sorted[k - 1] > gap) {
+          gap = sorted[k] - sorted[k - 1];
+          gapStart = sorted[k - 1];
+        }
+      }
+      todo.forEach((_, k) => {
+        angles.push(gapStart + (gap * (k + 1)) / (todo.length + 1));
+        turns.push(1);
+      });
     }
-  }
-  if (!Number.isFinite(natoms) || !Number.isFinite(nbonds)) return {};
 
-  const atoms = [];
-  for (let i = 0; i < natoms; i += 1) {
-    const l = lines[countsLineIndex + 1 + i] || '';
-    const parts = l.trim().split(/\s+/);
-    let x = parseFloat(parts[0]);
-    let y = parseFloat(parts[1]);
-    let z = parseFloat(parts[2]);
-    let symbol = parts[3] ?? '';
-    // Fallback to fixed-width columns if whitespace split fails
-    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(z) || !symbol) {
-      const lx = l.length;
-      const sx = l.slice(0, Math.min(10, lx));
-      const sy = l.slice(10, Math.min(20, lx));
-      const sz = l.slice(20, Math.min(30, lx));
-      const ss = l.slice(31, Math.min(34, lx));
-      x = parseFloat(sx.trim());
-      y = parseFloat(sy.trim());
-      z = parseFloat(sz.trim());
-      symbol = ss.trim() || symbol;
+    const placedNow = [];
+    todo.forEach((v, k) => {
+      if (pos[v]) return;
+      pos[v] = { x: pos[u].x + L * Math.cos(angles[k]), y: pos[u].y + L * Math.sin(angles[k]) };
+      turn[v] = turns[k];
+      placedNow.push(v);
+      if (ringsOfAtom[v].length) placedNow.push(...placedDuring(() => placeRingSystem(v)));
+    });
+    return placedNow;
+  };
+
+  let cursorX = 0;
+  for (let start = 0; start < n; start += 1) {
+    if (!pos[start]) {
+      let component = [start];
+      if (ringsOfAtom[start].length) {
+        component = placedDuring(() => placeRingSystem(start));
+      } else {
+        pos[start] = { x: 0, y: 0 };
+      }
+      const seen = new Set(component);
+      const queue = [...component];
+      while (queue.length) {
+        placeNeighbors(queue.shift()).forEach((v) => {
+          if (!seen.has(v)) {
+            seen.add(v);
+            component.push(v);
+            queue.push(v);
+          }
+        });
+      }
+      // Shift the fragment to the right of the previous one, vertically centred
+      const xs = component.map((i) => pos[i].x);
+      const ys = component.map((i) => pos[i].y);
+      const dx = cursorX - Math.min(...xs);
+      const dy = -(Math.min(...ys) + Math.max(...ys)) / 2;
+      component.forEach((i) => {
+        pos[i] = { x: pos[i].x + dx, y: pos[i].y + dy };
+      });
+      cursorX = Math.max(...component.map((i) => pos[i].x)) + 2 * L;
     }
-    atoms.push({ x, y, z, symbol });
   }
 
-  const bonds = [];
-  for (let i = 0; i < nbonds; i += 1) {
-    const l = lines[countsLineIndex + 1 + natoms + i] || '';
-    bonds.push(parseV2000BondLine(l, natoms));
+  atoms.forEach((atom, i) => {
+    Object.assign(atom, { x: pos[i].x, y: pos[i].y, z: 0 });
+  });
+}
+
+const SMILES_BOND_ORDERS = { '-': 1, '=': 2, '#': 3, $: 3, ':': 4, '/': 1, '\\': 1 };
+
+function parseSMILESBracket(body, position) {
+  const m = /^(\d+)?([A-Z][a-z]?|[a-z][a-z]?|\*)(@@|@(?:TH[12]|AL[12]|SP[123]|TB\d{1,2}|OH\d{1,2})?)?(H\d*)?([+-]\d+|\++|-+)?(?::(\d+))?$/.exec(
+    body,
+  );
+  if (!m) throw new Error(`Invalid SMILES bracket atom [${body}] at position ${position}`);
+  const [, iso, rawSym, chirality, hs, chg, cls] = m;
+  let sym = rawSym;
+  // Two-letter lowercase only for real aromatic symbols ("se", "as", "te")
+  if (/^[a-z]{2}$/.test(sym) && !['se', 'as', 'te'].includes(sym)) {
+    throw new Error(`Invalid SMILES bracket atom [${body}] at position ${position}`);
   }
+  const aromatic = /^[a-z]/.test(sym);
+  if (aromatic) sym = sym[0].toUpperCase() + sym.slice(1);
+  const atom = { x: 0, y: 0, z: 0, symbol: sym === '*' ? '*' : sym };
+  if (aromatic) atom.aromatic = true;
+  if (iso) atom.isotope = Number(iso);
+  if (chirality) atom.chirality = chirality;
+  atom.hydrogenCount = hs ? Number(hs.slice(1) || 1) : 0;
+  if (chg) {
+    if (/^[+-]\d+$/.test(chg)) atom.charge = Number(chg);
+    else atom.charge = chg.length * (chg[0] === '+' ? 1 : -1);
+  }
+  if (cls) atom.mapNumber = Number(cls);
+  return atom;
+}
 
-  const props = {};
-  let mEndIndex = lines.findIndex(
-    (ln, idx) => idx >= countsLineIndex && ln.startsWith('M  END'),
+// Signed volume of the tetrahedron (p1-p0, p2-p0, p3-p0); negative ↔ SMILES '@'
+function signedVolume(p0, p1, p2, p3) {
+  const a = [p1.x - p0.x, p1.y - p0.y, p1.z - p0.z];
+  const b = [p2.x - p0.x, p2.y - p0.y, p2.z - p0.z];
+  const c = [p3.x - p0.x, p3.y - p0.y, p3.z - p0.z];
+  return (
+    a[0] * (b[1] * c[2] - b[2] * c[1]) -
+    a[1] * (b[0] * c[2] - b[2] * c[0]) +
+    a[2] * (b[0] * c[1] - b[1] * c[0])
   );
-  if (mEndIndex < 0) mEndIndex = countsLineIndex + 1 + natoms + nbonds;
-  for (let i = mEndIndex + 1; i < lines.length; i += 1) {
-    const ln = lines[i];
-    if (ln.startsWith('>')) {
-      const match = ln.match(/<([^>]+)>/);
-      if (match) {
-        const key = match[1];
-        const val = (lines[i + 1] || '').trim();
-        props[key] = val;
+}
+
+/**
+ * Parse a SMILES string into a molecule record shaped like `parseSDF` output
+ * (1-based bond indices, aromatic bonds as order 4) with generated 2D
+ * coordinates. Tetrahedral `@`/`@@` centres get a wedge (`stereo` 1/6) that
+ * reproduces the configuration; `/` and `\` set `cisTrans` on double bonds and
+ * the layout places substituents accordingly.
+ *
+ * @param {string} smiles SMILES string (anything after the first whitespace is the title).
+ * @returns {Object} Parsed molecule `{ atoms, bonds, properties, smiles, title }`.
+ */
+export function parseSMILES(smiles) {
+  const input = String(smiles ?? '').trim();
+  const [str, ...titleParts] = input.split(/\s+/);
+  const atoms = [];
+  const bonds = [];
+  const neighborOrder = []; // per atom: neighbour atoms in SMILES order (-1 implicit H, 'r<n>' pending ring)
+  const hasFromAtom = [];
+  const open = new Map();
+  const branches = [];
+  let prev = null;
+  let pendingBond = null;
+  // Implicit bonds between aromatic atoms; only those in a ring stay aromatic
+  const implicitAromatic = new Set();
+
+  const addBond = (a, b, symbol) => {
+    let order = SMILES_BOND_ORDERS[symbol];
+    if (order === undefined) order = atoms[a].aromatic && atoms[b].aromatic ? 4 : 1;
+    const bond = { beginAtomIdx: a + 1, endAtomIdx: b + 1, order };
+    if (symbol === '/' || symbol === '\\') bond.direction = symbol;
+    if (order === 4 && SMILES_BOND_ORDERS[symbol] === undefined) implicitAromatic.add(bonds.length);
+    bonds.push(bond);
+    return bond;
+  };
+  const addAtom = (atom) => {
+    atoms.push(atom);
+    const idx = atoms.length - 1;
+    neighborOrder.push([]);
+    hasFromAtom.push(prev !== null);
+    if (prev !== null) {
+      addBond(prev, idx, pendingBond);
+      neighborOrder[prev].push(idx);
+      neighborOrder[idx].push(prev);
+    }
+    if (atom.hydrogenCount) neighborOrder[idx].push(-1);
+    pendingBond = null;
+    prev = idx;
+  };
+
+  let i = 0;
+  while (i < (str || '').length) {
+    const ch = str[i];
+    const two = str.slice(i, i + 2);
+    if (ch === '[') {
+      const close = str.indexOf(']', i);
+      if (close < 0) throw new Error(`Unclosed SMILES bracket atom at position ${i}`);
+      addAtom(parseSMILESBracket(str.slice(i + 1, close), i));
+      i = close + 1;
+    } else if (two === 'Cl' || two === 'Br') {
+      addAtom({ x: 0, y: 0, z: 0, symbol: two });
+      i += 2;
+    } else if (/[BCNOPSFI*]/.test(ch)) {
+      addAtom({ x: 0, y: 0, z: 0, symbol: ch });
+      i += 1;
+    } else if (/[bcnops]/.test(ch)) {
+      addAtom({ x: 0, y: 0, z: 0, symbol: ch.toUpperCase(), aromatic: true });
+      i += 1;
+    } else if (SMILES_BOND_ORDERS[ch] !== undefined) {
+      pendingBond = ch;
+      i += 1;
+    } else if (ch === '(') {
+      branches.push(prev);
+      i += 1;
+    } else if (ch === ')') {
+      if (!branches.length) throw new Error(`Unbalanced ")" in SMILES at position ${i}`);
+      prev = branches.pop();
+      i += 1;
+    } else if (ch === '.') {
+      prev = null;
+      i += 1;
+    } else if (/\d|%/.test(ch)) {
+      let num;
+      if (ch === '%') {
+        num = str.slice(i + 1, i + 3);
+        i += 3;
+      } else {
+        num = ch;
         i += 1;
       }
+      if (prev === null) throw new Error(`Ring closure ${num} without an atom in SMILES`);
+      if (open.has(num)) {
+        const { atom, symbol } = open.get(num);
+        open.delete(num);
+        // Directional bonds are read relative to the atom the symbol follows
+        if (pendingBond) addBond(prev, atom, pendingBond);
+        else addBond(atom, prev, symbol);
+        const slot = neighborOrder[atom].indexOf(`r${num}`);
+        if (slot >= 0) neighborOrder[atom][slot] = prev;
+        neighborOrder[prev].push(atom);
+      } else {
+        open.set(num, { atom: prev, symbol: pendingBond });
+        neighborOrder[prev].push(`r${num}`);
+      }
+      pendingBond = null;
+    } else {
+      throw new Error(`Unexpected character "${ch}" in SMILES at position ${i}`);
     }
   }
+  if (branches.length) throw new Error('Unbalanced "(" in SMILES');
+  if (open.size) throw new Error(`Unclosed SMILES ring bond(s): ${[...open.keys()].join(', ')}`);
+
+  const adj = atoms.map(() => []);
+  bonds.forEach((b) => {
+    adj[b.beginAtomIdx - 1].push({ atom: b.endAtomIdx - 1, bond: b });
+    adj[b.endAtomIdx - 1].push({ atom: b.beginAtomIdx - 1, bond: b });
+  });
+  const rings = findRings(atoms.length, bonds);
+  // The link between two aromatic rings (biphenyl) is a single bond
+  const ringBonds = new Set(rings.flatMap((ring) => ring.bonds));
+  implicitAromatic.forEach((k) => {
+    if (!ringBonds.has(k)) Object.assign(bonds[k], { order: 1 });
+  });
+  generateCoordinates2D(
+    atoms,
+    bonds,
+    rings.map((ring) => ring.atoms),
+  );
+  applySMILESCisTrans(atoms, bonds, adj);
+  applySMILESChirality(atoms, adj, neighborOrder, hasFromAtom);
+
+  return {
+    atoms,
+    bonds,
+    properties: {},
+    smiles: str || '',
+    title: titleParts.join(' ') || undefined,
+  };
+}
+
+// Which side (+1 above / -1 below) a directional-bond neighbour sits on, seen from `atom`
+function smilesBondSide(bond, atom) {
+  const up = bond.direction === '/' ? 1 : -1;
+  return bond.beginAtomIdx - 1 === atom ? up : -up;
+}
+
+function applySMILESCisTrans(atoms, bonds, adj) {
+  bonds.forEach((db) => {
+    if (db.order !== 2) return;
+    const a = db.beginAtomIdx - 1;
+    const b = db.endAtomIdx - 1;
+    const ref = (self, other) => adj[self].find((e) => e.atom !== other && e.bond.direction);
+    const ra = ref(a, b);
+    const rb = ref(b, a);
+    if (!ra || !rb) return;
+    const config = smilesBondSide(ra.bond, a) === smilesBondSide(rb.bond, b) ? 'cis' : 'trans';
+    Object.assign(db, { cisTrans: { beginNeighbor: ra.atom + 1, endNeighbor: rb.atom + 1, config } });
+
+    // Reflect b's side across the double bond axis when the layout disagrees
+    const side = (p) => Math.sign((atoms[b].x - atoms[a].x) * (p.y - atoms[a].y) - (atoms[b].y - atoms[a].y) * (p.x - atoms[a].x));
+    const sameSide = side(atoms[ra.atom]) === side(atoms[rb.atom]);
+    if (sameSide === (config === 'cis')) return;
+    const subtree = new Set([b]);
+    const stack = [b];
+    while (stack.length) {
+      const u = stack.pop();
+      adj[u].forEach(({ atom }) => {
+        if (u === b && atom === a) return;
+        if (!subtree.has(atom)) {
+          subtree.add(atom);
+          stack.push(atom);
+        }
+      });
+    }
+    if (subtree.has(a)) return; // double bond in a ring: leave the ring geometry alone
+    const ax = atoms[a].x;
+    const ay = atoms[a].y;
+    const d = unitVector2D(atoms[b].x - ax, atoms[b].y - ay);
+    subtree.forEach((k) => {
+      if (k === b) return;
+      const px = atoms[k].x - ax;
+      const py = atoms[k].y - ay;
+      const along = px * d.x + py * d.y;
+      Object.assign(atoms[k], { x: ax + 2 * along * d.x - px, y: ay + 2 * along * d.y - py });
+    });
+  });
+}
+
+function unitVector2D(x, y) {
+  const len = Math.hypot(x, y) || 1;
+  return { x: x / len, y: y / len };
+}
 
-  return { atoms, bonds, properties: props };
+function applySMILESChirality(atoms, adj, neighborOrder, hasFromAtom) {
+  const wedged = new Set();
+  atoms.forEach((atom, c) => {
+    if (atom.chirality !== '@' && atom.chirality !== '@@') return;
+    const order = neighborOrder[c];
+    if (order.length < 3 || order.length > 4) return;
+    const center = { x: atom.x, y: atom.y, z: 0 };
+    const explicit = order.filter((k) => typeof k === 'number' && k >= 0);
+    // Implicit H / lone pair: in-plane, opposite the explicit neighbours
+    const sum = explicit.reduce(
+      (s, k) => {
+        const d = unitVector2D(atoms[k].x - center.x, atoms[k].y - center.y);
+        return { x: s.x + d.x, y: s.y + d.y };
+      },
+      { x: 0, y: 0 },
+    );
+    const away = Math.hypot(sum.x, sum.y) > 1e-6 ? unitVector2D(-sum.x, -sum.y) : { x: 0, y: 1 };
+    const implicitPos = { x: center.x + away.x, y: center.y + away.y, z: 0 };
+    // A lone pair (e.g. [S@]) takes the place an implicit H would have been written
+    const slots = [...order];
+    if (slots.length === 3) slots.splice(hasFromAtom[c] ? 1 : 0, 0, -1);
+
+    // Prefer wedging a terminal, acyclic, not-yet-wedged single bond that starts here
+    const candidates = adj[c]
+      .filter((e) => e.bond.order === 1 && !wedged.has(e.bond) && !e.bond.stereo)
+      .sort((p, q) => adj[p.atom].length - adj[q.atom].length);
+    const pick = candidates[0];
+    if (!pick) return;
+    const points = slots.map((k) => {
+      if (k === -1) return implicitPos;
+      return { x: atoms[k].x, y: atoms[k].y, z: k === pick.atom ? 1 : 0 };
+    });
+    const vol = signedVolume(points[0], points[1], points[2], points[3]);
+    const wantNegative = atom.chirality === '@';
+    const up = vol < 0 === wantNegative;
+    const { bond } = pick;
+    if (bond.beginAtomIdx - 1 !== c) {
+      Object.assign(bond, { beginAtomIdx: c + 1, endAtomIdx: pick.atom + 1 });
+    }
+    bond.stereo = up ? 1 : 6;
+    wedged.add(bond);
+  });
 }
 
 /**
- * Parse V3000 format SDF files (minimal implementation).
- * Handles basic atom and bond blocks with M V30 format.
+ * Convert a SMILES string into a THREE.Group with a generated 2D depiction,
+ * mirroring `loadSDF` (same options, meshes and `userData.loadResult`).
  *
- * @param {string} text V3000 SDF content.
- * @returns {Object} Parsed molecule with atoms, bonds, and properties.
+ * @param {string} smiles SMILES string.
+ * @param {Object} [options] Loader options (see `loadSDF`); `layout` defaults to `'2d'`.
+ * @returns {THREE.Group}
  */
-function parseV3000(text) {
-  const atoms = [];
-  const bonds = [];
-  let inAtoms = false;
-  let inBonds = false;
-  const pendingCharges = [];
+export function loadSMILES(smiles, options = {}) {
+  const { onProgress } = options;
+  if (typeof onProgress === 'function') onProgress('parse:start', 0);
+  const mol = parseSMILES(smiles);
+  return buildMoleculeGroup(
+    mol,
+    { title: mol.title ?? (mol.smiles || undefined), format: 'smiles' },
+    { layout: '2d', ...options },
+  );
+}
 
-  text.split('\n').forEach((ln) => {
-    if (ln.includes('BEGIN ATOM')) {
-      inAtoms = true;
-      return;
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXMLEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      return Number.isFinite(code) ? String.fromCodePoint(code) : m;
     }
-    if (ln.includes('END ATOM')) {
-      inAtoms = false;
-      return;
+    return XML_ENTITIES[ent] ?? m;
+  });
+}
+
+/**
+ * Minimal XML reader for CML: elements (namespace prefixes dropped), attributes
+ * and text content. Comments, processing instructions and DOCTYPE are skipped.
+ *
+ * @param {string} text XML document.
+ * @returns {{name: string, attrs: Object, children: Array, text: string}} Synthetic root node.
+ */
+function parseXMLTree(text) {
+  const root = { name: '#document', attrs: {}, children: [], text: '' };
+  const stack = [root];
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<[?!][\s\S]*?>|<(\/?)([\w.:-]+)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+  let m = re.exec(text);
+  while (m) {
+    const top = stack[stack.length - 1];
+    const [, cdata, closing, rawName, rawAttrs, selfClosing, chars] = m;
+    if (cdata !== undefined) top.text += cdata;
+    else if (chars !== undefined) top.text += decodeXMLEntities(chars);
+    else if (rawName) {
+      const name = rawName.replace(/^.*:/, '');
+      if (closing) {
+        // Tolerate mismatched close tags by unwinding to the matching element
+        const at = stack.map((n) => n.name).lastIndexOf(name);
+        if (at > 0) stack.length = at;
+      } else {
+        const attrs = {};
+        const attrRe = /([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        let a = attrRe.exec(rawAttrs);
+        while (a) {
+          attrs[a[1].replace(/^.*:/, '')] = decodeXMLEntities(a[2] ?? a[3]);
+          a = attrRe.exec(rawAttrs);
+        }
+        const node = { name, attrs, children: [], text: '' };
+        top.children.push(node);
+        if (!selfClosing) stack.push(node);
+      }
     }
-    if (ln.includes('BEGIN BOND')) {
-      inBonds = true;
-      return;
+    m = re.exec(text);
+  }
+  return root;
+}
+
+function findXMLNodes(node, name, { deep = true } = {}) {
+  const out = [];
+  node.children.forEach((child) => {
+    if (child.name === name) out.push(child);
+    else if (deep) out.push(...findXMLNodes(child, name));
+  });
+  return out;
+}
+
+// CML bond orders → molfile-style orders (aromatic 4)
+const CML_BOND_ORDERS = { 1: 1, 2: 2, 3: 3, S: 1, D: 2, T: 3, A: 4, 4: 4, 0: 0, partial01: 0 };
+
+// Expand CML array-form (`atomID="a1 a2" elementType="C O"`) into per-atom attribute maps
+function cmlArrayRows(arrayNode, childName, idKey) {
+  const rows = findXMLNodes(arrayNode, childName, { deep: false }).map((n) => ({
+    ...n.attrs,
+    children: n.children,
+  }));
+  if (rows.length || !arrayNode.attrs[idKey]) return rows;
+  const columns = Object.fromEntries(Object.entries(arrayNode.attrs).map(([k, v]) => [k, v.trim().split(/\s+/)]));
+  return columns[idKey].map((_, i) =>
+    Object.fromEntries(Object.entries(columns).map(([k, v]) => [k, v[i]])),
+  );
+}
+
+function parseCMLMolecule(node) {
+  const atomArray = findXMLNodes(node, 'atomArray')[0];
+  const bondArray = findXMLNodes(node, 'bondArray')[0];
+  const atomRows = atomArray ? cmlArrayRows(atomArray, 'atom', 'atomID') : [];
+  const has3D = atomRows.length > 0 && atomRows.every((r) => r.x3 !== undefined && r.y3 !== undefined);
+  const has2D = atomRows.length > 0 && atomRows.every((r) => r.x2 !== undefined && r.y2 !== undefined);
+  const num = (v) => (v === undefined || v === '' ? undefined : Number(v));
+
+  const idToIndex = new Map();
+  const atoms = atomRows.map((r, i) => {
+    const id = r.id ?? r.atomID;
+    if (id !== undefined) idToIndex.set(id, i + 1);
+    const atom = {
+      x: has3D ? num(r.x3) : num(r.x2) ?? 0,
+      y: has3D ? num(r.y3) : num(r.y2) ?? 0,
+      z: has3D ? num(r.z3) ?? 0 : 0,
+      symbol: r.elementType === 'R' ? 'R' : capitalizeElement(r.elementType || '*'),
+    };
+    if (id !== undefined) atom.atomName = id;
+    const charge = num(r.formalCharge);
+    if (charge) atom.charge = charge;
+    const hCount = num(r.hydrogenCount);
+    if (hCount !== undefined) atom.hydrogenCount = hCount;
+    const isotope = num(r.isotopeNumber ?? r.isotope);
+    if (isotope) atom.isotope = isotope;
+    // spinMultiplicity 2 (doublet) / 3 (triplet) line up with molfile RAD codes
+    const spin = num(r.spinMultiplicity);
+    if (spin === 2 || spin === 3) atom.radical = spin;
+    return atom;
+  });
+
+  const bondRows = bondArray ? cmlArrayRows(bondArray, 'bond', 'atomRef1') : [];
+  const bonds = [];
+  bondRows.forEach((r) => {
+    const refs = r.atomRefs2 ? r.atomRefs2.trim().split(/\s+/) : [r.atomRef1, r.atomRef2];
+    const begin = idToIndex.get(refs[0]);
+    const end = idToIndex.get(refs[1]);
+    if (!begin || !end) return;
+    const orderKey = String(r.order ?? '1').trim();
+    const order = CML_BOND_ORDERS[orderKey.toUpperCase()] ?? CML_BOND_ORDERS[orderKey] ?? 1;
+    const bond = { beginAtomIdx: begin, endAtomIdx: end, order };
+    const stereoNode = (r.children || []).find((c) => c.name === 'bondStereo');
+    const stereo = stereoNode?.text.trim() || r.bondStereo;
+    if (stereo === 'W') bond.stereo = 1;
+    else if (stereo === 'H') bond.stereo = 6;
+    bonds.push(bond);
+  });
+
+  const properties = {};
+  findXMLNodes(node, 'scalar').forEach((s) => {
+    const key = s.attrs.title || s.attrs.dictRef;
+    if (key) properties[key] = s.text.trim();
+  });
+  findXMLNodes(node, 'property').forEach((p) => {
+    const scalar = findXMLNodes(p, 'scalar')[0];
+    const key = p.attrs.title || p.attrs.dictRef;
+    if (key && scalar) properties[key] = scalar.text.trim();
+  });
+
+  if (!has3D && !has2D && atoms.length) {
+    // No coordinates at all: generate a 2D depiction like SMILES input
+    generateCoordinates2D(atoms, bonds, findRings(atoms.length, bonds).map((ring) => ring.atoms));
+  }
+  const nameNode = findXMLNodes(node, 'name', { deep: false })[0];
+  return {
+    atoms,
+    bonds,
+    properties,
+    id: node.attrs.id,
+    title: node.attrs.title || nameNode?.text.trim() || node.attrs.id || undefined,
+    coordinates: has3D ? '3d' : '2d',
+  };
+}
+
+/**
+ * Parse Chemical Markup Language into a molecule record shaped like `parseSDF`
+ * output. Reads `atomArray`/`bondArray` in element or array form; `x3/y3/z3`
+ * take precedence over `x2/y2` (`coordinates` reports which were used) and CML
+ * bond order `A` becomes order 4. `<bondStereo>` W/H map to wedge/hash.
+ *
+ * @param {string} text CML document (may hold several molecules).
+ * @param {Object} [options]
+ * @param {number} [options.index=0] Which top-level molecule to return.
+ * @returns {Object} Parsed molecule `{ atoms, bonds, properties, title, coordinates }`.
+ */
+export function parseCML(text, options = {}) {
+  const root = parseXMLTree(String(text ?? ''));
+  // Top-level molecules only; nested <molecule> children belong to their parent
+  const molecules = [];
+  const collect = (node) =>
+    node.children.forEach((child) => {
+      if (child.name === 'molecule') molecules.push(child);
+      else collect(child);
+    });
+  collect(root);
+  if (!molecules.length) return { atoms: [], bonds: [], properties: {} };
+  const index = Math.max(0, Math.min(options.index || 0, molecules.length - 1));
+  return parseCMLMolecule(molecules[index]);
+}
+
+/**
+ * Convert CML into a THREE.Group, mirroring `loadSDF`. Unless `layout` is
+ * given, the group is laid out 3D when the file has `x3/y3/z3` and 2D otherwise.
+ *
+ * @param {string} text CML contents.
+ * @param {Object} [options] Loader options (see `loadSDF`) plus `index`.
+ * @returns {THREE.Group}
+ */
+export function loadCML(text, options = {}) {
+  const { onProgress } = options;
+  if (typeof onProgress === 'function') onProgress('parse:start', 0);
+  const mol = parseCML(text, options);
+  return buildMoleculeGroup(
+    mol,
+    { title: mol.title, format: 'cml' },
+    { layout: mol.coordinates === '3d' ? '3d' : '2d', ...options },
+  );
+}
+
+/**
+ * Bucket atoms into a uniform grid so neighbour queries only visit the 27
+ * surrounding cells. Returns a lookup of candidate atom indices near a point.
+ *
+ * @param {Array} atoms Atom list with x/y/z.
+ * @param {number} cellSize Cell edge (Å); should be ≥ the largest query distance.
+ * @returns {(x: number, y: number, z: number) => number[]} Neighbour lookup.
+ */
+function buildNeighborGrid(atoms, cellSize) {
+  const cellKey = (x, y, z) =>
+    `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)},${Math.floor(
+      z / cellSize,
+    )}`;
+  const grid = new Map();
+  atoms.forEach((a, i) => {
+    const key = cellKey(a.x, a.y, a.z);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(i);
+  });
+
+  return (x, y, z) => {
+    const cx = Math.floor(x / cellSize);
+    const cy = Math.floor(y / cellSize);
+    const cz = Math.floor(z / cellSize);
+    const out = [];
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dy = -1; dy <= 1; dy += 1) {
+        for (let dz = -1; dz <= 1; dz += 1) {
+          const key = `${cx + dx},${cy + dy},${cz + dz}`;
+          const bucket = grid.get(key);
+          if (bucket) out.push(...bucket);
+        }
+      }
     }
-    if (ln.includes('END BOND')) {
-      inBonds = false;
-      return;
+    return out;
+  };
+}
+
+// ── Implicit hydrogens ──
+
+// Main-group column of the elements the valence model covers
+const VALENCE_GROUPS = {
+  B: 13, C: 14, SI: 14, GE: 14, N: 15, P: 15, AS: 15, O: 16, S: 16, SE: 16, TE: 16, F: 17, CL: 17, BR: 17, I: 17,
+};
+const GROUP_VALENCES = { 13: [3], 14: [4], 15: [3, 5], 16: [2, 4, 6], 17: [1, 3, 5, 7] };
+// Second-row elements have no expanded octet
+const PERIOD_2_ELEMENTS = new Set(['B', 'C', 'N', 'O', 'F']);
+// X–H bond lengths (Å) for placed hydrogens; other elements use 1.0
+const X_H_BOND_LENGTHS = { B: 1.19, C: 1.09, N: 1.01, O: 0.96, SI: 1.48, P: 1.42, S: 1.34, SE: 1.46 };
+const TETRAHEDRAL_ANGLE = Math.acos(-1 / 3);
+
+// Valence contributed by a raw bond order: aromatic 1.5, coordination 0, query bonds 1
+const bondValence = (order) => {
+  if (order === 4) return 1.5;
+  if (order === 0) return 0;
+  return order >= 1 && order <= 3 ? order : 1;
+};
+
+/**
+ * Implicit hydrogen count per atom. A fixed hydrogen count (SMILES brackets,
+ * CML) or an explicit valence (`vvv`, `VAL=`) wins; otherwise the lowest
+ * default valence of the element that fits the bonds is filled, with the
+ * charge shifting the element to its isoelectronic column (N⁺ like C, O⁻ like
+ * F) and radicals taking one (doublet) or two electrons. The V2000 `hhh` /
+ * V3000 `HCOUNT` query minimum raises the count where it asks for more.
+ * Metals, query atoms and hydrogen itself get 0. Atoms on a bond perceived
+ * from distances (`inferredCovalent`, order unknown) get `undefined`.
+ *
+ * @param {Array} atoms Parsed atoms.
+ * @param {Array} bonds Parsed bonds (1-based atom indices).
+ * @returns {Array<number|undefined>} Count per atom.
+ */
+function computeImplicitHydrogens(atoms, bonds) {
+  const used = new Array(atoms.length).fill(0);
+  const explicitH = new Array(atoms.length).fill(0);
+  const unknownOrder = new Array(atoms.length).fill(false);
+  bonds.forEach((bond) => {
+    const a = (bond.beginAtomIdx ?? bond.a ?? 1) - 1;
+    const b = (bond.endAtomIdx ?? bond.b ?? 1) - 1;
+    if (!atoms[a] || !atoms[b]) return;
+    if (bond.source === 'inferredCovalent') {
+      unknownOrder[a] = true;
+      unknownOrder[b] = true;
     }
+    const v = bondValence(bond.order ?? 1);
+    used[a] += v;
+    used[b] += v;
+    if ((atoms[b].symbol || '').toUpperCase() === 'H') explicitH[a] += 1;
+    if ((atoms[a].symbol || '').toUpperCase() === 'H') explicitH[b] += 1;
+  });
+  const valenceCount = (atom, i) => {
+    if (atom.hydrogenCount !== undefined) return Math.max(0, atom.hydrogenCount - explicitH[i]);
+    const symbol = (atom.symbol || '').toUpperCase();
+    const group = VALENCE_GROUPS[symbol];
+    if (!group || atom.atomList) return 0;
+    const bonded = Math.floor(used[i] + 1e-6);
+    if (atom.valence !== undefined) return Math.max(0, atom.valence - bonded);
+    const charge = atom.charge ?? atom.formalCharge ?? 0;
+    const allowed = GROUP_VALENCES[group - charge];
+    if (!allowed) return 0;
+    let radicalElectrons = 0;
+    if (atom.radical === 2) radicalElectrons = 1;
+    else if (atom.radical === 1 || atom.radical === 3) radicalElectrons = 2;
+    const valences = PERIOD_2_ELEMENTS.has(symbol) ? allowed.slice(0, 1) : allowed;
+    const target = valences.map((v) => v - radicalElectrons).find((v) => v >= bonded);
+    return target === undefined ? 0 : target - bonded;
+  };
+  return atoms.map((atom, i) => {
+    // Distance-perceived bonds are single by default, not by chemistry: no count to give
+    if (unknownOrder[i] && atom.hydrogenCount === undefined) return undefined;
+    return Math.max(valenceCount(atom, i), (atom.query?.minHydrogenCount ?? 0) - explicitH[i]);
+  });
+}
 
-    if (inAtoms && ln.startsWith('M  V30')) {
-      // M  V30  idx  el  x  y  z ...
-      const parts = ln.trim().split(/\s+/);
-      if (parts.length >= 7) {
-        const [, , , symbol, x, y, z, ...rest] = parts;
-        const atom = { x: +x, y: +y, z: +z, symbol };
-        // Look for CHG= in rest tokens
-        rest.forEach((tok) => {
-          const m = tok.match(/^CHG=(.*)$/);
-          if (m) atom.charge = Number(m[1]);
-        });
-        atoms.push(atom);
-      }
-    }
+// Any unit vector perpendicular to `u`; stays in the xy plane for flat molecules
+function perpendicularTo(u) {
+  const ref = Math.abs(u.z) < 0.9 ? new THREE.Vector3(0, 0, 1) : new THREE.Vector3(1, 0, 0);
+  return new THREE.Vector3().crossVectors(u, ref).normalize();
+}
 
-    if (inBonds && ln.startsWith('M  V30')) {
-      // M  V30  idx  order  a  b ...
-      const parts = ln.trim().split(/\s+/);
-      if (parts.length >= 6) {
-        const [, , , order, a, b] = parts;
-        bonds.push({ beginAtomIdx: +a, endAtomIdx: +b, order: +order });
-      }
+/**
+ * Unit directions for `count` new hydrogens on an atom with neighbour
+ * directions `dirs`, at ideal sp (180°), sp2 (120°) or sp3 (109.5°) angles.
+ * `planeHint` (a second-shell direction) keeps sp2 hydrogens in the plane
+ * of a conjugated neighbour.
+ */
+function hydrogenDirections(dirs, count, hybridization, planeHint) {
+  const [u1, u2] = dirs;
+  const out = [];
+  const around = (axis, angle, perp, phases) => {
+    const perp2 = new THREE.Vector3().crossVectors(axis, perp).normalize();
+    phases.forEach((phi) => {
+      out.push(
+        axis.clone().multiplyScalar(Math.cos(angle))
+          .addScaledVector(perp, Math.sin(angle) * Math.cos(phi))
+          .addScaledVector(perp2, Math.sin(angle) * Math.sin(phi)),
+      );
+    });
+  };
+  if (!u1) {
+    const x = new THREE.Vector3(1, 0, 0);
+    if (hybridization === 'sp') out.push(x, x.clone().negate());
+    else if (hybridization === 'sp2') around(new THREE.Vector3(0, 0, 1), Math.PI / 2, x, [0, (2 * Math.PI) / 3, (4 * Math.PI) / 3]);
+    else {
+      out.push(new THREE.Vector3(0, 0, 1));
+      around(new THREE.Vector3(0, 0, 1), TETRAHEDRAL_ANGLE, x, [0, (2 * Math.PI) / 3, (4 * Math.PI) / 3]);
     }
+    return out.slice(0, count);
+  }
+  const sum = dirs.reduce((acc, d) => acc.add(d), new THREE.Vector3());
+  if (dirs.length === 1) {
+    if (hybridization === 'sp') return [u1.clone().negate()];
+    let perp = planeHint?.clone().addScaledVector(u1, -planeHint.dot(u1));
+    perp = perp && perp.lengthSq() > 1e-6 ? perp.normalize() : perpendicularTo(u1);
+    if (hybridization === 'sp2') around(u1, (2 * Math.PI) / 3, perp, [0, Math.PI]);
+    else around(u1, TETRAHEDRAL_ANGLE, perp, [0, (2 * Math.PI) / 3, (4 * Math.PI) / 3]);
+    return out.slice(0, count);
+  }
+  // Neighbours that (nearly) cancel out: drawn linear, or three flat around the atom
+  const away = sum.length() > 0.5 ? sum.clone().negate().normalize() : undefined;
+  const normal = new THREE.Vector3().crossVectors(u1, u2);
+  if (normal.lengthSq() < 1e-6) normal.crossVectors(u1, perpendicularTo(u1));
+  normal.normalize();
+  if (dirs.length === 2 && hybridization === 'sp3') {
+    const bisector = away ?? perpendicularTo(u1);
+    const half = TETRAHEDRAL_ANGLE / 2;
+    [1, -1].forEach((sign) => {
+      out.push(bisector.clone().multiplyScalar(Math.cos(half)).addScaledVector(normal, sign * Math.sin(half)));
+    });
+    return out.slice(0, count);
+  }
+  // A single slot remains: opposite the neighbours, else off their line or plane
+  if (away) out.push(away);
+  else out.push(dirs.length === 2 ? perpendicularTo(u1) : normal);
+  return out.slice(0, count);
+}
 
-    // Also parse separate V3000 charge lines: "M  V30 CHG idx charge"
-    if (ln.startsWith('M  V30 CHG')) {
-      const parts = ln.trim().split(/\s+/);
-      // e.g., M  V30 CHG 2  1 -1  5 1  (count followed by pairs)
-      const count = Number(parts[3] || 0);
-      for (let k = 0; k < count; k += 1) {
-        const idx = Number(parts[4 + 2 * k]);
-        const chg = Number(parts[5 + 2 * k]);
-        pendingCharges.push({ idx, chg });
+/**
+ * Append hydrogens for `counts` to `atoms`/`bonds` (mutated in place) at
+ * idealised geometry. The hybridization comes from the bonds (a triple or two
+ * doubles → sp, any double or aromatic bond → sp2, else sp3). Bond lengths are
+ * element X–H distances in 3D and 0.75 × the mean bond length in 2D drawings.
+ *
+ * @returns {number} Number of hydrogens added.
+ */
+function addHydrogenAtoms(atoms, bonds, counts, { twoD = false } = {}) {
+  const neighbors = atoms.map(() => []);
+  const orders = atoms.map(() => []);
+  let lengthSum = 0;
+  bonds.forEach((bond) => {
+    const a = (bond.beginAtomIdx ?? bond.a ?? 1) - 1;
+    const b = (bond.endAtomIdx ?? bond.b ?? 1) - 1;
+    if (!atoms[a] || !atoms[b]) return;
+    neighbors[a].push(b);
+    neighbors[b].push(a);
+    orders[a].push(bond.order ?? 1);
+    orders[b].push(bond.order ?? 1);
+    lengthSum += Math.hypot(atoms[a].x - atoms[b].x, atoms[a].y - atoms[b].y, atoms[a].z - atoms[b].z);
+  });
+  const drawnLength = bonds.length ? (0.75 * lengthSum) / bonds.length : 1;
+  const position = (i) => new THREE.Vector3(atoms[i].x, atoms[i].y, atoms[i].z);
+  const heavyCount = atoms.length;
+  for (let i = 0; i < heavyCount; i += 1) {
+    const count = counts[i] || 0;
+    if (count > 0) {
+      const origin = position(i);
+      const dirs = neighbors[i].map((j) => position(j).sub(origin)).filter((d) => d.lengthSq() > 1e-12).map((d) => d.normalize());
+      const doubles = orders[i].filter((o) => o === 2).length;
+      let hybridization = 'sp3';
+      if (orders[i].includes(3) || doubles >= 2) hybridization = 'sp';
+      else if (doubles || orders[i].includes(4)) hybridization = 'sp2';
+      let planeHint;
+      if (dirs.length === 1) {
+        const j = neighbors[i][0];
+        const k = neighbors[j].find((n) => n !== i);
+        if (k !== undefined) planeHint = position(k).sub(position(j));
       }
+      const symbol = (atoms[i].symbol || '').toUpperCase();
+      const length = twoD ? drawnLength : X_H_BOND_LENGTHS[symbol] ?? 1.0;
+      hydrogenDirections(dirs, count, hybridization, planeHint).forEach((d) => {
+        const p = origin.clone().addScaledVector(d, length);
+        atoms.push({ x: p.x, y: p.y, z: p.z, symbol: 'H', addedHydrogen: true });
+        bonds.push({ beginAtomIdx: i + 1, endAtomIdx: atoms.length, order: 1, source: 'addedHydrogen' });
+      });
     }
-  });
-
-  // Apply pending charges if any
-  pendingCharges.forEach(({ idx, chg }) => {
-    if (Number.isFinite(idx) && atoms[idx - 1]) atoms[idx - 1].charge = chg;
-  });
-
-  return { atoms, bonds, properties: {} };
+  }
+  return atoms.length - heavyCount;
 }
 
 /**
@@ -1836,34 +6378,7 @@ function inferCoordinationBonds(
   );
 
   // Simple uniform grid to accelerate neighbor queries
-  const cellSize = cutoff; // Å
-  const cellKey = (x, y, z) =>
-    `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)},${Math.floor(
-      z / cellSize,
-    )}`;
-  const grid = new Map();
-  atoms.forEach((a, i) => {
-    const key = cellKey(a.x, a.y, a.z);
-    if (!grid.has(key)) grid.set(key, []);
-    grid.get(key).push(i);
-  });
-
-  const neighborIndices = (x, y, z) => {
-    const cx = Math.floor(x / cellSize);
-    const cy = Math.floor(y / cellSize);
-    const cz = Math.floor(z / cellSize);
-    const out = [];
-    for (let dx = -1; dx <= 1; dx += 1) {
-      for (let dy = -1; dy <= 1; dy += 1) {
-        for (let dz = -1; dz <= 1; dz += 1) {
-          const key = `${cx + dx},${cy + dy},${cz + dz}`;
-          const bucket = grid.get(key);
-          if (bucket) out.push(...bucket);
-        }
-      }
-    }
-    return out;
-  };
+  const neighborIndices = buildNeighborGrid(atoms, cutoff);
 
   atoms.forEach((m, mi) => {
     if (!metals.has(m.symbol.toUpperCase())) return;
@@ -1909,6 +6424,45 @@ function inferCoordinationBonds(
   });
 }
 
+/**
+ * Perceive covalent bonds from interatomic distances: atoms i and j are bonded
+ * when 0.4 Å < d < r_i + r_j + tolerance (covalent radii). Uses the same uniform
+ * grid as coordination inference. Adds single bonds tagged `inferredCovalent`.
+ *
+ * @param {Array} atoms Atom list.
+ * @param {Array} bonds Bond list (will be mutated in-place).
+ * @param {Object} [opts]
+ * @param {number} [opts.tolerance] Slack (Å) added to the sum of covalent radii.
+ */
+function perceiveCovalentBonds(atoms, bonds, { tolerance = DEFAULT_BOND_TOLERANCE } = {}) {
+  if (!Array.isArray(atoms) || atoms.length < 2) return;
+  const radius = (a) => COVALENT_RADII[(a.symbol || '').toUpperCase()] ?? GENERIC_COVALENT_RADIUS;
+  const radii = atoms.map(radius);
+  const maxRadius = radii.reduce((m, r) => Math.max(m, r), 0);
+  const neighborIndices = buildNeighborGrid(atoms, 2 * maxRadius + tolerance);
+
+  const seen = new Set(
+    bonds.map(
+      (b) =>
+        `${Math.min(b.beginAtomIdx, b.endAtomIdx)}-${Math.max(b.beginAtomIdx, b.endAtomIdx)}`,
+    ),
+  );
+
+  atoms.forEach((a, i) => {
+    if (![a.x, a.y, a.z].every(Number.isFinite)) return;
+    neighborIndices(a.x, a.y, a.z).forEach((j) => {
+      if (j <= i) return;
+      const b = atoms[j];
+      const d = Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+      if (!(d > 0.4 && d < radii[i] + radii[j] + tolerance)) return;
+      const key = `${i + 1}-${j + 1}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      bonds.push({ beginAtomIdx: i + 1, endAtomIdx: j + 1, order: 1, source: 'inferredCovalent' });
+    });
+  });
+}
+
 /**
  * Infer bridging bonds by detecting heavy atoms connected through the same hidden atom.
  * Generalizes three-center bonds to any hidden element (H, Cl, O, etc.).
@@ -2047,6 +6601,327 @@ function addHashedWedge(a, b, r, group, up) {
   return out;
 }
 
+/**
+ * Add a striped bond: cylinder pieces repeating the style's on/off pattern
+ * from a to b, used for query bond types.
+ *
+ * @param {THREE.Vector3} a Start position.
+ * @param {THREE.Vector3} b End position.
+ * @param {number} r Bond radius.
+ * @param {THREE.Group} group Group to add the stripes to.
+ * @param {THREE.Vector3} up Up vector for orientation.
+ * @param {{color: number, pattern: number[]}} style Entry of QUERY_BOND_TYPES.
+ * @param {Function} [materialFactory] Optional material override (role `bondQuery`).
+ * @returns {THREE.Group|null}
+ */
+function addPatternedBond(a, b, r, group, up, style, materialFactory) {
+  const len = a.distanceTo(b);
+  if (len < 1e-6) return null;
+  const defaultMat = new THREE.MeshBasicMaterial({ color: style.color });
+  const material = typeof materialFactory === 'function' ? materialFactory('bondQuery', defaultMat) : defaultMat;
+  const out = new THREE.Group();
+  const dir = new THREE.Vector3().subVectors(b, a).divideScalar(len);
+  let t = 0;
+  for (let k = 0; t < len; k += 1) {
+    const step = style.pattern[k % style.pattern.length];
+    if (k % 2 === 0) {
+      const start = a.clone().addScaledVector(dir, t);
+      const end = a.clone().addScaledVector(dir, Math.min(len, t + step));
+      const mesh = new THREE.Mesh(CYLINDER_GEO, material);
+      if (orientMeshAlong(mesh, start, end, up)) {
+        mesh.scale.x = r;
+        mesh.scale.z = r;
+        out.add(mesh);
+      }
+    }
+    t += step;
+  }
+  group.add(out);
+  return out;
+}
+
+// Aromatic circle radius as a fraction of the ring's apothem (centroid to bond midpoints)
+const AROMATIC_CIRCLE_FRACTION = 0.6;
+const AROMATIC_CIRCLE_SEGMENTS = 48;
+
+/**
+ * Fit an aromatic ring circle to the ring's current geometry: centred on the
+ * centroid, in the ring plane, rebuilding the torus / loop for the radius.
+ *
+ * @param {THREE.Mesh|THREE.LineLoop} object Circle object from `addAromaticRingCircle`.
+ * @param {Object} ring RingMeta (centroid and normal in chemistry coordinates).
+ * @param {Object[]} atoms AtomMeta list.
+ * @param {number} coordScale Chemistry → scene scale.
+ * @param {number} tube Torus tube radius (cylinder mode).
+ */
+function placeAromaticRingCircle(object, ring, atoms, coordScale, tube) {
+  const centroid = new THREE.Vector3(ring.centroid.x, ring.centroid.y, ring.centroid.z);
+  const n = ring.atomIndices.length;
+  const apothem =
+    ring.atomIndices.reduce((sum, i, k) => {
+      const a = atoms[i];
+      const b = atoms[ring.atomIndices[(k + 1) % n]];
+      return sum + centroid.distanceTo(new THREE.Vector3((a.x + b.x) / 2, (a.y + b.y) / 2, (a.z + b.z) / 2));
+    }, 0) / n;
+  const radius = apothem * AROMATIC_CIRCLE_FRACTION * coordScale;
+  object.geometry.dispose();
+  const geometry = object.isMesh
+    ? new THREE.TorusGeometry(radius, tube, 8, AROMATIC_CIRCLE_SEGMENTS)
+    : new THREE.BufferGeometry().setFromPoints(
+        Array.from({ length: AROMATIC_CIRCLE_SEGMENTS }, (_, k) => {
+          const t = (2 * Math.PI * k) / AROMATIC_CIRCLE_SEGMENTS;
+          return new THREE.Vector3(radius * Math.cos(t), radius * Math.sin(t), 0);
+        }),
+      );
+  Object.assign(object, { geometry });
+  object.position.copy(centroid).multiplyScalar(coordScale);
+  object.quaternion.setFromUnitVectors(
+    new THREE.Vector3(0, 0, 1),
+    new THREE.Vector3(ring.normal.x, ring.normal.y, ring.normal.z),
+  );
+}
+
+/**
+ * Add the inscribed circle of an aromatic ring: a torus in cylinder mode, a
+ * line loop in line mode. `userData` carries `role: 'aromaticRing'` and the
+ * `ringIndex` for picking.
+ *
+ * @param {THREE.Group} group Group to add the circle to.
+ * @param {Object} ring RingMeta.
+ * @param {Object[]} atoms AtomMeta list.
+ * @param {Object} opts
+ * @param {boolean} opts.useCylinders Torus (true) or line loop.
+ * @param {number} opts.tube Torus tube radius.
+ * @param {number} opts.coordScale Chemistry → scene scale.
+ * @param {Function} [opts.materialFactory] Optional material override (`aromaticRing` / `aromaticRingLine`).
+ * @returns {THREE.Mesh|THREE.LineLoop}
+ */
+function addAromaticRingCircle(group, ring, atoms, { useCylinders, tube, coordScale, materialFactory }) {
+  const defaultMat = useCylinders
+    ? new THREE.MeshBasicMaterial({ color: 0xaaaaaa })
+    : new THREE.LineBasicMaterial({ color: 0xaaaaaa });
+  const role = useCylinders ? 'aromaticRing' : 'aromaticRingLine';
+  const material = typeof materialFactory === 'function' ? materialFactory(role, defaultMat) : defaultMat;
+  const object = useCylinders ? new THREE.Mesh(new THREE.BufferGeometry(), material) : new THREE.LineLoop(undefined, material);
+  Object.assign(object.userData, { role: 'aromaticRing', ringIndex: ring.index });
+  placeAromaticRingCircle(object, ring, atoms, coordScale, tube);
+  group.add(object);
+  return object;
+}
+
+// Scene-unit gap between a CIP label and its atom or double-bond midpoint
+const CIP_LABEL_OFFSET = 0.7;
+
+/**
+ * Move a CIP label sprite beside its stereocentre, on the side away from its
+ * bonds, or beside the midpoint of its double bond.
+ *
+ * @param {THREE.Sprite} sprite Label with `atomIndex` or `bondIndex` in userData.
+ * @param {Object[]} atoms AtomMeta list.
+ * @param {Object[]} bonds BondMeta list.
+ * @param {number} coordScale Chemistry → scene scale.
+ */
+function placeCIPLabel(sprite, atoms, bonds, coordScale) {
+  const at = (i) => new THREE.Vector3(atoms[i].x, atoms[i].y, atoms[i].z).multiplyScalar(coordScale);
+  const { atomIndex, bondIndex } = sprite.userData;
+  let anchor;
+  let away;
+  if (bondIndex !== undefined) {
+    const { beginAtomIndex, endAtomIndex } = bonds[bondIndex];
+    anchor = at(beginAtomIndex).add(at(endAtomIndex)).multiplyScalar(0.5);
+    away = perpendicularTo(at(endAtomIndex).sub(at(beginAtomIndex)).normalize());
+  } else {
+    anchor = at(atomIndex);
+    away = new THREE.Vector3();
+    bonds.forEach((b) => {
+      if (b.isCoordination || (b.beginAtomIndex !== atomIndex && b.endAtomIndex !== atomIndex)) return;
+      const other = b.beginAtomIndex === atomIndex ? b.endAtomIndex : b.beginAtomIndex;
+      away.sub(at(other).sub(anchor).normalize());
+    });
+    if (away.lengthSq() < 1e-8) away.set(0, 1, 0);
+  }
+  sprite.position.copy(anchor).addScaledVector(away.normalize(), CIP_LABEL_OFFSET);
+}
+
+// Bracket labels by S-group type (MDL conventions); SRU, MUL and COP refine these
+const SGROUP_BRACKET_LABELS = {
+  SRU: 'n', MON: 'mon', MER: 'mer', COP: 'co', CRO: 'xl', MOD: 'mod', GRA: 'grf', COM: 'c', MIX: 'mix', FOR: 'f', ANY: 'any', GEN: '',
+};
+const COPOLYMER_SUBTYPE_LABELS = { ALT: 'alt', RAN: 'ran', BLO: 'blk' };
+const BRACKET_HALF_HEIGHT = 0.75; // file units, for brackets derived from crossing bonds
+
+/**
+ * S-group summaries for `chemistry.sgroups`: 0-based membership of atoms,
+ * inner bonds and crossing bonds, plus the type-specific fields.
+ *
+ * @param {Object[]} sgroups S-groups from the record (1-based atom numbers).
+ * @param {Object[]} chemistryBonds BondMeta list.
+ * @returns {Object[]}
+ */
+function describeSGroups(sgroups, chemistryBonds) {
+  const positionByNumber = new Map(sgroups.map((sg, i) => [sg.index ?? i + 1, i]));
+  return sgroups.map((sg, i) => {
+    const members = new Set((sg.atoms ?? []).map((n) => n - 1));
+    const bondIndices = [];
+    const crossingBondIndices = [];
+    chemistryBonds.forEach((b) => {
+      const inside = Number(members.has(b.beginAtomIndex)) + Number(members.has(b.endAtomIndex));
+      if (inside === 2) bondIndices.push(b.index);
+      else if (inside === 1) crossingBondIndices.push(b.index);
+    });
+    return {
+      index: i,
+      type: sg.type,
+      subtype: sg.subtype,
+      connectivity: sg.connectivity,
+      label: sg.label,
+      multiplier: sg.multiplier,
+      parentIndex: positionByNumber.get(sg.parent),
+      atomIndices: [...members],
+      bondIndices,
+      crossingBondIndices,
+      fieldName: sg.fieldName,
+      fieldData: sg.fieldData,
+      record: sg,
+    };
+  });
+}
+
+// Bracket segments in file units: the molfile's own, one across each of the
+// first two crossing bonds, or a pair around the atoms' bounding box.
+function sgroupBracketSegments(sg, info, atoms, chemistryBonds) {
+  const pos = (i) => new THREE.Vector3(atoms[i].x, atoms[i].y, 0);
+  if (sg.brackets?.length) {
+    return sg.brackets.map((b) => [new THREE.Vector3(b[0], b[1], 0), new THREE.Vector3(b[3], b[4], 0)]);
+  }
+  if (info.crossingBondIndices.length) {
+    return info.crossingBondIndices.slice(0, 2).map((bondIndex) => {
+      const { beginAtomIndex, endAtomIndex } = chemistryBonds[bondIndex];
+      const a = pos(beginAtomIndex);
+      const b = pos(endAtomIndex);
+      const mid = a.clone().add(b).multiplyScalar(0.5);
+      const dir = b.sub(a).normalize();
+      const perp = new THREE.Vector3(-dir.y, dir.x, 0).multiplyScalar(BRACKET_HALF_HEIGHT);
+      return [mid.clone().sub(perp), mid.clone().add(perp)];
+    });
+  }
+  const box = new THREE.Box3().setFromPoints(info.atomIndices.map(pos)).expandByScalar(0.5);
+  return [
+    [new THREE.Vector3(box.min.x, box.min.y, 0), new THREE.Vector3(box.min.x, box.max.y, 0)],
+    [new THREE.Vector3(box.max.x, box.min.y, 0), new THREE.Vector3(box.max.x, box.max.y, 0)],
+  ];
+}
+
+function sgroupBracketLabel(sg) {
+  if (sg.type === 'MUL') return String(sg.multiplier ?? sg.label ?? '');
+  if (sg.type === 'COP') return COPOLYMER_SUBTYPE_LABELS[sg.subtype] ?? SGROUP_BRACKET_LABELS.COP;
+  if (sg.type === 'SRU') return sg.label || SGROUP_BRACKET_LABELS.SRU;
+  return sg.label || SGROUP_BRACKET_LABELS[sg.type] || '';
+}
+
+/**
+ * Add the 2D annotations of one S-group: bracket lines with their hooks turned
+ * toward the atoms, a subscript label (and SRU head-to-tail flag) at the last
+ * bracket, or the field value of a data S-group. Superatoms draw nothing here.
+ *
+ * @param {THREE.Group} group Molecule group.
+ * @param {Object} sg S-group record.
+ * @param {Object} info Its `chemistry.sgroups` entry.
+ * @param {Object[]} atoms Atom records.
+ * @param {Object[]} chemistryBonds BondMeta list.
+ * @param {number} coordScale File units → scene units.
+ * @param {Function} [materialFactory] Optional material override (role `sgroupBracket`).
+ */
+function addSGroupAnnotations(group, sg, info, atoms, chemistryBonds, coordScale, materialFactory) {
+  if (!info.atomIndices.length || info.atomIndices.some((i) => !atoms[i])) return;
+  const addLabel = (text, position) => {
+    const sprite = text ? createCaptionSprite(text, 0.4) : null;
+    if (!sprite) return;
+    sprite.position.copy(position).multiplyScalar(coordScale);
+    Object.assign(sprite.userData, { role: 'sgroupLabel', sgroupIndex: info.index });
+    group.add(sprite);
+  };
+  const centroid = new THREE.Vector3();
+  info.atomIndices.forEach((i) => centroid.add(new THREE.Vector3(atoms[i].x, atoms[i].y, 0)));
+  centroid.divideScalar(info.atomIndices.length);
+
+  if (sg.type === 'DAT') {
+    const at = sg.fieldDisplay
+      ? new THREE.Vector3(sg.fieldDisplay.x, sg.fieldDisplay.y, 0)
+      : centroid.clone().add(new THREE.Vector3(0, -0.8, 0));
+    addLabel(sg.fieldData, at);
+    return;
+  }
+  if (sg.type === 'SUP' || !(sg.type in SGROUP_BRACKET_LABELS || sg.type === 'MUL' || sg.brackets?.length)) return;
+
+  const segments = sgroupBracketSegments(sg, info, atoms, chemistryBonds);
+  const points = [];
+  let hook = new THREE.Vector3();
+  segments.forEach(([p1, p2]) => {
+    const along = p2.clone().sub(p1);
+    hook = new THREE.Vector3(-along.y, along.x, 0).normalize();
+    if (hook.dot(centroid.clone().sub(p1)) < 0) hook.negate();
+    hook.multiplyScalar(Math.max(0.15, 0.15 * along.length()));
+    points.push(p1, p2, p1, p1.clone().add(hook), p2, p2.clone().add(hook));
+  });
+  const defaultBracketMat = new THREE.LineBasicMaterial({ color: 0xaaaaaa });
+  const brackets = new THREE.LineSegments(
+    new THREE.BufferGeometry().setFromPoints(points.map((p) => p.clone().multiplyScalar(coordScale))),
+    typeof materialFactory === 'function' ? materialFactory('sgroupBracket', defaultBracketMat) : defaultBracketMat,
+  );
+  Object.assign(brackets.userData, { role: 'sgroupBracket', sgroupIndex: info.index });
+  group.add(brackets);
+
+  // Labels sit just outside the last bracket: subscript at its lower end, connectivity at the upper
+  const [p1, p2] = segments[segments.length - 1];
+  const [lower, upper] = p1.y <= p2.y ? [p1, p2] : [p2, p1];
+  const outward = hook.clone().normalize().multiplyScalar(-0.35);
+  addLabel(sgroupBracketLabel(sg), lower.clone().add(outward));
+  if (sg.type === 'SRU' && sg.connectivity && sg.connectivity !== 'EU') {
+    addLabel(sg.connectivity.toLowerCase(), upper.clone().add(outward));
+  }
+}
+
+/**
+ * Affine map that carries segment a0→b0 onto a1→b1: translate, rotate the
+ * direction and stretch along it, leaving perpendicular extents (bond radii,
+ * multiple-bond offsets) unchanged.
+ *
+ * @param {THREE.Vector3} a0 Original start.
+ * @param {THREE.Vector3} b0 Original end.
+ * @param {THREE.Vector3} a1 New start.
+ * @param {THREE.Vector3} b1 New end.
+ * @param {THREE.Matrix4} [target] Matrix to write into.
+ * @returns {THREE.Matrix4}
+ */
+function segmentTransform(a0, b0, a1, b1, target = new THREE.Matrix4()) {
+  const d0 = new THREE.Vector3().subVectors(b0, a0);
+  const d1 = new THREE.Vector3().subVectors(b1, a1);
+  const len0 = d0.length();
+  const len1 = d1.length();
+  if (len0 < 1e-9) return target.makeTranslation(a1.x - a0.x, a1.y - a0.y, a1.z - a0.z);
+  const u = d0.divideScalar(len0);
+  const k = len1 / len0 - 1;
+  // I + k·u·uᵀ stretches along u only
+  const stretch = new THREE.Matrix4().set(
+    1 + k * u.x * u.x, k * u.x * u.y, k * u.x * u.z, 0,
+    k * u.y * u.x, 1 + k * u.y * u.y, k * u.y * u.z, 0,
+    k * u.z * u.x, k * u.z * u.y, 1 + k * u.z * u.z, 0,
+    0, 0, 0, 1,
+  );
+  const rotation = new THREE.Matrix4();
+  if (len1 >= 1e-9) {
+    rotation.makeRotationFromQuaternion(
+      new THREE.Quaternion().setFromUnitVectors(u, d1.divideScalar(len1)),
+    );
+  }
+  return target
+    .makeTranslation(a1.x, a1.y, a1.z)
+    .multiply(rotation)
+    .multiply(stretch)
+    .multiply(new THREE.Matrix4().makeTranslation(-a0.x, -a0.y, -a0.z));
+}
+
 /**
  * Structured result API: returns LoadResult in addition to creating a THREE.Group.
  * Non-breaking: existing loadSDF keeps returning Group, while attaching the result
@@ -2054,5 +6929,523 @@ function addHashedWedge(a, b, r, group, up) {
  */
 export function loadSDFResult(text, options = {}) {
   const group = loadSDF(text, options);
+  if (typeof group.then === 'function') return group.then((g) => g.userData.loadResult);
   return group.userData.loadResult;
 }
+
+// Compare SD tag values (numerically when both parse as numbers); missing values sort last
+function compareSDValues(a, b, direction = 1) {
+  const missingA = a == null || a === '';
+  const missingB = b == null || b === '';
+  if (missingA || missingB) return Number(missingA) - Number(missingB);
+  const na = Number(a);
+  const nb = Number(b);
+  if (Number.isFinite(na) && Number.isFinite(nb)) return direction * (na - nb);
+  return direction * String(a).localeCompare(String(b));
+}
+
+function galleryCaption(record, labels) {
+  if (!labels) return '';
+  if (typeof labels === 'function') return String(labels(record) ?? '');
+  if (labels === true) return record.title || '';
+  const tags = Array.isArray(labels) ? labels : [labels];
+  return tags
+    .map((tag) => record.properties?.[tag])
+    .filter((v) => v != null && v !== '')
+    .join('\n');
+}
+
+// Canvas text sprite; null where no DOM canvas is available (Node, workers)
+function createCaptionSprite(text, height) {
+  const doc = globalThis.document;
+  if (!doc) return null;
+  const lines = text.split('\n');
+  const fontPx = 48;
+  const canvas = doc.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+  ctx.font = `${fontPx}px sans-serif`;
+  const width = Math.ceil(Math.max(...lines.map((l) => ctx.measureText(l).width), 1)) + 16;
+  canvas.width = width;
+  canvas.height = Math.ceil(fontPx * 1.25 * lines.length);
+  ctx.font = `${fontPx}px sans-serif`;
+  ctx.fillStyle = '#ffffff';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  lines.forEach((l, i) => ctx.fillText(l, width / 2, i * fontPx * 1.25));
+  const texture = new THREE.CanvasTexture(canvas);
+  const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ map: texture, transparent: true }));
+  sprite.scale.set((height * canvas.width) / canvas.height, height, 1);
+  sprite.userData.role = 'caption';
+  return sprite;
+}
+
+/**
+ * Lay out every record of a multi-record SD file in a grid. Each record is
+ * built like `loadSDF` would build it and wrapped in a cell group; column
+ * widths and row heights follow the largest `computeBounds()` box they hold.
+ *
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input SDF text or bytes.
+ * @param {Object} [options] LoaderOptions for every cell, plus:
+ * @param {number} [options.columns] Cells per row (default: square-ish grid).
+ * @param {number} [options.spacing=1] Gap between cells, in scene units.
+ * @param {string|Function} [options.sortBy] SD tag to sort by, or a comparator over records.
+ * @param {boolean} [options.descending=false] Reverse the `sortBy` order.
+ * @param {number} [options.offset=0] First record (after sorting) to include.
+ * @param {number} [options.limit] Maximum number of cells (page size).
+ * @param {boolean|string|string[]|Function} [options.labels] Caption: `true` for the title, SD tag(s), or `(record) => string`.
+ * @param {number} [options.labelSize=0.6] Caption line height.
+ * @returns {THREE.Group|Promise<THREE.Group>} Gallery group; see `userData.cells` and `userData.recordIndexToCell`.
+ */
+export function loadSDFGallery(input, options = {}) {
+  const text = resolveSDFInput(input);
+  if (typeof text !== 'string') return text.then((resolved) => loadSDFGallery(resolved, options));
+  const {
+    columns,
+    spacing = 1,
+    sortBy,
+    descending = false,
+    offset = 0,
+    limit = Infinity,
+    labels,
+    labelSize = 0.6,
+  } = options;
+
+  let entries = splitSDFRecords(text).map((rec, recordIndex) => {
+    const record = parseSDFRecord(rec.text, options, recordIndex, rec.line);
+    if (record.title === undefined) record.title = sdfRecordInfo(rec.text).title;
+    return { recordIndex, record, recordText: rec.text };
+  });
+  if (sortBy) {
+    const direction = descending ? -1 : 1;
+    const compare =
+      typeof sortBy === 'function'
+        ? (a, b) => direction * sortBy(a, b)
+        : (a, b) => compareSDValues(a.properties?.[sortBy], b.properties?.[sortBy], direction);
+    entries.sort((a, b) => compare(a.record, b.record));
+  }
+  const recordCount = entries.length;
+  entries = entries.slice(offset, offset + limit);
+
+  const gallery = new THREE.Group();
+  gallery.name = 'sdfGallery';
+  const columnCount = Math.max(1, Math.floor(columns || Math.ceil(Math.sqrt(entries.length))));
+
+  const cells = entries.map((entry, i) => {
+    const molecule = buildMoleculeGroup(entry.record, sdfRecordInfo(entry.recordText), options);
+    // Headless groups have no meshes to measure; fall back to the atom positions
+    const box = molecule.userData.computeBounds
+      ? molecule.userData.computeBounds().box
+      : new THREE.Box3().setFromPoints(
+          molecule.userData.loadResult.chemistry.atoms.map((at) => new THREE.Vector3(at.x, at.y, at.z)),
+        );
+    const size = box.isEmpty() ? new THREE.Vector3() : box.getSize(new THREE.Vector3());
+    const center = box.isEmpty() ? new THREE.Vector3() : box.getCenter(new THREE.Vector3());
+    molecule.position.sub(center);
+
+    const cell = new THREE.Group();
+    cell.name = entry.record.title || `record ${entry.recordIndex}`;
+    cell.add(molecule);
+    cell.userData.role = 'galleryCell';
+    cell.userData.recordIndex = entry.recordIndex;
+    cell.userData.loadResult = molecule.userData.loadResult;
+
+    const caption = galleryCaption(entry.record, labels);
+    const captionHeight = caption ? labelSize * caption.split('\n').length : 0;
+    if (caption) {
+      const sprite = createCaptionSprite(caption, captionHeight);
+      if (sprite) {
+        sprite.position.set(0, -size.y / 2 - spacing / 4 - captionHeight / 2, 0);
+        cell.add(sprite);
+      }
+    }
+
+    return {
+      recordIndex: entry.recordIndex,
+      row: Math.floor(i / columnCount),
+      column: i % columnCount,
+      cell,
+      caption,
+      width: size.x,
+      moleculeHeight: size.y,
+      height: size.y + (caption ? captionHeight + spacing / 4 : 0),
+      loadResult: molecule.userData.loadResult,
+    };
+  });
+
+  // Column widths / row heights from the largest cell in each; rows run downwards (−y)
+  const widths = [];
+  const heights = [];
+  cells.forEach((c) => {
+    widths[c.column] = Math.max(widths[c.column] ?? 0, c.width);
+    heights[c.row] = Math.max(heights[c.row] ?? 0, c.height);
+  });
+  const xs = [];
+  const tops = [];
+  widths.reduce((x, w, col) => {
+    xs[col] = x + w / 2;
+    return x + w + spacing;
+  }, 0);
+  heights.reduce((y, h, row) => {
+    tops[row] = y;
+    return y - h - spacing;
+  }, 0);
+
+  // Molecules sit at the top of their slot so captions line up underneath
+  cells.forEach((c) => {
+    c.cell.position.set(xs[c.column], tops[c.row] - c.moleculeHeight / 2, 0);
+    gallery.add(c.cell);
+  });
+
+  gallery.userData.cells = cells.map(({ recordIndex, row, column, cell, caption, loadResult }) => ({
+    recordIndex,
+    row,
+    column,
+    cell,
+    caption: caption || undefined,
+    loadResult,
+  }));
+  gallery.userData.recordIndexToCell = new Map(gallery.userData.cells.map((c) => [c.recordIndex, c]));
+  gallery.userData.recordCount = recordCount; // before paging
+
+  // Raycast hit → record index of the cell it belongs to
+  gallery.userData.pickRecord = (hit) => {
+    let obj = hit?.object ?? null;
+    while (obj && obj !== gallery) {
+      if (obj.userData?.role === 'galleryCell') return obj.userData.recordIndex;
+      obj = obj.parent;
+    }
+    return null;
+  };
+
+  return gallery;
+}
+
+// Why two records differ in topology (atom symbols or bond graph), or null when they match
+function topologyMismatch(reference, record) {
+  const refAtoms = reference.atoms ?? [];
+  const atoms = record.atoms ?? [];
+  if (atoms.length !== refAtoms.length) return `${atoms.length} atoms instead of ${refAtoms.length}`;
+  const symbolAt = atoms.findIndex(
+    (atom, i) => (atom.symbol || '').toUpperCase() !== (refAtoms[i].symbol || '').toUpperCase(),
+  );
+  if (symbolAt >= 0) {
+    return `atom ${symbolAt + 1} is ${atoms[symbolAt].symbol} instead of ${refAtoms[symbolAt].symbol}`;
+  }
+  const bondKeys = (mol) =>
+    (mol.bonds ?? [])
+      .map((b) => {
+        const [i, j] = [b.beginAtomIdx, b.endAtomIdx].sort((x, y) => x - y);
+        return `${i}-${j}:${b.order ?? 1}`;
+      })
+      .sort();
+  const refKeys = bondKeys(reference);
+  const keys = bondKeys(record);
+  if (keys.length !== refKeys.length) return `${keys.length} bonds instead of ${refKeys.length}`;
+  const diff = keys.findIndex((key, i) => key !== refKeys[i]);
+  return diff >= 0 ? `bond ${keys[diff]} is not in the first record` : null;
+}
+
+/**
+ * Load a multi-record SD file whose records share one topology (docking poses,
+ * MD frames, conformer sets) as a single group with frame playback. Meshes are
+ * built once from the first record; `setFrame(i)` and `setFrameInterpolated(t)`
+ * then move atoms and bonds in place.
+ *
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input SDF text or bytes.
+ * @param {Object} [options] LoaderOptions (see `loadSDF`).
+ * @returns {THREE.Group|Promise<THREE.Group>} Group with `userData.frameCount`, `frames`, `frameProperties`, `setFrame`, `setFrameInterpolated`.
+ * @throws {Error} When a record's atoms or bonds differ from the first record.
+ */
+export function loadSDFConformers(input, options = {}) {
+  const text = resolveSDFInput(input);
+  if (typeof text !== 'string') return text.then((resolved) => loadSDFConformers(resolved, options));
+  const split = splitSDFRecords(text);
+  if (!split.length) throw new Error('loadSDFConformers: no records found');
+  const records = split.map((rec, i) => parseSDFRecord(rec.text, options, i, rec.line));
+  const [first] = records;
+  records.forEach((record, i) => {
+    const mismatch = topologyMismatch(first, record);
+    if (mismatch) {
+      throw new Error(`loadSDFConformers: record ${i} does not match the topology of record 0 (${mismatch})`);
+    }
+  });
+
+  // Frames only carry the file's atoms, so hydrogens are counted but not placed
+  const buildOptions = options.addHydrogens === 'explicit3d' ? { ...options, addHydrogens: 'implicit' } : options;
+  const group = buildMoleculeGroup(first, sdfRecordInfo(split[0].text), buildOptions);
+  const frames = records.map((record) => Float32Array.from(record.atoms.flatMap((a) => [a.x, a.y, a.z])));
+  const { chemistry } = group.userData.loadResult;
+  // Headless groups have no meshes; keep the chemistry coordinates in step
+  const applyPositions =
+    group.userData.setAtomPositions ??
+    ((coords) => {
+      chemistry.atoms.forEach((atom, i) => {
+        Object.assign(atom, { x: coords[i * 3], y: coords[i * 3 + 1], z: coords[i * 3 + 2] });
+      });
+      chemistry.rings.forEach((ring) => Object.assign(ring, ringGeometry(ring.atomIndices, chemistry.atoms)));
+    });
+  const blended = new Float32Array(frames[0].length);
+  const clampFrame = (t) => Math.max(0, Math.min(frames.length - 1, Number(t) || 0));
+
+  group.userData.frameCount = frames.length;
+  group.userData.frames = frames;
+  group.userData.frameProperties = records.map((record) => record.properties ?? {});
+  group.userData.currentFrame = 0;
+
+  /** Jump to frame `i` (rounded and clamped); returns the frame shown. */
+  group.userData.setFrame = (i) => {
+    const index = Math.round(clampFrame(i));
+    applyPositions(frames[index]);
+    group.userData.currentFrame = index;
+    return index;
+  };
+
+  /** Linear blend between frames floor(t) and floor(t) + 1; returns the clamped t. */
+  group.userData.setFrameInterpolated = (t) => {
+    const time = clampFrame(t);
+    const lo = Math.floor(time);
+    const hi = Math.min(frames.length - 1, lo + 1);
+    const f = time - lo;
+    const a = frames[lo];
+    const b = frames[hi];
+    for (let k = 0; k < blended.length; k += 1) blended[k] = a[k] + (b[k] - a[k]) * f;
+    applyPositions(blended);
+    group.userData.currentFrame = time;
+    return time;
+  };
+
+  return group;
+}
+
+// ── Off-main-thread loading ──
+
+const SDF_WORKER_MESSAGE = 'three-sdf-loader:load';
+// Parsed record → instance buffers computed by the worker (see buildMoleculeGroup)
+const WORKER_PREPARED = new WeakMap();
+let nextWorkerRequestId = 1;
+
+// Node Workers/ports are EventEmitters; browser ones are EventTargets
+function onWorkerEvent(target, type, handler) {
+  if (typeof target.on === 'function') {
+    target.on(type, handler);
+    return () => target.off(type, handler);
+  }
+  const listener = (event) => handler(type === 'message' ? event.data : event);
+  target.addEventListener(type, listener);
+  return () => target.removeEventListener(type, listener);
+}
+
+/**
+ * Worker half of `loadSDFInWorker`: parse the record, run bond inference and,
+ * with `instancing`, build the instance matrices and colours. The record is
+ * returned as mutated by the builder; the typed arrays are transferred.
+ */
+async function prepareSDFInWorker(input, options) {
+  const text = await resolveSDFInput(input);
+  const { mol, info } = parseSelectedSDFRecord(text, options);
+  const group = buildMoleculeGroup(mol, info, { ...options, headless: options.headless || !options.instancing });
+  const { instancedAtoms, instancedBonds } = group.userData.loadResult.mappings;
+  const payload = {
+    mol,
+    info,
+    atomMatrices: instancedAtoms?.mesh.instanceMatrix.array,
+    atomColors: instancedAtoms?.mesh.instanceColor?.array,
+    bondMatrices: instancedBonds?.mesh.instanceMatrix.array,
+  };
+  const transfer = [payload.atomMatrices, payload.atomColors, payload.bondMatrices]
+    .filter(Boolean)
+    .map((array) => array.buffer);
+  return { payload, transfer };
+}
+
+/**
+ * Answer `loadSDFInWorker` requests from inside a worker. Workers spawned by
+ * `loadSDFInWorker` call this themselves; call it from your own worker script
+ * when a bundler needs a separate entry (pass that Worker as `options.worker`).
+ *
+ * @param {Object} [port] Message port to serve (default: `parentPort` under
+ *   Node `worker_threads`, otherwise the worker global scope).
+ */
+export function serveSDFWorker(port) {
+  const target = port ?? nodeWorkerThreads()?.parentPort ?? globalThis;
+  onWorkerEvent(target, 'message', async (message) => {
+    if (message?.type !== SDF_WORKER_MESSAGE) return;
+    const { id } = message;
+    try {
+      const { payload, transfer } = await prepareSDFInWorker(message.input, message.options);
+      target.postMessage({ type: SDF_WORKER_MESSAGE, id, ...payload }, transfer);
+    } catch (err) {
+      const { name, message: text, diagnostics } = err;
+      target.postMessage({ type: SDF_WORKER_MESSAGE, id, error: { name, message: text, diagnostics } });
+    }
+  });
+}
+
+// Start a worker that imports this module and serves requests
+function spawnSDFWorker() {
+  const moduleUrl = JSON.stringify(import.meta.url);
+  const threads = nodeWorkerThreads();
+  if (threads) {
+    return new threads.Worker(`import(${moduleUrl}).then((m) => m.serveSDFWorker());`, { eval: true });
+  }
+  if (typeof globalThis.Worker !== 'function') {
+    throw new Error('loadSDFInWorker: no Worker or worker_threads available');
+  }
+  const source = `import { serveSDFWorker } from ${moduleUrl};\nserveSDFWorker();\n`;
+  const url = URL.createObjectURL(new Blob([source], { type: 'text/javascript' }));
+  const worker = new globalThis.Worker(url, { type: 'module', name: 'three-sdf-loader' });
+  URL.revokeObjectURL(url);
+  return worker;
+}
+
+function requestFromWorker(worker, request, transfer) {
+  const id = nextWorkerRequestId;
+  nextWorkerRequestId += 1;
+  return new Promise((resolve, reject) => {
+    const unsubscribe = [];
+    const finish = (fn, value) => {
+      unsubscribe.forEach((off) => off());
+      fn(value);
+    };
+    unsubscribe.push(
+      onWorkerEvent(worker, 'message', (reply) => {
+        if (reply?.type !== SDF_WORKER_MESSAGE || reply.id !== id) return;
+        if (!reply.error) finish(resolve, reply);
+        else if (reply.error.name === 'SDFParseError') finish(reject, new SDFParseError(reply.error.diagnostics));
+        else finish(reject, new Error(reply.error.message));
+      }),
+      onWorkerEvent(worker, 'error', (event) => {
+        finish(reject, event instanceof Error ? event : new Error(`loadSDFInWorker: ${event.message ?? 'worker failed'}`));
+      }),
+    );
+    worker.postMessage({ type: SDF_WORKER_MESSAGE, id, ...request }, transfer);
+  });
+}
+
+/**
+ * Like `loadSDF`, but parsing, coordination/bridging bond inference and (with
+ * `instancing`) the instance matrix and colour buffers are computed in a Web
+ * Worker, or a `worker_threads` worker under Node. The record and the typed
+ * arrays come back to the main thread, which assembles the THREE.Group; its
+ * `loadResult` matches the synchronous path.
+ *
+ * @param {string|Uint8Array|ArrayBuffer|Blob} input SDF text or bytes.
+ * @param {Object} [options] LoaderOptions. Functions (`materialFactory`,
+ *   `onProgress`) stay on the main thread.
+ * @param {Worker} [options.worker] Worker running `serveSDFWorker()` to reuse;
+ *   by default one is started for the call and terminated afterwards.
+ * @returns {Promise<THREE.Group>}
+ */
+export async function loadSDFInWorker(input, options = {}) {
+  const { worker: providedWorker, ...loaderOptions } = options;
+  const workerOptions = Object.fromEntries(Object.entries(loaderOptions).filter(([, v]) => typeof v !== 'function'));
+  let data = input;
+  if (typeof Blob !== 'undefined' && input instanceof Blob) data = new Uint8Array(await input.arrayBuffer());
+  else if (toByteArray(input)) data = toByteArray(input).slice(); // copy: the caller keeps its buffer
+  const transfer = data instanceof Uint8Array ? [data.buffer] : [];
+
+  const worker = providedWorker ?? spawnSDFWorker();
+  let reply;
+  try {
+    reply = await requestFromWorker(worker, { input: data, options: workerOptions }, transfer);
+  } finally {
+    if (!providedWorker) worker.terminate();
+  }
+  const { mol, info, atomMatrices, atomColors, bondMatrices } = reply;
+  WORKER_PREPARED.set(mol, { atomMatrices, atomColors, bondMatrices });
+  if (typeof loaderOptions.onProgress === 'function') loaderOptions.onProgress('parse:start', 0);
+  return buildMoleculeGroup(mol, info, loaderOptions);
+}
+
+/**
+ * three.js loader for SD / molfiles (plain or gzip-compressed). Fetches through
+ * `THREE.FileLoader`, so `setPath`, `setRequestHeader`, `setWithCredentials`
+ * and the `LoadingManager` behave as for the bundled three.js loaders.
+ *
+ * @example
+ * const loader = new SDFLoader(manager).setOptions({ showHydrogen: true });
+ * const group = await loader.loadAsync('caffeine.sdf');
+ */
+export class SDFLoader extends THREE.Loader {
+  /**
+   * @param {THREE.LoadingManager} [manager]
+   * @param {Object} [options] LoaderOptions forwarded to `loadSDF`.
+   */
+  constructor(manager, options = {}) {
+    super(manager);
+    this.options = { ...options };
+  }
+
+  /**
+   * Replace the LoaderOptions forwarded to `loadSDF`.
+   * @param {Object} options
+   * @returns {this}
+   */
+  setOptions(options = {}) {
+    this.options = { ...options };
+    return this;
+  }
+
+  /**
+   * @param {string} url
+   * @param {(group: THREE.Group) => void} onLoad
+   * @param {(event: ProgressEvent) => void} [onProgress]
+   * @param {(error: unknown) => void} [onError]
+   */
+  load(url, onLoad, onProgress, onError) {
+    const scope = this;
+    // Resolve once here so itemStart/itemEnd match the key FileLoader reports.
+    const resolvedURL = this.manager.resolveURL((this.path || '') + url);
+
+    // Parsing can finish after FileLoader's own itemEnd (async decompression),
+    // so hold the manager open until the group is ready.
+    this.manager.itemStart(resolvedURL);
+    const fail = (error) => {
+      if (onError) onError(error);
+      else console.error(error);
+      scope.manager.itemError(resolvedURL);
+      scope.manager.itemEnd(resolvedURL);
+    };
+
+    const loader = new THREE.FileLoader(this.manager);
+    loader.setPath(this.path);
+    loader.setResponseType('arraybuffer');
+    loader.setRequestHeader(this.requestHeader);
+    loader.setWithCredentials(this.withCredentials);
+    loader.load(
+      url,
+      (data) => {
+        let result;
+        try {
+          result = scope.parse(data);
+        } catch (error) {
+          fail(error);
+          return;
+        }
+        Promise.resolve(result).then((group) => {
+          // Like three's loaders: an onLoad that throws goes to onError and still ends the item
+          try {
+            onLoad(group);
+          } catch (error) {
+            fail(error);
+            return;
+          }
+          scope.manager.itemEnd(resolvedURL);
+        }, fail);
+      },
+      onProgress,
+      fail,
+    );
+  }
+
+  /**
+   * Build a group from already-fetched data.
+   * @param {string|Uint8Array|ArrayBuffer|Blob} data SDF text or bytes.
+   * @param {Object} [options] Per-call LoaderOptions, merged over `this.options`.
+   * @returns {THREE.Group|Promise<THREE.Group>}
+   */
+  parse(data, options = {}) {
+    return loadSDF(data, { ...this.options, ...options });
+  }
+}
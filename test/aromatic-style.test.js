@@ -0,0 +1,87 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { loadSDF, loadSMILES } from '../src/index.js';
+
+// Kekulé benzene standing in the xz plane (3D layout)
+const BENZENE_XZ = `benzene
+  test      3D
+
+  6  6  0  0  0  0  0  0  0  0999 V2000
+    1.4000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.7000    0.0000    1.2124 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -0.7000    0.0000    1.2124 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -1.4000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -0.7000    0.0000   -1.2124 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.7000    0.0000   -1.2124 C   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  2  0
+  2  3  1  0
+  3  4  2  0
+  4  5  1  0
+  5  6  2  0
+  6  1  1  0
+M  END
+`;
+
+const circles = (group) => group.children.filter((o) => o.userData.role === 'aromaticRing');
+const axisOf = (object) => new THREE.Vector3(0, 0, 1).applyQuaternion(object.quaternion);
+
+describe("aromaticStyle: 'circle'", () => {
+  it('adds a torus per aromatic ring in cylinder mode, pickable back to the ring', () => {
+    const group = loadSMILES('c1ccc2ccccc2c1CC1CCCCC1', { aromaticStyle: 'circle' });
+    const { chemistry, mappings } = group.userData.loadResult;
+    const tori = circles(group);
+    expect(tori).toHaveLength(2);
+    tori.forEach((torus) => {
+      expect(torus.geometry.type).toBe('TorusGeometry');
+      const ringIndex = mappings.meshUuidToRingIndex.get(torus.uuid);
+      expect(torus.userData.ringIndex).toBe(ringIndex);
+      expect(mappings.ringIndexToMesh[ringIndex]).toBe(torus);
+      const { centroid } = chemistry.rings[ringIndex];
+      expect(torus.position.x).toBeCloseTo(centroid.x, 6);
+      expect(torus.position.y).toBeCloseTo(centroid.y, 6);
+      // Inside the ring: smaller than the centroid–bond-midpoint distance of a 1.5 hexagon
+      expect(torus.geometry.parameters.radius).toBeLessThan(1.5 * Math.cos(Math.PI / 6));
+      expect(axisOf(torus).z).toBeCloseTo(1, 6);
+    });
+    // The cyclohexane ring gets none, and aromatic bonds are drawn as plain single bonds
+    expect(mappings.ringIndexToMesh.filter(Boolean)).toHaveLength(2);
+    expect(group.children.filter((o) => o.userData.role === 'bond')).toHaveLength(chemistry.bonds.length);
+  });
+
+  it('lies in the ring plane of 3D Kekulé structures', () => {
+    const group = loadSDF(BENZENE_XZ, { aromaticStyle: 'circle' });
+    const [torus] = circles(group);
+    expect(Math.abs(axisOf(torus).y)).toBeCloseTo(1, 6);
+    expect(torus.position.length()).toBeCloseTo(0, 6);
+    expect(group.userData.loadResult.chemistry.bonds.every((b) => b.displayOrder === 4)).toBe(true);
+  });
+
+  it('draws a line loop in line mode and follows setAtomPositions', () => {
+    const group = loadSMILES('c1ccccc1', { aromaticStyle: 'circle', useCylinders: false });
+    const [loop] = circles(group);
+    expect(loop.isLineLoop).toBe(true);
+    expect(group.children.some((o) => o.isLine && o.userData.bond)).toBe(false);
+    const coords = group.userData.loadResult.chemistry.atoms.flatMap((a) => [a.x, a.y + 3, a.z]);
+    const { y } = loop.position;
+    group.userData.setAtomPositions(coords);
+    expect(loop.position.y).toBeCloseTo(y + 3, 6);
+  });
+});
+
+describe("aromaticStyle: 'kekule' and 'dashed'", () => {
+  it('draws order-4 bonds as alternating single / double bonds', () => {
+    const group = loadSMILES('c1ccccc1', { aromaticStyle: 'kekule' });
+    const { bonds } = group.userData.loadResult.chemistry;
+    expect(bonds.map((b) => b.displayOrder)).toEqual([2, 1, 2, 1, 2, 1]);
+    expect(bonds.map((b) => b.order)).toEqual([4, 4, 4, 4, 4, 4]);
+    expect(group.children.filter((o) => o.userData.role === 'bond')).toHaveLength(9);
+    expect(circles(group)).toHaveLength(0);
+  });
+
+  it('keeps dashed lines as the default in line mode', () => {
+    const group = loadSMILES('c1ccccc1', { useCylinders: false });
+    expect(group.children.filter((o) => o.isLine && o.material.isLineDashedMaterial)).toHaveLength(6);
+    expect(circles(group)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,83 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSDF, loadSMILES } from '../src/index.js';
+
+// Kekulé benzene with a methyl group
+const TOLUENE = `toluene
+  test
+
+  7  7  0  0  0  0  0  0  0  0999 V2000
+    1.4000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.7000    1.2124    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -0.7000    1.2124    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -1.4000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -0.7000   -1.2124    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.7000   -1.2124    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    2.9000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  2  0
+  2  3  1  0
+  3  4  2  0
+  4  5  1  0
+  5  6  2  0
+  6  1  1  0
+  1  7  1  0
+M  END
+`;
+
+const aromaticAtoms = (smiles) =>
+  loadSMILES(smiles, { headless: true })
+    .userData.loadResult.chemistry.atoms.map((a) => (a.isAromatic ? 'a' : '.'))
+    .join('');
+const orders = (group) => group.userData.loadResult.chemistry.bonds.map((b) => b.displayOrder);
+const bondMeshes = (group) => group.children.filter((o) => o.userData.role === 'bond');
+
+describe('aromaticity perception', () => {
+  it('flags Kekulé-drawn rings on atoms, bonds and meshes', () => {
+    const group = loadSDF(TOLUENE);
+    const { atoms, bonds } = group.userData.loadResult.chemistry;
+    expect(atoms.map((a) => !!a.isAromatic)).toEqual([true, true, true, true, true, true, false]);
+    expect(bonds.map((b) => !!b.isAromatic)).toEqual([true, true, true, true, true, true, false]);
+    expect(bonds.map((b) => b.originalOrder)).toEqual([2, 1, 2, 1, 2, 1, 1]);
+    expect(group.userData.loadResult.mappings.atomIndexToMesh[0].userData.atom.aromatic).toBe(true);
+    expect(bondMeshes(group)[0].userData.bond.isAromatic).toBe(true);
+  });
+
+  it('applies the Hückel rule to heteroaromatics, ions and fused systems', () => {
+    expect(aromaticAtoms('c1cc[nH]c1')).toBe('aaaaa');
+    expect(aromaticAtoms('C1=COC=C1')).toBe('aaaaa');
+    expect(aromaticAtoms('O=C1C=CC=CN1')).toBe('.aaaaaa');
+    expect(aromaticAtoms('[CH-]1C=CC=C1')).toBe('aaaaa');
+    // azulene only passes over the 10-electron envelope
+    expect(aromaticAtoms('C1=CC2=CC=CC=CC2=C1')).toBe('aaaaaaaaaa');
+    expect(aromaticAtoms('C1=CC=CC=CC=C1')).toBe('........');
+    expect(aromaticAtoms('C1=CC=CC1')).toBe('.....');
+    // An order-4 bond outside a ring is not aromatic, whatever the file says
+    expect(aromaticAtoms('c1ccccc1c:c')).toBe('aaaaaa..');
+  });
+});
+
+describe('aromaticDisplay', () => {
+  it('kekulizes order-4 bonds, telling pyrrole N from pyridine N', () => {
+    const pyridine = loadSMILES('c1ccncc1', { headless: true, aromaticDisplay: 'kekule' });
+    expect(orders(pyridine).filter((o) => o === 2)).toHaveLength(3);
+    expect(orders(loadSMILES('c1cc[nH]c1', { headless: true, aromaticDisplay: 'kekule' }))).toEqual([1, 2, 1, 1, 2]);
+    // Without an H count the ring N turns into the donor only when no other assignment exists
+    const indole = loadSMILES('c1ccc2nccc2c1', { headless: true, aromaticDisplay: 'kekule' });
+    expect(orders(indole).filter((o) => o === 2)).toHaveLength(4);
+  });
+
+  it('rewrites the orders the bond renderer draws', () => {
+    expect(bondMeshes(loadSDF(TOLUENE))).toHaveLength(3 * 2 + 4);
+    const aromatic = loadSDF(TOLUENE, { aromaticDisplay: 'aromatic' });
+    expect(orders(aromatic)).toEqual([4, 4, 4, 4, 4, 4, 1]);
+    // The chemistry model keeps the file's orders
+    expect(aromatic.userData.loadResult.chemistry.bonds.map((b) => b.order)).toEqual([2, 1, 2, 1, 2, 1, 1]);
+    expect(bondMeshes(aromatic)).toHaveLength(7);
+
+    const benzene = loadSMILES('c1ccccc1', { useCylinders: false });
+    expect(benzene.children.filter((o) => o.isLine && o.userData.bond?.isAromatic)).toHaveLength(6);
+    const kekule = loadSMILES('c1ccccc1', { aromaticDisplay: 'kekule' });
+    expect(bondMeshes(kekule)).toHaveLength(9);
+    bondMeshes(kekule).forEach((m) => expect(m.userData.bond.isAromatic).toBe(true));
+  });
+});
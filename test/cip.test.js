@@ -0,0 +1,117 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { loadSDF, loadSMILES } from '../src/index.js';
+
+// Tetrahedral CHFClBr with explicit hydrogen
+const BROMOCHLOROFLUOROMETHANE = `CHFClBr
+  test
+
+  5  4  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.6300    0.6300    0.6300 H   0  0  0  0  0  0  0  0  0  0  0  0
+    0.6300   -0.6300   -0.6300 F   0  0  0  0  0  0  0  0  0  0  0  0
+   -0.6300    0.6300   -0.6300 Cl  0  0  0  0  0  0  0  0  0  0  0  0
+   -0.6300   -0.6300    0.6300 Br  0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  1  3  1  0
+  1  4  1  0
+  1  5  1  0
+M  END
+`;
+
+const TRANS_2_BUTENE = `butene
+  test
+
+  4  3  0  0  0  0  0  0  0  0999 V2000
+   -0.6500    1.1000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.3000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.9500   -1.1000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  2  3  2  0
+  3  4  1  0
+M  END
+`;
+
+const chemistryOf = (group) => group.userData.loadResult.chemistry;
+const descriptors = (smiles) => {
+  const { atoms, bonds } = chemistryOf(loadSMILES(smiles, { headless: true }));
+  return { atoms: atoms.map((a) => a.cip).filter(Boolean), bonds: bonds.map((b) => b.cip).filter(Boolean) };
+};
+
+describe('CIP R/S', () => {
+  it('assigns stereocentres from SMILES wedges in 2D', () => {
+    expect(descriptors('N[C@@H](C)C(=O)O').atoms).toEqual(['S']); // L-alanine
+    expect(descriptors('N[C@H](C)C(=O)O').atoms).toEqual(['R']);
+    expect(descriptors('CC[C@@H](C)O').atoms).toEqual(['R']);
+    expect(descriptors('F[C@](Cl)(Br)I').atoms).toEqual(['S']);
+    // D-glucose, open chain: C5, C4, C3, C2 in SMILES order
+    expect(descriptors('OC[C@@H](O)[C@@H](O)[C@H](O)[C@H](O)C=O').atoms).toEqual(['R', 'R', 'S', 'R']);
+    // No wedge in a flat layout, or two equal substituents: no descriptor
+    expect(descriptors('NC(C)C(=O)O').atoms).toEqual([]);
+    expect(descriptors('CC(C)O').atoms).toEqual([]);
+  });
+
+  it('counts implicit hydrogens even when addHydrogens is none', () => {
+    const { atoms } = chemistryOf(loadSMILES('N[C@@H](C)C(=O)O', { headless: true, addHydrogens: 'none' }));
+    expect(atoms[1].cip).toBe('S');
+    expect(atoms[1].implicitHydrogenCount).toBeUndefined();
+  });
+
+  it('reads 3D coordinates and flips with the mirror image', () => {
+    const { atoms } = chemistryOf(loadSDF(BROMOCHLOROFLUOROMETHANE, { headless: true }));
+    expect(atoms[0].cip).toBe('S');
+    expect(atoms.slice(1).every((a) => a.cip === undefined)).toBe(true);
+    const mirrored = BROMOCHLOROFLUOROMETHANE.replace(/^( {3}[ -])0\.6300/gm, (m, lead) => `${lead === '   -' ? '    ' : '   -'}0.6300`);
+    expect(chemistryOf(loadSDF(mirrored, { headless: true })).atoms[0].cip).toBe('R');
+  });
+});
+
+describe('CIP E/Z', () => {
+  it('uses the SMILES bond directions and skips unspecified double bonds', () => {
+    expect(descriptors('C/C=C/C').bonds).toEqual(['E']);
+    expect(descriptors('C/C=C\\C').bonds).toEqual(['Z']);
+    expect(descriptors('C/C=N/O').bonds).toEqual(['E']);
+    expect(descriptors('CC=CC').bonds).toEqual([]);
+    expect(descriptors('C1CC=CCC1').bonds).toEqual([]);
+  });
+
+  it('reads the drawn geometry of molfiles unless the bond is crossed', () => {
+    const { bonds } = chemistryOf(loadSDF(TRANS_2_BUTENE));
+    expect(bonds.map((b) => b.cip)).toEqual([undefined, 'E', undefined]);
+    const cis = TRANS_2_BUTENE.replace('1.9500   -1.1000', '1.9500    1.1000');
+    expect(chemistryOf(loadSDF(cis)).bonds[1].cip).toBe('Z');
+    const crossed = TRANS_2_BUTENE.replace('  2  3  2  0', '  2  3  2  3');
+    expect(chemistryOf(loadSDF(crossed)).bonds[1].cip).toBeUndefined();
+  });
+
+  it('puts the descriptor on picked bond meshes', () => {
+    const group = loadSDF(TRANS_2_BUTENE);
+    const { bond } = group.userData.loadResult.mappings.bondIndexToMesh[1].userData;
+    expect(bond).toMatchObject({ index: 1, cip: 'E', inRing: false });
+  });
+});
+
+describe('renderCIPLabels', () => {
+  afterEach(() => vi.unstubAllGlobals());
+
+  it('labels stereocentres and double bonds and moves the labels with the atoms', () => {
+    const context = { font: '', measureText: () => ({ width: 40 }), fillText: () => {} };
+    vi.stubGlobal('document', { createElement: () => ({ getContext: () => context }) });
+    const labelsOf = (group) => group.children.filter((o) => o.userData.role === 'cipLabel');
+    expect(labelsOf(loadSMILES('C/C=C/[C@H](O)C'))).toHaveLength(0);
+
+    const group = loadSMILES('C/C=C/[C@H](O)C', { renderCIPLabels: true });
+    const { atoms, bonds } = chemistryOf(group);
+    const labels = labelsOf(group);
+    expect(labels.map((l) => l.userData.descriptor)).toEqual([atoms[3].cip, bonds[1].cip]);
+    expect(labels[0].userData.atomIndex).toBe(3);
+    expect(labels[1].userData.bondIndex).toBe(1);
+    expect(labels[0].position.distanceTo({ x: atoms[3].x, y: atoms[3].y, z: 0 })).toBeCloseTo(0.7, 6);
+
+    const coords = atoms.flatMap((a) => [a.x + 5, a.y, a.z]);
+    const before = labels[0].position.x;
+    group.userData.setAtomPositions(coords);
+    expect(labels[0].position.x).toBeCloseTo(before + 5, 6);
+  });
+});
@@ -0,0 +1,88 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadCML, parseCML } from '../src/index.js';
+
+const BENZOATE_2D = `<?xml version="1.0"?>
+<cml xmlns="http://www.xml-cml.org/schema">
+  <molecule id="m1" title="benzoate &amp; co">
+    <atomArray>
+      <atom id="a1" elementType="C" x2="0.0" y2="1.4"/>
+      <atom id="a2" elementType="C" x2="1.21" y2="0.7"/>
+      <atom id="a3" elementType="C" x2="1.21" y2="-0.7"/>
+      <atom id="a4" elementType="C" x2="0.0" y2="-1.4"/>
+      <atom id="a5" elementType="C" x2="-1.21" y2="-0.7"/>
+      <atom id="a6" elementType="C" x2="-1.21" y2="0.7" hydrogenCount="1"/>
+      <atom id="a7" elementType="C" x2="0.0" y2="2.9"/>
+      <atom id="a8" elementType="O" x2="1.3" y2="3.65"/>
+      <atom id="a9" elementType="O" x2="-1.3" y2="3.65" formalCharge="-1"/>
+    </atomArray>
+    <bondArray>
+      <bond atomRefs2="a1 a2" order="A"/>
+      <bond atomRefs2="a2 a3" order="A"/>
+      <bond atomRefs2="a3 a4" order="A"/>
+      <bond atomRefs2="a4 a5" order="A"/>
+      <bond atomRefs2="a5 a6" order="A"/>
+      <bond atomRefs2="a6 a1" order="A"/>
+      <bond atomRefs2="a1 a7" order="1"/>
+      <bond atomRefs2="a7 a8" order="D"/>
+      <bond atomRefs2="a7 a9" order="S"/>
+    </bondArray>
+    <propertyList>
+      <property title="MW"><scalar dataType="xsd:double">121.11</scalar></property>
+    </propertyList>
+  </molecule>
+</cml>`;
+
+const WATER_3D = `<cml:molecule xmlns:cml="http://www.xml-cml.org/schema" id="water">
+  <cml:atomArray atomID="o1 h1 h2" elementType="O H H" x3="0 0.757 -0.757" y3="0 0.586 0.586" z3="0 0 0"/>
+  <cml:bondArray atomRef1="o1 o1" atomRef2="h1 h2" order="1 1"/>
+</cml:molecule>`;
+
+describe('CML parser', () => {
+  it('maps atoms, charges, hydrogen counts and aromatic bonds', () => {
+    const mol = parseCML(BENZOATE_2D);
+    expect(mol.title).toBe('benzoate & co');
+    expect(mol.coordinates).toBe('2d');
+    expect(mol.atoms).toHaveLength(9);
+    expect(mol.atoms[5]).toMatchObject({ symbol: 'C', x: -1.21, y: 0.7, z: 0, hydrogenCount: 1 });
+    expect(mol.atoms[8]).toMatchObject({ symbol: 'O', charge: -1 });
+    expect(mol.bonds.filter((b) => b.order === 4)).toHaveLength(6);
+    expect(mol.bonds[7]).toMatchObject({ beginAtomIdx: 7, endAtomIdx: 8, order: 2 });
+    expect(mol.properties.MW).toBe('121.11');
+  });
+
+  it('reads the array form with namespace prefixes and 3D coordinates', () => {
+    const mol = parseCML(WATER_3D);
+    expect(mol.coordinates).toBe('3d');
+    expect(mol.atoms.map((a) => a.symbol)).toEqual(['O', 'H', 'H']);
+    expect(mol.atoms[1]).toMatchObject({ x: 0.757, y: 0.586, z: 0 });
+    expect(mol.bonds).toEqual([
+      { beginAtomIdx: 1, endAtomIdx: 2, order: 1 },
+      { beginAtomIdx: 1, endAtomIdx: 3, order: 1 },
+    ]);
+  });
+
+  it('maps bondStereo and generates 2D coordinates when none are given', () => {
+    const cml = `<molecule><atomArray><atom id="a1" elementType="C"/><atom id="a2" elementType="Cl"/>
+      <atom id="a3" elementType="C"/></atomArray><bondArray>
+      <bond atomRefs2="a1 a2" order="1"><bondStereo>W</bondStereo></bond>
+      <bond atomRefs2="a1 a3" order="1"><bondStereo>H</bondStereo></bond></bondArray></molecule>`;
+    const mol = parseCML(cml);
+    expect(mol.bonds.map((b) => b.stereo)).toEqual([1, 6]);
+    expect(mol.atoms[1].symbol).toBe('Cl');
+    const [a, b] = mol.atoms;
+    expect(Math.hypot(a.x - b.x, a.y - b.y)).toBeGreaterThan(1);
+  });
+});
+
+describe('loadCML', () => {
+  it('picks layoutMode from the coordinates present', () => {
+    const flat = loadCML(BENZOATE_2D);
+    expect(flat.userData.layoutMode).toBe('2d');
+    expect(flat.userData.loadResult.metadata).toMatchObject({ format: 'cml', title: 'benzoate & co' });
+    // Planar but written with x3/y3/z3 → still 3D
+    const water = loadCML(WATER_3D, { showHydrogen: true });
+    expect(water.userData.layoutMode).toBe('3d');
+    expect(water.userData.loadResult.chemistry.bonds).toHaveLength(2);
+  });
+});
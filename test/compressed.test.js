@@ -0,0 +1,47 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import { loadSDF, parseSDF, parseSDFAll } from '../src/index.js';
+
+const dir = path.dirname(new URL(import.meta.url).pathname);
+const TEXT = fs.readFileSync(path.join(dir, 'diborane.sdf'), 'utf8');
+const EXPECTED = parseSDF(TEXT);
+
+afterEach(() => vi.restoreAllMocks());
+
+describe('binary and compressed input', () => {
+  it('decodes plain Uint8Array and ArrayBuffer input', () => {
+    const bytes = new TextEncoder().encode(TEXT);
+    expect(parseSDF(bytes)).toEqual(EXPECTED);
+    expect(parseSDF(bytes.buffer)).toEqual(EXPECTED);
+  });
+
+  it('gunzips and inflates synchronously under Node', () => {
+    expect(parseSDF(zlib.gzipSync(TEXT))).toEqual(EXPECTED);
+    expect(parseSDFAll(new Uint8Array(zlib.deflateSync(`${TEXT}${TEXT}`)))).toHaveLength(2);
+    const group = loadSDF(zlib.gzipSync(TEXT));
+    expect(group.userData.loadResult.chemistry.atoms).toHaveLength(EXPECTED.atoms.length);
+  });
+
+  it('falls back to Latin-1 when the bytes are not valid UTF-8', () => {
+    const latin1 = Buffer.from(TEXT.replace('$$$$', '> <NAME>\ndiborane café\n\n$$$$'), 'latin1');
+    expect(parseSDF(zlib.gzipSync(latin1)).properties.NAME).toBe('diborane café');
+  });
+
+  it('returns a promise for Blob input', async () => {
+    const result = parseSDF(new Blob([zlib.gzipSync(TEXT)]));
+    expect(typeof result.then).toBe('function');
+    expect(await result).toEqual(EXPECTED);
+    const group = await loadSDF(new Blob([TEXT]));
+    expect(group.userData.layoutMode).toBeDefined();
+  });
+
+  it('uses DecompressionStream when no synchronous zlib is available', async () => {
+    vi.spyOn(process, 'getBuiltinModule').mockReturnValue(undefined);
+    const result = parseSDFAll(zlib.gzipSync(TEXT));
+    expect(typeof result.then).toBe('function');
+    expect(await result).toEqual([EXPECTED]);
+  });
+});
@@ -0,0 +1,119 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { loadSDF, loadSDFConformers } from '../src/index.js';
+
+const SYMBOLS = ['C', 'C', 'C', 'O', 'N'];
+// [begin, end, order, stereo]
+const BONDS = [[1, 2, 1, 1], [2, 3, 2, 0], [3, 4, 1, 6], [1, 5, 1, 0]];
+
+function record(name, coords, { symbols = SYMBOLS, bonds = BONDS, score = '' } = {}) {
+  const f = (v) => v.toFixed(4).padStart(10);
+  return [
+    name, '  test', '',
+    `${String(symbols.length).padStart(3)}${String(bonds.length).padStart(3)}  0  0  0  0            999 V2000`,
+    ...coords.map(([x, y, z], i) => `${f(x)}${f(y)}${f(z)} ${symbols[i].padEnd(3)} 0  0  0  0  0  0  0  0  0  0  0  0`),
+    ...bonds.map(([a, b, o, st]) => `${String(a).padStart(3)}${String(b).padStart(3)}${String(o).padStart(3)}${String(st).padStart(3)}`),
+    'M  END', '> <SCORE>', score, '', '$$$$',
+  ].join('\n');
+}
+
+const FRAME0 = [[0, 0, 0], [1.5, 0, 0], [2.2, 1.2, 0.1], [3.6, 1.3, 0.3], [-0.8, -1.1, 0.2]];
+const FRAME1 = [[0.1, 0.2, -0.1], [1.3, 0.9, 0.4], [2.6, 0.8, 1.1], [3.1, 2.0, 1.8], [-0.5, -1.3, -0.6]];
+const TEXT = `${record('pose 1', FRAME0, { score: '-7.2' })}\n${record('pose 2', FRAME1, { score: '-6.1' })}\n`;
+
+const v = (p) => new THREE.Vector3(...p);
+const segDistance = (p, a, b) => new THREE.Line3(a, b).closestPointToPoint(p, true, new THREE.Vector3()).distanceTo(p);
+
+// Local cylinder axis end points (±0.5 along y) in group space
+function axisEnds(matrix) {
+  return [new THREE.Vector3(0, -0.5, 0).applyMatrix4(matrix), new THREE.Vector3(0, 0.5, 0).applyMatrix4(matrix)];
+}
+
+describe('loadSDFConformers', () => {
+  it('rejects records whose topology differs', () => {
+    const other = record('x', FRAME1, { symbols: ['C', 'C', 'C', 'S', 'N'] });
+    expect(() => loadSDFConformers(`${record('a', FRAME0)}\n${other}`)).toThrow(/record 1 .*atom 4 is S/);
+    const rewired = record('x', FRAME1, { bonds: [[1, 2, 1, 0], [2, 3, 1, 0], [3, 4, 1, 0], [1, 5, 1, 0]] });
+    expect(() => loadSDFConformers(`${record('a', FRAME0)}\n${rewired}`)).toThrow(/bond/);
+  });
+
+  it('moves atom meshes and re-seats bond cylinders, wedges and multiple bonds in place', () => {
+    const group = loadSDFConformers(TEXT, { showHydrogen: true, renderStereoBonds: true });
+    const children = [...group.children];
+    const meshes = group.userData.loadResult.mappings.atomIndexToMesh;
+    expect(group.userData.frameCount).toBe(2);
+    expect(group.userData.frameProperties[1].SCORE).toBe('-6.1');
+
+    expect(group.userData.setFrame(1)).toBe(1);
+    expect(group.children).toEqual(children);
+    meshes.forEach((mesh, i) => expect(mesh.position.distanceTo(v(FRAME1[i]))).toBeLessThan(1e-6));
+    const { x, y, z } = group.userData.loadResult.chemistry.atoms[3];
+    expect(v([x, y, z]).distanceTo(v(FRAME1[3]))).toBeLessThan(1e-6);
+
+    group.updateMatrixWorld(true);
+    let checked = 0;
+    group.traverse((obj) => {
+      if (!obj.isMesh || obj.userData.role !== 'bond') return;
+      const { beginAtomIndex, endAtomIndex, order } = obj.userData.bond;
+      const a = v(FRAME1[beginAtomIndex]);
+      const b = v(FRAME1[endAtomIndex]);
+      const [p, q] = axisEnds(obj.matrixWorld);
+      const tolerance = order === 2 ? 0.1 + 1e-5 : 1e-5;
+      expect(segDistance(p, a, b)).toBeLessThan(tolerance);
+      expect(segDistance(q, a, b)).toBeLessThan(tolerance);
+      checked += 1;
+    });
+    expect(checked).toBeGreaterThan(5); // single, 2× double, cone wedge, hashed pieces
+    // The single bond axis spans the new bond exactly
+    const single = group.userData.loadResult.mappings.bondIndexToMesh[3];
+    expect(axisEnds(single.matrixWorld)[0].distanceTo(v(FRAME1[0]))).toBeLessThan(1e-5);
+    expect(axisEnds(single.matrixWorld)[1].distanceTo(v(FRAME1[4]))).toBeLessThan(1e-5);
+
+    group.userData.setFrame(0);
+    meshes.forEach((mesh, i) => expect(mesh.position.distanceTo(v(FRAME0[i]))).toBeLessThan(1e-6));
+  });
+
+  it('matches a fresh build of the same frame in line mode', () => {
+    const opts = { showHydrogen: true, useCylinders: false, renderMultipleBonds: false };
+    const group = loadSDFConformers(TEXT, opts);
+    group.userData.setFrame(1);
+    const lines = (g) => g.children.find((o) => o.userData.role === 'bondsLineSegments').geometry.getAttribute('position').array;
+    const fresh = loadSDF(TEXT, { ...opts, index: 1 });
+    Array.from(lines(group)).forEach((x, k) => expect(x).toBeCloseTo(lines(fresh)[k], 5));
+    expect(Array.from(group.userData.bondSegmentsBVH.positions)).toEqual(Array.from(lines(group)));
+  });
+
+  it('updates instanced atoms and bonds', () => {
+    const group = loadSDFConformers(TEXT, { showHydrogen: true, instancing: true, instancedBonds: true });
+    group.userData.setFrame(1);
+    const { instancedAtoms, instancedBonds } = group.userData.loadResult.mappings;
+    expect(instancedBonds.instanceToBondIndex).toHaveLength(5); // the double bond draws two
+    const m = new THREE.Matrix4();
+    instancedAtoms.instanceToAtomIndex.forEach((atomIndex, k) => {
+      instancedAtoms.mesh.getMatrixAt(k, m);
+      expect(new THREE.Vector3().setFromMatrixPosition(m).distanceTo(v(FRAME1[atomIndex]))).toBeLessThan(1e-5);
+    });
+    instancedBonds.instanceToBondIndex.forEach((bondIndex, k) => {
+      instancedBonds.mesh.getMatrixAt(k, m);
+      const { beginAtomIndex, endAtomIndex } = instancedBonds.bondTable[bondIndex];
+      const [p, q] = axisEnds(m);
+      expect(segDistance(p, v(FRAME1[beginAtomIndex]), v(FRAME1[endAtomIndex]))).toBeLessThan(0.1 + 1e-5);
+      expect(segDistance(q, v(FRAME1[beginAtomIndex]), v(FRAME1[endAtomIndex]))).toBeLessThan(0.1 + 1e-5);
+    });
+  });
+
+  it('interpolates between frames, also headless', () => {
+    const group = loadSDFConformers(TEXT, { showHydrogen: true });
+    expect(group.userData.setFrameInterpolated(0.5)).toBe(0.5);
+    const mid = v(FRAME0[2]).lerp(v(FRAME1[2]), 0.5);
+    expect(group.userData.loadResult.mappings.atomIndexToMesh[2].position.distanceTo(mid)).toBeLessThan(1e-5);
+    expect(group.userData.setFrameInterpolated(7)).toBe(1);
+
+    const headless = loadSDFConformers(TEXT, { headless: true });
+    headless.userData.setFrameInterpolated(0.25);
+    const atom = headless.userData.loadResult.chemistry.atoms[1];
+    expect(atom.x).toBeCloseTo(1.5 + (1.3 - 1.5) * 0.25, 5);
+    expect(headless.userData.currentFrame).toBe(0.25);
+  });
+});
@@ -0,0 +1,127 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadSDF, parseSDF, parseSDFAll, parseSDFStream, SDFParseError } from '../src/index.js';
+
+const dir = path.dirname(new URL(import.meta.url).pathname);
+const DIBORANE = fs.readFileSync(path.join(dir, 'diborane.sdf'), 'utf8');
+
+const atom = (x, y, z, symbol) =>
+  `${x.padStart(10)}${y.padStart(10)}${z.padStart(10)} ${symbol.padEnd(3)} 0  0  0  0  0  0  0  0  0  0  0  0`;
+const bond = (a, b) => `${String(a).padStart(3)}${String(b).padStart(3)}  1  0`;
+const molfile = (counts, body, end = 'M  END') =>
+  ['broken', '  test', '', `${counts}  0  0  0  0            999 V2000`, ...body, end].join('\n');
+
+const codes = (list) => list.map((d) => d.code);
+
+describe('parse diagnostics', () => {
+  it('is empty for well-formed files', () => {
+    expect(parseSDF(DIBORANE).diagnostics).toEqual([]);
+    expect(loadSDF(DIBORANE).userData.loadResult.diagnostics).toEqual([]);
+  });
+
+  it('reports bad coordinates, unknown elements and bond indices with positions', () => {
+    const text = molfile('  3  2', [
+      atom('0.0000', '0.0000', '0.0000', 'C'),
+      atom('1.5000', 'abc', '0.0000', 'Xx'),
+      atom('3.0000', '0.0000', '0.0000', 'O'),
+      bond(1, 2),
+      bond(2, 9),
+    ], '');
+    const { diagnostics } = loadSDF(text).userData.loadResult;
+    expect(codes(diagnostics)).toEqual([
+      'invalid-coordinate',
+      'unknown-element',
+      'bond-atom-out-of-range',
+      'missing-m-end',
+    ]);
+    expect(diagnostics[0]).toMatchObject({ severity: 'error', recordIndex: 0, line: 6, column: 11, endColumn: 20 });
+    expect(diagnostics[1]).toMatchObject({ severity: 'warning', line: 6, column: 32, endColumn: 34 });
+    expect(diagnostics[2]).toMatchObject({ line: 9, column: 4, endColumn: 6 });
+    expect(diagnostics[2].message).toMatch(/atom 9/);
+    expect(diagnostics[3].severity).toBe('warning');
+  });
+
+  it('detects counts lines that disagree with the blocks', () => {
+    const short = molfile('  4  1', [
+      atom('0.0000', '0.0000', '0.0000', 'C'),
+      atom('1.5000', '0.0000', '0.0000', 'C'),
+      atom('3.0000', '0.0000', '0.0000', 'O'),
+      bond(1, 2),
+    ]);
+    const [first] = parseSDF(short).diagnostics;
+    expect(first).toMatchObject({ code: 'counts-mismatch', severity: 'error', line: 8 });
+    const extra = molfile('  2  1', [
+      atom('0.0000', '0.0000', '0.0000', 'C'),
+      atom('1.5000', '0.0000', '0.0000', 'C'),
+      bond(1, 2),
+      bond(2, 1),
+    ]);
+    expect(parseSDF(extra).diagnostics).toMatchObject([{ code: 'counts-mismatch', line: 8 }]);
+  });
+
+  it('numbers lines across the whole file for multi-record input', async () => {
+    const bad = molfile('  1  0', [atom('0.0000', 'nan', '0.0000', 'C')]);
+    const text = `${DIBORANE.trimEnd()}\n${bad}\n$$$$\n`;
+    const firstLines = DIBORANE.trimEnd().split('\n').length;
+    const [, second] = parseSDFAll(text);
+    expect(second.diagnostics).toMatchObject([{ code: 'invalid-coordinate', recordIndex: 1, line: firstLines + 5 }]);
+    const records = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const record of parseSDFStream(text)) records.push(record);
+    expect(records[1].diagnostics).toEqual(second.diagnostics);
+    expect(loadSDF(text, { index: 1 }).userData.loadResult.diagnostics).toEqual(second.diagnostics);
+  });
+
+  it('checks V3000 COUNTS and bond references', () => {
+    const text = [
+      'v3000', '', '',
+      '  0  0  0     0  0            999 V3000',
+      'M  V30 BEGIN CTAB',
+      'M  V30 COUNTS 3 1 0 0 0',
+      'M  V30 BEGIN ATOM',
+      'M  V30 1 C 0 0 0 0',
+      'M  V30 2 Qq 1.5 0 0 0',
+      'M  V30 END ATOM',
+      'M  V30 BEGIN BOND',
+      'M  V30 1 1 1 5',
+      'M  V30 END BOND',
+      'M  V30 END CTAB',
+      'M  END',
+    ].join('\n');
+    const { diagnostics } = parseSDF(text);
+    expect(codes(diagnostics)).toEqual(['unknown-element', 'bond-atom-out-of-range', 'counts-mismatch']);
+    expect(diagnostics[0]).toMatchObject({ line: 9, column: 10, endColumn: 11 });
+    expect(diagnostics[1]).toMatchObject({ line: 12, column: 14, endColumn: 14 });
+    expect(diagnostics[2]).toMatchObject({ line: 6 });
+  });
+});
+
+describe('strict mode', () => {
+  const broken = molfile('  2  1', [
+    atom('0.0000', '0.0000', '0.0000', 'C'),
+    atom('1.5000', '0.0000', '0.0000', 'C'),
+    bond(1, 7),
+  ]);
+
+  it('throws SDFParseError for error-level diagnostics', () => {
+    expect(() => parseSDF(broken, { strict: true })).toThrow(SDFParseError);
+    try {
+      loadSDF(`${DIBORANE.trimEnd()}\n${broken}\n`, { strict: true, index: 1 });
+      expect.unreachable();
+    } catch (error) {
+      expect(error).toBeInstanceOf(SDFParseError);
+      expect(error).toMatchObject({ code: 'bond-atom-out-of-range', recordIndex: 1, column: 4 });
+      expect(error.message).toMatch(/record 1, line \d+/);
+      expect(error.diagnostics).toHaveLength(1);
+    }
+  });
+
+  it('does not throw for warnings only', () => {
+    const warnOnly = molfile('  1  0', [atom('0.0000', '0.0000', '0.0000', 'Zz')], '');
+    const mol = parseSDF(warnOnly, { strict: true });
+    expect(codes(mol.diagnostics)).toEqual(['unknown-element', 'missing-m-end']);
+    expect(parseSDF(broken).diagnostics).toHaveLength(1);
+  });
+});
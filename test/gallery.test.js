@@ -0,0 +1,84 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { loadSDFGallery } from '../src/index.js';
+
+// Linear carbon chain along x with an SD tag block
+function chain(name, n, tags) {
+  const atoms = Array.from({ length: n }, (_, i) =>
+    `${(i * 1.5).toFixed(4).padStart(10)}${'0.0000'.padStart(10)}${'0.0000'.padStart(10)} C   0  0  0  0  0  0  0  0  0  0  0  0`,
+  );
+  const bonds = Array.from({ length: n - 1 }, (_, i) => `${String(i + 1).padStart(3)}${String(i + 2).padStart(3)}  1  0`);
+  const data = Object.entries(tags).map(([k, v]) => `> <${k}>\n${v}\n`);
+  return [name, '  test', '', `${String(n).padStart(3)}${String(n - 1).padStart(3)}  0  0  0  0            999 V2000`,
+    ...atoms, ...bonds, 'M  END', ...data, '$$$$'].join('\n');
+}
+
+const LIBRARY = [
+  chain('propane', 3, { MW: '44.1', ID: 'c3' }),
+  chain('octane', 8, { MW: '114.2', ID: 'c8' }),
+  chain('ethane', 2, { MW: '30.07', ID: 'c2' }),
+  chain('pentane', 5, { MW: '72.15', ID: 'c5' }),
+  chain('methanol?', 2, { ID: 'no-mw' }),
+].join('\n');
+
+const worldBox = (obj) => new THREE.Box3().setFromObject(obj);
+
+describe('loadSDFGallery', () => {
+  it('lays every record out in a grid of non-overlapping cells', () => {
+    const gallery = loadSDFGallery(LIBRARY, { columns: 2, spacing: 1 });
+    const { cells, recordIndexToCell } = gallery.userData;
+    expect(cells).toHaveLength(5);
+    expect(cells.map((c) => [c.row, c.column])).toEqual([[0, 0], [0, 1], [1, 0], [1, 1], [2, 0]]);
+    expect(recordIndexToCell.get(1).loadResult.metadata).toMatchObject({ title: 'octane', atomCount: 8 });
+    expect(recordIndexToCell.get(1).cell.userData.loadResult).toBe(recordIndexToCell.get(1).loadResult);
+    gallery.updateMatrixWorld(true);
+    const boxes = cells.map((c) => worldBox(c.cell));
+    for (let i = 0; i < boxes.length; i += 1) {
+      for (let j = i + 1; j < boxes.length; j += 1) expect(boxes[i].intersectsBox(boxes[j])).toBe(false);
+    }
+    // Cells are centred in their column; the wide octane pushes column 1 right
+    const centerX = (box) => box.getCenter(new THREE.Vector3()).x;
+    expect(centerX(boxes[0])).toBeCloseTo(centerX(boxes[2]), 6);
+    expect(boxes[3].min.x).toBeGreaterThan(boxes[0].max.x);
+  });
+
+  it('sorts by an SD tag and pages with offset/limit', () => {
+    const byMW = loadSDFGallery(LIBRARY, { sortBy: 'MW' });
+    expect(byMW.userData.cells.map((c) => c.recordIndex)).toEqual([2, 0, 3, 1, 4]);
+    const page = loadSDFGallery(LIBRARY, { sortBy: 'MW', descending: true, offset: 1, limit: 2 });
+    expect(page.userData.cells.map((c) => c.recordIndex)).toEqual([3, 0]);
+    expect(page.userData.recordCount).toBe(5);
+    const byAtoms = loadSDFGallery(LIBRARY, { sortBy: (a, b) => a.atoms.length - b.atoms.length, limit: 1 });
+    expect(byAtoms.userData.cells[0].loadResult.metadata.atomCount).toBe(2);
+  });
+
+  it('builds captions from titles, tags or a function', () => {
+    const tagged = loadSDFGallery(LIBRARY, { labels: ['ID', 'MW'] });
+    expect(tagged.userData.cells[0].caption).toBe('c3\n44.1');
+    expect(tagged.userData.cells[4].caption).toBe('no-mw');
+    const titled = loadSDFGallery(LIBRARY, { labels: true });
+    expect(titled.userData.cells[1].caption).toBe('octane');
+    const custom = loadSDFGallery(LIBRARY, { labels: (r) => `${r.atoms.length} atoms` });
+    expect(custom.userData.cells[3].caption).toBe('5 atoms');
+    expect(loadSDFGallery(LIBRARY).userData.cells[0].caption).toBeUndefined();
+  });
+
+  it('maps raycast hits back to the record index', () => {
+    const gallery = loadSDFGallery(LIBRARY, { columns: 3 });
+    const { cell } = gallery.userData.recordIndexToCell.get(3);
+    let atomMesh;
+    cell.traverse((o) => {
+      if (!atomMesh && o.userData.role === 'atom') atomMesh = o;
+    });
+    expect(gallery.userData.pickRecord({ object: atomMesh })).toBe(3);
+    expect(gallery.userData.pickRecord({ object: new THREE.Mesh() })).toBeNull();
+  });
+
+  it('works headless from atom positions', () => {
+    const gallery = loadSDFGallery(LIBRARY, { headless: true, columns: 5 });
+    const xs = gallery.userData.cells.map((c) => c.cell.position.x);
+    expect(xs).toEqual([...xs].sort((a, b) => a - b));
+    expect(new Set(xs).size).toBe(5);
+  });
+});
@@ -0,0 +1,132 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSDF, loadSMILES, parseSDF, writeSDF } from '../src/index.js';
+
+const ETHANOL_3D = `ethanol
+  test      3D
+
+  3  2  0  0  0  0  0  0  0  0999 V2000
+   -0.8883   -0.1670    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.4506    0.5381    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.5123   -0.4136    0.2000 O   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  2  3  1  0
+M  END
+`;
+
+// Ammonium, a methyl radical, a carbon with vvv = 3 and an N with hhh = 1 (query: H0 or more)
+const SPECIAL = `special
+  test
+
+  4  0  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 N   0  3  0  0  0  0  0  0  0  0  0  0
+    3.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    6.0000    0.0000    0.0000 C   0  0  0  0  0  3  0  0  0  0  0  0
+    9.0000    0.0000    0.0000 N   0  0  0  1  0  0  0  0  0  0  0  0
+M  CHG  1   1   1
+M  RAD  1   2   2
+M  END
+`;
+
+const ETHYLENE_2D = `ethylene
+  test      2D
+
+  2  1  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.3000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  2  0
+M  END
+`;
+
+const implicitCounts = (group) => group.userData.loadResult.chemistry.atoms.map((a) => a.implicitHydrogenCount);
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+const angle = (center, a, b) => {
+  const u = [a.x - center.x, a.y - center.y, a.z - center.z];
+  const v = [b.x - center.x, b.y - center.y, b.z - center.z];
+  const dot = u.reduce((s, x, k) => s + x * v[k], 0);
+  return (Math.acos(dot / (Math.hypot(...u) * Math.hypot(...v))) * 180) / Math.PI;
+};
+
+describe('implicit hydrogen counts', () => {
+  it('fills default valences, with aromatic bonds counting 1.5', () => {
+    const counts = (smiles) => implicitCounts(loadSMILES(smiles, { headless: true }));
+    expect(counts('CC(=O)[O-]')).toEqual([3, 0, 0, 0]);
+    expect(counts('c1ccccc1')).toEqual([1, 1, 1, 1, 1, 1]);
+    expect(counts('C#N')).toEqual([1, 0]);
+    expect(counts('CS(=O)(=O)C')).toEqual([3, 0, 0, 0, 3]);
+    expect(counts('[NH4+]')).toEqual([4]);
+  });
+
+  it('applies charges, radicals and the vvv / hhh atom fields', () => {
+    expect(implicitCounts(loadSDF(SPECIAL, { headless: true }))).toEqual([4, 3, 3, 3]);
+    // hhh = 5 asks for at least 4 hydrogens
+    expect(implicitCounts(loadSDF(SPECIAL.replace('N   0  0  0  1', 'N   0  0  0  5'), { headless: true }))[3]).toBe(4);
+    expect(implicitCounts(loadSDF(SPECIAL, { headless: true, addHydrogens: 'none' }))).toEqual([
+      undefined,
+      undefined,
+      undefined,
+      undefined,
+    ]);
+  });
+
+  it('round-trips the hhh / HCOUNT query minimum and writes no query for fixed counts', () => {
+    const mol = parseSDF(SPECIAL);
+    expect(mol.atoms[3].hydrogenCount).toBeUndefined();
+    expect(mol.atoms[3].query).toEqual({ minHydrogenCount: 0 });
+    expect(parseSDF(writeSDF(mol)).atoms[3].query).toEqual({ minHydrogenCount: 0 });
+    const v3000 = writeSDF(mol, { format: 'V3000' });
+    expect(v3000).toContain('HCOUNT=-1');
+    expect(parseSDF(v3000).atoms[3].query).toEqual({ minHydrogenCount: 0 });
+
+    const ammonium = loadSMILES('[NH4+]');
+    expect(parseSDF(writeSDF(ammonium)).atoms[0].query).toBeUndefined();
+    expect(writeSDF(ammonium, { format: 'V3000' })).not.toContain('HCOUNT');
+  });
+});
+
+describe("addHydrogens: 'explicit3d'", () => {
+  it('adds pickable hydrogens at tetrahedral geometry and X–H bond lengths', () => {
+    const group = loadSDF(ETHANOL_3D, { addHydrogens: 'explicit3d' });
+    const { chemistry, mappings } = group.userData.loadResult;
+    const added = chemistry.atoms.filter((a) => a.addedHydrogen);
+    expect(added).toHaveLength(6);
+    expect(implicitCounts(group).every((n) => n === 0)).toBe(true);
+
+    const hBonds = chemistry.bonds.filter((b) => b.source === 'addedHydrogen');
+    expect(hBonds.map((b) => b.beginAtomIndex)).toEqual([0, 0, 0, 1, 1, 2]);
+    const [ch, , , , , oh] = hBonds.map((b) => distance(chemistry.atoms[b.beginAtomIndex], chemistry.atoms[b.endAtomIndex]));
+    expect(ch).toBeCloseTo(1.09, 3);
+    expect(oh).toBeCloseTo(0.96, 3);
+    const [c1, c2] = chemistry.atoms;
+    expect(angle(c1, c2, added[0])).toBeCloseTo(109.47, 1);
+    expect(angle(c1, added[0], added[1])).toBeCloseTo(109.47, 1);
+
+    const mesh = mappings.atomIndexToMesh[added[0].index];
+    expect(mesh.visible).toBe(true);
+    expect(mappings.meshUuidToAtomIndex.get(mesh.uuid)).toBe(added[0].index);
+  });
+
+  it('keeps sp2 hydrogens in the plane of a 2D drawing', () => {
+    const { atoms } = loadSDF(ETHYLENE_2D, { addHydrogens: 'explicit3d' }).userData.loadResult.chemistry;
+    expect(atoms).toHaveLength(6);
+    atoms.forEach((a) => expect(a.z).toBeCloseTo(0, 6));
+    expect(angle(atoms[0], atoms[1], atoms[2])).toBeCloseTo(120, 3);
+    expect(angle(atoms[0], atoms[2], atoms[3])).toBeCloseTo(120, 3);
+  });
+
+  it('respects includeHydrogens: false', () => {
+    const group = loadSDF(ETHANOL_3D, { addHydrogens: 'explicit3d', includeHydrogens: false });
+    const { chemistry, mappings } = group.userData.loadResult;
+    expect(chemistry.atoms).toHaveLength(9);
+    expect(mappings.atomIndexToMesh.filter(Boolean)).toHaveLength(3);
+  });
+
+  it('shows placed hydrogens by default and hides them only when asked', () => {
+    const atomMeshes = (options) =>
+      loadSMILES('CO', { addHydrogens: 'explicit3d', ...options }).children.filter((o) => o.userData.role === 'atom');
+    expect(atomMeshes({})).toHaveLength(6);
+    expect(atomMeshes({ showHydrogen: true })).toHaveLength(6);
+    expect(atomMeshes({ showHydrogen: false })).toHaveLength(2);
+    expect(atomMeshes({ includeHydrogens: false })).toHaveLength(2);
+  });
+});
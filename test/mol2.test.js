@@ -0,0 +1,113 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { loadMOL2, parseMOL2 } from '../src/index.js';
+
+// Benzamide (heavy atoms + amide H) with aromatic and amide bonds
+const BENZAMIDE_MOL2 = `# docking pose 1
+@<TRIPOS>MOLECULE
+benzamide
+ 10 10 1 0 0
+SMALL
+GASTEIGER
+
+@<TRIPOS>ATOM
+      1 C1          1.2124    0.7000    0.1000 C.ar    1  LIG1       -0.0450
+      2 C2          1.2124   -0.7000    0.1000 C.ar    1  LIG1       -0.0580
+      3 C3          0.0000   -1.4000    0.1000 C.ar    1  LIG1       -0.0610
+      4 C4         -1.2124   -0.7000    0.1000 C.ar    1  LIG1       -0.0620
+      5 C5         -1.2124    0.7000    0.1000 C.ar    1  LIG1       -0.0610
+      6 C6          0.0000    1.4000    0.1000 C.ar    1  LIG1       -0.0200
+      7 C7          0.0000    2.9000    0.1000 C.2     1  LIG1        0.2500
+      8 O8          1.0500    3.5000    0.1000 O.2     1  LIG1       -0.2700
+      9 N9         -1.2000    3.5000    0.1000 N.am    1  LIG1       -0.3700
+     10 Cl10        2.6000    1.4000    0.1000 Cl      1  LIG1       -0.0840
+@<TRIPOS>BOND
+     1     1     2   ar
+     2     2     3   ar
+     3     3     4   ar
+     4     4     5   ar
+     5     5     6   ar
+     6     6     1   ar
+     7     6     7    1
+     8     7     8    2
+     9     7     9   am
+    10     1    10    1
+@<TRIPOS>SUBSTRUCTURE
+     1 LIG1        1 GROUP             0 A     ****  0 ROOT
+`;
+
+describe('MOL2 loader', () => {
+  it('parses SYBYL atom types, partial charges and substructures', () => {
+    const mol = parseMOL2(BENZAMIDE_MOL2);
+    expect(mol.name).toBe('benzamide');
+    expect(mol.atoms).toHaveLength(10);
+    expect(mol.bonds).toHaveLength(10);
+    expect(mol.atoms[0]).toMatchObject({ symbol: 'C', atomType: 'C.ar', partialCharge: -0.045 });
+    expect(mol.atoms[8]).toMatchObject({ symbol: 'N', atomName: 'N9', substructureName: 'LIG1' });
+    expect(mol.atoms[9].symbol).toBe('Cl');
+    expect(mol.atoms[0].chainId).toBe('A');
+    expect(mol.substructures[0]).toMatchObject({ id: 1, name: 'LIG1', rootAtom: 1 });
+  });
+
+  it('maps ar bonds to order 4 and am bonds to amide bonds', () => {
+    const group = loadMOL2(BENZAMIDE_MOL2, { headless: true });
+    const { chemistry, metadata } = group.userData.loadResult;
+    expect(metadata.format).toBe('mol2');
+    expect(metadata.title).toBe('benzamide');
+    expect(chemistry.bonds[0]).toMatchObject({ originalOrder: 4, isAromatic: true });
+    expect(chemistry.bonds[8]).toMatchObject({ order: 1, isAmide: true });
+    expect(chemistry.atoms[6]).toMatchObject({ atomType: 'C.2', partialCharge: 0.25 });
+  });
+
+  it('localizes carboxylate and nitro ar bonds outside rings', () => {
+    const benzoate = BENZAMIDE_MOL2.replace('O8          1.0500    3.5000    0.1000 O.2 ', 'O8          1.0500    3.5000    0.1000 O.co2')
+      .replace('N9         -1.2000    3.5000    0.1000 N.am ', 'O9         -1.2000    3.5000    0.1000 O.co2')
+      .replace('     8     7     8    2', '     8     7     8   ar')
+      .replace('     9     7     9   am', '     9     7     9   ar');
+    const { chemistry } = loadMOL2(benzoate, { headless: true }).userData.loadResult;
+    expect(chemistry.bonds.slice(0, 6).every((b) => b.isAromatic)).toBe(true);
+    expect(chemistry.bonds.slice(7, 9).map((b) => b.order)).toEqual([2, 1]);
+    expect(chemistry.atoms.slice(7, 9).map((a) => [a.formalCharge, a.implicitHydrogenCount])).toEqual([[0, 0], [-1, 0]]);
+
+    const nitro = parseMOL2(`@<TRIPOS>MOLECULE
+nitromethane
+ 4 3 0 0 0
+SMALL
+NO_CHARGES
+
+@<TRIPOS>ATOM
+ 1 C1 0.0000 0.0000 0.0000 C.3
+ 2 N1 1.4900 0.0000 0.0000 N.pl3
+ 3 O1 2.1000 1.0600 0.0000 O.co2
+ 4 O2 2.1000 -1.0600 0.0000 O.co2
+@<TRIPOS>BOND
+ 1 1 2 1
+ 2 2 3 ar
+ 3 2 4 ar
+`);
+    expect(nitro.bonds.map((b) => b.order)).toEqual([1, 2, 1]);
+    expect(nitro.atoms.map((a) => a.charge)).toEqual([undefined, 1, undefined, -1]);
+  });
+
+  it('builds a pickable group like loadSDF', () => {
+    const group = loadMOL2(BENZAMIDE_MOL2, { useCylinders: true });
+    expect(group).toBeInstanceOf(THREE.Group);
+    expect(group.name).toBe('benzamide');
+    const res = group.userData.loadResult;
+    const mesh = res.mappings.atomIndexToMesh[7];
+    expect(mesh.userData.atom.atomType).toBe('O.2');
+    expect(group.userData.pickAtom({ object: mesh })).toBe(7);
+    const { sphere } = group.userData.center('center');
+    expect(sphere.center.length()).toBeLessThan(1e-6);
+    expect(() => group.userData.dispose()).not.toThrow();
+  });
+
+  it('selects molecules from multi-molecule files via index', () => {
+    const second = BENZAMIDE_MOL2.replace('benzamide', 'pose2');
+    const both = `${BENZAMIDE_MOL2}\n${second}`;
+    expect(parseMOL2(both, { index: 1 }).name).toBe('pose2');
+    const group = loadMOL2(both, { index: 1, headless: true });
+    expect(group.userData.loadResult.metadata.title).toBe('pose2');
+  });
+});
@@ -0,0 +1,208 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { loadPDB, parsePDB, parseMMCIF } from '../src/index.js';
+
+const DIPEPTIDE_PDB = `HEADER    HYDROLASE                               01-JAN-24   1ABC              
+TITLE     DIPEPTIDE WITH ACETATE
+ATOM      1  N   ALA A   1       0.000   0.000   0.000  1.00 11.00           N  
+ATOM      2  CA  ALA A   1       1.460   0.000   0.000  1.00 12.00           C  
+ATOM      3  C   ALA A   1       2.000   1.400   0.000  1.00 13.00           C  
+ATOM      4  O   ALA A   1       1.300   2.400   0.000  1.00 14.00           O  
+ATOM      5  CB  ALA A   1       2.000  -0.800   1.200  1.00 15.00           C  
+ATOM      6  N   GLY A   2       3.300   1.500   0.000  1.00 16.00           N  
+ATOM      7  CA  GLY A   2       4.000   2.800   0.000  1.00 17.00           C  
+ATOM      8  C   GLY A   2       5.500   2.600   0.000  1.00 18.00           C  
+ATOM      9  O   GLY A   2       6.100   1.600   0.000  1.00 19.00           O  
+ATOM     10  OXT GLY A   2       6.100   3.600   0.000  1.00 20.00           O  
+HETATM   11  C1  ACT A 101      10.000   0.000   0.000  1.00 21.00           C  
+HETATM   12  O1  ACT A 101      10.600   1.100   0.000  1.00 22.00           O  
+HETATM   13  O2  ACT A 101      10.600  -1.100   0.000  1.00 23.00           O  
+HETATM   14  C2  ACT A 101       8.500   0.000   0.000  1.00 24.00           C  
+HETATM   15  O   HOH A 201       0.000   5.000   0.000  1.00 25.00           O  
+HETATM   16  H1  HOH A 201       0.960   5.000   0.000  1.00 26.00           H  
+HETATM   17  H2  HOH A 201      -0.240   5.930   0.000  1.00 27.00           H  
+HETATM   18 ZN    ZN A 301      20.000   0.000   0.000  1.00 28.00          ZN2+
+CONECT   11   12   12   13   14
+CONECT   12   11   11
+CONECT   13   11
+CONECT   14   11
+END
+`;
+
+const DIPEPTIDE_CIF = `data_1ABC
+#
+_entry.id 1ABC
+_struct.title 'Dipeptide with a disulfide-like link'
+#
+loop_
+_atom_site.group_PDB
+_atom_site.id
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_alt_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.label_seq_id
+_atom_site.pdbx_PDB_ins_code
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.occupancy
+_atom_site.B_iso_or_equiv
+_atom_site.pdbx_formal_charge
+_atom_site.auth_seq_id
+_atom_site.auth_asym_id
+_atom_site.pdbx_PDB_model_num
+ATOM   1 N N   . ALA A 1 ? 0.000 0.000  0.000 1.00 11.00 ? 1 A 1
+ATOM   2 C CA  . ALA A 1 ? 1.460 0.000  0.000 1.00 12.00 ? 1 A 1
+ATOM   3 C C   . ALA A 1 ? 2.000 1.400  0.000 1.00 13.00 ? 1 A 1
+ATOM   4 O O   . ALA A 1 ? 1.300 2.400  0.000 1.00 14.00 ? 1 A 1
+ATOM   5 C CB  A ALA A 1 ? 2.000 -0.800 1.200 0.60 15.00 ? 1 A 1
+ATOM   6 C CB  B ALA A 1 ? 2.100 -0.700 1.300 0.40 15.00 ? 1 A 1
+ATOM   7 N N   . GLY A 2 ? 3.300 1.500  0.000 1.00 16.00 ? 2 A 1
+ATOM   8 C CA  . GLY A 2 ? 4.000 2.800  0.000 1.00 17.00 ? 2 A 1
+HETATM 9 ZN ZN . ZN B . ? 3.000 -2.000 1.000 1.00 30.00 2 301 A 1
+ATOM   10 N N  . ALA A 1 ? 9.000 9.000  9.000 1.00 11.00 ? 1 A 2
+#
+loop_
+_struct_conn.id
+_struct_conn.conn_type_id
+_struct_conn.ptnr1_label_asym_id
+_struct_conn.ptnr1_label_atom_id
+_struct_conn.ptnr1_auth_seq_id
+_struct_conn.ptnr1_auth_asym_id
+_struct_conn.ptnr2_label_asym_id
+_struct_conn.ptnr2_label_atom_id
+_struct_conn.ptnr2_auth_seq_id
+_struct_conn.ptnr2_auth_asym_id
+metalc1 metalc A CB 1 A B ZN 301 A
+#
+`;
+
+describe('PDB parser', () => {
+  it('reads residue, chain and crystallographic fields', () => {
+    const mol = parsePDB(DIPEPTIDE_PDB);
+    expect(mol.atoms).toHaveLength(18);
+    expect(mol.atoms[1]).toMatchObject({
+      symbol: 'C',
+      atomName: 'CA',
+      residueName: 'ALA',
+      residueNumber: 1,
+      chainId: 'A',
+      occupancy: 1,
+      bFactor: 12,
+      isHetero: false,
+    });
+    expect(mol.atoms[17]).toMatchObject({ symbol: 'Zn', charge: 2, isHetero: true });
+    expect(mol.properties).toMatchObject({ id: '1ABC', title: 'DIPEPTIDE WITH ACETATE' });
+  });
+
+  it('builds template, peptide, hydrogen and CONECT bonds', () => {
+    const { bonds } = parsePDB(DIPEPTIDE_PDB);
+    const find = (a, b) =>
+      bonds.find(
+        (x) =>
+          (x.beginAtomIdx === a && x.endAtomIdx === b) ||
+          (x.beginAtomIdx === b && x.endAtomIdx === a),
+      );
+    expect(find(3, 4)).toMatchObject({ order: 2, source: 'residueTemplate' }); // C=O
+    expect(find(3, 6)).toMatchObject({ order: 1 }); // peptide C–N
+    expect(find(15, 16)).toBeTruthy(); // water O–H
+    expect(find(11, 12)).toMatchObject({ order: 2, source: 'conect' });
+    expect(find(11, 14)).toMatchObject({ order: 1, source: 'conect' });
+    expect(find(5, 6)).toBeUndefined();
+  });
+
+  it('perceives bonds inside ligands that have no CONECT records', () => {
+    const noConect = DIPEPTIDE_PDB.replace(/^CONECT.*\n/gm, '');
+    const { bonds } = parsePDB(noConect);
+    const ligand = bonds.filter((b) => b.beginAtomIdx >= 11 && b.beginAtomIdx <= 14);
+    expect(ligand.map((b) => `${b.beginAtomIdx}-${b.endAtomIdx}`).sort()).toEqual(['11-12', '11-13', '11-14']);
+    ligand.forEach((b) => expect(b).toMatchObject({ order: 1, source: 'inferredCovalent' }));
+    // Explicit CONECT records win; water and the lone zinc get nothing new
+    expect(parsePDB(DIPEPTIDE_PDB).bonds.filter((b) => b.source === 'inferredCovalent')).toHaveLength(0);
+    expect(bonds.filter((b) => b.beginAtomIdx >= 15 || b.endAtomIdx >= 15)).toHaveLength(2);
+  });
+});
+
+describe('mmCIF parser', () => {
+  it('reads the first model and first alternate location', () => {
+    const mol = parseMMCIF(DIPEPTIDE_CIF);
+    expect(mol.atoms).toHaveLength(8);
+    expect(mol.atoms[4]).toMatchObject({ atomName: 'CB', altLoc: 'A', occupancy: 0.6 });
+    expect(mol.atoms[7]).toMatchObject({ symbol: 'Zn', residueNumber: 301, charge: 2 });
+    expect(mol.properties.title).toBe('Dipeptide with a disulfide-like link');
+  });
+
+  it('adds struct_conn links on top of template bonds', () => {
+    const { bonds } = parseMMCIF(DIPEPTIDE_CIF);
+    expect(bonds.some((b) => b.beginAtomIdx === 5 && b.endAtomIdx === 8 && b.order === 0)).toBe(
+      true,
+    );
+    expect(bonds.some((b) => b.beginAtomIdx === 3 && b.endAtomIdx === 6)).toBe(true);
+  });
+
+  it('tells residues apart by insertion code when resolving struct_conn', () => {
+    const cif = `data_INS
+loop_
+_atom_site.group_PDB
+_atom_site.id
+_atom_site.type_symbol
+_atom_site.label_atom_id
+_atom_site.label_comp_id
+_atom_site.label_asym_id
+_atom_site.pdbx_PDB_ins_code
+_atom_site.Cartn_x
+_atom_site.Cartn_y
+_atom_site.Cartn_z
+_atom_site.auth_seq_id
+_atom_site.auth_asym_id
+ATOM   1 S SG CYS A ? 0.000 0.000 0.000 52 A
+ATOM   2 S SG CYS A A 5.000 0.000 0.000 52 A
+HETATM 3 ZN ZN ZN B ? 7.300 0.000 0.000 301 A
+#
+loop_
+_struct_conn.id
+_struct_conn.conn_type_id
+_struct_conn.ptnr1_auth_asym_id
+_struct_conn.ptnr1_auth_seq_id
+_struct_conn.pdbx_ptnr1_PDB_ins_code
+_struct_conn.ptnr1_label_atom_id
+_struct_conn.ptnr2_auth_asym_id
+_struct_conn.ptnr2_auth_seq_id
+_struct_conn.pdbx_ptnr2_PDB_ins_code
+_struct_conn.ptnr2_label_atom_id
+metalc1 metalc A 52 ? SG A 301 ? ZN
+#
+`;
+    const { atoms, bonds } = parseMMCIF(cif);
+    expect(atoms[1].insertionCode).toBe('A');
+    expect(bonds).toEqual([{ beginAtomIdx: 1, endAtomIdx: 3, order: 0, source: 'conect' }]);
+  });
+});
+
+describe('loadPDB', () => {
+  it('renders through the shared builder and exposes residue metadata', () => {
+    const group = loadPDB(DIPEPTIDE_PDB, { includeHydrogens: true });
+    expect(group).toBeInstanceOf(THREE.Group);
+    const res = group.userData.loadResult;
+    expect(res.metadata.format).toBe('pdb');
+    expect(res.metadata.title).toBe('1ABC');
+    expect(res.chemistry.atoms[12]).toMatchObject({
+      residueName: 'ACT',
+      residueNumber: 101,
+      atomName: 'O2',
+      bFactor: 23,
+      isHetero: true,
+    });
+    const mesh = res.mappings.atomIndexToMesh[0];
+    expect(group.userData.pickAtom({ object: mesh })).toBe(0);
+  });
+
+  it('detects mmCIF input', () => {
+    const group = loadPDB(DIPEPTIDE_CIF, { headless: true });
+    expect(group.userData.loadResult.metadata.format).toBe('mmcif');
+    expect(group.userData.loadResult.chemistry.atoms).toHaveLength(8);
+  });
+});
@@ -0,0 +1,100 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSDF, parseSDF, writeSDF } from '../src/index.js';
+
+const QUERY_MOL = `query
+  test
+
+  6  5  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.5000    0.0000    0.0000 L   0  0  0  0  0  0  0  0  0  0  0  0
+    3.0000    0.0000    0.0000 A   0  0  0  0  0  0  0  0  0  0  0  0
+    4.5000    0.0000    0.0000 Q   0  0  0  0  0  0  0  0  0  0  0  0
+    6.0000    0.0000    0.0000 *   0  0  0  0  0  0  0  0  0  0  0  0
+    7.5000    0.0000    0.0000 R#  0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  5  0
+  2  3  6  0
+  3  4  7  0
+  4  5  8  0
+  5  6  1  0
+M  ALS   2  2 F C   N
+M  RGP  1   6   2
+M  END
+`;
+
+const QUERY_V3000 = `rgroup
+  test
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 2 1 0 0 0
+M  V30 BEGIN ATOM
+M  V30 1 C 0 0 0 0
+M  V30 2 R# 1.5 0 0 0 RGROUPS=(2 1 3)
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 8 1 2
+M  V30 END BOND
+M  V30 END CTAB
+M  END
+`;
+
+describe('query atoms', () => {
+  it('describes lists, generic atoms and R-groups in the atom metadata', () => {
+    const { atoms } = loadSDF(QUERY_MOL).userData.loadResult.chemistry;
+    expect(atoms[0].queryAtom).toBeUndefined();
+    expect(atoms[1].queryAtom).toEqual({ type: 'list', label: '[C,N]', elements: ['C', 'N'], exclude: false });
+    expect(atoms[2].queryAtom).toMatchObject({ type: 'anyHeavy', label: 'A' });
+    expect(atoms[3].queryAtom.type).toBe('heteroatom');
+    expect(atoms[4].queryAtom.type).toBe('any');
+    expect(atoms[5].queryAtom).toEqual({ type: 'rgroup', label: 'R2', rgroups: [2] });
+    expect(atoms[5].rgroups).toEqual([2]);
+  });
+
+  it('reads V3000 RGROUPS and writes R-groups back in both formats', () => {
+    const mol = parseSDF(QUERY_V3000);
+    expect(mol.atoms[1].rgroups).toEqual([1, 3]);
+    const v2000 = writeSDF(mol);
+    expect(v2000).toContain('M  RGP  2   2   1   2   3');
+    expect(parseSDF(v2000).atoms[1].rgroups).toEqual([1, 3]);
+    expect(parseSDF(writeSDF(mol, { format: 'V3000' })).atoms[1].rgroups).toEqual([1, 3]);
+  });
+
+  it('colours query pseudo-atoms instead of falling back to white', () => {
+    const colorOf = (group, i) => group.userData.loadResult.mappings.atomIndexToMesh[i].material.color.getHex();
+    const group = loadSDF(QUERY_MOL);
+    expect(colorOf(group, 2)).not.toBe(0xffffff);
+    expect(colorOf(group, 5)).not.toBe(colorOf(group, 2));
+    expect(colorOf(loadSDF(QUERY_MOL, { renderQueryFeatures: false }), 2)).toBe(0xffffff);
+  });
+});
+
+describe('query bonds', () => {
+  it('records query semantics on BondMeta and normalises the order to 1', () => {
+    const { bonds } = loadSDF(QUERY_MOL).userData.loadResult.chemistry;
+    expect(bonds.slice(0, 4).map((b) => b.query)).toEqual(['singleOrDouble', 'singleOrAromatic', 'doubleOrAromatic', 'any']);
+    expect(bonds.slice(0, 4).map((b) => b.originalOrder)).toEqual([5, 6, 7, 8]);
+    bonds.slice(0, 4).forEach((b) => expect(b.order).toBe(1));
+    expect(bonds[4].query).toBeUndefined();
+    expect(parseSDF(QUERY_V3000).bonds[0].order).toBe(8);
+  });
+
+  it('renders each query bond type as a distinct striped pattern', () => {
+    const group = loadSDF(QUERY_MOL);
+    const stripes = group.children.filter((o) => o.isGroup && o.userData.role === 'bond' && o.userData.bond?.query);
+    expect(stripes).toHaveLength(4);
+    const colors = stripes.map((g) => g.children[0].material.color.getHex());
+    expect(new Set(colors).size).toBe(4);
+    stripes.forEach((g) => {
+      expect(g.children.length).toBeGreaterThan(1);
+      expect(group.userData.loadResult.mappings.meshUuidToBondIndex.get(g.children[0].uuid)).toBe(g.userData.bond.index);
+    });
+  });
+
+  it('uses dashed lines in line mode', () => {
+    const group = loadSDF(QUERY_MOL, { useCylinders: false });
+    const dashed = group.children.filter((o) => o.isLine && o.userData.bond?.query);
+    expect(dashed).toHaveLength(4);
+    expect(dashed[0].material.isLineDashedMaterial).toBe(true);
+  });
+});
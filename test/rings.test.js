@@ -0,0 +1,82 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSDF, loadSMILES } from '../src/index.js';
+
+// Cyclopropane in the xz plane with a methyl group
+const METHYLCYCLOPROPANE = `methylcyclopropane
+  test
+
+  4  4  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.5000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.7500    0.0000    1.3000 C   0  0  0  0  0  0  0  0  0  0  0  0
+   -1.4000    0.0000   -0.5000 C   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  2  3  1  0
+  3  1  1  0
+  1  4  1  0
+M  END
+`;
+
+describe('chemistry.rings', () => {
+  it('lists SSSR rings with size, aromaticity and ring systems', () => {
+    // 1-phenylnaphthalene-like: a fused system and a separate benzene ring
+    const { chemistry } = loadSMILES('c1ccc2ccccc2c1-c1ccccc1').userData.loadResult;
+    expect(chemistry.rings.map((r) => r.size)).toEqual([6, 6, 6]);
+    expect(chemistry.rings.every((r) => r.aromatic)).toBe(true);
+    expect(chemistry.ringSystems.map((s) => s.ringIndices.length).sort()).toEqual([1, 2]);
+    const fused = chemistry.ringSystems.find((s) => s.ringIndices.length === 2);
+    expect(fused.atomIndices).toHaveLength(10);
+    expect(fused.bondIndices).toHaveLength(11);
+    fused.ringIndices.forEach((r) => expect(chemistry.rings[r].systemIndex).toBe(fused.index));
+
+    const ringCounts = chemistry.atoms.map((a) => a.ringCount);
+    expect(ringCounts.filter((n) => n === 2)).toHaveLength(2);
+    expect(ringCounts.every((n) => n >= 1)).toBe(true);
+    const linker = chemistry.bonds.find((b) => !b.inRing);
+    expect(linker).toBeDefined();
+    expect(chemistry.bonds.filter((b) => !b.inRing)).toHaveLength(1);
+  });
+
+  it('finds a full ring basis in cages', () => {
+    [
+      ['C12C3C4C1C5C2C3C45', 4], // cubane
+      ['C1C2CC3CC1CC(C2)C3', 6], // adamantane
+      ['C12C3C1C4C2C34', 3], // prismane
+      ['C12C3C4C5C6C1C7C6C5C4C3C27', 4], // hexagonal prism
+    ].forEach(([smiles, smallest]) => {
+      const { atoms, bonds, rings } = loadSMILES(smiles, { headless: true }).userData.loadResult.chemistry;
+      expect(rings).toHaveLength(bonds.length - atoms.length + 1);
+      expect(Math.min(...rings.map((r) => r.size))).toBe(smallest);
+      expect(bonds.every((b) => b.inRing)).toBe(true);
+    });
+  });
+
+  it('gives centroid and normal, also headless', () => {
+    [loadSDF(METHYLCYCLOPROPANE), loadSDF(METHYLCYCLOPROPANE, { headless: true })].forEach((group) => {
+      const { rings, atoms, bonds, ringSystems } = group.userData.loadResult.chemistry;
+      expect(rings).toHaveLength(1);
+      const [ring] = rings;
+      expect([...ring.atomIndices].sort()).toEqual([0, 1, 2]);
+      expect([...ring.bondIndices].sort()).toEqual([0, 1, 2]);
+      expect(ring.aromatic).toBe(false);
+      expect(ring.centroid.x).toBeCloseTo(0.75, 6);
+      expect(ring.centroid.z).toBeCloseTo(1.3 / 3, 6);
+      expect(Math.abs(ring.normal.y)).toBeCloseTo(1, 6);
+      expect(ringSystems).toEqual([{ index: 0, ringIndices: [0], atomIndices: [0, 1, 2], bondIndices: [0, 1, 2] }]);
+      expect(atoms.map((a) => a.ringCount)).toEqual([1, 1, 1, 0]);
+      expect(bonds.map((b) => b.inRing)).toEqual([true, true, true, false]);
+    });
+  });
+
+  it('points 2D ring normals toward +z and follows setAtomPositions', () => {
+    const group = loadSMILES('C1CCCCC1');
+    const [ring] = group.userData.loadResult.chemistry.rings;
+    expect(ring.normal).toEqual({ x: 0, y: 0, z: 1 });
+    const coords = group.userData.loadResult.chemistry.atoms.flatMap((a) => [a.x + 2, a.y, a.z]);
+    const before = ring.centroid.x;
+    group.userData.setAtomPositions(coords);
+    expect(ring.centroid.x).toBeCloseTo(before + 2, 6);
+    expect(group.userData.loadResult.mappings.bondIndexToMesh[0].userData.bond.inRing).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSDF, parseSDF, parseSDFAll } from '../src/index.js';
+
+const RECORD = `ethanol
+  test
+
+  3  2  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.5000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    2.2500    1.3000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  2  3  1  0
+M  END
+> <PUBCHEM_COMPOUND_CID>
+702
+
+> <PUBCHEM_MMFF94_PARTIAL_CHARGES>
+3
+1 0.28
+2 0.28
+3 -0.68
+
+> <PUBCHEM_COORDINATE_TYPE>
+1
+5
+255
+
+> 25  <SYNONYMS> (MFCD00003568)
+ethanol
+ethyl alcohol
+
+>  DT12
+ignored header tag
+
+> <EMPTY>
+
+$$$$
+`;
+
+describe('SD data fields', () => {
+  it('keeps full multi-line values as raw strings', () => {
+    const { properties } = parseSDF(RECORD);
+    expect(properties.PUBCHEM_COMPOUND_CID).toBe('702');
+    expect(properties.PUBCHEM_MMFF94_PARTIAL_CHARGES).toBe('3\n1 0.28\n2 0.28\n3 -0.68');
+    expect(properties.PUBCHEM_COORDINATE_TYPE).toBe('1\n5\n255');
+    expect(properties.SYNONYMS).toBe('ethanol\nethyl alcohol');
+    expect(properties.DT12).toBe('ignored header tag');
+    expect(properties.EMPTY).toBe('');
+  });
+
+  it('is consistent across records', () => {
+    const all = parseSDFAll(`${RECORD}${RECORD}`);
+    expect(all).toHaveLength(2);
+    expect(all[1].properties).toEqual(all[0].properties);
+  });
+
+  it('adds a typed view when typedProperties is set', () => {
+    const plain = loadSDF(RECORD);
+    expect(plain.userData.typedProperties).toBeUndefined();
+    const group = loadSDF(RECORD, { typedProperties: true });
+    const typed = group.userData.typedProperties;
+    expect(group.userData.properties.PUBCHEM_COMPOUND_CID).toBe('702');
+    expect(typed.PUBCHEM_COMPOUND_CID).toBe(702);
+    expect(typed.PUBCHEM_COORDINATE_TYPE).toEqual([1, 5, 255]);
+    expect(typed.PUBCHEM_MMFF94_PARTIAL_CHARGES).toEqual([
+      [1, 0.28],
+      [2, 0.28],
+      [3, -0.68],
+    ]);
+    expect(typed.SYNONYMS).toBe('ethanol\nethyl alcohol');
+  });
+});
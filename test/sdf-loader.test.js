@@ -0,0 +1,75 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import zlib from 'node:zlib';
+import * as THREE from 'three';
+import { SDFLoader } from '../src/index.js';
+
+const dir = path.dirname(new URL(import.meta.url).pathname);
+const TEXT = fs.readFileSync(path.join(dir, 'diborane.sdf'), 'utf8');
+
+// FileLoader needs fetch; serve bodies without a stream so no ProgressEvent is built.
+function stubFetch(files) {
+  const requests = [];
+  vi.stubGlobal('fetch', async (req) => {
+    requests.push(req);
+    const body = files[req.url];
+    if (body === undefined) return { status: 404, statusText: 'Not Found' };
+    return { status: 200, arrayBuffer: async () => new Uint8Array(body).buffer };
+  });
+  return requests;
+}
+
+afterEach(() => vi.unstubAllGlobals());
+
+describe('SDFLoader', () => {
+  it('is a THREE.Loader and resolves loadAsync to the group', async () => {
+    const requests = stubFetch({ 'http://x/mols/diborane.sdf': Buffer.from(TEXT) });
+    const loader = new SDFLoader()
+      .setPath('http://x/mols/')
+      .setRequestHeader({ Authorization: 'Bearer t' })
+      .setOptions({ showHydrogen: true });
+    expect(loader).toBeInstanceOf(THREE.Loader);
+    const group = await loader.loadAsync('diborane.sdf');
+    expect(group).toBeInstanceOf(THREE.Group);
+    expect(group.userData.loadResult.chemistry.atoms).toHaveLength(8);
+    expect(requests[0].headers.get('Authorization')).toBe('Bearer t');
+  });
+
+  it('reports start/end through the LoadingManager and inflates gzip', async () => {
+    stubFetch({ 'http://x/diborane.sdf.gz': zlib.gzipSync(TEXT) });
+    const manager = new THREE.LoadingManager();
+    const done = new Promise((resolve) => { manager.onLoad = resolve; });
+    const started = [];
+    manager.onStart = (url) => started.push(url);
+    let loaded;
+    new SDFLoader(manager).load('http://x/diborane.sdf.gz', (group) => { loaded = group; });
+    await done;
+    expect(started).toEqual(['http://x/diborane.sdf.gz']);
+    expect(loaded.userData.loadResult.metadata.atomCount).toBeGreaterThan(0);
+  });
+
+  it('sends a throwing onLoad to onError and still ends the item', async () => {
+    stubFetch({ 'http://x/diborane.sdf': Buffer.from(TEXT) });
+    const manager = new THREE.LoadingManager();
+    const done = new Promise((resolve) => { manager.onLoad = resolve; });
+    manager.onError = vi.fn();
+    const onError = vi.fn();
+    new SDFLoader(manager).load('http://x/diborane.sdf', () => { throw new Error('boom'); }, undefined, onError);
+    await done;
+    expect(onError).toHaveBeenCalledWith(expect.objectContaining({ message: 'boom' }));
+    expect(manager.onError).toHaveBeenCalledWith('http://x/diborane.sdf');
+  });
+
+  it('rejects on HTTP errors and parse merges per-call options', async () => {
+    stubFetch({});
+    const manager = new THREE.LoadingManager();
+    const onError = vi.fn();
+    manager.onError = onError;
+    await expect(new SDFLoader(manager).loadAsync('http://x/missing.sdf')).rejects.toThrow(/404/);
+    expect(onError).toHaveBeenCalledWith('http://x/missing.sdf');
+    const group = new SDFLoader(undefined, { showHydrogen: false }).parse(TEXT, { showHydrogen: true });
+    expect(group.userData.optionsUsed.includeHydrogens).toBe(true);
+  });
+});
@@ -0,0 +1,100 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSDF, parseSDF, writeSDF } from '../src/index.js';
+
+const POLYETHYLENE = `polyethylene
+  test
+
+  4  3  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 *   0  0  0  0  0  0  0  0  0  0  0  0
+    1.5000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    3.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    4.5000    0.0000    0.0000 *   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  2  3  1  0
+  3  4  1  0
+M  STY  2   1 SRU   2 DAT
+M  SCN  1   1 HT
+M  SAL   1  2   2   3
+M  SBL   1  2   1   3
+M  SMT   1 n
+M  SDI   1  4    0.7500   -0.7500    0.7500    0.7500
+M  SDI   1  4    3.7500   -0.7500    3.7500    0.7500
+M  SAL   2  1   2
+M  SDT   2 MW
+M  SDD   2     1.0000   -1.5000    DAU   ALL  0       0
+M  SED   2 28.05
+M  END
+`;
+
+const withoutBrackets = POLYETHYLENE.split('\n').filter((l) => !l.startsWith('M  SDI')).join('\n');
+
+const bracketVertices = (group) => {
+  const brackets = group.children.filter((o) => o.userData.role === 'sgroupBracket');
+  return brackets.map((b) => Array.from(b.geometry.getAttribute('position').array));
+};
+
+describe('V2000 polymer and data S-groups', () => {
+  it('reads brackets, connectivity and data fields', () => {
+    const [sru, dat] = parseSDF(POLYETHYLENE).sgroups;
+    expect(sru).toMatchObject({
+      type: 'SRU',
+      atoms: [2, 3],
+      crossingBonds: [1, 3],
+      label: 'n',
+      connectivity: 'HT',
+      brackets: [
+        [0.75, -0.75, 0, 0.75, 0.75, 0, 0, 0, 0],
+        [3.75, -0.75, 0, 3.75, 0.75, 0, 0, 0, 0],
+      ],
+    });
+    expect(dat).toMatchObject({ type: 'DAT', atoms: [2], fieldName: 'MW', fieldData: '28.05', fieldDisplay: { x: 1, y: -1.5 } });
+  });
+
+  it('round-trips through both writers', () => {
+    const mol = parseSDF(POLYETHYLENE);
+    mol.sgroups[1].fieldData = 'x'.repeat(80);
+    expect(parseSDF(writeSDF(mol)).sgroups).toEqual(mol.sgroups);
+    expect(parseSDF(writeSDF(mol, { format: 'V3000' })).sgroups).toEqual(mol.sgroups);
+  });
+});
+
+describe('chemistry.sgroups', () => {
+  it('exposes 0-based atom and bond membership, also headless', () => {
+    [loadSDF(POLYETHYLENE), loadSDF(POLYETHYLENE, { headless: true })].forEach((group) => {
+      const [sru, dat] = group.userData.loadResult.chemistry.sgroups;
+      expect(sru).toMatchObject({
+        index: 0,
+        type: 'SRU',
+        label: 'n',
+        connectivity: 'HT',
+        atomIndices: [1, 2],
+        bondIndices: [1],
+        crossingBondIndices: [0, 2],
+      });
+      expect(dat).toMatchObject({ index: 1, type: 'DAT', atomIndices: [1], fieldName: 'MW', fieldData: '28.05' });
+    });
+  });
+});
+
+describe('S-group brackets', () => {
+  it('draws the file brackets with hooks turned toward the atoms', () => {
+    const [vertices] = bracketVertices(loadSDF(POLYETHYLENE));
+    expect(vertices).toHaveLength(2 * 6 * 3);
+    expect(vertices[0]).toBeCloseTo(0.75, 6);
+    // hook end of the left bracket points right, of the right bracket points left
+    expect(vertices[9]).toBeGreaterThan(0.75);
+    expect(vertices[18 + 9]).toBeLessThan(3.75);
+  });
+
+  it('derives brackets from crossing bonds when the file has none', () => {
+    const [vertices] = bracketVertices(loadSDF(withoutBrackets));
+    expect(vertices.slice(0, 6).map((v) => Math.round(v * 100) / 100)).toEqual([0.75, -0.75, 0, 0.75, 0.75, 0]);
+    expect(vertices[18]).toBeCloseTo(3.75, 6);
+  });
+
+  it('only draws in 2D layouts and can be switched off', () => {
+    expect(bracketVertices(loadSDF(POLYETHYLENE, { layout: '3d' }))).toHaveLength(0);
+    expect(bracketVertices(loadSDF(POLYETHYLENE, { renderSGroups: false }))).toHaveLength(0);
+  });
+});
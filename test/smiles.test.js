@@ -0,0 +1,114 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSMILES, parseSMILES } from '../src/index.js';
+
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+function minNonBondedDistance(mol) {
+  const bonded = new Set(mol.bonds.map((b) => `${b.beginAtomIdx - 1}-${b.endAtomIdx - 1}`));
+  let min = Infinity;
+  for (let i = 0; i < mol.atoms.length; i += 1) {
+    for (let j = i + 1; j < mol.atoms.length; j += 1) {
+      if (!bonded.has(`${i}-${j}`) && !bonded.has(`${j}-${i}`)) {
+        min = Math.min(min, dist(mol.atoms[i], mol.atoms[j]));
+      }
+    }
+  }
+  return min;
+}
+
+describe('SMILES parser', () => {
+  it('parses branches, ring closures and aromatic atoms', () => {
+    const mol = parseSMILES('CC(=O)Oc1ccccc1C(=O)O aspirin');
+    expect(mol.atoms).toHaveLength(13);
+    expect(mol.bonds).toHaveLength(13);
+    expect(mol.title).toBe('aspirin');
+    expect(mol.atoms[4]).toMatchObject({ symbol: 'C', aromatic: true });
+    expect(mol.bonds.filter((b) => b.order === 4)).toHaveLength(6);
+    expect(mol.bonds.filter((b) => b.order === 2)).toHaveLength(2);
+  });
+
+  it('keeps the link between aromatic rings single', () => {
+    const { bonds } = parseSMILES('c1ccccc1c1ccccc1 biphenyl');
+    const link = bonds.find((b) => b.beginAtomIdx === 6 && b.endAtomIdx === 7);
+    expect(link.order).toBe(1);
+    expect(bonds.filter((b) => b.order === 4)).toHaveLength(12);
+    const chemistryLink = loadSMILES('c1ccccc1c1ccccc1').userData.loadResult.chemistry.bonds[bonds.indexOf(link)];
+    expect(chemistryLink.isAromatic).toBeUndefined();
+  });
+
+  it('reads bracket atoms, two-letter elements and %nn closures', () => {
+    const mol = parseSMILES('[13CH3][NH3+].[O-]Cl.C%12CCC%12');
+    expect(mol.atoms[0]).toMatchObject({ symbol: 'C', isotope: 13, hydrogenCount: 3 });
+    expect(mol.atoms[1]).toMatchObject({ symbol: 'N', charge: 1, hydrogenCount: 3 });
+    expect(mol.atoms[2]).toMatchObject({ symbol: 'O', charge: -1 });
+    expect(mol.atoms[3].symbol).toBe('Cl');
+    expect(mol.bonds).toHaveLength(6);
+    expect(parseSMILES('[Fe++]').atoms[0].charge).toBe(2);
+    expect(parseSMILES('[CH3:7]C').atoms[0].mapNumber).toBe(7);
+  });
+
+  it('generates a clean 2D layout', () => {
+    ['c1ccc2ccccc2c1', 'CC(C)(C)C#N', 'OC1CCC2(CC1)CCCC2', 'CCCCCCCC'].forEach((smi) => {
+      const mol = parseSMILES(smi);
+      mol.atoms.forEach((a) => expect(a.z).toBe(0));
+      mol.bonds.forEach((b) => {
+        expect(dist(mol.atoms[b.beginAtomIdx - 1], mol.atoms[b.endAtomIdx - 1])).toBeCloseTo(1.5, 3);
+      });
+      expect(minNonBondedDistance(mol)).toBeGreaterThan(1.2);
+    });
+  });
+
+  it('keeps the nitrile linear and disconnected fragments apart', () => {
+    const { atoms } = parseSMILES('CC#N');
+    const a = Math.atan2(atoms[1].y - atoms[0].y, atoms[1].x - atoms[0].x);
+    const b = Math.atan2(atoms[2].y - atoms[1].y, atoms[2].x - atoms[1].x);
+    expect(a).toBeCloseTo(b, 6);
+    const salt = parseSMILES('[Na+].[Cl-]');
+    expect(dist(salt.atoms[0], salt.atoms[1])).toBeGreaterThan(2);
+  });
+
+  it('lays out E/Z double bonds from / and \\', () => {
+    const side = (atoms, a, b, p) =>
+      Math.sign((atoms[b].x - atoms[a].x) * (atoms[p].y - atoms[a].y) - (atoms[b].y - atoms[a].y) * (atoms[p].x - atoms[a].x));
+    const trans = parseSMILES('F/C=C/F');
+    expect(trans.bonds[1].cisTrans).toEqual({ beginNeighbor: 1, endNeighbor: 4, config: 'trans' });
+    expect(side(trans.atoms, 1, 2, 0)).not.toBe(side(trans.atoms, 1, 2, 3));
+    const cis = parseSMILES('F/C=C\\F');
+    expect(cis.bonds[1].cisTrans.config).toBe('cis');
+    expect(side(cis.atoms, 1, 2, 0)).toBe(side(cis.atoms, 1, 2, 3));
+  });
+
+  it('turns @/@@ into a wedge that reproduces the configuration', () => {
+    const l = parseSMILES('N[C@@H](C)C(=O)O');
+    const d = parseSMILES('N[C@H](C)C(=O)O');
+    expect(l.atoms[1].chirality).toBe('@@');
+    const wedge = (mol) => mol.bonds.find((b) => b.stereo);
+    expect(wedge(l).beginAtomIdx).toBe(2);
+    expect(wedge(d).endAtomIdx).toBe(wedge(l).endAtomIdx);
+    expect(wedge(d).stereo).not.toBe(wedge(l).stereo);
+  });
+
+  it('rejects malformed input', () => {
+    expect(() => parseSMILES('C1CC')).toThrow(/ring/i);
+    expect(() => parseSMILES('CC(C')).toThrow(/\(/);
+    expect(() => parseSMILES('C?C')).toThrow(/position 1/);
+  });
+});
+
+describe('loadSMILES', () => {
+  it('builds a 2D group with chemistry metadata', () => {
+    const group = loadSMILES('c1ccccc1O phenol');
+    const { loadResult } = group.userData;
+    expect(group.userData.layoutMode).toBe('2d');
+    expect(loadResult.metadata).toMatchObject({ title: 'phenol', format: 'smiles' });
+    expect(loadResult.chemistry.atoms).toHaveLength(7);
+    expect(loadResult.chemistry.bonds.filter((b) => b.isAromatic)).toHaveLength(6);
+  });
+
+  it('renders SMILES wedges when stereo bonds are enabled', () => {
+    const group = loadSMILES('C[C@H](N)C(=O)O', { renderStereoBonds: true });
+    const bond = group.userData.loadResult.chemistry.bonds.find((b) => b.stereo);
+    expect(['up', 'down']).toContain(bond.stereo);
+  });
+});
@@ -0,0 +1,84 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { loadSDF } from '../src/index.js';
+
+const read = (path) => readFileSync(new URL(path, import.meta.url), 'utf8');
+const metadataOf = (text, options) => loadSDF(text, options).userData.loadResult.metadata;
+
+const molfile = (title, header, comment, tags) => `${title}
+${header}
+${comment}
+  2  1  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.5000    0.0000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+M  END
+${Object.entries(tags)
+  .map(([k, v]) => `> <${k}>\n${v}\n`)
+  .join('\n')}
+$$$$
+`;
+
+describe('source detection', () => {
+  it('recognises PubChem records and normalizes their tags', () => {
+    expect(metadataOf(read('./diborane_2d_pubchem.sdf'))).toMatchObject({
+      source: 'pubchem',
+      program: '-OEChem-',
+      timestamp: '2025-07-28T00:00',
+      coordinateType: '2d',
+      identifier: '12544637',
+      name: 'borane',
+      formula: 'B2H6',
+      molecularWeight: 27.67,
+    });
+  });
+
+  it('reads the header after an empty title line (ChEBI / Marvin)', () => {
+    const metadata = metadataOf(read('./diborane_chebi.sdf'));
+    expect(metadata.title).toBeUndefined();
+    expect(metadata).toMatchObject({
+      source: 'chebi',
+      program: 'Marvin',
+      timestamp: '2006-01-03T16:20',
+      identifier: 'CHEBI:33590',
+      name: 'diborane(6)',
+      formula: 'B2H6',
+      molecularWeight: 27.66964,
+    });
+  });
+
+  it('recognises NIST records from the header, copyright comment and CAS field', () => {
+    const metadata = metadataOf(read('../examples/fullerene-nist.sdf'), { headless: true });
+    expect(metadata).toMatchObject({ source: 'nist', program: 'NIST', coordinateType: '3d', identifier: '99685-96-8' });
+    expect(metadata.comment).toMatch(/Sec\. Commerce/);
+  });
+
+  it('recognises ChEMBL and cactus records', () => {
+    const chembl = molfile('CHEMBL545', '     RDKit          2D', '', {
+      chembl_id: 'CHEMBL545',
+      pref_name: 'ETHANOL',
+      full_molformula: 'C2H6O',
+      full_mwt: '46.07',
+    });
+    expect(metadataOf(chembl)).toMatchObject({
+      source: 'chembl',
+      program: 'RDKit',
+      coordinateType: '2d',
+      identifier: 'CHEMBL545',
+      name: 'ETHANOL',
+      formula: 'C2H6O',
+      molecularWeight: 46.07,
+    });
+    expect(metadataOf(molfile('ethanol', '  CACTVS10192615262D', '', {})).source).toBe('cactus');
+  });
+
+  it('falls back to generic tags and the title for unknown providers', () => {
+    const metadata = metadataOf(molfile('methanol-ish', '  tool    ', '', { Formula: 'CH4O', MW: '32.04 g/mol' }));
+    expect(metadata).toMatchObject({ source: 'other', name: 'methanol-ish', formula: 'CH4O', molecularWeight: 32.04 });
+    expect(metadata.program).toBe('tool');
+    expect(metadata.timestamp).toBeUndefined();
+    // No dimensional code: flat coordinates read as 2d
+    expect(metadata.coordinateType).toBe('2d');
+  });
+});
@@ -0,0 +1,87 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { Readable } from 'node:stream';
+import { parseSDFAll, parseSDFStream } from '../src/index.js';
+
+const record = (name, symbol) => `${name}
+  test
+
+  2  1  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.5000    0.0000    0.0000 ${symbol}   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+M  END
+> <NAME>
+${name}
+
+`;
+
+// Multibyte names make byte offsets differ from string offsets
+const TEXT = `${record('méthanol', 'O')}$$$$\n${record('éthylamine–α', 'N')}$$$$\r\n${record('chloro', 'Cl')}$$$$`;
+const BYTES = new TextEncoder().encode(TEXT);
+
+function chunked(bytes, size) {
+  const out = [];
+  for (let i = 0; i < bytes.length; i += size) out.push(bytes.slice(i, i + size));
+  return out;
+}
+
+async function collect(iterable) {
+  const out = [];
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const item of iterable) out.push(item);
+  return out;
+}
+
+describe('parseSDFStream', () => {
+  it('splits records across arbitrary chunk boundaries', async () => {
+    async function* source() {
+      yield* chunked(BYTES, 7);
+    }
+    const records = await collect(parseSDFStream(source()));
+    expect(records.map((r) => r.properties.NAME)).toEqual(['méthanol', 'éthylamine–α', 'chloro']);
+    expect(records.map((r) => r.recordIndex)).toEqual([0, 1, 2]);
+    expect(records[2].atoms[1].symbol).toBe('Cl');
+    const all = parseSDFAll(TEXT);
+    records.forEach((r, i) => expect(r.atoms).toEqual(all[i].atoms));
+  });
+
+  it('reports byte offsets of each record', async () => {
+    const records = await collect(parseSDFStream(chunked(BYTES, 5)));
+    const decoder = new TextDecoder();
+    records.forEach((r) => {
+      const head = decoder.decode(BYTES.slice(r.byteOffset, r.byteOffset + 40));
+      expect(head.startsWith(r.properties.NAME.slice(0, 5))).toBe(true);
+    });
+    expect(records[1].byteOffset).toBeGreaterThan(TEXT.indexOf('éthylamine'));
+  });
+
+  it('accepts Node Readables and WHATWG ReadableStreams', async () => {
+    const fromNode = await collect(parseSDFStream(Readable.from(chunked(Buffer.from(BYTES), 11))));
+    expect(fromNode).toHaveLength(3);
+    const chunks = chunked(BYTES, 13);
+    const web = new ReadableStream({
+      start(controller) {
+        chunks.forEach((c) => controller.enqueue(c));
+        controller.close();
+      },
+    });
+    const fromWeb = await collect(parseSDFStream(web));
+    expect(fromWeb.map((r) => r.byteOffset)).toEqual(fromNode.map((r) => r.byteOffset));
+  });
+
+  it('accepts string chunks and stops reading when the consumer breaks', async () => {
+    let pulled = 0;
+    async function* source() {
+      for (let i = 0; i < TEXT.length; i += 50) {
+        pulled += 1;
+        yield TEXT.slice(i, i + 50);
+      }
+    }
+    const iterator = parseSDFStream(source());
+    const first = await iterator.next();
+    expect(first.value.properties.NAME).toBe('méthanol');
+    await iterator.return();
+    expect(pulled).toBeLessThan(Math.ceil(TEXT.length / 50));
+  });
+});
@@ -0,0 +1,88 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSDF, parseSDF, writeSDF } from '../src/index.js';
+
+const ETHYL_METHYL_ETHER = `ome
+  test
+
+  4  3  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.3000    0.7500    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    2.6000    0.0000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0
+    3.9000    0.7500    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  2  3  1  0
+  3  4  1  0
+M  STY  1   1 SUP
+M  SAL   1  2   3   4
+M  SBL   1  1   2
+M  SMT   1 OMe
+M  END
+`;
+
+const visibleRole = (group, role) => group.children.filter((o) => o.userData.role === role && o.visible);
+
+describe('V2000 superatom S-groups', () => {
+  it('reads M  STY / SAL / SBL / SMT into sgroups', () => {
+    const mol = parseSDF(ETHYL_METHYL_ETHER);
+    expect(mol.sgroups).toEqual([{ index: 1, type: 'SUP', atoms: [3, 4], crossingBonds: [2], label: 'OMe' }]);
+  });
+
+  it('writes S-groups back to V2000', () => {
+    const mol = parseSDF(ETHYL_METHYL_ETHER);
+    mol.sgroups[0].expanded = true;
+    const text = writeSDF(mol);
+    expect(text).toContain('M  STY  1   1 SUP');
+    expect(text).toContain('M  SAL   1  2   3   4');
+    expect(text).toContain('M  SMT   1 OMe');
+    expect(text).toContain('M  SDS EXP  1   1');
+    expect(parseSDF(text).sgroups).toEqual(mol.sgroups);
+  });
+});
+
+describe('superatom display', () => {
+  it('renders expanded by default and collapsed on request', () => {
+    const expanded = loadSDF(ETHYL_METHYL_ETHER);
+    expect(visibleRole(expanded, 'atom')).toHaveLength(4);
+    expect(visibleRole(expanded, 'superatom')).toHaveLength(0);
+
+    const collapsed = loadSDF(ETHYL_METHYL_ETHER, { superatomDisplay: 'collapsed' });
+    expect(visibleRole(collapsed, 'atom').map((m) => m.userData.atom.index)).toEqual([0, 1]);
+    const [pseudo] = visibleRole(collapsed, 'superatom');
+    expect(pseudo.userData).toMatchObject({ sgroupIndex: 0, label: 'OMe' });
+    // Sits on the attachment atom (the O), so the crossing C–O bond still reaches it
+    expect(pseudo.position.x).toBeCloseTo(2.6, 6);
+    expect(collapsed.userData.superatoms[0]).toMatchObject({ attachmentAtomIndex: 2, atomIndices: [2, 3], bondIndices: [2] });
+    expect(visibleRole(collapsed, 'bond').map((m) => m.userData.bond.index)).toEqual([0, 1]);
+
+    // 'asFile' follows the stored state: no `M  SDS EXP` → collapsed
+    expect(visibleRole(loadSDF(ETHYL_METHYL_ETHER, { superatomDisplay: 'asFile' }), 'superatom')).toHaveLength(1);
+  });
+
+  it('toggles a superatom in place', () => {
+    const group = loadSDF(ETHYL_METHYL_ETHER);
+    const childCount = group.children.length;
+    expect(group.userData.toggleSuperatom(0)).toBe(true);
+    expect(visibleRole(group, 'atom')).toHaveLength(2);
+    expect(visibleRole(group, 'superatom')).toHaveLength(1);
+    expect(group.userData.toggleSuperatom(0)).toBe(false);
+    expect(visibleRole(group, 'atom')).toHaveLength(4);
+    expect(group.children.length).toBe(childCount);
+    expect(() => group.userData.toggleSuperatom(3)).toThrow(/not a superatom/);
+  });
+
+  it('hides instanced atoms and merged line bonds and restores them', () => {
+    const group = loadSDF(ETHYL_METHYL_ETHER, { instancing: true, useCylinders: false, superatomDisplay: 'collapsed' });
+    const atoms = group.children.find((o) => o.userData.role === 'atomsInstanced');
+    const lines = group.children.find((o) => o.userData.role === 'bondsLineSegments');
+    const before = lines.geometry.getAttribute('position').array.slice();
+    const scaleOf = (k) => atoms.instanceMatrix.array[k * 16];
+    const oxygen = atoms.userData.instanceToAtomIndex.indexOf(2);
+    expect(scaleOf(oxygen)).toBe(0);
+    group.userData.toggleSuperatom(0, false);
+    expect(scaleOf(oxygen)).toBeGreaterThan(0);
+    expect(Array.from(lines.geometry.getAttribute('position').array)).not.toEqual(Array.from(before));
+    group.userData.toggleSuperatom(0, true);
+    expect(Array.from(lines.geometry.getAttribute('position').array)).toEqual(Array.from(before));
+  });
+});
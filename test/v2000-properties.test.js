@@ -0,0 +1,78 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { loadSDF, parseSDF } from '../src/index.js';
+
+const PROPS_MOL = `props
+  test
+
+  4  3  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.2000    0.0000    0.0000 L   0  0  0  0  0  0  0  0  0  0  0  0
+    2.4000    0.0000    0.0000 O   0  0  0  0  0  0  0  0  0  0  0  0
+    3.6000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+  1  2  1  0
+  2  3  1  0
+  3  4  1  0
+M  CHG  1   3  -1
+M  ISO  1   1  13
+M  RAD  1   4   2
+M  ALS   2  2 T N   S   
+A    3
+OMe
+V    4 methyl radical
+G    1  2
+Ph
+M  SUB  1   1  -2
+M  RBC  1   2  -1
+M  UNS  1   4   1
+M  END
+$$$$
+`;
+
+describe('V2000 properties block', () => {
+  it('parses isotopes, radicals, atom lists, aliases, values and groups', () => {
+    const { atoms } = parseSDF(PROPS_MOL);
+    expect(atoms[0]).toMatchObject({ isotope: 13, groupAbbreviation: 'Ph', groupAttachment: 2 });
+    expect(atoms[1].atomList).toEqual({ exclude: true, elements: ['N', 'S'] });
+    expect(atoms[2]).toMatchObject({ alias: 'OMe', charge: -1 });
+    expect(atoms[3]).toMatchObject({ radical: 2, value: 'methyl radical' });
+  });
+
+  it('decodes M  SUB / M  RBC / M  UNS query properties', () => {
+    const { atoms } = parseSDF(PROPS_MOL);
+    expect(atoms[0].query).toEqual({ substitutionCount: 'asDrawn' });
+    expect(atoms[1].query).toEqual({ ringBondCount: 0 });
+    expect(atoms[3].query).toEqual({ unsaturated: true });
+  });
+
+  it('exposes the fields in chemistry.atoms', () => {
+    const group = loadSDF(PROPS_MOL, { headless: true });
+    const { atoms } = group.userData.loadResult.chemistry;
+    expect(atoms[0]).toMatchObject({ isotope: 13, query: { substitutionCount: 'asDrawn' } });
+    expect(atoms[1].atomList.elements).toEqual(['N', 'S']);
+    expect(atoms[2].alias).toBe('OMe');
+    expect(atoms[3].radical).toBe(2);
+  });
+
+  it('maps V3000 SUBST/RBCNT/UNSAT onto the same query shape', () => {
+    const v3000 = `q
+  test
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 2 1 0 0 0
+M  V30 BEGIN ATOM
+M  V30 1 C 0 0 0 0 SUBST=3 UNSAT=1
+M  V30 2 N 1.5 0 0 0 RBCNT=-2
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 1 1 2
+M  V30 END BOND
+M  V30 END CTAB
+M  END
+`;
+    const { atoms } = parseSDF(v3000);
+    expect(atoms[0].query).toEqual({ substitutionCount: 3, unsaturated: true });
+    expect(atoms[1].query).toEqual({ ringBondCount: 'asDrawn' });
+  });
+});
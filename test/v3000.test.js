@@ -1,7 +1,7 @@
 /* eslint-disable import/extensions */
 import { describe, it, expect } from 'vitest';
 import * as THREE from 'three';
-import { parseSDF, loadSDF } from '../src/index.js';
+import { parseSDF, loadSDF, writeSDF } from '../src/index.js';
 
 const V3_SDF = `v3
   demo
@@ -29,4 +29,173 @@ describe('V3000 parser', () => {
     const g = loadSDF(V3_SDF, { useCylinders: false });
     expect(g).toBeInstanceOf(THREE.Group);
   });
-});
\ No newline at end of file
+});
+
+const V3_FULL = `alanine-ish
+  Mrv2014 03012412002D
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 5 4 1 0 1
+M  V30 BEGIN ATOM
+M  V30 1 C -0.0000 0.0000 0 0 CFG=2
+M  V30 2 N -1.3337 0.7700 0 0 CHG=1
+M  V30 3 C 1.3337 0.7700 0 0 MASS=13 RAD=2
+M  V30 4 O 1.3337 2.3100 0 0 VAL=-1 -
+M  V30 CHG=-1
+M  V30 5 [C,N,O] 0.0000 -1.5400 0 3
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 1 1 2
+M  V30 2 1 1 3
+M  V30 3 1 3 4
+M  V30 4 1 1 5 CFG=1
+M  V30 END BOND
+M  V30 BEGIN SGROUP
+M  V30 1 SUP 1 ATOMS=(2 3 4) XBONDS=(1 2) LABEL="CO2" ESTATE=E
+M  V30 END SGROUP
+M  V30 BEGIN COLLECTION
+M  V30 MDLV30/STEABS ATOMS=(1 1)
+M  V30 END COLLECTION
+M  V30 END CTAB
+M  END
+> <PUBCHEM_COMPOUND_CID>
+5950
+
+> <NAME>
+alanine
+
+$$$$`;
+
+describe('V3000 CTAB details', () => {
+  it('reads per-atom properties and continuation lines', () => {
+    const { atoms } = parseSDF(V3_FULL);
+    expect(atoms).toHaveLength(5);
+    expect(atoms[0].stereoParity).toBe(2);
+    expect(atoms[0].enhancedStereo).toEqual({ type: 'abs' });
+    expect(atoms[1].charge).toBe(1);
+    expect(atoms[2].isotope).toBe(13);
+    expect(atoms[2].radical).toBe(2);
+    expect(atoms[3].valence).toBe(0);
+    expect(atoms[3].charge).toBe(-1);
+    expect(atoms[4].symbol).toBe('L');
+    expect(atoms[4].atomList).toEqual({ exclude: false, elements: ['C', 'N', 'O'] });
+    expect(atoms[4].mapNumber).toBe(3);
+  });
+
+  it('maps bond CFG onto stereo codes and parses S-groups and collections', () => {
+    const mol = parseSDF(V3_FULL);
+    expect(mol.bonds[3].stereo).toBe(1);
+    expect(mol.chiral).toBe(true);
+    expect(mol.sgroups).toHaveLength(1);
+    expect(mol.sgroups[0]).toMatchObject({
+      type: 'SUP',
+      atoms: [3, 4],
+      crossingBonds: [2],
+      label: 'CO2',
+      expanded: true,
+    });
+    expect(mol.collections[0]).toMatchObject({ name: 'MDLV30/STEABS', atoms: [1] });
+  });
+
+  it('keeps SD data fields', () => {
+    const mol = parseSDF(V3_FULL);
+    expect(mol.properties).toEqual({ PUBCHEM_COMPOUND_CID: '5950', NAME: 'alanine' });
+  });
+
+  it('renders wedges and exposes isotopes/radicals in chemistry', () => {
+    const g = loadSDF(V3_FULL, { useCylinders: false, renderStereoBonds: true });
+    const res = g.userData.loadResult;
+    expect(res.metadata.sdfFormatVersion).toBe('V3000');
+    expect(res.chemistry.atoms[2].isotope).toBe(13);
+    expect(res.chemistry.atoms[2].radical).toBe(2);
+    expect(res.chemistry.bonds[3].stereo).toBe('up');
+    const cones = [];
+    g.traverse((o) => {
+      if (o.isMesh && o.geometry?.type === 'ConeGeometry') cones.push(o);
+    });
+    expect(cones).toHaveLength(1);
+    expect(g.userData.properties.NAME).toBe('alanine');
+  });
+
+  it('remaps non-contiguous atom ids to positional indices', () => {
+    const text = `gaps
+  demo
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 2 1 0 0 0
+M  V30 BEGIN ATOM
+M  V30 10 C 0 0 0 0
+M  V30 20 O 1.2 0 0 0
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 2 10 20
+M  V30 END BOND
+M  V30 END CTAB
+M  END`;
+    const mol = parseSDF(text);
+    expect(mol.bonds[0]).toMatchObject({ beginAtomIdx: 1, endAtomIdx: 2, order: 2 });
+  });
+
+  it('remaps S-group parent atoms and attachment points with non-contiguous ids', () => {
+    const text = `gaps
+  demo
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 3 2 1 0 0
+M  V30 BEGIN ATOM
+M  V30 10 C 0 0 0 0
+M  V30 20 O 1.3 0.75 0 0
+M  V30 30 C 2.6 0 0 0
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 1 10 20
+M  V30 2 1 20 30
+M  V30 END BOND
+M  V30 BEGIN SGROUP
+M  V30 1 SUP 1 ATOMS=(2 20 30) XBONDS=(1 1) LABEL=OMe PATOMS=(1 30) SAP=(3 20 10 1)
+M  V30 END SGROUP
+M  V30 END CTAB
+M  END`;
+    const [sg] = parseSDF(text).sgroups;
+    expect(sg.atoms).toEqual([2, 3]);
+    expect(sg.parentAtoms).toEqual([3]);
+    expect(sg.attachmentPoints).toEqual([{ atom: 2, leavingAtom: 1, id: '1' }]);
+    const group = loadSDF(text, { superatomDisplay: 'collapsed' });
+    expect(group.userData.superatoms[0].attachmentAtomIndex).toBe(1);
+  });
+
+  it('remaps S-group and collection bond lists with non-contiguous bond ids', () => {
+    const text = `gaps
+  demo
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 3 2 1 0 0
+M  V30 BEGIN ATOM
+M  V30 1 C 0 0 0 0
+M  V30 2 O 1.3 0.75 0 0
+M  V30 3 C 2.6 0 0 0
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 5 1 1 2
+M  V30 7 1 2 3
+M  V30 END BOND
+M  V30 BEGIN SGROUP
+M  V30 1 SUP 1 ATOMS=(2 2 3) XBONDS=(1 5) CBONDS=(1 7) LABEL=OMe
+M  V30 END SGROUP
+M  V30 BEGIN COLLECTION
+M  V30 MDLV30/HILITE BONDS=(1 7)
+M  V30 END COLLECTION
+M  V30 END CTAB
+M  END`;
+    const mol = parseSDF(text);
+    expect(mol.sgroups[0]).toMatchObject({ crossingBonds: [1], containedBonds: [2] });
+    expect(mol.collections[0].bonds).toEqual([2]);
+    const back = parseSDF(writeSDF(mol, { format: 'V3000' }));
+    expect(back.sgroups[0]).toMatchObject({ crossingBonds: [1], containedBonds: [2] });
+    expect(back.collections[0].bonds).toEqual([2]);
+  });
+});
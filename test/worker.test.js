@@ -0,0 +1,76 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import { gzipSync } from 'node:zlib';
+import { readFileSync } from 'node:fs';
+import { Worker } from 'node:worker_threads';
+import { loadSDF, loadSDFInWorker, SDFParseError } from '../src/index.js';
+
+const DIBORANE = readFileSync(new URL('./diborane.sdf', import.meta.url), 'utf8');
+
+const FERROCENE_LIKE = `metal
+  test
+
+  3  1  0  0  0  0  0  0  0  0999 V2000
+    0.0000    0.0000    0.0000 Fe  0  0  0  0  0  0  0  0  0  0  0  0
+    1.9000    0.0000    0.3000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    2.6000    1.2000    0.3000 C   0  0  0  0  0  0  0  0  0  0  0  0
+  2  3  1  0
+M  END
+`;
+
+// Everything but the object references in mappings
+const comparable = (group) => {
+  const { metadata, chemistry, diagnostics } = group.userData.loadResult;
+  return { metadata, chemistry, diagnostics };
+};
+
+describe('loadSDFInWorker', () => {
+  it('returns the same loadResult as loadSDF, including inferred bonds', async () => {
+    const sync = loadSDF(FERROCENE_LIKE);
+    const viaWorker = await loadSDFInWorker(FERROCENE_LIKE);
+    expect(sync.userData.loadResult.chemistry.bonds.some((b) => b.source === 'inferredCoordination')).toBe(true);
+    expect(comparable(viaWorker)).toEqual(comparable(sync));
+    expect(viaWorker.children.length).toBe(sync.children.length);
+  });
+
+  it('transfers instance matrices and colours computed in the worker', async () => {
+    const options = { instancing: true, instancedBonds: true, showHydrogen: true };
+    const sync = loadSDF(DIBORANE, options);
+    const viaWorker = await loadSDFInWorker(gzipSync(DIBORANE), options);
+    expect(comparable(viaWorker)).toEqual(comparable(sync));
+    const arrays = (group) => {
+      const { instancedAtoms, instancedBonds } = group.userData.loadResult.mappings;
+      return [
+        instancedAtoms.mesh.instanceMatrix.array,
+        instancedAtoms.mesh.instanceColor.array,
+        instancedAtoms.instanceToAtomIndex,
+        instancedBonds.mesh.instanceMatrix.array,
+        instancedBonds.instanceToBondIndex,
+      ].map((a) => Array.from(a));
+    };
+    expect(arrays(viaWorker)).toEqual(arrays(sync));
+  });
+
+  it('rethrows strict-mode errors as SDFParseError', async () => {
+    const broken = FERROCENE_LIKE.replace('  2  3  1  0', '  2  9  1  0');
+    await expect(loadSDFInWorker(broken, { strict: true })).rejects.toBeInstanceOf(SDFParseError);
+  });
+
+  it('reuses a worker passed in options and keeps it running', async () => {
+    const worker = new Worker(
+      `import(${JSON.stringify(new URL('../src/index.js', import.meta.url).href)}).then((m) => m.serveSDFWorker());`,
+      { eval: true },
+    );
+    try {
+      const [a, b] = await Promise.all([
+        loadSDFInWorker(FERROCENE_LIKE, { worker }),
+        loadSDFInWorker(DIBORANE, { worker, showHydrogen: true }),
+      ]);
+      expect(a.userData.loadResult.metadata.title).toBe('metal');
+      const expected = loadSDF(DIBORANE, { showHydrogen: true }).userData.loadResult.chemistry;
+      expect(b.userData.loadResult.chemistry).toEqual(expected);
+    } finally {
+      await worker.terminate();
+    }
+  });
+});
@@ -0,0 +1,185 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import path from 'node:path';
+import { loadSDF, parseSDF, parseSDFAll, writeSDF } from '../src/index.js';
+
+const dir = path.dirname(new URL(import.meta.url).pathname);
+const FIXTURES = fs.readdirSync(dir).filter((f) => f.endsWith('.sdf'));
+
+const CHIRAL_V3000 = `(R)-ish
+  test
+
+  0  0  0     0  0            999 V3000
+M  V30 BEGIN CTAB
+M  V30 COUNTS 5 4 1 0 1
+M  V30 BEGIN ATOM
+M  V30 1 C 0 0 0 0 CFG=1
+M  V30 2 N 1.5 0 0 0 CHG=1
+M  V30 3 C -0.75 1.299 0 0 MASS=13
+M  V30 4 O -0.75 -1.299 0 0 RAD=2
+M  V30 5 NOT [Cl,Br] 0 1.5 0 0
+M  V30 END ATOM
+M  V30 BEGIN BOND
+M  V30 1 1 1 2 CFG=1
+M  V30 2 1 1 3 CFG=3
+M  V30 3 1 1 4
+M  V30 4 1 1 5
+M  V30 END BOND
+M  V30 BEGIN SGROUP
+M  V30 1 SUP 0 ATOMS=(2 4 5) XBONDS=(2 3 4) LABEL="O Hal" SAP=(3 4 1 1)
+M  V30 END SGROUP
+M  V30 BEGIN COLLECTION
+M  V30 MDLV30/STEABS ATOMS=(1 1)
+M  V30 END COLLECTION
+M  V30 END CTAB
+M  END
+> <NOTE>
+two
+lines
+
+$$$$
+`;
+
+const CROSSED_V2000 = `butene
+  test
+
+  5  4  0  0  1  0  0  0  0  0999 V2000
+   -0.6500    1.1000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    0.0000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.3000    0.0000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.9500   -1.1000    0.0000 C   0  0  0  0  0  0  0  0  0  0  0  0
+    1.9500    1.1000    0.0000 S   0  0  0  0  0  4  0  0  0  0  0  0
+  1  2  1  0
+  2  3  2  3
+  3  4  1  0
+  3  5  1  0
+M  END
+`;
+
+const strip = (records) => records.map(({ atoms, bonds, properties, title }) => ({ atoms, bonds, properties, title }));
+
+describe('writeSDF', () => {
+  it.each(FIXTURES)('round-trips %s through parseSDF (V2000 and V3000)', (file) => {
+    const records = parseSDFAll(fs.readFileSync(path.join(dir, file), 'utf8'));
+    ['V2000', 'V3000'].forEach((format) => {
+      const again = parseSDFAll(writeSDF(records, { format }));
+      expect(again).toHaveLength(records.length);
+      again.forEach((rec, i) => {
+        expect(rec.atoms).toEqual(records[i].atoms);
+        expect(rec.bonds.map((b) => [b.beginAtomIdx, b.endAtomIdx, b.order, b.stereo || 0])).toEqual(
+          records[i].bonds.map((b) => [b.beginAtomIdx, b.endAtomIdx, b.order, b.stereo || 0]),
+        );
+        expect(rec.properties).toEqual(records[i].properties);
+      });
+    });
+  });
+
+  it('writes charges, isotopes, radicals and stereo in V2000', () => {
+    const mol = parseSDF(CHIRAL_V3000);
+    const text = writeSDF(mol);
+    expect(text).toMatch(/V2000\n/);
+    expect(text).toContain('M  CHG  1   2   1');
+    expect(text).toContain('M  ISO  1   3  13');
+    expect(text).toContain('M  RAD  1   4   2');
+    expect(text).toContain('M  ALS   5  2 T Cl  Br  ');
+    const back = parseSDF(text);
+    expect(back.title).toBe('(R)-ish');
+    expect(back.atoms.map((a) => [a.charge, a.isotope, a.radical, a.stereoParity])).toEqual(
+      mol.atoms.map((a) => [a.charge, a.isotope, a.radical, a.stereoParity]),
+    );
+    expect(back.atoms[4].atomList).toEqual({ exclude: true, elements: ['Cl', 'Br'] });
+    expect(back.bonds.map((b) => b.stereo)).toEqual([1, 6, 0, 0]);
+    expect(back.properties.NOTE).toBe('two\nlines');
+  });
+
+  it('round-trips V3000 S-groups, collections and the chiral flag', () => {
+    const mol = parseSDF(CHIRAL_V3000);
+    const back = parseSDF(writeSDF(mol, { format: 'V3000' }));
+    expect(strip([back])).toEqual(strip([mol]));
+    expect(back.sgroups).toEqual(mol.sgroups);
+    expect(back.collections).toEqual(mol.collections);
+    expect(back.chiral).toBe(true);
+  });
+
+  it('serializes a LoadResult and can drop inferred bonds', () => {
+    const text = fs.readFileSync(path.join(dir, 'diborane.sdf'), 'utf8');
+    const group = loadSDF(text, { showHydrogen: true });
+    const back = parseSDF(writeSDF(group));
+    expect(back.bonds).toEqual(parseSDF(text).bonds);
+    expect(back.properties).toEqual(group.userData.properties);
+    expect(back.title).toBe(group.userData.loadResult.metadata.title);
+
+    // Unbonded chlorides around iron get inferred coordination bonds
+    const fecl2 = writeSDF({
+      title: 'FeCl2',
+      atoms: [
+        { x: 0, y: 0, z: 0, symbol: 'Fe' },
+        { x: 2.2, y: 0, z: 0.1, symbol: 'Cl' },
+        { x: -2.2, y: 0, z: -0.1, symbol: 'Cl' },
+      ],
+      bonds: [],
+    });
+    const { loadResult } = loadSDF(fecl2).userData;
+    expect(loadResult.chemistry.bonds.filter((b) => b.source !== 'molfile').length).toBeGreaterThan(0);
+    expect(parseSDF(writeSDF(loadResult)).bonds.length).toBe(loadResult.chemistry.bonds.length);
+    expect(parseSDF(writeSDF(loadResult, { excludeInferredBonds: true })).bonds).toHaveLength(0);
+  });
+
+  it('keeps multi-line field values and refuses blank lines inside them', () => {
+    const mol = { atoms: [{ x: 0, y: 0, z: 0, symbol: 'C' }], bonds: [] };
+    const back = parseSDF(writeSDF({ ...mol, properties: { NOTE: '\nfirst\n  second\n\n', ID: 7 } }));
+    expect(back.properties).toEqual({ NOTE: 'first\n  second', ID: '7' });
+    ['para one\n\npara two', 'a\n   \nb', 'a\n$$$$\nb', 'a\n> <ID>\nb'].forEach((NOTE) => {
+      expect(() => writeSDF({ ...mol, properties: { NOTE } })).toThrow(/NOTE/);
+    });
+  });
+
+  it('writes a LoadResult back with its S-groups, chiral flag, valences and stereo', () => {
+    const mol = parseSDF(CHIRAL_V3000);
+    const back = parseSDF(writeSDF(loadSDF(CHIRAL_V3000).userData.loadResult, { format: 'V3000' }));
+    expect(back.sgroups).toEqual(mol.sgroups);
+    expect(back.chiral).toBe(true);
+    expect(back.bonds.map((b) => b.stereo || 0)).toEqual([1, 6, 0, 0]);
+
+    const group = loadSDF(CROSSED_V2000);
+    expect(group.userData.loadResult.metadata.chiral).toBe(true);
+    const again = parseSDF(writeSDF(group));
+    expect(again.chiral).toBe(true);
+    expect(again.atoms[4].valence).toBe(4);
+    expect(again.bonds.map((b) => b.stereo || 0)).toEqual([0, 3, 0, 0]);
+  });
+
+  it('drops placed hydrogens together with their bonds', () => {
+    const { loadResult } = loadSDF(CROSSED_V2000, { addHydrogens: 'explicit3d' }).userData;
+    expect(loadResult.chemistry.atoms.length).toBeGreaterThan(5);
+    const all = parseSDF(writeSDF(loadResult));
+    expect(all.atoms).toHaveLength(loadResult.chemistry.atoms.length);
+    const fileOnly = parseSDF(writeSDF(loadResult, { excludeInferredBonds: true }));
+    expect(fileOnly.atoms.map((a) => a.symbol)).toEqual(['C', 'C', 'C', 'C', 'S']);
+    expect(fileOnly.bonds).toHaveLength(4);
+  });
+
+  it('keeps coordination bonds as order 0 via MDL type 9', () => {
+    const mol = {
+      atoms: [
+        { x: 0, y: 0, z: 0, symbol: 'Fe' },
+        { x: 2, y: 0, z: 0, symbol: 'Cl', charge: -1 },
+      ],
+      bonds: [{ beginAtomIdx: 1, endAtomIdx: 2, order: 0 }],
+      properties: {},
+    };
+    const text = writeSDF(mol);
+    expect(text).toContain('  1  2  9  0');
+    expect(parseSDF(text).bonds[0].order).toBe(0);
+    expect(parseSDF(writeSDF(mol, { format: 'V3000' })).bonds[0].order).toBe(0);
+  });
+
+  it('refuses V2000 beyond 999 atoms and defaults to V3000 there', () => {
+    const atoms = Array.from({ length: 1000 }, (_, i) => ({ x: i, y: 0, z: 0, symbol: 'C' }));
+    expect(() => writeSDF({ atoms, bonds: [] }, { format: 'V2000' })).toThrow(RangeError);
+    const text = writeSDF({ atoms, bonds: [] });
+    expect(text).toContain('V3000');
+    expect(parseSDF(text).atoms).toHaveLength(1000);
+  });
+});
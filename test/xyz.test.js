@@ -0,0 +1,96 @@
+/* eslint-disable import/extensions */
+import { describe, it, expect } from 'vitest';
+import * as THREE from 'three';
+import { loadXYZ, parseXYZ } from '../src/index.js';
+
+const WATER_XYZ = `3
+water, B3LYP/6-31G*
+O   0.000000   0.000000   0.117300
+H   0.000000   0.757200  -0.469200
+H   0.000000  -0.757200  -0.469200
+`;
+
+const METHANOL_EXTXYZ = `6
+Lattice="10.0 0.0 0.0 0.0 10.0 0.0 0.0 0.0 10.0" Properties=species:S:1:pos:R:3:forces:R:3 energy=-115.7 name=methanol pbc="F F F"
+C  -0.0469  0.6640  0.0000  0.01 0.00 0.00
+O  -0.0469 -0.7594  0.0000  0.00 0.02 0.00
+H  -1.0865  0.9764  0.0000  0.00 0.00 0.00
+H   0.4373  1.0764  0.8906  0.00 0.00 0.00
+H   0.4373  1.0764 -0.8906  0.00 0.00 0.00
+H   0.8689 -1.0652  0.0000  0.00 0.00 0.03
+`;
+
+describe('XYZ parser', () => {
+  it('reads plain XYZ and perceives covalent bonds', () => {
+    const mol = parseXYZ(WATER_XYZ);
+    expect(mol.atoms).toHaveLength(3);
+    expect(mol.atoms[1]).toMatchObject({ symbol: 'H', y: 0.7572 });
+    expect(mol.comment).toBe('water, B3LYP/6-31G*');
+    expect(mol.bonds).toHaveLength(2);
+    mol.bonds.forEach((b) => expect(b).toMatchObject({ order: 1, source: 'inferredCovalent' }));
+  });
+
+  it('does not bond atoms beyond covalent range', () => {
+    const far = `2\n\nC 0 0 0\nC 0 0 2.2\n`;
+    expect(parseXYZ(far).bonds).toHaveLength(0);
+    const near = `2\n\nC 0 0 0\nC 0 0 1.54\n`;
+    expect(parseXYZ(near).bonds).toHaveLength(1);
+    expect(parseXYZ(near, { perceiveBonds: false }).bonds).toHaveLength(0);
+  });
+
+  it('sizes the neighbour grid by the largest covalent radius in the frame', () => {
+    // Cs–Cs at 5.2 Å only bonds when the grid cell spans 2 × r(Cs) + tolerance
+    const mol = parseXYZ(`3\n\nH 20 0 0\nCs 0 0 0\nCs 5.2 0 0\n`);
+    expect(mol.bonds).toEqual([{ beginAtomIdx: 2, endAtomIdx: 3, order: 1, source: 'inferredCovalent' }]);
+  });
+
+  it('reads extended XYZ columns, lattice and comment metadata', () => {
+    const mol = parseXYZ(METHANOL_EXTXYZ);
+    expect(mol.atoms).toHaveLength(6);
+    expect(mol.atoms[5].forces).toEqual([0, 0, 0.03]);
+    expect(mol.properties).toMatchObject({ energy: '-115.7', name: 'methanol', pbc: 'F F F' });
+    expect(mol.lattice).toHaveLength(9);
+    expect(mol.bonds).toHaveLength(5);
+  });
+
+  it('selects frames from multi-frame trajectories and accepts atomic numbers', () => {
+    const traj = `2\nframe 0\n1 0 0 0\n1 0 0 0.74\n2\nframe 1\n1 0 0 0\n1 0 0 3.0\n`;
+    expect(parseXYZ(traj).atoms[0].symbol).toBe('H');
+    const second = parseXYZ(traj, { index: 1 });
+    expect(second.comment).toBe('frame 1');
+    expect(second.frameCount).toBe(2);
+    expect(second.bonds).toHaveLength(0);
+  });
+});
+
+describe('loadXYZ', () => {
+  it('adds no hydrogens on distance-perceived bonds', () => {
+    const ring = [0, 1, 2, 3, 4, 5].map((k) => [Math.cos((k * Math.PI) / 3), Math.sin((k * Math.PI) / 3)]);
+    const lines = [
+      ...ring.map(([x, y]) => `C ${(1.39 * x).toFixed(4)} ${(1.39 * y).toFixed(4)} 0`),
+      ...ring.map(([x, y]) => `H ${(2.48 * x).toFixed(4)} ${(2.48 * y).toFixed(4)} 0`),
+    ];
+    const benzene = `12\nbenzene\n${lines.join('\n')}\n`;
+    const { chemistry } = loadXYZ(benzene, { headless: true, addHydrogens: 'explicit3d' }).userData.loadResult;
+    expect(chemistry.atoms).toHaveLength(12);
+    expect(chemistry.bonds).toHaveLength(12);
+    chemistry.atoms.forEach((a) => expect(a.implicitHydrogenCount).toBeUndefined());
+  });
+
+
+  it('renders perceived bonds through the normal path', () => {
+    const group = loadXYZ(WATER_XYZ, { includeHydrogens: true });
+    expect(group).toBeInstanceOf(THREE.Group);
+    const res = group.userData.loadResult;
+    expect(res.metadata).toMatchObject({ format: 'xyz', title: 'water, B3LYP/6-31G*' });
+    expect(res.chemistry.bonds[0].source).toBe('inferredCovalent');
+    const cylinders = group.children.filter((c) => c.userData.role === 'bond');
+    expect(cylinders).toHaveLength(2);
+    expect(cylinders[0].userData.bond.source).toBe('inferredCovalent');
+  });
+
+  it('uses extXYZ names as titles', () => {
+    const group = loadXYZ(METHANOL_EXTXYZ, { headless: true });
+    expect(group.userData.loadResult.metadata).toMatchObject({ format: 'extxyz', title: 'methanol' });
+  });
+});
@@ -7,6 +7,10 @@ export interface LoadSDFOptions {
   elementRadii?: Record<string, number>;
   attachAtomData?: boolean;
   attachProperties?: boolean;
+  /** Also attach `group.userData.typedProperties` (numbers, number[] and table rows parsed from SD fields) */
+  typedProperties?: boolean;
+  /** Throw `SDFParseError` on error-level diagnostics instead of repairing / guessing */
+  strict?: boolean;
   renderMultipleBonds?: boolean;
   /** When false, stereo wedge/hash bonds are rendered as normal bonds */
   renderStereoBonds?: boolean;
@@ -33,7 +37,51 @@ export interface LoaderOptions extends LoadSDFOptions {
   isolatedIons2DClearanceFrac?: number;
   /** Iterations for clearance resolution. Default: 8 */
   isolatedIons2DMaxIterations?: number;
-  materialFactory?: (role: 'atom' | 'atomInstanced' | 'bondCylinder' | 'bondLine' | 'bondDashed', defaultMaterial: THREE.Material) => THREE.Material;
+  materialFactory?: (
+    role:
+      | 'atom'
+      | 'atomInstanced'
+      | 'bondCylinder'
+      | 'bondLine'
+      | 'bondDashed'
+      | 'bondQuery'
+      | 'bondQueryLine'
+      | 'superatom'
+      | 'sgroupBracket'
+      | 'aromaticRing'
+      | 'aromaticRingLine',
+    defaultMaterial: THREE.Material,
+  ) => THREE.Material;
+  /** Colour and label query atoms, stripe query bonds (types 5–8). Default: true */
+  renderQueryFeatures?: boolean;
+  /**
+   * Initial state of SUP S-group abbreviations: drawn in full (default), each
+   * collapsed to a labelled pseudo-atom, or as stored in the file (`M  SDS EXP` / `ESTATE=E`).
+   */
+  superatomDisplay?: 'expanded' | 'collapsed' | 'asFile';
+  /** Draw polymer / multiple-group brackets and data S-group values in 2D layouts. Default: true */
+  renderSGroups?: boolean;
+  /**
+   * `'implicit'` (default) fills `implicitHydrogenCount` from the valence model,
+   * `'explicit3d'` also adds those hydrogens as atoms at idealised sp/sp2/sp3
+   * geometry (and shows hydrogens unless `showHydrogen` / `includeHydrogens` is
+   * false, which hides the placed ones too), `'none'` leaves the counts out.
+   */
+  addHydrogens?: 'none' | 'implicit' | 'explicit3d';
+  /**
+   * Bond orders drawn for aromatic rings: as written (default), alternating
+   * single/double (order-4 bonds kekulized) or every perceived aromatic bond as order 4.
+   */
+  aromaticDisplay?: 'asFile' | 'kekule' | 'aromatic';
+  /**
+   * Look of bonds drawn as aromatic: dashed lines in line mode and plain
+   * cylinders otherwise (default), single bonds plus an inscribed torus / line
+   * loop per aromatic ring, or alternating single/double bonds.
+   * `'circle'` makes `aromaticDisplay` default to `'aromatic'`.
+   */
+  aromaticStyle?: 'dashed' | 'circle' | 'kekule';
+  /** Caption sprites (`userData.role === 'cipLabel'`) with R/S beside stereocentres and E/Z beside double bonds */
+  renderCIPLabels?: boolean;
   palette?: 'default' | 'jmol' | 'material';
   style?: 'ballStick' | 'spaceFill' | 'licorice';
   instancedBonds?: boolean;
@@ -72,31 +120,154 @@ export interface AtomMeta {
   atomicNumber?: number;
   formalCharge?: number;
   aromatic?: boolean;
+  /** In a ring found aromatic by Hückel perception, or on an order-4 bond */
+  isAromatic?: boolean;
+  /** Mass number when the molfile specifies an isotope */
+  isotope?: number;
+  /** Radical state (1 singlet, 2 doublet, 3 triplet) */
+  radical?: number;
+  /** Atom stereo parity (1 odd, 2 even, 3 either) */
+  stereoParity?: number;
+  /** Atom name from the source file (MOL2) */
+  atomName?: string;
+  /** Force-field atom type (SYBYL type for MOL2) */
+  atomType?: string;
+  /** Partial charge from the source file */
+  partialCharge?: number;
+  substructureId?: number;
+  substructureName?: string;
+  chainId?: string;
+  /** Residue fields (PDB / mmCIF) */
+  residueName?: string;
+  residueNumber?: number;
+  insertionCode?: string;
+  bFactor?: number;
+  occupancy?: number;
+  /** True for PDB HETATM records */
+  isHetero?: boolean;
+  /** Explicit hydrogen count (SMILES bracket atoms, CML `hydrogenCount`) */
+  hydrogenCount?: number;
+  /** Explicit valence (V2000 `vvv`, V3000 `VAL=`; 0 = no bonds allowed) */
+  valence?: number;
+  /** Hydrogens implied by the valence model and not present as atoms (`addHydrogens` ≠ `'none'`; unset on atoms with distance-perceived bonds) */
+  implicitHydrogenCount?: number;
+  /** Hydrogen placed by `addHydrogens: 'explicit3d'` */
+  addedHydrogen?: boolean;
+  /** Atom-atom mapping number */
+  mapNumber?: number;
+  /** SMILES tetrahedral chirality as written (`@` or `@@`) */
+  chirality?: string;
+  /** CIP descriptor of a tetrahedral stereocentre (3D coordinates, or 2D with a wedge from this atom) */
+  cip?: 'R' | 'S';
+  /** Atom alias text (V2000 `A  ` line) */
+  alias?: string;
+  /** Atom value text (V2000 `V  ` line) */
+  value?: string;
+  /** Group abbreviation (V2000 `G  ` line) */
+  groupAbbreviation?: string;
+  /** Atom list for `L` query atoms (`M  ALS`, V3000 `[…]`) */
+  atomList?: AtomList;
+  /** Query atom properties (`M  SUB`/`M  RBC`/`M  UNS`, V3000 `SUBST=`/`RBCNT=`/`UNSAT=`) */
+  query?: AtomQuery;
+  /** R-group numbers on an `R#` atom (`M  RGP`, V3000 `RGROUPS=`) */
+  rgroups?: number[];
+  /** Set for query pseudo-atoms (L, A, Q, *, R#, …) */
+  queryAtom?: QueryAtom;
+  /** Number of SSSR rings containing the atom (0 outside rings) */
+  ringCount?: number;
+}
+
+export type QueryAtomType =
+  | 'any'
+  | 'anyHeavy'
+  | 'heteroatom'
+  | 'heteroatomOrHydrogen'
+  | 'halogen'
+  | 'halogenOrHydrogen'
+  | 'metal'
+  | 'metalOrHydrogen'
+  | 'list'
+  | 'rgroup';
+
+export interface QueryAtom {
+  type: QueryAtomType;
+  /** Display text, e.g. `A`, `[C,N]`, `![N,S]`, `R1,R2` */
+  label: string;
+  elements?: string[];
+  exclude?: boolean;
+  rgroups?: number[];
+}
+
+/** MDL query bond types 5–8 */
+export type QueryBondType = 'singleOrDouble' | 'singleOrAromatic' | 'doubleOrAromatic' | 'any';
+
+export interface AtomList {
+  /** True for a NOT list */
+  exclude: boolean;
+  elements: string[];
+}
+
+/** Query counts use 0 for "none" and `'asDrawn'` for the molfile -2 code. */
+export interface AtomQuery {
+  substitutionCount?: number | 'asDrawn';
+  ringBondCount?: number | 'asDrawn';
+  unsaturated?: boolean;
+  /** At least this many hydrogens (V2000 `hhh` − 1, V3000 `HCOUNT`) */
+  minHydrogenCount?: number;
 }
 
 /** Source of bond data: from the original molfile or inferred */
-export type BondSource = 'molfile' | 'inferredCoordination' | 'inferredBridge';
+export type BondSource =
+  | 'molfile'
+  | 'inferredCoordination'
+  | 'inferredBridge'
+  /** PDB/mmCIF bond from the built-in standard residue templates */
+  | 'residueTemplate'
+  /** PDB CONECT record or mmCIF `_struct_conn` link */
+  | 'conect'
+  /** Perceived from interatomic distances and covalent radii (XYZ input) */
+  | 'inferredCovalent'
+  /** Bond to a hydrogen placed by `addHydrogens: 'explicit3d'` */
+  | 'addedHydrogen';
 
 export interface BondMeta {
   index: number; // 0-based
   beginAtomIndex: number; // 0-based
   endAtomIndex: number; // 0-based
-  /** Normalized bond order (1-4) used for rendering */
+  /** Normalized bond order (1-4) */
   order: 1 | 2 | 3 | 4;
   /** Original bond order from molfile or inference (0 for coordination, 4 for aromatic, etc.) */
   originalOrder: number;
+  /** Order the renderer draws (1-4), after `aromaticDisplay` and `aromaticStyle` */
+  displayOrder: 1 | 2 | 3 | 4;
   /** @deprecated Use isAromatic instead */
   aromatic?: boolean;
-  /** True when originalOrder === 4 (aromatic bond) */
+  /** Aromatic by Hückel perception, or written as order 4 */
   isAromatic?: boolean;
   /** True when originalOrder === 0 (coordination/ionic bond) */
   isCoordination?: boolean;
   /** True when bond is a bridging bond (three-center bond) */
   isBridge?: boolean;
+  /** True for amide bonds (MOL2 `am`) */
+  isAmide?: boolean;
   /** Source of bond data */
   source: BondSource;
-  /** Stereo type for wedge/hash bonds */
-  stereo?: 'up' | 'down' | 'wavy';
+  /** Stereo type for wedge/hash bonds; `'either'` is a crossed (unspecified) double bond */
+  stereo?: 'up' | 'down' | 'wavy' | 'either';
+  /** Double-bond configuration from SMILES `/` `\` (neighbour indices are 1-based) */
+  cisTrans?: CisTrans;
+  /** CIP descriptor of a stereogenic double bond */
+  cip?: 'E' | 'Z';
+  /** Query semantics when originalOrder is 5–8 (order is then 1) */
+  query?: QueryBondType;
+  /** Bond belongs to an SSSR ring (coordination bonds never do) */
+  inRing?: boolean;
+}
+
+export interface CisTrans {
+  beginNeighbor: number;
+  endNeighbor: number;
+  config: 'cis' | 'trans';
 }
 
 export interface LoadResult {
@@ -107,8 +278,27 @@ export interface LoadResult {
     atomCount: number;
     bondCount: number;
     title?: string;
+    /** Input format the result was built from */
+    format?: 'sdf' | 'mol2' | 'pdb' | 'mmcif' | 'xyz' | 'extxyz' | string;
     sdfFormatVersion?: 'V2000' | 'V3000' | string;
-    source?: 'pubchem' | 'nist' | 'cactus' | 'other';
+    /** Provider detected from SD tags, the header program name and the comment line */
+    source?: 'pubchem' | 'chembl' | 'chebi' | 'nist' | 'cactus' | 'other';
+    /** Program name from molfile header line 2 (e.g. `-OEChem-`, `Marvin`) */
+    program?: string;
+    /** Header line 2 date/time as `YYYY-MM-DDTHH:mm` */
+    timestamp?: string;
+    /** Molfile header line 3 */
+    comment?: string;
+    /** From the header dimensional code, else whether any z is non-zero */
+    coordinateType?: '2d' | '3d';
+    /** Registry ID (PubChem CID, ChEMBL/ChEBI ID, CAS number, …) */
+    identifier?: string;
+    /** Compound name from the SD fields, else a non-numeric title */
+    name?: string;
+    formula?: string;
+    molecularWeight?: number;
+    /** Molfile counts-line chiral flag, when set */
+    chiral?: boolean;
   };
   mappings: {
     atomIndexToMesh?: Array<THREE.Mesh | null>;
@@ -119,6 +309,9 @@ export interface LoadResult {
     };
     bondIndexToMesh?: Array<THREE.Object3D | null>;
     meshUuidToBondIndex?: Map<string, number>;
+    /** Aromatic ring circles (`aromaticStyle: 'circle'`) by `chemistry.rings` index */
+    ringIndexToMesh?: Array<THREE.Mesh | THREE.LineLoop | null>;
+    meshUuidToRingIndex?: Map<string, number>;
     /** Instanced bonds metadata for picking/selection when instancedBonds: true */
     instancedBonds?: {
       mesh: THREE.InstancedMesh;
@@ -137,7 +330,15 @@ export interface LoadResult {
       }
     >;
     bonds: BondMeta[];
+    /** S-groups of the record with 0-based membership (empty when there are none) */
+    sgroups: SGroupMeta[];
+    /** Smallest set of smallest rings */
+    rings: RingMeta[];
+    /** Rings sharing atoms (fused, bridged, spiro) grouped together */
+    ringSystems: RingSystemMeta[];
   };
+  /** Problems found while parsing the record (empty for non-SD formats) */
+  diagnostics: SDFDiagnostic[];
 }
 
 export interface AtomRecord {
@@ -148,36 +349,442 @@ export interface AtomRecord {
   charge?: number;
   isotope?: number;
   radical?: number;
+  /** Explicit valence (V3000 `VAL=`; 0 when `VAL=-1`) */
+  valence?: number;
+  stereoParity?: number;
+  /** Query properties, including the `hhh` / `HCOUNT=` hydrogen minimum */
+  query?: AtomQuery;
+  /** Fixed hydrogen count (SMILES bracket atoms, CML `hydrogenCount`) */
+  hydrogenCount?: number;
+  /** Atom-atom mapping number */
+  mapNumber?: number;
+  /** Atom list for `L` query atoms */
+  atomList?: AtomList;
+  query?: AtomQuery;
+  rgroups?: number[];
+  alias?: string;
+  value?: string;
+  groupAbbreviation?: string;
+  /** Attachment atom (1-based) of a `G  ` group abbreviation */
+  groupAttachment?: number;
+  /** Enhanced stereo group from V3000 collections */
+  enhancedStereo?: { type: 'abs' | 'rac' | 'rel'; group?: number };
+  [key: string]: unknown;
+}
+
+export interface BondRecord {
+  /** 1-based atom indices */
+  beginAtomIdx: number;
+  endAtomIdx: number;
+  order: number;
+  /** V2000 stereo code (1 up, 3 cis/trans either, 4 either, 6 down) */
+  stereo?: number;
+  topology?: 'ring' | 'chain';
+  /** SMILES directional single bond (`/` or `\\`) */
+  direction?: '/' | '\\';
+  cisTrans?: CisTrans;
+  /** Multi-centre attachment atoms (V3000 `ENDPTS=`) */
+  endpoints?: number[];
+  attach?: string;
   [key: string]: unknown;
 }
 
+/** S-group record. Atom indices are 1-based, bond indices as written in the file. */
+export interface SGroupRecord {
+  index: number;
+  type: string;
+  externalIndex?: number;
+  atoms: number[];
+  crossingBonds: number[];
+  containedBonds?: number[];
+  parentAtoms?: number[];
+  subtype?: string;
+  connectivity?: string;
+  label?: string;
+  class?: string;
+  parent?: number;
+  multiplier?: number;
+  expanded?: boolean;
+  fieldName?: string;
+  fieldData?: string;
+  /** Data S-group label position (`M  SDD`, V3000 `FIELDDISP=`) in file coordinates */
+  fieldDisplay?: { x: number; y: number };
+  /** Bracket coordinates, 9 numbers each (x1 y1 z1 x2 y2 z2 x3 y3 z3) */
+  brackets?: number[][];
+  attachmentPoints?: Array<{ atom: number; leavingAtom: number; id?: string }>;
+  [key: string]: unknown;
+}
+
+export interface RingMeta {
+  /** Position in `chemistry.rings` */
+  index: number;
+  /** 0-based atom indices in ring order */
+  atomIndices: number[];
+  /** 0-based bond indices */
+  bondIndices: number[];
+  size: number;
+  /** Every ring bond is aromatic */
+  aromatic: boolean;
+  /** Position of the ring's system in `chemistry.ringSystems` */
+  systemIndex: number;
+  /** Mean atom position (chemistry coordinates; kept current by `setAtomPositions`) */
+  centroid: { x: number; y: number; z: number };
+  /** Unit ring-plane normal, turned toward +z */
+  normal: { x: number; y: number; z: number };
+}
+
+export interface RingSystemMeta {
+  index: number;
+  ringIndices: number[];
+  atomIndices: number[];
+  bondIndices: number[];
+}
+
+export interface SGroupMeta {
+  /** Position in `chemistry.sgroups` (and in the record's `sgroups`) */
+  index: number;
+  /** `SRU`, `COP`, `MUL`, `DAT`, `SUP`, `GEN`, … */
+  type: string;
+  subtype?: string;
+  /** `HH`, `HT` or `EU` */
+  connectivity?: string;
+  label?: string;
+  multiplier?: number;
+  parentIndex?: number;
+  atomIndices: number[];
+  /** Bonds with both atoms in the S-group */
+  bondIndices: number[];
+  /** Bonds with exactly one atom in the S-group */
+  crossingBondIndices: number[];
+  fieldName?: string;
+  fieldData?: string;
+  /** The S-group as parsed (1-based numbers); `writeSDF` writes it back */
+  record: SGroupRecord;
+}
+
+/**
+ * One SUP S-group in `group.userData.superatoms`; collapse or expand it with
+ * `group.userData.toggleSuperatom(sgroupIndex, collapsed?)`. Indices are 0-based.
+ */
+export interface SuperatomEntry {
+  /** Position of the S-group in the record's `sgroups` */
+  sgroupIndex: number;
+  label: string;
+  atomIndices: number[];
+  /** Bonds with both atoms in the S-group (hidden when collapsed) */
+  bondIndices: number[];
+  /** Atom the pseudo-atom is drawn on */
+  attachmentAtomIndex: number;
+  collapsed: boolean;
+  /** Pseudo-atom mesh (`userData.role === 'superatom'`), visible while collapsed */
+  object: THREE.Mesh;
+}
+
+export interface CollectionRecord {
+  name: string;
+  atoms: number[];
+  bonds: number[];
+}
+
 export interface MoleculeRecord {
   atoms: AtomRecord[];
-  bonds: unknown[];
+  bonds: BondRecord[];
   properties?: Record<string, unknown>;
+  sgroups?: SGroupRecord[];
+  collections?: CollectionRecord[];
+  /** V3000 COUNTS chiral flag */
+  chiral?: boolean;
+  /** Header (first) line of the molfile */
+  title?: string;
+  /** Set by the SD parsers (`parseSDF`, `parseSDFAll`, `parseSDFStream`) */
+  diagnostics?: SDFDiagnostic[];
   [key: string]: unknown;
 }
 
+export type SDFDiagnosticCode =
+  | 'missing-counts-line'
+  | 'counts-mismatch'
+  | 'bond-atom-out-of-range'
+  | 'invalid-coordinate'
+  | 'unknown-element'
+  | 'missing-m-end'
+  | 'bonds-repaired';
+
+export interface SDFDiagnostic {
+  code: SDFDiagnosticCode;
+  severity: 'error' | 'warning' | 'info';
+  /** 0-based record position in the file */
+  recordIndex: number;
+  /** 1-based line in the input */
+  line: number;
+  /** 1-based inclusive column range */
+  column: number;
+  endColumn: number;
+  message: string;
+}
+
+/** Thrown with `strict: true`; fields describe the first error-level diagnostic */
+export class SDFParseError extends Error {
+  constructor(diagnostics: SDFDiagnostic[]);
+  code: SDFDiagnosticCode;
+  recordIndex: number;
+  line: number;
+  column: number;
+  endColumn: number;
+  diagnostics: SDFDiagnostic[];
+}
+
+/** Typed view of an SD data field value (see `typedProperties`) */
+export type TypedSDValue = number | number[] | Array<Array<number | string>> | string;
+
+/** Binary SDF input: plain, gzip or zlib-compressed bytes (UTF-8 or Latin-1 text). */
+export type SDFBinaryInput = Uint8Array | ArrayBuffer;
+
 /** Returns a THREE.Group ready for rendering. Also attaches `group.userData.loadResult` */
 export function loadSDF(text: string, options?: LoaderOptions): THREE.Group;
+/** Blobs are always read asynchronously. */
+export function loadSDF(blob: Blob, options?: LoaderOptions): Promise<THREE.Group>;
+/** Synchronous when the bytes are uncompressed or Node's zlib is available; otherwise a Promise. */
+export function loadSDF(
+  bytes: SDFBinaryInput,
+  options?: LoaderOptions,
+): THREE.Group | Promise<THREE.Group>;
 
 /** Returns a structured result alongside the root THREE.Group. */
 export function loadSDFResult(
   text: string,
   options?: LoaderOptions,
 ): LoadResult;
+export function loadSDFResult(blob: Blob, options?: LoaderOptions): Promise<LoadResult>;
+export function loadSDFResult(
+  bytes: SDFBinaryInput,
+  options?: LoaderOptions,
+): LoadResult | Promise<LoadResult>;
 
 /** Thin wrapper around sdf-parser returning a parsed molecule record. */
 export function parseSDF(
   text: string,
   options?: Record<string, unknown>,
 ): MoleculeRecord;
+export function parseSDF(
+  blob: Blob,
+  options?: Record<string, unknown>,
+): Promise<MoleculeRecord>;
+export function parseSDF(
+  bytes: SDFBinaryInput,
+  options?: Record<string, unknown>,
+): MoleculeRecord | Promise<MoleculeRecord>;
 
 /** Returns all parsed molecule records from a multi-record SDF string */
 export function parseSDFAll(
   text: string,
   options?: Record<string, unknown>,
 ): MoleculeRecord[];
+export function parseSDFAll(
+  blob: Blob,
+  options?: Record<string, unknown>,
+): Promise<MoleculeRecord[]>;
+export function parseSDFAll(
+  bytes: SDFBinaryInput,
+  options?: Record<string, unknown>,
+): MoleculeRecord[] | Promise<MoleculeRecord[]>;
+
+/** Parses a Tripos MOL2 file; `options.index` selects the molecule (default 0). */
+export function parseMOL2(
+  text: string,
+  options?: { index?: number },
+): MoleculeRecord;
+
+/** Like `loadSDF`, for Tripos MOL2 input. */
+export function loadMOL2(text: string, options?: LoaderOptions): THREE.Group;
+
+/** Parses a PDB file (first model, first altLoc) with residue-template and CONECT bonds. */
+export function parsePDB(text: string): MoleculeRecord;
+
+/** Parses an mmCIF file (first model, first altLoc) with residue-template and `_struct_conn` bonds. */
+export function parseMMCIF(text: string): MoleculeRecord;
+
+/** Like `loadSDF`, for PDB or mmCIF input (auto-detected). */
+export function loadPDB(text: string, options?: LoaderOptions): THREE.Group;
+
+export interface XYZOptions {
+  /** Frame to read from multi-frame files. Default: 0 */
+  index?: number;
+  /** Perceive covalent bonds from covalent radii. Default: true */
+  perceiveBonds?: boolean;
+  /** Slack (Å) added to r_i + r_j during perception. Default: 0.45 */
+  bondTolerance?: number;
+}
+
+/** Parses XYZ / extended-XYZ text; bonds are perceived unless `perceiveBonds: false`. */
+export function parseXYZ(text: string, options?: XYZOptions): MoleculeRecord;
+
+/** Like `loadSDF`, for XYZ / extended-XYZ input with perceived covalent bonds. */
+export function loadXYZ(text: string, options?: LoaderOptions & XYZOptions): THREE.Group;
+
+/** Parses a SMILES string and generates 2D coordinates (wedges for `@`/`@@`, `cisTrans` for `/` `\`). */
+export function parseSMILES(smiles: string): MoleculeRecord & { smiles: string; title?: string };
+
+/** Like `loadSDF`, for a SMILES string with a generated 2D depiction (`layout` defaults to `'2d'`). */
+export function loadSMILES(smiles: string, options?: LoaderOptions): THREE.Group;
+
+/** Parses Chemical Markup Language; `coordinates` reports whether x3/y3/z3 or x2/y2 were used. */
+export function parseCML(
+  text: string,
+  options?: { index?: number },
+): MoleculeRecord & { title?: string; id?: string; coordinates?: '2d' | '3d' };
+
+/** Like `loadSDF`, for CML input; `layout` defaults to `'3d'` when x3/y3/z3 are present, else `'2d'`. */
+export function loadCML(text: string, options?: LoaderOptions & { index?: number }): THREE.Group;
+
+export type SDFStreamChunk = string | Uint8Array | ArrayBuffer;
+
+/** Streams SDF records from a chunked source; each record carries its index and starting byte offset. */
+export function parseSDFStream(
+  source:
+    | ReadableStream<SDFStreamChunk>
+    | AsyncIterable<SDFStreamChunk>
+    | Iterable<SDFStreamChunk>
+    | SDFStreamChunk,
+  options?: Record<string, unknown>,
+): AsyncGenerator<MoleculeRecord & { recordIndex: number; byteOffset: number }, void, undefined>;
+
+export interface WriteSDFOptions {
+  /** Default: `'V2000'`, or `'V3000'` when a record exceeds 999 atoms/bonds */
+  format?: 'V2000' | 'V3000';
+  /** Drop bonds whose `source` is not `'molfile'` (inferred coordination, bridges, …). Default: false */
+  excludeInferredBonds?: boolean;
+}
+
+/**
+ * Serializes LoadResults, loader groups or parsed records (or arrays of them) to SDF text.
+ * Throws a RangeError when an SD field value has a blank, `$$$$` or `> <` line inside it.
+ */
+export function writeSDF(
+  input: LoadResult | THREE.Group | MoleculeRecord | Array<LoadResult | THREE.Group | MoleculeRecord>,
+  options?: WriteSDFOptions,
+): string;
+
+export interface GalleryOptions extends LoaderOptions {
+  /** Cells per row (default: ceil(sqrt(n))) */
+  columns?: number;
+  /** Gap between cells in scene units (default 1) */
+  spacing?: number;
+  /** SD tag to sort by (numeric when values parse as numbers), or a comparator over records */
+  sortBy?: string | ((a: MoleculeRecord, b: MoleculeRecord) => number);
+  descending?: boolean;
+  /** Paging over the (sorted) records */
+  offset?: number;
+  limit?: number;
+  /** Caption under each cell: `true` = title, SD tag(s), or a formatter */
+  labels?: boolean | string | string[] | ((record: MoleculeRecord) => string);
+  /** Caption line height (default 0.6) */
+  labelSize?: number;
+}
+
+export interface GalleryCell {
+  /** 0-based record position in the input */
+  recordIndex: number;
+  row: number;
+  column: number;
+  /** Cell group; its child is the molecule group `loadSDF` would return */
+  cell: THREE.Group;
+  caption?: string;
+  loadResult: LoadResult;
+}
+
+/** Renders every record (or a page of them) in a grid; see `userData.cells`. */
+export function loadSDFGallery(
+  text: string,
+  options?: GalleryOptions,
+): THREE.Group & {
+  userData: {
+    cells: GalleryCell[];
+    recordIndexToCell: Map<number, GalleryCell>;
+    /** Records in the input, before offset/limit */
+    recordCount: number;
+    pickRecord(hit: THREE.Intersection): number | null;
+  };
+};
+export function loadSDFGallery(
+  input: SDFBinaryInput | Blob,
+  options?: GalleryOptions,
+): THREE.Group | Promise<THREE.Group>;
+
+export interface ConformerUserData {
+  frameCount: number;
+  /** Per-record coordinates `[x0, y0, z0, x1, …]` in file units */
+  frames: Float32Array[];
+  /** SD data fields of each record (scores, energies, …) */
+  frameProperties: Array<Record<string, unknown>>;
+  /** Last frame shown; fractional after `setFrameInterpolated` */
+  currentFrame: number;
+  /** Jump to a frame (rounded and clamped); returns the frame shown */
+  setFrame(index: number): number;
+  /** Blend linearly between frames floor(t) and floor(t) + 1; returns the clamped t */
+  setFrameInterpolated(t: number): number;
+}
+
+/**
+ * Builds meshes once from the first record of a same-topology multi-record file
+ * and plays the other records back in place. Throws when topologies differ.
+ */
+export function loadSDFConformers(
+  text: string,
+  options?: LoaderOptions,
+): THREE.Group & { userData: ConformerUserData };
+export function loadSDFConformers(
+  input: SDFBinaryInput | Blob,
+  options?: LoaderOptions,
+): THREE.Group | Promise<THREE.Group>;
+
+export interface WorkerLoaderOptions extends LoaderOptions {
+  /** Worker running `serveSDFWorker()` to reuse; by default one is started per call and terminated */
+  worker?: Worker | NodeWorkerLike;
+}
+
+/** Structural type of a Node `worker_threads` Worker (avoids a dependency on @types/node) */
+export interface NodeWorkerLike {
+  postMessage(message: unknown, transferList?: readonly unknown[]): void;
+  on(event: string, listener: (...args: any[]) => void): unknown;
+  off(event: string, listener: (...args: any[]) => void): unknown;
+  terminate(): unknown;
+}
+
+/**
+ * Like `loadSDF`, with parsing, bond inference and (with `instancing`) instance
+ * buffers computed in a Web Worker / `worker_threads` worker. The group is
+ * assembled on the calling thread and has the same `loadResult`.
+ */
+export function loadSDFInWorker(
+  input: SDFBinaryInput | Blob,
+  options?: WorkerLoaderOptions,
+): Promise<THREE.Group>;
+
+/** Serve `loadSDFInWorker` requests from a custom worker script. */
+export function serveSDFWorker(port?: unknown): void;
+
+/**
+ * three.js loader for SD / molfiles (plain or gzip-compressed) that fetches through
+ * `THREE.FileLoader` and reports progress through its `LoadingManager`.
+ */
+export class SDFLoader extends THREE.Loader<THREE.Group> {
+  constructor(manager?: THREE.LoadingManager, options?: LoaderOptions);
+  /** LoaderOptions forwarded to `loadSDF` */
+  options: LoaderOptions;
+  setOptions(options?: LoaderOptions): this;
+  load(
+    url: string,
+    onLoad: (group: THREE.Group) => void,
+    onProgress?: (event: ProgressEvent) => void,
+    onError?: (err: unknown) => void,
+  ): void;
+  /** Per-call options are merged over `this.options` */
+  parse(
+    data: string | SDFBinaryInput | Blob,
+    options?: LoaderOptions,
+  ): THREE.Group | Promise<THREE.Group>;
+}
 
 /** Positions a camera to optimally view a 2D molecular structure */
 export function createPlanarView(